@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "CoursePrice" (
+    "id" TEXT NOT NULL,
+    "courseId" TEXT NOT NULL,
+    "educatorId" TEXT NOT NULL,
+    "title" TEXT,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CoursePrice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CoursePrice_courseId_key" ON "CoursePrice"("courseId");
+
+-- CreateIndex
+CREATE INDEX "CoursePrice_educatorId_idx" ON "CoursePrice"("educatorId");
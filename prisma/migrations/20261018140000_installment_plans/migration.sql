@@ -0,0 +1,68 @@
+-- CreateEnum
+CREATE TYPE "InstallmentPlanStatus" AS ENUM ('ACTIVE', 'COMPLETED', 'DEFAULTED', 'CANCELED');
+
+-- CreateEnum
+CREATE TYPE "InstallmentStatus" AS ENUM ('SCHEDULED', 'PAID', 'FAILED', 'CANCELED');
+
+-- CreateTable
+CREATE TABLE "InstallmentPlan" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "courseId" TEXT NOT NULL,
+    "educatorId" TEXT NOT NULL,
+    "totalAmount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "installmentCount" INTEGER NOT NULL,
+    "stripeCustomerId" TEXT NOT NULL,
+    "stripePaymentMethodId" TEXT NOT NULL,
+    "status" "InstallmentPlanStatus" NOT NULL DEFAULT 'ACTIVE',
+    "completedAt" TIMESTAMP(3),
+    "defaultedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "InstallmentPlan_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Installment" (
+    "id" TEXT NOT NULL,
+    "planId" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "platformCommission" DOUBLE PRECISION NOT NULL,
+    "educatorEarnings" DOUBLE PRECISION NOT NULL,
+    "dueDate" TIMESTAMP(3) NOT NULL,
+    "status" "InstallmentStatus" NOT NULL DEFAULT 'SCHEDULED',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastAttemptAt" TIMESTAMP(3),
+    "nextAttemptAt" TIMESTAMP(3),
+    "failureReason" TEXT,
+    "paidAt" TIMESTAMP(3),
+    "transactionId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Installment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InstallmentPlan_userId_idx" ON "InstallmentPlan"("userId");
+
+-- CreateIndex
+CREATE INDEX "InstallmentPlan_courseId_userId_idx" ON "InstallmentPlan"("courseId", "userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Installment_transactionId_key" ON "Installment"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "Installment_status_dueDate_idx" ON "Installment"("status", "dueDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Installment_planId_sequence_key" ON "Installment"("planId", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "Installment" ADD CONSTRAINT "Installment_planId_fkey" FOREIGN KEY ("planId") REFERENCES "InstallmentPlan"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Installment" ADD CONSTRAINT "Installment_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "Transaction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "GiftCodeStatus" AS ENUM ('ACTIVE', 'REDEEMED', 'EXPIRED', 'REFUNDED');
+
+-- CreateTable
+CREATE TABLE "GiftCode" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "purchaserId" TEXT NOT NULL,
+    "courseId" TEXT NOT NULL,
+    "educatorId" TEXT NOT NULL,
+    "recipientEmail" TEXT NOT NULL,
+    "recipientName" TEXT,
+    "message" TEXT,
+    "status" "GiftCodeStatus" NOT NULL DEFAULT 'ACTIVE',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "redeemedBy" TEXT,
+    "redeemedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "GiftCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GiftCode_code_key" ON "GiftCode"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GiftCode_transactionId_key" ON "GiftCode"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "GiftCode_purchaserId_idx" ON "GiftCode"("purchaserId");
+
+-- CreateIndex
+CREATE INDEX "GiftCode_redeemedBy_courseId_idx" ON "GiftCode"("redeemedBy", "courseId");
+
+-- AddForeignKey
+ALTER TABLE "GiftCode" ADD CONSTRAINT "GiftCode_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "Transaction"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
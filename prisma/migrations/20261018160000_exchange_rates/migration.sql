@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN     "baseAmount" DOUBLE PRECISION,
+ADD COLUMN     "baseCurrency" TEXT,
+ADD COLUMN     "fxRate" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "ExchangeRate" (
+    "id" TEXT NOT NULL,
+    "baseCurrency" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "source" TEXT NOT NULL,
+    "effectiveAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ExchangeRate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExchangeRate_baseCurrency_currency_effectiveAt_key" ON "ExchangeRate"("baseCurrency", "currency", "effectiveAt");
+
+-- Backfill: existing USD transactions are already in the default reporting
+-- currency. Others stay NULL and are reported at their face value.
+UPDATE "Transaction"
+SET "baseCurrency" = 'USD', "baseAmount" = "amount", "fxRate" = 1
+WHERE UPPER("currency") = 'USD';
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Invoice" ADD COLUMN     "customerTaxId" TEXT,
+ADD COLUMN     "reverseCharge" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "taxCountry" TEXT,
+ADD COLUMN     "taxRate" DOUBLE PRECISION,
+ADD COLUMN     "taxRegion" TEXT,
+ADD COLUMN     "taxRulesVersion" TEXT,
+ADD COLUMN     "taxType" TEXT;
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN     "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
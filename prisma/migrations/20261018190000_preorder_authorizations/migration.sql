@@ -0,0 +1,6 @@
+-- AlterEnum
+ALTER TYPE "TransactionStatus" ADD VALUE 'AUTHORIZED';
+ALTER TYPE "TransactionStatus" ADD VALUE 'VOIDED';
+
+-- AlterTable
+ALTER TABLE "CoursePrice" ADD COLUMN     "launchDate" TIMESTAMP(3);
@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "StripeCustomer" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "stripeCustomerId" TEXT NOT NULL,
+    "defaultPaymentMethodId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StripeCustomer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StripeCustomer_userId_key" ON "StripeCustomer"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StripeCustomer_stripeCustomerId_key" ON "StripeCustomer"("stripeCustomerId");
+
+-- Backfill the customers created for memberships and installment plans,
+-- keeping each student's most recent one
+INSERT INTO "StripeCustomer" ("id", "userId", "stripeCustomerId", "updatedAt")
+SELECT DISTINCT ON ("userId") gen_random_uuid()::text, "userId", "stripeCustomerId", CURRENT_TIMESTAMP
+FROM (
+    SELECT "userId", "stripeCustomerId", "createdAt" FROM "Subscription"
+    UNION ALL
+    SELECT "userId", "stripeCustomerId", "createdAt" FROM "InstallmentPlan"
+) AS "customers"
+ORDER BY "userId", "createdAt" DESC
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "PaymentReviewStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "PaymentReview" (
+    "id" TEXT NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "score" INTEGER NOT NULL,
+    "reasons" JSONB NOT NULL,
+    "status" "PaymentReviewStatus" NOT NULL DEFAULT 'PENDING',
+    "reviewedBy" TEXT,
+    "reviewNote" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PaymentReview_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentReview_transactionId_key" ON "PaymentReview"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "PaymentReview_status_createdAt_idx" ON "PaymentReview"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_action_createdAt_idx" ON "AuditLog"("action", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "PaymentReview" ADD CONSTRAINT "PaymentReview_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "Transaction"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
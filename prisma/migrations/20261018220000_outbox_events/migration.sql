@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "OutboxDestination" AS ENUM ('USER_SERVICE', 'COURSE_SERVICE', 'PROGRESS_SERVICE');
+
+-- CreateEnum
+CREATE TYPE "OutboxStatus" AS ENUM ('PENDING', 'DELIVERED', 'DEAD');
+
+-- CreateTable
+CREATE TABLE "OutboxEvent" (
+    "id" TEXT NOT NULL,
+    "destination" "OutboxDestination" NOT NULL,
+    "eventType" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "orderingKey" TEXT NOT NULL,
+    "transactionId" TEXT,
+    "status" "OutboxStatus" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastError" TEXT,
+    "deliveredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OutboxEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OutboxEvent_status_nextAttemptAt_idx" ON "OutboxEvent"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "OutboxEvent_orderingKey_status_createdAt_idx" ON "OutboxEvent"("orderingKey", "status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "OutboxEvent_transactionId_idx" ON "OutboxEvent"("transactionId");
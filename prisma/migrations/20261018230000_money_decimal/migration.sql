@@ -0,0 +1,138 @@
+-- AlterTable
+ALTER TABLE "Transaction" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(19,4),
+ALTER COLUMN "baseAmount" SET DATA TYPE DECIMAL(19,4),
+ALTER COLUMN "taxAmount" SET DATA TYPE DECIMAL(19,4),
+ALTER COLUMN "platformCommission" SET DATA TYPE DECIMAL(19,4),
+ALTER COLUMN "educatorEarnings" SET DATA TYPE DECIMAL(19,4);
+
+-- AlterTable
+ALTER TABLE "Order" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(19,4);
+
+-- AlterTable
+ALTER TABLE "Invoice" ALTER COLUMN "subtotal" SET DATA TYPE DECIMAL(19,4),
+ALTER COLUMN "discount" SET DATA TYPE DECIMAL(19,4),
+ALTER COLUMN "tax" SET DATA TYPE DECIMAL(19,4),
+ALTER COLUMN "total" SET DATA TYPE DECIMAL(19,4),
+ALTER COLUMN "walletAmount" SET DATA TYPE DECIMAL(19,4);
+
+-- AlterTable
+ALTER TABLE "InvoiceLineItem" ALTER COLUMN "unitPrice" SET DATA TYPE DECIMAL(19,4),
+ALTER COLUMN "discount" SET DATA TYPE DECIMAL(19,4),
+ALTER COLUMN "amount" SET DATA TYPE DECIMAL(19,4);
+
+-- AlterTable
+ALTER TABLE "CoursePrice" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(19,4);
+
+-- AlterTable
+ALTER TABLE "Coupon" ALTER COLUMN "discountValue" SET DATA TYPE DECIMAL(19,4);
+
+-- AlterTable
+ALTER TABLE "CouponRedemption" ALTER COLUMN "discountAmount" SET DATA TYPE DECIMAL(19,4);
+
+-- AlterTable
+ALTER TABLE "Plan" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(19,4);
+
+-- AlterTable
+ALTER TABLE "SubscriptionPayment" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(19,4);
+
+-- AlterTable
+ALTER TABLE "InstallmentPlan" ALTER COLUMN "totalAmount" SET DATA TYPE DECIMAL(19,4);
+
+-- AlterTable
+ALTER TABLE "Installment" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(19,4),
+ALTER COLUMN "platformCommission" SET DATA TYPE DECIMAL(19,4),
+ALTER COLUMN "educatorEarnings" SET DATA TYPE DECIMAL(19,4);
+
+-- AlterTable
+ALTER TABLE "Wallet" ALTER COLUMN "balance" SET DATA TYPE DECIMAL(19,4);
+
+-- AlterTable
+ALTER TABLE "WalletEntry" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(19,4),
+ALTER COLUMN "balanceAfter" SET DATA TYPE DECIMAL(19,4);
+
+-- Round existing amounts to what their currency can express, dropping the
+-- floating point noise (19.799999999 becomes 19.80, 500.4 JPY becomes 500).
+-- Kept in step with src/utils/money.js.
+CREATE FUNCTION pg_temp.currency_exponent(currency TEXT) RETURNS INTEGER AS $$
+  SELECT CASE
+    WHEN UPPER(currency) IN ('BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+      'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF') THEN 0
+    WHEN UPPER(currency) IN ('BHD', 'JOD', 'KWD', 'OMR', 'TND') THEN 3
+    ELSE 2
+  END
+$$ LANGUAGE SQL IMMUTABLE;
+
+UPDATE "Transaction" SET
+  "amount" = ROUND("amount", pg_temp.currency_exponent("currency")),
+  "baseAmount" = ROUND("baseAmount", pg_temp.currency_exponent("baseCurrency")),
+  "taxAmount" = ROUND("taxAmount", pg_temp.currency_exponent("currency")),
+  "platformCommission" = ROUND("platformCommission", pg_temp.currency_exponent("currency")),
+  "educatorEarnings" = ROUND("educatorEarnings", pg_temp.currency_exponent("currency"));
+
+UPDATE "Order" SET
+  "amount" = ROUND("amount", pg_temp.currency_exponent("currency"));
+
+-- Invoices take the currency of their payment or cart order
+UPDATE "Invoice" i SET
+  "subtotal" = ROUND(i."subtotal", c."exponent"),
+  "discount" = ROUND(i."discount", c."exponent"),
+  "tax" = ROUND(i."tax", c."exponent"),
+  "total" = ROUND(i."total", c."exponent"),
+  "walletAmount" = ROUND(i."walletAmount", c."exponent")
+FROM (
+  SELECT i2."id", pg_temp.currency_exponent(COALESCE(t."currency", o."currency")) AS "exponent"
+  FROM "Invoice" i2
+  LEFT JOIN "Transaction" t ON t."id" = i2."transactionId"
+  LEFT JOIN "Order" o ON o."id" = i2."orderId"
+) c
+WHERE c."id" = i."id";
+
+UPDATE "InvoiceLineItem" li SET
+  "unitPrice" = ROUND(li."unitPrice", c."exponent"),
+  "discount" = ROUND(li."discount", c."exponent"),
+  "amount" = ROUND(li."amount", c."exponent")
+FROM (
+  SELECT i."id", pg_temp.currency_exponent(COALESCE(t."currency", o."currency")) AS "exponent"
+  FROM "Invoice" i
+  LEFT JOIN "Transaction" t ON t."id" = i."transactionId"
+  LEFT JOIN "Order" o ON o."id" = i."orderId"
+) c
+WHERE c."id" = li."invoiceId";
+
+UPDATE "CoursePrice" SET
+  "amount" = ROUND("amount", pg_temp.currency_exponent("currency"));
+
+-- Percentage coupons keep their fractional rates
+UPDATE "Coupon" SET
+  "discountValue" = ROUND("discountValue", pg_temp.currency_exponent("currency"))
+WHERE "discountType" = 'FIXED' AND "currency" IS NOT NULL;
+
+UPDATE "CouponRedemption" cr SET
+  "discountAmount" = ROUND(cr."discountAmount", pg_temp.currency_exponent(t."currency"))
+FROM "Transaction" t
+WHERE t."id" = cr."transactionId";
+
+UPDATE "Plan" SET
+  "amount" = ROUND("amount", pg_temp.currency_exponent("currency"));
+
+UPDATE "SubscriptionPayment" SET
+  "amount" = ROUND("amount", pg_temp.currency_exponent("currency"));
+
+UPDATE "InstallmentPlan" SET
+  "totalAmount" = ROUND("totalAmount", pg_temp.currency_exponent("currency"));
+
+UPDATE "Installment" inst SET
+  "amount" = ROUND(inst."amount", pg_temp.currency_exponent(p."currency")),
+  "platformCommission" = ROUND(inst."platformCommission", pg_temp.currency_exponent(p."currency")),
+  "educatorEarnings" = ROUND(inst."educatorEarnings", pg_temp.currency_exponent(p."currency"))
+FROM "InstallmentPlan" p
+WHERE p."id" = inst."planId";
+
+UPDATE "Wallet" SET
+  "balance" = ROUND("balance", pg_temp.currency_exponent("currency"));
+
+UPDATE "WalletEntry" we SET
+  "amount" = ROUND(we."amount", pg_temp.currency_exponent(w."currency")),
+  "balanceAfter" = ROUND(we."balanceAfter", pg_temp.currency_exponent(w."currency"))
+FROM "Wallet" w
+WHERE w."id" = we."walletId";
@@ -0,0 +1,50 @@
+-- CreateEnum
+CREATE TYPE "CommissionRuleScope" AS ENUM ('GLOBAL', 'EDUCATOR', 'COURSE', 'CATEGORY');
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "commissionRuleId" TEXT;
+
+-- AlterTable
+ALTER TABLE "CoursePrice" ADD COLUMN "category" TEXT;
+
+-- AlterTable
+ALTER TABLE "InstallmentPlan" ADD COLUMN "commissionRuleId" TEXT;
+
+-- CreateTable
+CREATE TABLE "CommissionRule" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "scope" "CommissionRuleScope" NOT NULL,
+    "educatorId" TEXT,
+    "courseId" TEXT,
+    "category" TEXT,
+    "percentage" DOUBLE PRECISION NOT NULL,
+    "fixedFee" DECIMAL(19,4) NOT NULL DEFAULT 0,
+    "currency" TEXT,
+    "minAmount" DECIMAL(19,4),
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "validFrom" TIMESTAMP(3),
+    "validUntil" TIMESTAMP(3),
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdBy" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CommissionRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CommissionRule_active_scope_idx" ON "CommissionRule"("active", "scope");
+
+-- AddForeignKey
+ALTER TABLE "Transaction" ADD CONSTRAINT "Transaction_commissionRuleId_fkey" FOREIGN KEY ("commissionRuleId") REFERENCES "CommissionRule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InstallmentPlan" ADD CONSTRAINT "InstallmentPlan_commissionRuleId_fkey" FOREIGN KEY ("commissionRuleId") REFERENCES "CommissionRule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- The volume tiers that used to be hard-coded: 20% by default, 18% from
+-- 200 and 15% from 500. The larger tier wins on equal priority.
+INSERT INTO "CommissionRule" ("id", "name", "scope", "percentage", "minAmount", "createdBy", "updatedAt") VALUES
+  (gen_random_uuid()::text, 'Standard commission', 'GLOBAL', 20, NULL, 'system', CURRENT_TIMESTAMP),
+  (gen_random_uuid()::text, 'Volume tier from 200', 'GLOBAL', 18, 200, 'system', CURRENT_TIMESTAMP),
+  (gen_random_uuid()::text, 'Volume tier from 500', 'GLOBAL', 15, 500, 'system', CURRENT_TIMESTAMP);
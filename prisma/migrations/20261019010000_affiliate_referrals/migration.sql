@@ -0,0 +1,75 @@
+-- CreateEnum
+CREATE TYPE "AffiliateStatus" AS ENUM ('ACTIVE', 'SUSPENDED');
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "affiliateCommission" DECIMAL(19,4) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "Affiliate" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "commissionPercentage" DOUBLE PRECISION NOT NULL,
+    "cookieWindowDays" INTEGER NOT NULL DEFAULT 30,
+    "status" "AffiliateStatus" NOT NULL DEFAULT 'ACTIVE',
+    "createdBy" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Affiliate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ReferralClick" (
+    "id" TEXT NOT NULL,
+    "affiliateId" TEXT NOT NULL,
+    "courseId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReferralClick_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Referral" (
+    "id" TEXT NOT NULL,
+    "affiliateId" TEXT NOT NULL,
+    "clickId" TEXT,
+    "transactionId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "courseId" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "percentage" DOUBLE PRECISION NOT NULL,
+    "commission" DECIMAL(19,4) NOT NULL,
+    "refundedCommission" DECIMAL(19,4) NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Referral_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Affiliate_userId_key" ON "Affiliate"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Affiliate_code_key" ON "Affiliate"("code");
+
+-- CreateIndex
+CREATE INDEX "ReferralClick_affiliateId_createdAt_idx" ON "ReferralClick"("affiliateId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Referral_transactionId_key" ON "Referral"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "Referral_affiliateId_createdAt_idx" ON "Referral"("affiliateId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ReferralClick" ADD CONSTRAINT "ReferralClick_affiliateId_fkey" FOREIGN KEY ("affiliateId") REFERENCES "Affiliate"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Referral" ADD CONSTRAINT "Referral_affiliateId_fkey" FOREIGN KEY ("affiliateId") REFERENCES "Affiliate"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Referral" ADD CONSTRAINT "Referral_clickId_fkey" FOREIGN KEY ("clickId") REFERENCES "ReferralClick"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Referral" ADD CONSTRAINT "Referral_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "Transaction"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
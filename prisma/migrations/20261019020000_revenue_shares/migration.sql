@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "RevenueShare" (
+    "id" TEXT NOT NULL,
+    "courseId" TEXT NOT NULL,
+    "educatorId" TEXT NOT NULL,
+    "percentage" DOUBLE PRECISION NOT NULL,
+    "createdBy" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RevenueShare_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "EducatorEarning" (
+    "id" TEXT NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "educatorId" TEXT NOT NULL,
+    "courseId" TEXT NOT NULL,
+    "percentage" DOUBLE PRECISION NOT NULL,
+    "amount" DECIMAL(19,4) NOT NULL,
+    "currency" TEXT NOT NULL,
+    "stripeTransferId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "EducatorEarning_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RevenueShare_courseId_idx" ON "RevenueShare"("courseId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RevenueShare_courseId_educatorId_key" ON "RevenueShare"("courseId", "educatorId");
+
+-- CreateIndex
+CREATE INDEX "EducatorEarning_educatorId_idx" ON "EducatorEarning"("educatorId");
+
+-- CreateIndex
+CREATE INDEX "EducatorEarning_transactionId_idx" ON "EducatorEarning"("transactionId");
+
+-- AddForeignKey
+ALTER TABLE "EducatorEarning" ADD CONSTRAINT "EducatorEarning_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "Transaction"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Existing transactions earned their one educator everything
+INSERT INTO "EducatorEarning" ("id", "transactionId", "educatorId", "courseId", "percentage", "amount", "currency", "stripeTransferId", "createdAt")
+SELECT gen_random_uuid()::text, t."id", t."educatorId", t."courseId", 100, t."educatorEarnings", t."currency", t."metadata"->>'stripeTransferId', t."createdAt"
+FROM "Transaction" t;
@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "PayoutStatus" AS ENUM ('REQUESTED', 'APPROVED', 'REJECTED', 'IN_TRANSIT', 'COMPLETED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "Payout" (
+    "id" TEXT NOT NULL,
+    "educatorId" TEXT NOT NULL,
+    "stripeAccountId" TEXT NOT NULL,
+    "amount" DECIMAL(19,4) NOT NULL,
+    "currency" TEXT NOT NULL,
+    "status" "PayoutStatus" NOT NULL DEFAULT 'REQUESTED',
+    "processingFee" DECIMAL(19,4) NOT NULL DEFAULT 0,
+    "note" TEXT,
+    "reviewedBy" TEXT,
+    "reviewNote" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "stripePayoutId" TEXT,
+    "arrivalDate" TIMESTAMP(3),
+    "paidAt" TIMESTAMP(3),
+    "failureReason" TEXT,
+    "requestedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Payout_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Payout_stripePayoutId_key" ON "Payout"("stripePayoutId");
+
+-- CreateIndex
+CREATE INDEX "Payout_educatorId_requestedAt_idx" ON "Payout"("educatorId", "requestedAt");
+
+-- CreateIndex
+CREATE INDEX "Payout_status_requestedAt_idx" ON "Payout"("status", "requestedAt");
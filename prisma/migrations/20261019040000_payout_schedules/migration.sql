@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "PayoutInterval" AS ENUM ('WEEKLY', 'MONTHLY');
+
+-- CreateEnum
+CREATE TYPE "EarningHoldKind" AS ENUM ('HOLD', 'RESERVE');
+
+-- CreateTable
+CREATE TABLE "PayoutSchedule" (
+    "id" TEXT NOT NULL,
+    "educatorId" TEXT NOT NULL,
+    "interval" "PayoutInterval" NOT NULL,
+    "anchorDay" INTEGER NOT NULL,
+    "holdDays" INTEGER NOT NULL,
+    "reservePercentage" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "reserveDays" INTEGER NOT NULL DEFAULT 0,
+    "nextPayoutAt" TIMESTAMP(3) NOT NULL,
+    "lastPayoutAt" TIMESTAMP(3),
+    "createdBy" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PayoutSchedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "EarningHold" (
+    "id" TEXT NOT NULL,
+    "educatorId" TEXT NOT NULL,
+    "paymentTransactionId" TEXT NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "kind" "EarningHoldKind" NOT NULL,
+    "amount" DECIMAL(19,4) NOT NULL,
+    "currency" TEXT NOT NULL,
+    "releaseAt" TIMESTAMP(3) NOT NULL,
+    "releasedAt" TIMESTAMP(3),
+    "stripeTransferId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "EarningHold_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PayoutSchedule_educatorId_key" ON "PayoutSchedule"("educatorId");
+
+-- CreateIndex
+CREATE INDEX "PayoutSchedule_nextPayoutAt_idx" ON "PayoutSchedule"("nextPayoutAt");
+
+-- CreateIndex
+CREATE INDEX "EarningHold_educatorId_releasedAt_idx" ON "EarningHold"("educatorId", "releasedAt");
+
+-- CreateIndex
+CREATE INDEX "EarningHold_paymentTransactionId_educatorId_idx" ON "EarningHold"("paymentTransactionId", "educatorId");
+
+-- AddForeignKey
+ALTER TABLE "EarningHold" ADD CONSTRAINT "EarningHold_paymentTransactionId_fkey" FOREIGN KEY ("paymentTransactionId") REFERENCES "Transaction"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,53 @@
+-- CreateEnum
+CREATE TYPE "JournalEntryType" AS ENUM ('PAYMENT', 'REFUND', 'DISPUTE', 'EDUCATOR_TRANSFER', 'TRANSFER_REVERSAL', 'STRIPE_FEE', 'CREDIT_GRANT');
+
+-- CreateEnum
+CREATE TYPE "LedgerAccount" AS ENUM ('STRIPE_BALANCE', 'CUSTOMER_CREDIT', 'PLATFORM_REVENUE', 'EDUCATOR_PAYABLE', 'AFFILIATE_PAYABLE', 'TAX_PAYABLE', 'STRIPE_FEES', 'REFUNDS', 'DISPUTES', 'PROMOTIONS');
+
+-- CreateTable
+CREATE TABLE "JournalEntry" (
+    "id" TEXT NOT NULL,
+    "type" "JournalEntryType" NOT NULL,
+    "reference" TEXT NOT NULL,
+    "transactionId" TEXT,
+    "description" TEXT,
+    "currency" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "JournalEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "JournalLine" (
+    "id" TEXT NOT NULL,
+    "entryId" TEXT NOT NULL,
+    "account" "LedgerAccount" NOT NULL,
+    "ownerId" TEXT,
+    "debit" DECIMAL(19,4) NOT NULL DEFAULT 0,
+    "credit" DECIMAL(19,4) NOT NULL DEFAULT 0,
+    "currency" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "JournalLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "JournalEntry_reference_key" ON "JournalEntry"("reference");
+
+-- CreateIndex
+CREATE INDEX "JournalEntry_transactionId_idx" ON "JournalEntry"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "JournalEntry_type_createdAt_idx" ON "JournalEntry"("type", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "JournalLine_entryId_idx" ON "JournalLine"("entryId");
+
+-- CreateIndex
+CREATE INDEX "JournalLine_account_ownerId_currency_idx" ON "JournalLine"("account", "ownerId", "currency");
+
+-- AddForeignKey
+ALTER TABLE "JournalEntry" ADD CONSTRAINT "JournalEntry_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "Transaction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "JournalLine" ADD CONSTRAINT "JournalLine_entryId_fkey" FOREIGN KEY ("entryId") REFERENCES "JournalEntry"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
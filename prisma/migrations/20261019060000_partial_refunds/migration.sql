@@ -0,0 +1,11 @@
+-- AlterEnum
+ALTER TYPE "TransactionStatus" ADD VALUE 'PARTIALLY_REFUNDED' BEFORE 'REFUNDED';
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN     "refundedAmount" DECIMAL(19,4) NOT NULL DEFAULT 0;
+
+-- Payments refunded so far were refunded by a single refund
+UPDATE "Transaction" t
+SET "refundedAmount" = r."amount"
+FROM "Transaction" r
+WHERE t."refundId" = r."id" AND r."type" = 'REFUND' AND r."status" <> 'FAILED';
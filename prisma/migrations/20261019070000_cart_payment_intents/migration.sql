@@ -0,0 +1,5 @@
+-- DropIndex
+DROP INDEX "Transaction_stripeChargeId_key";
+
+-- CreateIndex
+CREATE INDEX "Transaction_stripeChargeId_idx" ON "Transaction"("stripeChargeId");
@@ -0,0 +1,7 @@
+-- AlterEnum
+ALTER TYPE "JournalEntryType" ADD VALUE 'PAYOUT' BEFORE 'STRIPE_FEE';
+ALTER TYPE "JournalEntryType" ADD VALUE 'PAYOUT_REVERSAL' BEFORE 'STRIPE_FEE';
+ALTER TYPE "JournalEntryType" ADD VALUE 'REFUND_REVERSAL' BEFORE 'STRIPE_FEE';
+
+-- AlterEnum
+ALTER TYPE "LedgerAccount" ADD VALUE 'CONNECTED_BALANCE' BEFORE 'AFFILIATE_PAYABLE';
@@ -0,0 +1,8 @@
+-- Transfers move the money into the educator's connected account; what
+-- they are owed is only settled by the payout to their bank
+UPDATE "JournalLine" l
+SET "account" = 'CONNECTED_BALANCE'
+FROM "JournalEntry" e
+WHERE l."entryId" = e."id"
+  AND e."type" IN ('EDUCATOR_TRANSFER', 'TRANSFER_REVERSAL')
+  AND l."account" = 'EDUCATOR_PAYABLE';
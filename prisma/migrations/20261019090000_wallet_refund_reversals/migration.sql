@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "WalletEntryReason" ADD VALUE 'REFUND_REVERSAL';
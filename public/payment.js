@@ -132,11 +132,46 @@ document.addEventListener('DOMContentLoaded', () => {
           throw new Error(result.message || 'Payment processing failed');
         }
         
-        // Show success message
+        // Step 3: The bank asked for 3-D Secure - let Stripe.js run it,
+        // then have the server confirm the payment
+        let payment = result.data;
+        if (payment.requiresAction) {
+          const { error: actionError } = await stripe.handleNextAction({
+            clientSecret: payment.clientSecret,
+          });
+          
+          if (actionError) {
+            throw new Error(actionError.message);
+          }
+          
+          const confirmResponse = await fetch(
+            `http://localhost:5002/api/v1/payments/pay/${payment.transactionId}/confirm`,
+            {
+              method: 'POST',
+              headers: { 'Authorization': `Bearer ${accessToken}` }
+            }
+          );
+          const confirmResult = await confirmResponse.json();
+          
+          if (!confirmResponse.ok) {
+            throw new Error(confirmResult.message || 'Payment confirmation failed');
+          }
+          payment = confirmResult.data;
+        }
+        
+        if (payment.status === 'FAILED') {
+          throw new Error(payment.error || 'Payment failed. Please try again.');
+        }
+        
+        // Show success message; a payment still processing completes
+        // when the bank confirms it
+        successMessage.textContent = payment.status === 'PENDING'
+          ? 'Your payment is processing. You will be enrolled once it completes.'
+          : 'Payment successful! Thank you for your purchase.';
         successMessage.style.display = 'block';
         form.reset();
         
-        console.log('Payment successful:', result);
+        console.log('Payment result:', payment);
       } catch (error) {
         // Show error message
         console.error('Payment error:', error);
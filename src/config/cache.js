@@ -4,6 +4,7 @@
 
 const redis = require('redis');
 const { logger } = require('../utils/logger');
+const { decimalReplacer } = require('../utils/money');
 const config = require('./index');
 
 /**
@@ -158,7 +159,8 @@ class RedisCacheManager {
     try {
       if (!this.isConnected || !this.client?.isReady) return false;
       
-      await this.client.set(key, JSON.stringify(data), {
+      // Amounts are cached as the numbers clients get
+      await this.client.set(key, JSON.stringify(data, decimalReplacer), {
         EX: ttlSeconds
       });
       return true;
@@ -0,0 +1,40 @@
+/**
+ * Local stand-in for the course service's pricing data.
+ *
+ * Used by the price lookup when a course has no CoursePrice row, so the
+ * checkout flow works in development and tests without the course service.
+ * Mirrors the demo courses in public/payment.js.
+ */
+const courses = {
+  course_1: {
+    courseId: "course_1",
+    title: "Web Development Bootcamp",
+    amount: 99.99,
+    currency: "USD",
+    educatorId: "edu_123",
+  },
+  course_2: {
+    courseId: "course_2",
+    title: "Data Science Fundamentals",
+    amount: 149.99,
+    currency: "USD",
+    educatorId: "edu_123",
+  },
+  course_3: {
+    courseId: "course_3",
+    title: "Machine Learning Masterclass",
+    amount: 199.99,
+    currency: "USD",
+    educatorId: "edu_123",
+  },
+};
+
+// Disabled in production unless explicitly turned on
+const enabled = process.env.COURSE_CATALOG_FALLBACK
+  ? process.env.COURSE_CATALOG_FALLBACK === "true"
+  : process.env.NODE_ENV !== "production";
+
+module.exports = {
+  enabled,
+  courses,
+};
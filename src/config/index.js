@@ -1,11 +1,13 @@
 // Load environment variables
 require('dotenv').config();
+const path = require('path');
 
 const { logger } = require('../utils/logger');
 
 const REQUIRED_ENV_VARS = [
   'DATABASE_URL',
-  'STRIPE_SECRET_KEY', 
+  // The fake gateway runs without a Stripe account
+  ...(process.env.PAYMENT_GATEWAY === 'fake' ? [] : ['STRIPE_SECRET_KEY']),
   'INTERNAL_API_KEY'
 ];
 
@@ -46,6 +48,11 @@ module.exports = {
     webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
     platformCommissionPercentage: parseFloat(process.env.PLATFORM_COMMISSION_PERCENTAGE || '20')
   },
+
+  // Payment gateway: "stripe", or "fake" to run without a network
+  paymentGateway: {
+    provider: process.env.PAYMENT_GATEWAY || 'stripe'
+  },
   
   // Server configuration
   server: {
@@ -64,6 +71,91 @@ module.exports = {
     jwtSecret: process.env.JWT_SECRET || 'default-development-secret'
   },
   
+  // Background jobs (started by server.js)
+  jobs: {
+    enabled: process.env.JOBS_ENABLED !== 'false'
+  },
+  
+  // Installment plans
+  installments: {
+    minCoursePrice: parseFloat(process.env.INSTALLMENT_MIN_COURSE_PRICE || '200'),
+    minCount: 2,
+    maxCount: 6,
+    intervalDays: parseInt(process.env.INSTALLMENT_INTERVAL_DAYS || '30', 10),
+    gracePeriodDays: parseInt(process.env.INSTALLMENT_GRACE_PERIOD_DAYS || '7', 10),
+    retryIntervalHours: parseInt(process.env.INSTALLMENT_RETRY_INTERVAL_HOURS || '24', 10),
+    maxAttempts: parseInt(process.env.INSTALLMENT_MAX_ATTEMPTS || '4', 10),
+    jobIntervalMinutes: parseInt(process.env.INSTALLMENT_JOB_INTERVAL_MINUTES || '60', 10)
+  },
+  
+  // Pre-orders: card authorizations captured on the course launch day
+  preorders: {
+    // Card authorizations lapse after about 7 days at Stripe
+    authorizationDays: parseInt(process.env.PREORDER_AUTHORIZATION_DAYS || '7', 10),
+    // Uncaptured authorizations are voided this long before they lapse
+    voidMarginHours: parseInt(process.env.PREORDER_VOID_MARGIN_HOURS || '12', 10),
+    jobIntervalMinutes: parseInt(process.env.PREORDER_JOB_INTERVAL_MINUTES || '15', 10)
+  },
+  
+  // Notifications to other services, delivered from the outbox table
+  outbox: {
+    batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE || '50', 10),
+    // Failed deliveries are retried after 30s, 1m, 2m, ... up to the cap
+    baseDelaySeconds: parseInt(process.env.OUTBOX_BASE_DELAY_SECONDS || '30', 10),
+    maxDelayMinutes: parseInt(process.env.OUTBOX_MAX_DELAY_MINUTES || '60', 10),
+    // After this many failed deliveries the event is dead-lettered
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '10', 10),
+    // How long a dispatcher may hold an event while delivering it
+    leaseSeconds: parseInt(process.env.OUTBOX_LEASE_SECONDS || '60', 10),
+    jobIntervalSeconds: parseInt(process.env.OUTBOX_JOB_INTERVAL_SECONDS || '15', 10)
+  },
+  
+  // Scheduled payouts: defaults for new payout schedules
+  payouts: {
+    // Earnings are held at least this long, to cover the refund window
+    holdDays: parseInt(process.env.PAYOUT_HOLD_DAYS || '14', 10),
+    reservePercentage: parseFloat(process.env.PAYOUT_RESERVE_PERCENTAGE || '0'),
+    reserveDays: parseInt(process.env.PAYOUT_RESERVE_DAYS || '90', 10),
+    jobIntervalMinutes: parseInt(process.env.PAYOUT_JOB_INTERVAL_MINUTES || '60', 10)
+  },
+  
+  // Double-entry ledger
+  ledger: {
+    // How often the job checks that every journal entry balances
+    checkIntervalMinutes: parseInt(process.env.LEDGER_CHECK_INTERVAL_MINUTES || '1440', 10)
+  },
+  
+  // Gift purchases
+  gifts: {
+    expiryDays: parseInt(process.env.GIFT_CODE_EXPIRY_DAYS || '365', 10)
+  },
+  
+  // Referral links shared by affiliates
+  affiliates: {
+    // Default for new affiliates; each affiliate can have its own
+    cookieWindowDays: parseInt(process.env.AFFILIATE_COOKIE_WINDOW_DAYS || '30', 10)
+  },
+  
+  // Exchange rates and reporting currency
+  fx: {
+    baseCurrency: (process.env.REPORTING_CURRENCY || 'USD').toUpperCase(),
+    // The stub's fixed sample rates are never the default in production
+    provider: process.env.FX_PROVIDER || (process.env.NODE_ENV === 'production' ? 'manual' : 'stub'),
+    refreshIntervalMinutes: parseInt(process.env.FX_REFRESH_INTERVAL_MINUTES || '360', 10)
+  },
+  
+  // Sales tax (VAT/GST) on checkout
+  tax: {
+    rulesFile: process.env.TAX_RULES_FILE || path.join(__dirname, 'taxRules.json'),
+    // B2B reverse charge only applies to customers outside the seller's country
+    sellerCountry: (process.env.TAX_SELLER_COUNTRY || '').toUpperCase() || null
+  },
+  
+  // Fraud screening before a checkout is charged
+  risk: {
+    rulesFile: process.env.RISK_RULES_FILE || path.join(__dirname, 'riskRules.json')
+  },
+  
   // Services
   services: {
     userServiceUrl: process.env.USER_SERVICE_URL || 'http://localhost:3001/api',
@@ -3,7 +3,6 @@ const accountService = require("../services/accountService");
 const { logger } = require("../utils/logger");
 const AppError = require("../middleware/errorHandler");
 const prisma = require("../config/db");
-const stripe = require("../config/stripe");
 
 /**
  * @swagger
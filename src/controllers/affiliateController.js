@@ -0,0 +1,264 @@
+const affiliateService = require("../services/affiliateService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Affiliates
+ *     description: Referral links that earn instructors and partners a share of the sales they bring in
+ */
+
+/**
+ * @swagger
+ * /payments/affiliates/track/{code}:
+ *   get:
+ *     summary: Follow a referral link
+ *     description: Records the click and sets the referral cookie. A purchase with POST /payments/pay or /payments/pay/cart within the affiliate's cookie window is attributed to the affiliate. No authentication.
+ *     tags: [Affiliates]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         description: Course the link points to
+ *     responses:
+ *       '200':
+ *         description: Click recorded; the cookie expires at `expiresAt`
+ *       '404':
+ *         description: Unknown or suspended referral code
+ */
+const trackReferralClick = async (req, res, next) => {
+  try {
+    const { click, affiliate, expiresAt } = await affiliateService.trackClick(
+      req.params.code,
+      req.query.courseId
+    );
+
+    res.cookie(affiliateService.REFERRAL_COOKIE, click.id, {
+      expires: expiresAt,
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        code: affiliate.code,
+        courseId: click.courseId,
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error tracking referral click: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/affiliates/me:
+ *   get:
+ *     summary: Get the current user's affiliate account and referral code
+ *     tags: [Affiliates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Affiliate account
+ *       '404':
+ *         description: The user is not an affiliate
+ */
+const getMyAffiliate = async (req, res, next) => {
+  try {
+    const affiliate = await affiliateService.getAffiliateByUserId(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: affiliate,
+    });
+  } catch (error) {
+    logger.error(`Error fetching affiliate: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/affiliates:
+ *   get:
+ *     summary: List affiliates
+ *     tags: [Affiliates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, SUSPENDED]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: List of affiliates
+ */
+const listAffiliates = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await affiliateService.listAffiliates(
+      { status: req.query.status },
+      page,
+      limit
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: result.affiliates,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error(`Error fetching affiliates: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/affiliates/{affiliateId}:
+ *   get:
+ *     summary: Get an affiliate
+ *     tags: [Affiliates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: affiliateId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Affiliate details
+ *       '404':
+ *         description: Affiliate not found
+ */
+const getAffiliate = async (req, res, next) => {
+  try {
+    const affiliate = await affiliateService.getAffiliateById(
+      req.params.affiliateId
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: affiliate,
+    });
+  } catch (error) {
+    logger.error(`Error fetching affiliate: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/affiliates:
+ *   post:
+ *     summary: Make a user an affiliate
+ *     tags: [Affiliates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AffiliateInput'
+ *     responses:
+ *       '201':
+ *         description: Affiliate created
+ *       '400':
+ *         description: Bad request, or the user is already an affiliate or the code is taken
+ */
+const createAffiliate = async (req, res, next) => {
+  try {
+    const affiliate = await affiliateService.createAffiliate(
+      req.body,
+      req.user
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: affiliate,
+    });
+  } catch (error) {
+    logger.error(`Error creating affiliate: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/affiliates/{affiliateId}:
+ *   put:
+ *     summary: Update an affiliate
+ *     description: Changes apply to purchases from now on. A SUSPENDED affiliate's links and code no longer attribute purchases.
+ *     tags: [Affiliates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: affiliateId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AffiliateUpdate'
+ *     responses:
+ *       '200':
+ *         description: Affiliate updated
+ *       '404':
+ *         description: Affiliate not found
+ */
+const updateAffiliate = async (req, res, next) => {
+  try {
+    const affiliate = await affiliateService.updateAffiliate(
+      req.params.affiliateId,
+      req.body,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: affiliate,
+    });
+  } catch (error) {
+    logger.error(`Error updating affiliate: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  trackReferralClick,
+  getMyAffiliate,
+  listAffiliates,
+  getAffiliate,
+  createAffiliate,
+  updateAffiliate,
+};
@@ -0,0 +1,251 @@
+const commissionService = require("../services/commissionService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Commission Rules
+ *     description: Platform commission per educator, course, category or promotional window (admin only)
+ */
+
+/**
+ * @swagger
+ * /payments/commission-rules:
+ *   get:
+ *     summary: List commission rules
+ *     description: Highest priority first. Sales no active rule matches pay the default PLATFORM_COMMISSION_PERCENTAGE.
+ *     tags: [Commission Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [GLOBAL, EDUCATOR, COURSE, CATEGORY]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: educatorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: List of commission rules
+ */
+const listCommissionRules = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filters = {
+      scope: req.query.scope,
+      educatorId: req.query.educatorId,
+      courseId: req.query.courseId,
+      category: req.query.category,
+      active:
+        req.query.active === undefined
+          ? undefined
+          : req.query.active === "true",
+    };
+
+    const result = await commissionService.listCommissionRules(
+      filters,
+      page,
+      limit
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: result.rules,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error(`Error fetching commission rules: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/commission-rules/{ruleId}:
+ *   get:
+ *     summary: Get a commission rule
+ *     tags: [Commission Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Commission rule details
+ *       '404':
+ *         description: Commission rule not found
+ */
+const getCommissionRule = async (req, res, next) => {
+  try {
+    const rule = await commissionService.getCommissionRuleById(
+      req.params.ruleId
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    logger.error(`Error fetching commission rule: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/commission-rules:
+ *   post:
+ *     summary: Create a commission rule
+ *     description: A promotion is a rule with a validity window and a higher priority than the rules it overrides.
+ *     tags: [Commission Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommissionRuleInput'
+ *     responses:
+ *       '201':
+ *         description: Commission rule created
+ *       '400':
+ *         description: Bad request, e.g. an EDUCATOR rule without educatorId
+ */
+const createCommissionRule = async (req, res, next) => {
+  try {
+    const rule = await commissionService.createCommissionRule(
+      req.body,
+      req.user
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    logger.error(`Error creating commission rule: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/commission-rules/{ruleId}:
+ *   put:
+ *     summary: Update a commission rule
+ *     description: Applies to sales from now on; past transactions keep their split.
+ *     tags: [Commission Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommissionRuleUpdate'
+ *     responses:
+ *       '200':
+ *         description: Commission rule updated
+ *       '400':
+ *         description: Bad request
+ *       '404':
+ *         description: Commission rule not found
+ */
+const updateCommissionRule = async (req, res, next) => {
+  try {
+    const rule = await commissionService.updateCommissionRule(
+      req.params.ruleId,
+      req.body,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    logger.error(`Error updating commission rule: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/commission-rules/{ruleId}:
+ *   delete:
+ *     summary: Deactivate a commission rule
+ *     tags: [Commission Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Commission rule deactivated
+ *       '404':
+ *         description: Commission rule not found
+ */
+const deactivateCommissionRule = async (req, res, next) => {
+  try {
+    const rule = await commissionService.deactivateCommissionRule(
+      req.params.ruleId,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Commission rule deactivated successfully",
+      data: rule,
+    });
+  } catch (error) {
+    logger.error(`Error deactivating commission rule: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  listCommissionRules,
+  getCommissionRule,
+  createCommissionRule,
+  updateCommissionRule,
+  deactivateCommissionRule,
+};
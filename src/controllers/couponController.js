@@ -0,0 +1,226 @@
+const couponService = require("../services/couponService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Coupons
+ *     description: Coupon and promo code management (admin only)
+ */
+
+/**
+ * @swagger
+ * /payments/coupons:
+ *   get:
+ *     summary: List coupons
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: educatorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: List of coupons
+ */
+const listCoupons = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filters = {
+      courseId: req.query.courseId,
+      educatorId: req.query.educatorId,
+      active:
+        req.query.active === undefined
+          ? undefined
+          : req.query.active === "true",
+    };
+
+    const result = await couponService.listCoupons(filters, page, limit);
+
+    return res.status(200).json({
+      success: true,
+      data: result.coupons,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error(`Error fetching coupons: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/coupons/{couponId}:
+ *   get:
+ *     summary: Get a coupon and its latest redemptions
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: couponId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Coupon details
+ *       '404':
+ *         description: Coupon not found
+ */
+const getCoupon = async (req, res, next) => {
+  try {
+    const coupon = await couponService.getCouponById(req.params.couponId);
+
+    return res.status(200).json({
+      success: true,
+      data: coupon,
+    });
+  } catch (error) {
+    logger.error(`Error fetching coupon: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/coupons:
+ *   post:
+ *     summary: Create a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponInput'
+ *     responses:
+ *       '201':
+ *         description: Coupon created
+ *       '400':
+ *         description: Bad request
+ */
+const createCoupon = async (req, res, next) => {
+  try {
+    const coupon = await couponService.createCoupon(req.body, req.user);
+
+    return res.status(201).json({
+      success: true,
+      data: coupon,
+    });
+  } catch (error) {
+    logger.error(`Error creating coupon: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/coupons/{couponId}:
+ *   put:
+ *     summary: Update a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: couponId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponUpdate'
+ *     responses:
+ *       '200':
+ *         description: Coupon updated
+ *       '404':
+ *         description: Coupon not found
+ */
+const updateCoupon = async (req, res, next) => {
+  try {
+    const coupon = await couponService.updateCoupon(
+      req.params.couponId,
+      req.body,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: coupon,
+    });
+  } catch (error) {
+    logger.error(`Error updating coupon: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/coupons/{couponId}:
+ *   delete:
+ *     summary: Deactivate a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: couponId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Coupon deactivated
+ *       '404':
+ *         description: Coupon not found
+ */
+const deactivateCoupon = async (req, res, next) => {
+  try {
+    const coupon = await couponService.deactivateCoupon(
+      req.params.couponId,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Coupon deactivated successfully",
+      data: coupon,
+    });
+  } catch (error) {
+    logger.error(`Error deactivating coupon: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  listCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deactivateCoupon,
+};
@@ -0,0 +1,226 @@
+const coursePriceService = require("../services/coursePriceService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Course Prices
+ *     description: Server-side course price catalog
+ */
+
+/**
+ * @swagger
+ * /payments/course-prices:
+ *   get:
+ *     summary: List catalog prices (admin only)
+ *     tags: [Course Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: educatorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: List of course prices
+ */
+const listCoursePrices = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filters = {
+      educatorId: req.query.educatorId,
+      active:
+        req.query.active === undefined
+          ? undefined
+          : req.query.active === "true",
+    };
+
+    const result = await coursePriceService.listCoursePrices(
+      filters,
+      page,
+      limit
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: result.coursePrices,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error(`Error fetching course prices: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/course-prices/{courseId}:
+ *   get:
+ *     summary: Get the price of a course
+ *     tags: [Course Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Course price
+ *       '404':
+ *         description: Course has no price
+ */
+const getCoursePrice = async (req, res, next) => {
+  try {
+    const coursePrice = await coursePriceService.resolveCoursePrice(
+      req.params.courseId
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: coursePrice,
+    });
+  } catch (error) {
+    logger.error(`Error fetching course price: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/course-prices:
+ *   post:
+ *     summary: Add a course to the price catalog (admin only)
+ *     tags: [Course Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CoursePriceInput'
+ *     responses:
+ *       '201':
+ *         description: Course price created
+ *       '400':
+ *         description: Bad request
+ */
+const createCoursePrice = async (req, res, next) => {
+  try {
+    const coursePrice = await coursePriceService.createCoursePrice(
+      req.body,
+      req.user
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: coursePrice,
+    });
+  } catch (error) {
+    logger.error(`Error creating course price: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/course-prices/{courseId}:
+ *   put:
+ *     summary: Update the price of a course (admin only)
+ *     tags: [Course Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CoursePriceUpdate'
+ *     responses:
+ *       '200':
+ *         description: Course price updated
+ *       '404':
+ *         description: Course has no price
+ */
+const updateCoursePrice = async (req, res, next) => {
+  try {
+    const coursePrice = await coursePriceService.updateCoursePrice(
+      req.params.courseId,
+      req.body,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: coursePrice,
+    });
+  } catch (error) {
+    logger.error(`Error updating course price: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/course-prices/{courseId}:
+ *   delete:
+ *     summary: Remove a course from the price catalog (admin only)
+ *     tags: [Course Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Course price deleted
+ *       '404':
+ *         description: Course has no price
+ */
+const deleteCoursePrice = async (req, res, next) => {
+  try {
+    await coursePriceService.deleteCoursePrice(req.params.courseId, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: "Course price deleted successfully",
+    });
+  } catch (error) {
+    logger.error(`Error deleting course price: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  listCoursePrices,
+  getCoursePrice,
+  createCoursePrice,
+  updateCoursePrice,
+  deleteCoursePrice,
+};
@@ -0,0 +1,124 @@
+const fxRateService = require("../services/fxRateService");
+const reportingService = require("../services/reportingService");
+const statisticsService = require("../services/statisticsService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Exchange Rates
+ *     description: Rates used to keep reports in one currency (admin only)
+ */
+
+// Cached figures were converted with the old rates
+const invalidateConvertedCaches = async () => {
+  await reportingService.invalidateReportCaches();
+  await statisticsService.invalidateTransactionCaches();
+};
+
+/**
+ * @swagger
+ * /payments/fx-rates:
+ *   get:
+ *     summary: List exchange rates
+ *     description: Latest rate of every currency against the reporting currency, or the rate history of one currency.
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: List of exchange rates
+ */
+const listRates = async (req, res, next) => {
+  try {
+    const rates = await fxRateService.listRates({
+      currency: req.query.currency,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: rates,
+    });
+  } catch (error) {
+    logger.error(`Error fetching exchange rates: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/fx-rates:
+ *   post:
+ *     summary: Upload exchange rates
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FxRateUpload'
+ *     responses:
+ *       '201':
+ *         description: Rates stored
+ *       '400':
+ *         description: Validation error
+ */
+const uploadRates = async (req, res, next) => {
+  try {
+    const result = await fxRateService.uploadRates(req.body, req.user);
+    await invalidateConvertedCaches();
+
+    return res.status(201).json({
+      success: true,
+      message: "Exchange rates uploaded successfully",
+      data: result,
+    });
+  } catch (error) {
+    logger.error(`Error uploading exchange rates: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/fx-rates/refresh:
+ *   post:
+ *     summary: Fetch the latest rates from the configured provider
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Rates refreshed
+ *       '400':
+ *         description: No provider configured
+ *       '502':
+ *         description: Provider request failed
+ */
+const refreshRates = async (req, res, next) => {
+  try {
+    const result = await fxRateService.refreshRates();
+    await invalidateConvertedCaches();
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error(`Error refreshing exchange rates: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  listRates,
+  uploadRates,
+  refreshRates,
+};
@@ -0,0 +1,79 @@
+const giftService = require("../services/giftService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Gifts
+ *     description: Courses bought for someone else
+ */
+
+/**
+ * @swagger
+ * /payments/gifts:
+ *   get:
+ *     summary: Get the gift codes bought by the current user
+ *     description: Gifts are bought through POST /payments/pay with a `gift` object.
+ *     tags: [Gifts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: List of gift codes with their status
+ */
+const getPurchasedGifts = async (req, res, next) => {
+  try {
+    const gifts = await giftService.getGiftCodesByPurchaser(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: gifts,
+    });
+  } catch (error) {
+    logger.error(`Error fetching gift codes: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/gifts/redeem:
+ *   post:
+ *     summary: Redeem a gift code
+ *     description: Enrolls the current user in the gifted course. Each code can be redeemed once, before it expires.
+ *     tags: [Gifts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RedeemGiftRequest'
+ *     responses:
+ *       '200':
+ *         description: Gift redeemed and user enrolled
+ *       '400':
+ *         description: Code expired, already redeemed or user already enrolled
+ *       '404':
+ *         description: Gift code not found
+ */
+const redeemGift = async (req, res, next) => {
+  try {
+    const result = await giftService.redeemGiftCode(req.body.code, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: "Gift redeemed successfully",
+      data: result,
+    });
+  } catch (error) {
+    logger.error(`Error redeeming gift code: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  getPurchasedGifts,
+  redeemGift,
+};
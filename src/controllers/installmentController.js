@@ -0,0 +1,124 @@
+const installmentService = require("../services/installmentService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Installments
+ *     description: Paying for a course in scheduled installments
+ */
+
+/**
+ * @swagger
+ * /payments/installments:
+ *   get:
+ *     summary: Get the current user's installment plans
+ *     tags: [Installments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: List of installment plans with their schedules
+ */
+const getUserInstallmentPlans = async (req, res, next) => {
+  try {
+    const plans = await installmentService.getInstallmentPlansByUser(
+      req.user.id
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: plans,
+    });
+  } catch (error) {
+    logger.error(`Error fetching installment plans: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/installments:
+ *   post:
+ *     summary: Pay for a course in installments
+ *     description: Available for courses priced at or above the installment minimum. The first installment is charged immediately and enrolls the student; the rest are charged on schedule and the enrollment is revoked if the plan defaults.
+ *     tags: [Installments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InstallmentPlanRequest'
+ *     responses:
+ *       '201':
+ *         description: Installment plan started
+ *       '400':
+ *         description: Course not eligible or user already enrolled
+ *       '402':
+ *         description: First installment could not be charged
+ */
+const createInstallmentPlan = async (req, res, next) => {
+  try {
+    const plan = await installmentService.createInstallmentPlan(
+      req.body,
+      req.user,
+      { idempotencyKey: req.idempotencyKey }
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Installment plan started successfully",
+      data: plan,
+    });
+  } catch (error) {
+    logger.error(`Error creating installment plan: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/installments/{planId}:
+ *   get:
+ *     summary: Get an installment plan with its schedule
+ *     tags: [Installments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Installment plan details
+ *       '404':
+ *         description: Installment plan not found
+ */
+const getInstallmentPlan = async (req, res, next) => {
+  try {
+    const plan = await installmentService.getInstallmentPlanById(
+      req.params.planId,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    logger.error(`Error fetching installment plan: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  getUserInstallmentPlans,
+  createInstallmentPlan,
+  getInstallmentPlan,
+};
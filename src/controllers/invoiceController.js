@@ -42,7 +42,8 @@ const getInvoice = async (req, res, next) => {
     const invoice = await invoiceService.getInvoiceById(invoiceId);
     
     // Check if user has permission to view this invoice
-    if (req.user.role !== 'ADMIN' && invoice.transaction.userId !== req.user.id) {
+    const ownerId = invoice.transaction?.userId ?? invoice.order?.userId;
+    if (req.user.role !== 'ADMIN' && ownerId !== req.user.id) {
       return next(new AppError('You do not have permission to view this invoice', 403));
     }
     
@@ -162,7 +163,8 @@ const downloadInvoicePdf = async (req, res, next) => {
     const invoice = await invoiceService.getInvoiceById(invoiceId);
     
     // Check if user has permission to download this invoice
-    if (req.user.role !== 'ADMIN' && invoice.transaction.userId !== req.user.id) {
+    const ownerId = invoice.transaction?.userId ?? invoice.order?.userId;
+    if (req.user.role !== 'ADMIN' && ownerId !== req.user.id) {
       return next(new AppError('You do not have permission to download this invoice', 403));
     }
     
@@ -0,0 +1,94 @@
+const ledgerService = require("../services/ledgerService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Ledger
+ *     description: Double-entry ledger of platform revenue, educator and affiliate payables, customer credit, tax, Stripe fees, refunds and disputes (admin only)
+ */
+
+/**
+ * @swagger
+ * /payments/ledger/trial-balance:
+ *   get:
+ *     summary: Get the trial balance of the ledger
+ *     description: Debits, credits and balance of each account per owner and currency, with the total debits and credits of each currency. Filtered by account or owner it shows e.g. what an educator is owed until it is paid out to their bank, and how much of it is already in their connected account.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: account
+ *         schema:
+ *           type: string
+ *           enum: [STRIPE_BALANCE, CUSTOMER_CREDIT, PLATFORM_REVENUE, EDUCATOR_PAYABLE, CONNECTED_BALANCE, AFFILIATE_PAYABLE, TAX_PAYABLE, STRIPE_FEES, REFUNDS, DISPUTES, PROMOTIONS]
+ *       - in: query
+ *         name: ownerId
+ *         description: Educator, affiliate or customer the account is kept for
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: USD
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       '200':
+ *         description: Trial balance
+ */
+const getTrialBalance = async (req, res, next) => {
+  try {
+    const trialBalance = await ledgerService.getTrialBalance({
+      account: req.query.account,
+      ownerId: req.query.ownerId,
+      currency: req.query.currency,
+      asOf: req.query.asOf,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: trialBalance,
+    });
+  } catch (error) {
+    logger.error(`Error fetching trial balance: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/ledger/check:
+ *   get:
+ *     summary: Check that every journal entry balances
+ *     description: Lists journal entries whose debits do not equal their credits, up to 100. The ledger job runs the same check.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Result of the check
+ */
+const checkLedger = async (req, res, next) => {
+  try {
+    const result = await ledgerService.checkLedger();
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error(`Error checking ledger: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  getTrialBalance,
+  checkLedger,
+};
@@ -0,0 +1,156 @@
+const outboxService = require("../services/outboxService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Outbox
+ *     description: Notifications to the user, course and progress services and their delivery (admin only)
+ */
+
+/**
+ * @swagger
+ * /payments/outbox:
+ *   get:
+ *     summary: List outbox events
+ *     description: Newest first. Events that failed every delivery attempt are DEAD and stay so until redelivered.
+ *     tags: [Outbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, DELIVERED, DEAD]
+ *       - in: query
+ *         name: destination
+ *         schema:
+ *           type: string
+ *           enum: [USER_SERVICE, COURSE_SERVICE, PROGRESS_SERVICE]
+ *       - in: query
+ *         name: eventType
+ *         schema:
+ *           type: string
+ *           example: ENROLL_USER
+ *       - in: query
+ *         name: transactionId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: List of outbox events
+ */
+const listEvents = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filters = {
+      status: req.query.status,
+      destination: req.query.destination,
+      eventType: req.query.eventType,
+      transactionId: req.query.transactionId,
+    };
+
+    const result = await outboxService.listEvents(filters, page, limit);
+
+    return res.status(200).json({
+      success: true,
+      data: result.events,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error(`Error fetching outbox events: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/outbox/{eventId}:
+ *   get:
+ *     summary: Get an outbox event
+ *     tags: [Outbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: The event, its payload, attempts and last error
+ *       '404':
+ *         description: Outbox event not found
+ */
+const getEvent = async (req, res, next) => {
+  try {
+    const event = await outboxService.getEventById(req.params.eventId);
+
+    return res.status(200).json({
+      success: true,
+      data: event,
+    });
+  } catch (error) {
+    logger.error(`Error fetching outbox event: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/outbox/{eventId}/redeliver:
+ *   post:
+ *     summary: Deliver an outbox event again
+ *     description: The event gets a fresh set of attempts and is delivered at once, unless an older event for the same user and service is still pending; then it follows that one.
+ *     tags: [Outbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: The event after the delivery attempt; DELIVERED, or PENDING with the error and the next attempt time
+ *       '404':
+ *         description: Outbox event not found
+ */
+const redeliverEvent = async (req, res, next) => {
+  try {
+    const event = await outboxService.redeliverEvent(
+      req.params.eventId,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      message:
+        event.status === "DELIVERED"
+          ? "Event delivered"
+          : "Event requeued for delivery",
+      data: event,
+    });
+  } catch (error) {
+    logger.error(`Error redelivering outbox event: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  listEvents,
+  getEvent,
+  redeliverEvent,
+};
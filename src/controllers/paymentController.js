@@ -2,6 +2,8 @@ const prisma = require("../config/db");
 const { AppError } = require("../middleware/errorHandler");
 const paymentService = require("../services/paymentService");
 const { logger } = require("../utils/logger");
+const { fromMinorUnits } = require("../utils/money");
+const { readReferralCookie } = require("../services/affiliateService");
 
 /**
  * @swagger
@@ -19,6 +21,8 @@ const { logger } = require("../utils/logger");
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -27,16 +31,49 @@ const { logger } = require("../utils/logger");
  *             $ref: '#/components/schemas/PaymentRequest'
  *     responses:
  *       '200':
- *         description: Payment processed successfully
+ *         description: Payment processed successfully. Free and fully discounted courses are enrolled without charging a source.
+ *       '202':
+ *         description: Payment pending, a pre-order (`captureMethod` manual) AUTHORIZED until launch day, or a payment AUTHORIZED and held for fraud review (`inReview`) until an admin approves it. When `requiresAction` is true, authenticate it with Stripe.js using `clientSecret`, then call POST /payments/pay/{transactionId}/confirm
  *       '400':
  *         description: Bad request
+ *       '402':
+ *         description: Payment declined by the bank or by the fraud rules
+ *       '409':
+ *         description: A request with the same Idempotency-Key is in progress
+ *       '422':
+ *         description: Idempotency-Key reused with a different request body
  *       '500':
  *         description: Internal server error
  */
 const processPayment = async (req, res, next) => {
   try {
     logger.debug(`Request body: ${JSON.stringify(req.body)}`);
-    const result = await paymentService.processPayment(req.body, req.user);
+    const result = await paymentService.processPayment(req.body, req.user, {
+      idempotencyKey: req.idempotencyKey,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+      referralClickId: readReferralCookie(req.get("cookie")),
+    });
+
+    // Nothing is enrolled until the pending payment is confirmed, the
+    // pre-order captured on launch day or the held payment approved
+    if (["PENDING", "AUTHORIZED"].includes(result.status)) {
+      let message = "Payment is processing";
+      if (result.requiresAction) {
+        message = "Payment requires authentication";
+      } else if (result.inReview) {
+        message = "Payment is under review; the card is charged once it is approved";
+      } else if (result.status === "AUTHORIZED") {
+        message = "Pre-order authorized; the card is charged on launch day";
+      }
+
+      return res.status(202).json({
+        success: true,
+        message,
+        data: result,
+      });
+    }
+
     return res.status(200).json({
       success: true,
       message: "Payment processed successfully",
@@ -48,6 +85,107 @@ const processPayment = async (req, res, next) => {
   }
 };
 
+/**
+ * @swagger
+ * /payments/pay/{transactionId}/confirm:
+ *   post:
+ *     summary: Confirm a pending payment or check its status
+ *     description: Call after the customer completed 3-D Secure. The payment is completed (enrollment and invoice) once Stripe reports it succeeded; the payment_intent.succeeded webhook does the same if this call never comes.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Payment status (COMPLETED, AUTHORIZED, FAILED or PENDING with the next action)
+ *       '404':
+ *         description: Transaction not found
+ */
+const confirmPayment = async (req, res, next) => {
+  try {
+    const result = await paymentService.confirmPayment(
+      req.params.transactionId,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error(`Error confirming payment: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/pay/cart:
+ *   post:
+ *     summary: Check out several courses with a single payment
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CartPaymentRequest'
+ *     responses:
+ *       '200':
+ *         description: Cart paid; one transaction per course and a single invoice
+ *       '202':
+ *         description: Cart payment pending; nothing is enrolled or invoiced until the charge succeeds. When `requiresAction` is true, authenticate it with Stripe.js using `clientSecret`, then call POST /payments/pay/{transactionId}/confirm with the returned `transactionId` to complete the whole order
+ *       '400':
+ *         description: Bad request
+ *       '402':
+ *         description: Payment declined by the bank or by the fraud rules. Carts are never held for review.
+ *       '409':
+ *         description: A course in the cart is already owned, or a request with the same Idempotency-Key is in progress
+ *       '422':
+ *         description: Idempotency-Key reused with a different request body
+ *       '500':
+ *         description: Internal server error
+ */
+const processCartPayment = async (req, res, next) => {
+  try {
+    const result = await paymentService.processCartPayment(req.body, req.user, {
+      idempotencyKey: req.idempotencyKey,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+      referralClickId: readReferralCookie(req.get("cookie")),
+    });
+
+    // Nothing is enrolled until the pending charge succeeds
+    if (result.order.status === "PENDING") {
+      return res.status(202).json({
+        success: true,
+        message: result.requiresAction
+          ? "Payment requires authentication"
+          : "Payment is processing",
+        data: result,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Payment processed successfully",
+      data: result,
+    });
+  } catch (error) {
+    logger.error(`Error processing cart payment: ${error.message}`);
+    return next(error);
+  }
+};
+
 /**
  * @swagger
  * /payments/pay/refund:
@@ -56,6 +194,8 @@ const processPayment = async (req, res, next) => {
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -67,12 +207,18 @@ const processPayment = async (req, res, next) => {
  *         description: Refund processed successfully
  *       '400':
  *         description: Bad request
+ *       '409':
+ *         description: A request with the same Idempotency-Key is in progress
+ *       '422':
+ *         description: Idempotency-Key reused with a different request body
  *       '500':
  *         description: Internal server error
  */
-const processRefund = async (req, res) => {
+const processRefund = async (req, res, next) => {
   try {
-    const result = await paymentService.processRefund(req.body, req.user);
+    const result = await paymentService.processRefund(req.body, req.user, {
+      idempotencyKey: req.idempotencyKey,
+    });
 
     return res.status(200).json({
       success: true,
@@ -106,7 +252,7 @@ const processRefund = async (req, res) => {
  *         description: Items per page
  *     responses:
  *       '200':
- *         description: List of transactions
+ *         description: List of transactions, each with the `refundableAmount` left to refund
  */
 const getUserTransactions = async (req, res) => {
   try {
@@ -148,7 +294,7 @@ const getUserTransactions = async (req, res) => {
  *         description: Transaction ID
  *     responses:
  *       '200':
- *         description: Transaction details
+ *         description: Transaction details, with `refundableAmount` left to refund (net of tax)
  *       '403':
  *         description: Unauthorized
  */
@@ -302,7 +448,7 @@ const getEducatorCurrentBalance = async (req, res, next) => {
     return res.status(200).json({
       success: true,
       data: {
-        amount: Math.round(earnings.amount / 100),
+        amount: fromMinorUnits(earnings.amount, earnings.currency),
         currency: earnings.currency,
       },
     });
@@ -315,6 +461,8 @@ const getEducatorCurrentBalance = async (req, res, next) => {
 module.exports = {
   getEducatorCurrentBalance,
   processPayment,
+  confirmPayment,
+  processCartPayment,
   processRefund,
   getUserTransactions,
   getTransactionById,
@@ -0,0 +1,144 @@
+const customerService = require("../services/customerService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Payment Methods
+ *     description: Cards a student saved for one-click checkout
+ */
+
+/**
+ * @swagger
+ * /payments/payment-methods:
+ *   get:
+ *     summary: List the current user's saved cards
+ *     description: Pay with one by sending its ID as `paymentMethodId` to POST /payments/pay or /payments/pay/cart.
+ *     tags: [Payment Methods]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Saved cards, the default one first
+ */
+const listPaymentMethods = async (req, res, next) => {
+  try {
+    const paymentMethods = await customerService.listPaymentMethods(req.user);
+
+    return res.status(200).json({
+      success: true,
+      data: paymentMethods,
+    });
+  } catch (error) {
+    logger.error(`Error listing payment methods: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/payment-methods:
+ *   post:
+ *     summary: Start saving a card
+ *     description: Returns a SetupIntent. Confirm its `clientSecret` with Stripe.js (confirmCardSetup) to save the card.
+ *     tags: [Payment Methods]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '201':
+ *         description: SetupIntent created
+ */
+const addPaymentMethod = async (req, res, next) => {
+  try {
+    const setupIntent = await customerService.createSetupIntent(req.user);
+
+    return res.status(201).json({
+      success: true,
+      data: setupIntent,
+    });
+  } catch (error) {
+    logger.error(`Error creating setup intent: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/payment-methods/{paymentMethodId}/default:
+ *   post:
+ *     summary: Make a saved card the default one
+ *     tags: [Payment Methods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentMethodId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Default card updated
+ *       '404':
+ *         description: Saved payment method not found
+ */
+const setDefaultPaymentMethod = async (req, res, next) => {
+  try {
+    const paymentMethod = await customerService.setDefaultPaymentMethod(
+      req.user,
+      req.params.paymentMethodId
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: paymentMethod,
+    });
+  } catch (error) {
+    logger.error(`Error setting default payment method: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/payment-methods/{paymentMethodId}:
+ *   delete:
+ *     summary: Remove a saved card
+ *     tags: [Payment Methods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentMethodId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Card removed
+ *       '404':
+ *         description: Saved payment method not found
+ */
+const removePaymentMethod = async (req, res, next) => {
+  try {
+    await customerService.removePaymentMethod(
+      req.user,
+      req.params.paymentMethodId
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Payment method removed successfully",
+    });
+  } catch (error) {
+    logger.error(`Error removing payment method: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  listPaymentMethods,
+  addPaymentMethod,
+  setDefaultPaymentMethod,
+  removePaymentMethod,
+};
@@ -0,0 +1,151 @@
+const paymentReviewService = require("../services/paymentReviewService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Payment Reviews
+ *     description: Payments held by the fraud rules until an admin approves or rejects them (admin only)
+ */
+
+/**
+ * @swagger
+ * /payments/reviews:
+ *   get:
+ *     summary: List held payments waiting for a decision
+ *     description: Oldest first. Each review carries its risk score and the rules that matched. Unreviewed authorizations are voided before they lapse.
+ *     tags: [Payment Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Pending reviews
+ */
+const listReviews = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await paymentReviewService.listPendingReviews(page, limit);
+
+    return res.status(200).json({
+      success: true,
+      data: result.reviews,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error(`Error fetching payment reviews: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/reviews/{reviewId}/approve:
+ *   post:
+ *     summary: Approve a held payment
+ *     description: The card is captured and the student enrolled. A pre-order stays authorized until its launch day.
+ *     tags: [Payment Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PaymentReviewDecision'
+ *     responses:
+ *       '200':
+ *         description: Payment approved
+ *       '400':
+ *         description: Already reviewed, or the payment is not authorized
+ *       '402':
+ *         description: Capture declined; the payment is back in the queue
+ *       '404':
+ *         description: Review not found
+ */
+const approveReview = async (req, res, next) => {
+  try {
+    const result = await paymentReviewService.approveReview(
+      req.params.reviewId,
+      req.user,
+      req.body.note
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Payment approved",
+      data: result,
+    });
+  } catch (error) {
+    logger.error(`Error approving payment review: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/reviews/{reviewId}/reject:
+ *   post:
+ *     summary: Reject a held payment
+ *     description: The card authorization is voided, so the student is never charged. Any store credit used goes back to the wallet.
+ *     tags: [Payment Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PaymentReviewDecision'
+ *     responses:
+ *       '200':
+ *         description: Payment rejected and voided
+ *       '400':
+ *         description: Already reviewed, or the payment is not authorized
+ *       '404':
+ *         description: Review not found
+ */
+const rejectReview = async (req, res, next) => {
+  try {
+    const result = await paymentReviewService.rejectReview(
+      req.params.reviewId,
+      req.user,
+      req.body.note
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Payment rejected",
+      data: result,
+    });
+  } catch (error) {
+    logger.error(`Error rejecting payment review: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  listReviews,
+  approveReview,
+  rejectReview,
+};
@@ -0,0 +1,299 @@
+const payoutService = require("../services/payoutService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Payouts
+ *     description: Educators asking for their connected account balance to be paid to their bank, and admins deciding on it
+ */
+
+/**
+ * @swagger
+ * /payments/payouts/me:
+ *   get:
+ *     summary: List the authenticated educator's payouts and what they can still request
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [REQUESTED, APPROVED, REJECTED, IN_TRANSIT, COMPLETED, FAILED]
+ *       - in: query
+ *         name: currency
+ *         description: Currency of the balance to show, by default the first one of the connected account
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Payouts, newest first, with the balance available for payout
+ *       '404':
+ *         description: Educator has no connected account
+ */
+const getMyPayouts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const [balance, result] = await Promise.all([
+      payoutService.getPayoutBalance(req.user.id, req.query.currency),
+      payoutService.listPayouts(
+        { status: req.query.status, educatorId: req.user.id },
+        page,
+        limit
+      ),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        balance: {
+          currency: balance.currency,
+          balance: balance.balance,
+          pending: balance.pending,
+          requested: balance.requested,
+          available: balance.available,
+        },
+        payouts: result.payouts,
+      },
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error(`Error fetching payouts: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/payouts:
+ *   post:
+ *     summary: Request a payout of the authenticated educator's balance
+ *     description: The amount can be at most the connected account balance less the payouts still waiting. Nothing is sent until an admin approves the request.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PayoutRequest'
+ *     responses:
+ *       '201':
+ *         description: Payout requested
+ *       '400':
+ *         description: More than the available balance, or another currency
+ *       '404':
+ *         description: Educator has no connected account
+ */
+const requestPayout = async (req, res, next) => {
+  try {
+    const payout = await payoutService.requestPayout(req.body, req.user);
+
+    return res.status(201).json({
+      success: true,
+      data: payout,
+    });
+  } catch (error) {
+    logger.error(`Error requesting payout: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/payouts:
+ *   get:
+ *     summary: List payouts of all educators (admin only)
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [REQUESTED, APPROVED, REJECTED, IN_TRANSIT, COMPLETED, FAILED]
+ *       - in: query
+ *         name: educatorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Payouts, newest first
+ */
+const listPayouts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await payoutService.listPayouts(
+      { status: req.query.status, educatorId: req.query.educatorId },
+      page,
+      limit
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: result.payouts,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error(`Error fetching payouts: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/payouts/{payoutId}:
+ *   get:
+ *     summary: Get a payout (admin only)
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: payoutId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Payout details
+ *       '404':
+ *         description: Payout not found
+ */
+const getPayout = async (req, res, next) => {
+  try {
+    const payout = await payoutService.getPayoutById(req.params.payoutId);
+
+    return res.status(200).json({
+      success: true,
+      data: payout,
+    });
+  } catch (error) {
+    logger.error(`Error fetching payout: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/payouts/{payoutId}/approve:
+ *   post:
+ *     summary: Approve a payout request (admin only)
+ *     description: The payout is sent from the educator's connected account to their bank. It stays in transit until Stripe reports it paid or failed.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: payoutId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PaymentReviewDecision'
+ *     responses:
+ *       '200':
+ *         description: Payout sent
+ *       '400':
+ *         description: Already reviewed, or Stripe did not accept the payout
+ *       '404':
+ *         description: Payout not found
+ */
+const approvePayout = async (req, res, next) => {
+  try {
+    const payout = await payoutService.approvePayout(
+      req.params.payoutId,
+      req.user,
+      req.body.note
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: payout,
+    });
+  } catch (error) {
+    logger.error(`Error approving payout: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/payouts/{payoutId}/reject:
+ *   post:
+ *     summary: Reject a payout request (admin only)
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: payoutId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PaymentReviewDecision'
+ *     responses:
+ *       '200':
+ *         description: Payout rejected
+ *       '400':
+ *         description: Already reviewed
+ *       '404':
+ *         description: Payout not found
+ */
+const rejectPayout = async (req, res, next) => {
+  try {
+    const payout = await payoutService.rejectPayout(
+      req.params.payoutId,
+      req.user,
+      req.body.note
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: payout,
+    });
+  } catch (error) {
+    logger.error(`Error rejecting payout: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  getMyPayouts,
+  requestPayout,
+  listPayouts,
+  getPayout,
+  approvePayout,
+  rejectPayout,
+};
@@ -0,0 +1,153 @@
+const payoutScheduleService = require("../services/payoutScheduleService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * /payments/payouts/schedule:
+ *   get:
+ *     summary: Get the authenticated educator's payout schedule and held earnings
+ *     description: Held earnings are available once their hold has ended and are transferred on the next payout date; until then they are pending, or reserved for the rolling reserve. Without a schedule the educator is paid with each sale.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Payout schedule and balances by currency
+ */
+const getMySchedule = async (req, res, next) => {
+  try {
+    const schedule = await payoutScheduleService.getPayoutSchedule(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    logger.error(`Error fetching payout schedule: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/payouts/schedules/{educatorId}:
+ *   get:
+ *     summary: Get an educator's payout schedule and held earnings (admin only)
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: educatorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Payout schedule and balances by currency
+ */
+const getSchedule = async (req, res, next) => {
+  try {
+    const schedule = await payoutScheduleService.getPayoutSchedule(
+      req.params.educatorId
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    logger.error(`Error fetching payout schedule: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/payouts/schedules/{educatorId}:
+ *   put:
+ *     summary: Pay an educator on a schedule instead of with each sale (admin only)
+ *     description: Each later sale's earnings are held for the hold period, and the reserve percentage of them for the reserve period, then transferred on the next payout date. Sales already made keep the hold they were made with.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: educatorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PayoutScheduleInput'
+ *     responses:
+ *       '200':
+ *         description: Payout schedule updated
+ *       '400':
+ *         description: Anchor day does not fit the interval
+ *       '404':
+ *         description: Educator has no connected account
+ */
+const setSchedule = async (req, res, next) => {
+  try {
+    const schedule = await payoutScheduleService.setPayoutSchedule(
+      req.params.educatorId,
+      req.body,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    logger.error(`Error updating payout schedule: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/payouts/schedules/{educatorId}:
+ *   delete:
+ *     summary: Pay an educator with each sale again (admin only)
+ *     description: Earnings still held are released as their hold ends.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: educatorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Payout schedule removed
+ */
+const removeSchedule = async (req, res, next) => {
+  try {
+    await payoutScheduleService.removePayoutSchedule(
+      req.params.educatorId,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Payout schedule removed successfully",
+    });
+  } catch (error) {
+    logger.error(`Error removing payout schedule: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  getMySchedule,
+  getSchedule,
+  setSchedule,
+  removeSchedule,
+};
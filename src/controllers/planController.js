@@ -0,0 +1,163 @@
+const planService = require("../services/planService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Plans
+ *     description: All-access membership plans
+ */
+
+/**
+ * @swagger
+ * /payments/plans:
+ *   get:
+ *     summary: List membership plans
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *         description: Admins only; also list retired plans
+ *     responses:
+ *       '200':
+ *         description: List of plans
+ */
+const listPlans = async (req, res, next) => {
+  try {
+    const includeInactive =
+      req.user.role === "Admin" && req.query.includeInactive === "true";
+    const plans = await planService.listPlans(includeInactive);
+
+    return res.status(200).json({
+      success: true,
+      data: plans,
+    });
+  } catch (error) {
+    logger.error(`Error fetching plans: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/plans/{planId}:
+ *   get:
+ *     summary: Get a membership plan
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Plan details
+ *       '404':
+ *         description: Plan not found
+ */
+const getPlan = async (req, res, next) => {
+  try {
+    const plan = await planService.getPlanById(req.params.planId);
+
+    return res.status(200).json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    logger.error(`Error fetching plan: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/plans:
+ *   post:
+ *     summary: Create a membership plan (admin only)
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PlanInput'
+ *     responses:
+ *       '201':
+ *         description: Plan created
+ *       '400':
+ *         description: Bad request
+ */
+const createPlan = async (req, res, next) => {
+  try {
+    const plan = await planService.createPlan(req.body, req.user);
+
+    return res.status(201).json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    logger.error(`Error creating plan: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/plans/{planId}:
+ *   put:
+ *     summary: Update a membership plan (admin only)
+ *     description: The amount and interval are fixed once created; retire the plan and create a new one to change them.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PlanUpdate'
+ *     responses:
+ *       '200':
+ *         description: Plan updated
+ *       '404':
+ *         description: Plan not found
+ */
+const updatePlan = async (req, res, next) => {
+  try {
+    const plan = await planService.updatePlan(
+      req.params.planId,
+      req.body,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    logger.error(`Error updating plan: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  listPlans,
+  getPlan,
+  createPlan,
+  updatePlan,
+};
@@ -0,0 +1,107 @@
+const preorderService = require("../services/preorderService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Pre-orders
+ *     description: Card authorizations of courses sold before their launch date
+ */
+
+/**
+ * @swagger
+ * /payments/preorders/{transactionId}/capture:
+ *   post:
+ *     summary: Charge an authorized pre-order now (admin or the course's educator)
+ *     description: Pre-orders are captured automatically on the course's launch day; this captures one early. The student is enrolled and invoiced once the capture succeeds.
+ *     tags: [Pre-orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Payment captured and completed
+ *       '400':
+ *         description: The payment is not authorized, or is held for fraud review
+ *       '402':
+ *         description: Capture declined
+ *       '404':
+ *         description: Transaction not found
+ */
+const capturePayment = async (req, res, next) => {
+  try {
+    const result = await preorderService.captureAuthorizedPayment(
+      req.params.transactionId,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Pre-order payment captured",
+      data: result,
+    });
+  } catch (error) {
+    logger.error(`Error capturing pre-order payment: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/preorders/{transactionId}/void:
+ *   post:
+ *     summary: Release an authorized pre-order without charging it (admin or the course's educator)
+ *     tags: [Pre-orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [duplicate, fraudulent, requested_by_customer, abandoned]
+ *     responses:
+ *       '200':
+ *         description: Authorization voided; any store credit used is returned to the wallet
+ *       '400':
+ *         description: The payment is not authorized
+ *       '404':
+ *         description: Transaction not found
+ */
+const voidPayment = async (req, res, next) => {
+  try {
+    const result = await preorderService.voidAuthorizedPayment(
+      req.params.transactionId,
+      req.user,
+      req.body.reason
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Pre-order payment voided",
+      data: result,
+    });
+  } catch (error) {
+    logger.error(`Error voiding pre-order payment: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  capturePayment,
+  voidPayment,
+};
@@ -1,4 +1,5 @@
 const reportingService = require('../services/reportingService');
+const affiliateService = require('../services/affiliateService');
 const { AppError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 
@@ -39,6 +40,7 @@ const { logger } = require('../utils/logger');
  *         schema:
  *           type: string
  *         description: Educator ID to filter (admin only)
+ *       - $ref: '#/components/parameters/ReportCurrency'
  *     responses:
  *       '200':
  *         description: Financial report data
@@ -71,6 +73,8 @@ const generateFinancialReport = async (req, res, next) => {
       return next(new AppError('You do not have permission to access financial reports', 403));
     }
     
+    if (req.query.currency) filters.currency = req.query.currency;
+    
     // Generate the report
     const report = await reportingService.generateFinancialReport(filters);
     
@@ -110,6 +114,7 @@ const generateFinancialReport = async (req, res, next) => {
  *         name: educatorId
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/ReportCurrency'
  *     responses:
  *       '200':
  *         description: PDF file downloaded
@@ -138,6 +143,8 @@ const downloadFinancialReportPDF = async (req, res, next) => {
       return next(new AppError('You do not have permission to access financial reports', 403));
     }
     
+    if (req.query.currency) filters.currency = req.query.currency;
+    
     // Generate the report data
     const reportData = await reportingService.generateFinancialReport(filters);
     
@@ -174,6 +181,7 @@ const downloadFinancialReportPDF = async (req, res, next) => {
  *           type: string
  *         required: true
  *         description: Educator ID
+ *       - $ref: '#/components/parameters/ReportCurrency'
  *     responses:
  *       '200':
  *         description: Educator earnings report
@@ -195,7 +203,9 @@ const getEducatorEarningsReport = async (req, res, next) => {
     }
     
     // Get the earnings report
-    const earningsReport = await reportingService.getEducatorEarningsReport(educatorId);
+    const earningsReport = await reportingService.getEducatorEarningsReport(educatorId, {
+      currency: req.query.currency
+    });
     
     res.status(200).json({
       success: true,
@@ -234,6 +244,7 @@ const getEducatorEarningsReport = async (req, res, next) => {
  *         schema:
  *           type: string
  *         description: Educator ID to filter
+ *       - $ref: '#/components/parameters/ReportCurrency'
  *     responses:
  *       '200':
  *         description: Commission analysis data
@@ -243,6 +254,7 @@ const getCommissionAnalysisReport = async (req, res, next) => {
     const filters = {
       startDate: req.query.startDate,
       endDate: req.query.endDate,
+      currency: req.query.currency,
       educatorId: req.query.educatorId
     };
     
@@ -262,9 +274,73 @@ const getCommissionAnalysisReport = async (req, res, next) => {
   }
 };
 
+/**
+ * @swagger
+ * /payments/reports/affiliate-earnings:
+ *   get:
+ *     summary: Get affiliate earnings report
+ *     description: Clicks, referred sales and the share each affiliate earned, net of what refunds clawed back. Admins see every affiliate; an affiliate sees their own.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2023-01-01"
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2023-01-01"
+ *       - in: query
+ *         name: affiliateId
+ *         schema:
+ *           type: string
+ *         description: Affiliate ID to filter (admin only)
+ *       - $ref: '#/components/parameters/ReportCurrency'
+ *     responses:
+ *       '200':
+ *         description: Affiliate earnings data
+ *       '404':
+ *         description: The user is not an affiliate
+ */
+const getAffiliateEarningsReport = async (req, res, next) => {
+  try {
+    const filters = {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      currency: req.query.currency,
+      affiliateId: req.query.affiliateId
+    };
+    
+    // Admins can see every affiliate, anyone else only their own account
+    if (req.user.role !== 'Admin') {
+      const affiliate = await affiliateService.getAffiliateByUserId(req.user.id);
+      if (req.query.affiliateId && req.query.affiliateId !== affiliate.id) {
+        return next(new AppError('report_access_err', 'You can only view your own affiliate earnings', 403));
+      }
+      filters.affiliateId = affiliate.id;
+    }
+    
+    const report = await reportingService.getAffiliateEarningsReport(filters);
+    
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   generateFinancialReport,
   downloadFinancialReportPDF,
   getEducatorEarningsReport,
-  getCommissionAnalysisReport
+  getCommissionAnalysisReport,
+  getAffiliateEarningsReport
 };
@@ -0,0 +1,127 @@
+const revenueShareService = require("../services/revenueShareService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * /payments/course-prices/{courseId}/revenue-shares:
+ *   get:
+ *     summary: Get how a course's educator earnings are shared between its instructors (admin only)
+ *     description: A course without revenue shares pays its educator everything.
+ *     tags: [Course Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Revenue shares of the course
+ *       '404':
+ *         description: Course has no price
+ */
+const getRevenueShares = async (req, res, next) => {
+  try {
+    const revenueShares = await revenueShareService.getCourseRevenueShares(
+      req.params.courseId
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: revenueShares,
+    });
+  } catch (error) {
+    logger.error(`Error fetching revenue shares: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/course-prices/{courseId}/revenue-shares:
+ *   put:
+ *     summary: Share a course's educator earnings between its instructors (admin only)
+ *     description: Replaces the course's revenue shares. Each instructor is paid their share with a Stripe transfer of their own and needs a connected account. Sales already made keep the split they were made with.
+ *     tags: [Course Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RevenueSharesInput'
+ *     responses:
+ *       '200':
+ *         description: Revenue shares updated
+ *       '400':
+ *         description: Shares do not add up to 100 or repeat an educator
+ *       '404':
+ *         description: Course has no price
+ */
+const setRevenueShares = async (req, res, next) => {
+  try {
+    const revenueShares = await revenueShareService.setCourseRevenueShares(
+      req.params.courseId,
+      req.body.shares,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: revenueShares,
+    });
+  } catch (error) {
+    logger.error(`Error updating revenue shares: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/course-prices/{courseId}/revenue-shares:
+ *   delete:
+ *     summary: Remove a course's revenue shares, so its educator earns everything again (admin only)
+ *     tags: [Course Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Revenue shares removed
+ */
+const clearRevenueShares = async (req, res, next) => {
+  try {
+    await revenueShareService.clearCourseRevenueShares(
+      req.params.courseId,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Revenue shares removed successfully",
+    });
+  } catch (error) {
+    logger.error(`Error removing revenue shares: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  getRevenueShares,
+  setRevenueShares,
+  clearRevenueShares,
+};
@@ -32,6 +32,7 @@ const { AppError } = require('../middleware/errorHandler');
  *           format: date
  *           pattern: "YYYY-MM-DD"
  *           example: "2023-01-01"
+ *       - $ref: '#/components/parameters/ReportCurrency'
  *     responses:
  *       '200':
  *         description: Transaction volumes retrieved
@@ -46,7 +47,8 @@ const getTransactionVolumes = async (req, res, next) => {
 
     const filters = {
       startDate: req.query.startDate,
-      endDate: req.query.endDate
+      endDate: req.query.endDate,
+      currency: req.query.currency
     };
     
     const data = await statisticsService.getTransactionVolumes(filters);
@@ -133,6 +135,7 @@ const getPerformanceMetrics = async (req, res, next) => {
  *         schema:
  *           type: string
  *           enum: [daily,weekly,monthly]
+ *       - $ref: '#/components/parameters/ReportCurrency'
  *     responses:
  *       '200':
  *         description: Financial analysis retrieved
@@ -142,6 +145,7 @@ const getFinancialAnalysis = async (req, res, next) => {
     const filters = {
       startDate: req.query.startDate,
       endDate: req.query.endDate,
+      currency: req.query.currency,
       groupBy: req.query.groupBy // daily, weekly, monthly
     };
     
@@ -179,6 +183,7 @@ const getFinancialAnalysis = async (req, res, next) => {
  *           format: date
  *           pattern: "YYYY-MM-DD"
  *           example: "2023-01-01"
+ *       - $ref: '#/components/parameters/ReportCurrency'
  *     responses:
  *       '200':
  *         description: Payment operations metrics retrieved
@@ -187,7 +192,8 @@ const getPaymentOperations = async (req, res, next) => {
   try {
     const filters = {
       startDate: req.query.startDate,
-      endDate: req.query.endDate
+      endDate: req.query.endDate,
+      currency: req.query.currency
     };
     
     const data = await statisticsService.getPaymentOperations(filters);
@@ -229,6 +235,7 @@ const getPaymentOperations = async (req, res, next) => {
  *         schema:
  *           type: string
  *           enum: [daily,weekly,monthly]
+ *       - $ref: '#/components/parameters/ReportCurrency'
  *     responses:
  *       '200':
  *         description: Dashboard statistics retrieved
@@ -238,6 +245,7 @@ const getDashboardStatistics = async (req, res, next) => {
     const filters = {
       startDate: req.query.startDate,
       endDate: req.query.endDate,
+      currency: req.query.currency,
       groupBy: req.query.groupBy // For financial analysis
     };
     
@@ -281,6 +289,7 @@ const getDashboardStatistics = async (req, res, next) => {
  *           format: date
  *           pattern: "YYYY-MM-DD"
  *           example: "2023-01-01"
+ *       - $ref: '#/components/parameters/ReportCurrency'
  *     responses:
  *       '200':
  *         description: Educator payment analytics retrieved
@@ -296,7 +305,8 @@ const getEducatorPaymentAnalytics = async (req, res, next) => {
     
     const filters = {
       startDate: req.query.startDate,
-      endDate: req.query.endDate
+      endDate: req.query.endDate,
+      currency: req.query.currency
     };
     
     const data = await statisticsService.getEducatorPaymentAnalytics(educatorId, filters);
@@ -0,0 +1,255 @@
+const subscriptionService = require("../services/subscriptionService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Subscriptions
+ *     description: Membership subscriptions
+ */
+
+/**
+ * @swagger
+ * /payments/subscriptions:
+ *   get:
+ *     summary: Get the current user's subscriptions
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: List of subscriptions
+ */
+const getUserSubscriptions = async (req, res, next) => {
+  try {
+    const subscriptions = await subscriptionService.getSubscriptionsByUser(
+      req.user.id
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: subscriptions,
+    });
+  } catch (error) {
+    logger.error(`Error fetching subscriptions: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/subscriptions:
+ *   post:
+ *     summary: Subscribe to a membership plan
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SubscribeRequest'
+ *     responses:
+ *       '201':
+ *         description: Subscription created
+ *       '400':
+ *         description: Bad request
+ *       '404':
+ *         description: Plan not found
+ *       '409':
+ *         description: User already has a membership
+ */
+const subscribe = async (req, res, next) => {
+  try {
+    const subscription = await subscriptionService.subscribe(
+      req.body,
+      req.user,
+      { idempotencyKey: req.idempotencyKey }
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Subscription created successfully",
+      data: subscription,
+    });
+  } catch (error) {
+    logger.error(`Error creating subscription: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/subscriptions/{subscriptionId}/cancel:
+ *   post:
+ *     summary: Cancel a subscription
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               atPeriodEnd:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Keep access until the paid period ends
+ *     responses:
+ *       '200':
+ *         description: Subscription canceled
+ *       '404':
+ *         description: Subscription not found
+ */
+const cancelSubscription = async (req, res, next) => {
+  try {
+    const subscription = await subscriptionService.cancelSubscription(
+      req.params.subscriptionId,
+      req.body,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Subscription canceled successfully",
+      data: subscription,
+    });
+  } catch (error) {
+    logger.error(`Error canceling subscription: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/subscriptions/{subscriptionId}/pause:
+ *   post:
+ *     summary: Pause a subscription
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Subscription paused
+ *       '400':
+ *         description: Subscription is not active
+ *       '404':
+ *         description: Subscription not found
+ */
+const pauseSubscription = async (req, res, next) => {
+  try {
+    const subscription = await subscriptionService.pauseSubscription(
+      req.params.subscriptionId,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Subscription paused successfully",
+      data: subscription,
+    });
+  } catch (error) {
+    logger.error(`Error pausing subscription: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/subscriptions/{subscriptionId}/resume:
+ *   post:
+ *     summary: Resume a paused subscription
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Subscription resumed
+ *       '400':
+ *         description: Subscription is not paused
+ *       '404':
+ *         description: Subscription not found
+ */
+const resumeSubscription = async (req, res, next) => {
+  try {
+    const subscription = await subscriptionService.resumeSubscription(
+      req.params.subscriptionId,
+      req.user
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Subscription resumed successfully",
+      data: subscription,
+    });
+  } catch (error) {
+    logger.error(`Error resuming subscription: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/subscriptions/usage:
+ *   post:
+ *     summary: Record course consumption by a member (internal services only)
+ *     description: Called by the progress service with the X-Service-Key header. Usage decides how membership revenue is shared between educators.
+ *     tags: [Subscriptions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CourseUsageInput'
+ *     responses:
+ *       '201':
+ *         description: Usage recorded
+ *       '401':
+ *         description: Invalid service key
+ *       '404':
+ *         description: User has no active membership
+ */
+const recordUsage = async (req, res, next) => {
+  try {
+    const usage = await subscriptionService.recordUsage(req.body);
+
+    return res.status(201).json({
+      success: true,
+      data: usage,
+    });
+  } catch (error) {
+    logger.error(`Error recording course usage: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  getUserSubscriptions,
+  subscribe,
+  cancelSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  recordUsage,
+};
@@ -0,0 +1,134 @@
+const walletService = require("../services/walletService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Wallet
+ *     description: Student store credit, from refunds and admin grants
+ */
+
+/**
+ * @swagger
+ * /payments/wallet:
+ *   get:
+ *     summary: Get the current user's store credit balance and history
+ *     description: Credit is spent by paying with `useWallet` on POST /payments/pay or /payments/pay/cart.
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Balance per currency and the wallet entries, newest first
+ */
+const getMyWallet = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const wallet = await walletService.getWallet(req.user.id, page, limit);
+
+    return res.status(200).json({
+      success: true,
+      data: wallet,
+    });
+  } catch (error) {
+    logger.error(`Error fetching wallet: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/wallet/users/{userId}:
+ *   get:
+ *     summary: Get a user's store credit balance and history (admin only)
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Balance per currency and the wallet entries, newest first
+ */
+const getUserWallet = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const wallet = await walletService.getWallet(
+      req.params.userId,
+      page,
+      limit
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: wallet,
+    });
+  } catch (error) {
+    logger.error(`Error fetching wallet: ${error.message}`);
+    return next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /payments/wallet/credits:
+ *   post:
+ *     summary: Grant store credit to a user (admin only)
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WalletCreditInput'
+ *     responses:
+ *       '201':
+ *         description: Credit added to the wallet
+ *       '400':
+ *         description: Validation error
+ */
+const grantCredit = async (req, res, next) => {
+  try {
+    const entry = await walletService.grantCredit(req.body, req.user);
+
+    return res.status(201).json({
+      success: true,
+      message: "Store credit granted successfully",
+      data: entry,
+    });
+  } catch (error) {
+    logger.error(`Error granting store credit: ${error.message}`);
+    return next(error);
+  }
+};
+
+module.exports = {
+  getMyWallet,
+  getUserWallet,
+  grantCredit,
+};
@@ -10,6 +10,7 @@ const { swagger_schemas } = require("./swagger/schemas/schemas");
 // Fix the logger import to use the destructured format
 const { logger } = require("./utils/logger");
 const { errorHandler } = require("./middleware/errorHandler");
+const { decimalReplacer } = require("./utils/money");
 const router = require("./routes/index");
 
 // Swagger setup
@@ -38,6 +39,24 @@ const swaggerOptions = {
         },
       },
       schemas: { ...swagger_schemas },
+      parameters: {
+        IdempotencyKey: {
+          in: "header",
+          name: "Idempotency-Key",
+          required: false,
+          schema: { type: "string", maxLength: 255 },
+          description:
+            "Unique client key. Retrying with the same key replays the original response instead of charging again.",
+        },
+        ReportCurrency: {
+          in: "query",
+          name: "currency",
+          required: false,
+          schema: { type: "string", example: "EUR" },
+          description:
+            "Currency to present figures in. Defaults to the reporting currency; other currencies use the latest exchange rate.",
+        },
+      },
     },
     // <–– Add this block to enable the "Authorize" button
     security: [
@@ -52,6 +71,9 @@ const swaggerSpecs = swaggerJsDoc(swaggerOptions);
 
 const app = express();
 
+// Amounts are Decimals in the services; clients get them as numbers
+app.set("json replacer", decimalReplacer);
+
 app.use(async (req, res, next) => {
   // Log request to the console
   logger.info(`${req.method} ${req.originalUrl}`);
@@ -119,7 +141,13 @@ app.use(
   cors({
     origin: process.env.NODE_ENV === "development" ? "*" : whitelist,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Requested-With",
+      "Idempotency-Key",
+    ],
+    exposedHeaders: ["Idempotent-Replayed"],
     credentials: true,
     maxAge: 86400, // 24 hours
   })
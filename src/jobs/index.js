@@ -0,0 +1,79 @@
+const config = require("../config");
+const { scheduleJob } = require("./scheduler");
+const installmentService = require("../services/installmentService");
+const preorderService = require("../services/preorderService");
+const outboxService = require("../services/outboxService");
+const payoutScheduleService = require("../services/payoutScheduleService");
+const ledgerService = require("../services/ledgerService");
+const fxRateService = require("../services/fxRateService");
+const { getFxProvider } = require("../services/fxProviders");
+const stubProvider = require("../services/fxProviders/stubProvider");
+const { logger } = require("../utils/logger");
+
+/**
+ * Start the background jobs of the payment service
+ * @returns {Function} Stops every job
+ */
+const startJobs = () => {
+  const stops = [
+    scheduleJob(
+      "installments",
+      config.installments.jobIntervalMinutes * 60 * 1000,
+      () => installmentService.processDueInstallments()
+    ),
+    scheduleJob(
+      "preorder-capture",
+      config.preorders.jobIntervalMinutes * 60 * 1000,
+      () => preorderService.captureLaunchedPreorders()
+    ),
+    scheduleJob(
+      "preorder-void",
+      config.preorders.jobIntervalMinutes * 60 * 1000,
+      () => preorderService.voidExpiringAuthorizations()
+    ),
+    scheduleJob(
+      "payout-release",
+      config.payouts.jobIntervalMinutes * 60 * 1000,
+      () => payoutScheduleService.releaseDueEarnings()
+    ),
+    scheduleJob(
+      "ledger-check",
+      config.ledger.checkIntervalMinutes * 60 * 1000,
+      () => ledgerService.checkLedger()
+    ),
+    scheduleJob(
+      "outbox",
+      config.outbox.jobIntervalSeconds * 1000,
+      () => outboxService.dispatchPendingEvents(),
+      { runImmediately: true }
+    ),
+  ];
+
+  // With no provider, rates are only uploaded by hand. The stub's sample
+  // rates would overwrite uploaded rates, so it only refreshes in dev/test.
+  const fxProvider = getFxProvider(config.fx.provider);
+  const sampleRates =
+    fxProvider &&
+    fxProvider.name === stubProvider.name &&
+    !["development", "test"].includes(config.server.env);
+  if (sampleRates) {
+    logger.warn(
+      `FX provider ${fxProvider.name} only serves sample rates; not refreshing rates in ${config.server.env}`
+    );
+  } else if (fxProvider) {
+    stops.push(
+      scheduleJob(
+        "fx-rates",
+        config.fx.refreshIntervalMinutes * 60 * 1000,
+        () => fxRateService.refreshRates(),
+        { runImmediately: true }
+      )
+    );
+  }
+
+  return () => stops.forEach((stop) => stop());
+};
+
+module.exports = {
+  startJobs,
+};
@@ -0,0 +1,48 @@
+const { logger } = require("../utils/logger");
+
+/**
+ * Run a task every `intervalMs`. A run is skipped while the previous one is
+ * still going, and errors are logged so one bad run does not stop the job.
+ * @param {string} name - Job name used in logs
+ * @param {number} intervalMs - Delay between runs
+ * @param {Function} task - Async function to run
+ * @param {Object} [options] - { runImmediately } to also run once at start
+ * @returns {Function} Stops the job
+ */
+const scheduleJob = (name, intervalMs, task, options = {}) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      logger.warn(`Job ${name} skipped: previous run still in progress`);
+      return;
+    }
+    running = true;
+    const startTime = Date.now();
+    try {
+      const result = await task();
+      logger.info(`Job ${name} finished in ${Date.now() - startTime}ms`, {
+        result,
+      });
+    } catch (error) {
+      logger.error(`Job ${name} failed: ${error.message}`, { error });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  // Jobs must never keep the process alive on shutdown
+  timer.unref();
+  logger.info(`Job ${name} scheduled every ${intervalMs / 1000}s`);
+
+  if (options.runImmediately) {
+    setImmediate(run);
+  }
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  scheduleJob,
+};
@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const axios = require("axios");
 const { logger } = require("../utils/logger");
 const { AppError } = require("./errorHandler");
@@ -92,6 +93,26 @@ const requireRole = (roles) => {
   };
 };
 
+/**
+ * Allow calls from other internal services presenting the shared
+ * X-Service-Key instead of a user token
+ */
+const requireServiceKey = (req, res, next) => {
+  const expected = process.env.INTERNAL_API_KEY;
+  const provided = req.headers["x-service-key"];
+
+  if (
+    !expected ||
+    !provided ||
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected))
+  ) {
+    return next(new AppError("service_key_err", "Invalid service key", 401));
+  }
+
+  next();
+};
+
 /**
  * Create middleware for testing without actual authentication
  */
@@ -126,6 +147,7 @@ const mockEducatorAuthMiddleware = () => {
 module.exports = {
   validateToken,
   requireRole,
+  requireServiceKey,
   mockAuthMiddleware,
   mockEducatorAuthMiddleware,
 };
@@ -49,6 +49,9 @@ const errorHandler = (err, req, res, next) => {
   } else if (err.name === "TokenExpiredError") {
     statusCode = 401;
     message = "Your token has expired. Please log in again.";
+  } else if (err.name === "service_key_err") {
+    statusCode = 401;
+    message = "Invalid service key.";
   } else if (err.code === "P2002") {
     statusCode = 400;
     message = "A record with that value already exists.";
@@ -112,9 +115,186 @@ const errorHandler = (err, req, res, next) => {
   } else if (err.name === "refund_err") {
     statusCode = 400;
     message = "Unable to process refund request.";
+  } else if (err.name === "refund_incomplete_err") {
+    statusCode = 500;
+    message = err.message;
   } else if (err.name === "report_err") {
     statusCode = 500;
     message = "Failed to generate or process report.";
+  } else if (err.name === "cart_err") {
+    statusCode = 400;
+    message = err.message;
+  } else if (err.name === "cart_course_owned_err") {
+    statusCode = 409;
+    message = err.message;
+  } else if (err.name === "payment_declined_err") {
+    statusCode = 402;
+    message = err.message;
+  } else if (err.name === "payment_source_err") {
+    statusCode = 400;
+    message = err.message;
+  }
+
+  // ──────────────── CoursePrice Errors ────────────────
+  else if (err.name === "course_price_not_found_err") {
+    statusCode = 404;
+    message = "Course price not found.";
+  } else if (err.name === "course_unavailable_err") {
+    statusCode = 400;
+    message = "Course is not available for purchase.";
+  } else if (err.name === "price_mismatch_err") {
+    statusCode = 400;
+    message = err.message;
+  }
+
+  // ──────────────── Revenue Share Errors ────────────────
+  else if (err.name === "revenue_share_err") {
+    statusCode = 400;
+    message = err.message;
+  }
+
+  // ─────────────────── Payout Errors ───────────────────
+  else if (err.name === "payout_not_found_err") {
+    statusCode = 404;
+    message = "Payout not found.";
+  } else if (
+    err.name === "payout_balance_err" ||
+    err.name === "payout_err" ||
+    err.name === "payout_schedule_err"
+  ) {
+    statusCode = 400;
+    message = err.message;
+  }
+
+  // ─────────────────── Ledger Errors ───────────────────
+  else if (err.name === "ledger_unbalanced_err") {
+    statusCode = 500;
+    message = "Ledger entry does not balance.";
+  }
+
+  // ─────────────────── Coupon Errors ───────────────────
+  else if (err.name === "coupon_not_found_err") {
+    statusCode = 404;
+    message = "Coupon not found.";
+  } else if (err.name === "coupon_invalid_err") {
+    statusCode = 400;
+    message = err.message;
+  }
+
+  // ─────────────── Commission Rule Errors ───────────────
+  else if (err.name === "commission_rule_not_found_err") {
+    statusCode = 404;
+    message = "Commission rule not found.";
+  } else if (err.name === "commission_rule_err") {
+    statusCode = 400;
+    message = err.message;
+  }
+
+  // ────────────────── Affiliate Errors ──────────────────
+  else if (err.name === "affiliate_not_found_err") {
+    statusCode = 404;
+    message = "Affiliate not found.";
+  }
+
+  // ──────────────────── Gift Errors ────────────────────
+  else if (err.name === "gift_code_not_found_err") {
+    statusCode = 404;
+    message = "Gift code not found.";
+  } else if (err.name === "gift_code_invalid_err") {
+    statusCode = 400;
+    message = err.message;
+  } else if (err.name === "gift_code_redeemed_err") {
+    statusCode = 400;
+    message = "Gift has already been redeemed and cannot be refunded.";
+  }
+
+  // ──────────────── Subscription Errors ────────────────
+  else if (err.name === "plan_not_found_err") {
+    statusCode = 404;
+    message = "Plan not found.";
+  } else if (err.name === "plan_unavailable_err") {
+    statusCode = 400;
+    message = "Plan is not available for subscription.";
+  } else if (err.name === "subscription_not_found_err") {
+    statusCode = 404;
+    message = err.message;
+  } else if (err.name === "subscription_exists_err") {
+    statusCode = 409;
+    message = "User already has a membership.";
+  } else if (err.name === "subscription_state_err") {
+    statusCode = 400;
+    message = err.message;
+  }
+
+  // ──────────────── Installment Errors ────────────────
+  else if (err.name === "installment_not_eligible_err") {
+    statusCode = 400;
+    message = err.message;
+  } else if (err.name === "installment_plan_not_found_err") {
+    statusCode = 404;
+    message = "Installment plan not found.";
+  } else if (err.name === "installment_charge_err") {
+    statusCode = 402;
+    message = err.message;
+  }
+
+  // ──────────────── Customer Errors ────────────────
+  else if (err.name === "payment_method_not_found_err") {
+    statusCode = 404;
+    message = "Saved payment method not found.";
+  }
+
+  // ─────────────────── Tax Errors ───────────────────
+  else if (err.name === "tax_id_invalid_err") {
+    statusCode = 400;
+    message = err.message;
+  }
+
+  // ────────────────── Wallet Errors ──────────────────
+  else if (err.name === "wallet_insufficient_err") {
+    statusCode = 400;
+    message = err.message;
+  }
+
+  // ──────────────── Pre-order Errors ────────────────
+  else if (err.name === "preorder_err") {
+    statusCode = 400;
+    message = err.message;
+  }
+
+  // ─────────────────── Risk Errors ───────────────────
+  else if (err.name === "payment_blocked_err") {
+    statusCode = 402;
+    message = "Payment was declined.";
+  } else if (err.name === "payment_review_not_found_err") {
+    statusCode = 404;
+    message = "Payment review not found.";
+  } else if (err.name === "payment_review_err") {
+    statusCode = 400;
+    message = err.message;
+  }
+
+  // ────────────────── Outbox Errors ──────────────────
+  else if (err.name === "outbox_event_not_found_err") {
+    statusCode = 404;
+    message = "Outbox event not found.";
+  }
+
+  // ─────────────────── FX Errors ───────────────────
+  else if (err.name === "fx_rate_not_found_err") {
+    statusCode = 400;
+    message = err.message;
+  } else if (err.name === "fx_provider_err") {
+    message = err.message;
+  }
+
+  // ─────────────── Idempotency Errors ───────────────
+  else if (err.name === "idempotency_key_reuse_err") {
+    statusCode = 422;
+    message = "Idempotency key was already used with a different request.";
+  } else if (err.name === "idempotency_in_progress_err") {
+    statusCode = 409;
+    message = "A request with this idempotency key is still in progress.";
   }
 
   // ───────────── ReportingService Errors ─────────────
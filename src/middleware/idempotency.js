@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+const prisma = require("../config/db");
+const { logger } = require("../utils/logger");
+const { AppError } = require("./errorHandler");
+const { toJsonValue } = require("../utils/money");
+
+const IDEMPOTENCY_HEADER = "idempotency-key";
+const IDEMPOTENCY_KEY_TTL_HOURS =
+  parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+
+/**
+ * Serialize a value with sorted object keys so that logically equal
+ * request bodies always produce the same hash
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Hash the parts of a request that must match for a key to be replayed
+ */
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      `${req.method}:${req.baseUrl}${req.path}:${stableStringify(req.body || {})}`
+    )
+    .digest("hex");
+
+/**
+ * Store the response sent for a key, or release the key when the request
+ * failed on our side so the client can safely retry it
+ */
+const saveResponse = async (recordId, statusCode, body) => {
+  try {
+    if (statusCode >= 500) {
+      await prisma.idempotencyKey.delete({ where: { id: recordId } });
+      return;
+    }
+
+    await prisma.idempotencyKey.update({
+      where: { id: recordId },
+      data: {
+        status: "COMPLETED",
+        responseStatus: statusCode,
+        // As it was sent, with amounts as numbers
+        responseBody: toJsonValue(body),
+      },
+    });
+  } catch (error) {
+    logger.error(`Failed to store idempotent response: ${error.message}`, {
+      error,
+    });
+  }
+};
+
+/**
+ * Make a POST endpoint idempotent using the client supplied
+ * `Idempotency-Key` header. Requests without the header pass through.
+ *
+ * - First request with a key: processed normally, response stored
+ * - Same key and same request: stored response replayed
+ * - Same key and different request: 422
+ * - Same key while the first request is still running: 409
+ */
+const idempotency = () => {
+  return async (req, res, next) => {
+    const key = req.headers[IDEMPOTENCY_HEADER];
+
+    if (!key) {
+      return next();
+    }
+
+    try {
+      if (key.length > 255) {
+        throw new AppError(
+          "ValidationError",
+          "Idempotency-Key must be at most 255 characters",
+          400
+        );
+      }
+
+      if (!req.user) {
+        throw new AppError("ValidationError", "User not authenticated", 401);
+      }
+
+      const userId = req.user.id;
+      const requestHash = hashRequest(req);
+
+      let record = await prisma.idempotencyKey.findUnique({
+        where: { userId_key: { userId, key } },
+      });
+
+      // Expired keys are forgotten and may be reused
+      if (record && record.expiresAt < new Date()) {
+        await prisma.idempotencyKey.delete({ where: { id: record.id } });
+        record = null;
+      }
+
+      if (record) {
+        if (record.requestHash !== requestHash) {
+          throw new AppError(
+            "idempotency_key_reuse_err",
+            "Idempotency-Key was already used with a different request",
+            422
+          );
+        }
+
+        if (record.status === "IN_PROGRESS") {
+          throw new AppError(
+            "idempotency_in_progress_err",
+            "A request with this Idempotency-Key is still being processed",
+            409
+          );
+        }
+
+        logger.info(`Replaying idempotent response for key ${key}`);
+        res.set("Idempotent-Replayed", "true");
+        return res.status(record.responseStatus).json(record.responseBody);
+      }
+
+      try {
+        record = await prisma.idempotencyKey.create({
+          data: {
+            key,
+            userId,
+            method: req.method,
+            path: `${req.baseUrl}${req.path}`,
+            requestHash,
+            expiresAt: new Date(
+              Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000
+            ),
+          },
+        });
+      } catch (error) {
+        // A concurrent request with the same key won the insert
+        if (error.code === "P2002") {
+          throw new AppError(
+            "idempotency_in_progress_err",
+            "A request with this Idempotency-Key is still being processed",
+            409
+          );
+        }
+        throw error;
+      }
+
+      req.idempotencyKey = key;
+
+      // Capture whatever ends up being sent, including error responses
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        saveResponse(record.id, res.statusCode, body);
+        return originalJson(body);
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  idempotency,
+};
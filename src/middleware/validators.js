@@ -4,27 +4,135 @@ const { AppError } = require("./errorHandler");
 
 // -- Rule sets -------------------------------------------------
 
+// Billing location and tax ID decide the tax charged at checkout
+const billingTaxRules = [
+  body("billingCountry")
+    .optional()
+    .isISO31661Alpha2().withMessage("Billing country must be an ISO 3166-1 alpha-2 code"),
+
+  body("billingRegion")
+    .optional()
+    .isString().withMessage("Billing region must be a string")
+    .isLength({ max: 10 }).withMessage("Billing region must be at most 10 characters"),
+
+  body("taxId")
+    .optional()
+    .isString().withMessage("Tax ID must be a string")
+    .isLength({ max: 30 }).withMessage("Tax ID must be at most 30 characters"),
+];
+
 const paymentValidation = [
   body("courseId")
     .notEmpty().withMessage("Course ID is required")
     .isString().withMessage("Course ID must be a string"),
 
+  // Amount, currency and educator come from the price catalog; when sent
+  // they are only checked against it
   body("amount")
-    .notEmpty().withMessage("Amount is required")
-    .isFloat({ min: 0.01 }).withMessage("Amount must be greater than 0"),
+    .optional()
+    .isFloat({ min: 0 }).withMessage("Amount must not be negative"),
 
   body("currency")
     .optional()
     .isString().withMessage("Currency must be a string")
     .isLength({ min: 3, max: 3 }).withMessage("Currency must be 3 characters"),
 
+  // Free and fully discounted courses are enrolled without a source
   body("source")
-    .notEmpty().withMessage("Payment source is required")
+    .optional()
     .isString().withMessage("Payment source must be a string"),
 
+  // One-click checkout with a saved card instead of a source
+  body("paymentMethodId")
+    .optional()
+    .isString().withMessage("Payment method ID must be a string"),
+
   body("educatorId")
-    .notEmpty().withMessage("Educator ID is required")
+    .optional()
     .isString().withMessage("Educator ID must be a string"),
+
+  body("couponCode")
+    .optional()
+    .isString().withMessage("Coupon code must be a string"),
+
+  // Affiliate's referral code; otherwise the referral link cookie applies
+  body("referralCode")
+    .optional()
+    .isString().withMessage("Referral code must be a string"),
+
+  // Pay from store credit first and charge the source for the rest
+  body("useWallet")
+    .optional()
+    .isBoolean().withMessage("Use wallet must be a boolean"),
+
+  // Pre-orders only authorize the card; it is captured on launch day
+  body("captureMethod")
+    .optional()
+    .isIn(["automatic", "manual"]).withMessage("Capture method must be automatic or manual"),
+
+  // Buying for someone else issues a gift code instead of an enrollment
+  body("gift")
+    .optional()
+    .isObject().withMessage("Gift must be an object"),
+
+  body("gift.recipientEmail")
+    .if(body("gift").exists())
+    .notEmpty().withMessage("Recipient email is required")
+    .isEmail().withMessage("Recipient email must be a valid email"),
+
+  body("gift.recipientName")
+    .optional()
+    .isString().withMessage("Recipient name must be a string"),
+
+  body("gift.message")
+    .optional()
+    .isString().withMessage("Gift message must be a string")
+    .isLength({ max: 500 }).withMessage("Gift message must be at most 500 characters"),
+
+  ...billingTaxRules,
+];
+
+const redeemGiftValidation = [
+  body("code")
+    .notEmpty().withMessage("Gift code is required")
+    .isString().withMessage("Gift code must be a string"),
+];
+
+const cartPaymentValidation = [
+  body("courseIds")
+    .isArray({ min: 1, max: 20 }).withMessage("Course IDs must be an array of 1 to 20 courses"),
+
+  body("courseIds.*")
+    .isString().withMessage("Course ID must be a string")
+    .notEmpty().withMessage("Course ID is required"),
+
+  body("currency")
+    .optional()
+    .isString().withMessage("Currency must be a string")
+    .isLength({ min: 3, max: 3 }).withMessage("Currency must be 3 characters"),
+
+  body("source")
+    .optional()
+    .isString().withMessage("Payment source must be a string"),
+
+  body("paymentMethodId")
+    .optional()
+    .isString().withMessage("Payment method ID must be a string"),
+
+  body("couponCode")
+    .optional()
+    .isString().withMessage("Coupon code must be a string"),
+
+  // Affiliate's referral code; otherwise the referral link cookie applies
+  body("referralCode")
+    .optional()
+    .isString().withMessage("Referral code must be a string"),
+
+  body("useWallet")
+    .optional()
+    .isBoolean().withMessage("Use wallet must be a boolean"),
+
+  ...billingTaxRules,
 ];
 
 const refundValidation = [
@@ -34,11 +142,17 @@ const refundValidation = [
 
   body("amount")
     .optional()
-    .isFloat({ min: 0.01 }).withMessage("Amount must be greater than 0"),
+    .isFloat({ min: 0.01 }).withMessage("Amount must be greater than 0")
+    .toFloat(),
 
   body("reason")
     .optional()
     .isString().withMessage("Reason must be a string"),
+
+  // Store credit is refunded to the wallet whatever is chosen here
+  body("refundTo")
+    .optional()
+    .isIn(["card", "wallet"]).withMessage("Refund to must be card or wallet"),
 ];
 
 const paginationValidation = [
@@ -66,8 +180,12 @@ const reportFilterValidation = [
 
   query("status")
     .optional()
-    .isIn(["PENDING", "COMPLETED", "FAILED", "REFUNDED", "DISPUTED"])
-    .withMessage("Status must be one of PENDING, COMPLETED, FAILED, REFUNDED, DISPUTED"),
+    .isIn(["PENDING", "COMPLETED", "FAILED", "PARTIALLY_REFUNDED", "REFUNDED", "DISPUTED"])
+    .withMessage("Status must be one of PENDING, COMPLETED, FAILED, PARTIALLY_REFUNDED, REFUNDED, DISPUTED"),
+
+  query("currency")
+    .optional()
+    .isLength({ min: 3, max: 3 }).withMessage("Currency must be a 3-letter code"),
 ];
 
 const createInvoiceValidator = [
@@ -96,6 +214,502 @@ const createInvoiceValidator = [
     .isString().withMessage("Notes must be a string"),
 ];
 
+const coursePriceValidation = [
+  body("courseId")
+    .notEmpty().withMessage("Course ID is required")
+    .isString().withMessage("Course ID must be a string"),
+
+  body("educatorId")
+    .notEmpty().withMessage("Educator ID is required")
+    .isString().withMessage("Educator ID must be a string"),
+
+  // A price of 0 makes the course free
+  body("amount")
+    .notEmpty().withMessage("Amount is required")
+    .isFloat({ min: 0 }).withMessage("Amount must not be negative"),
+
+  body("currency")
+    .optional()
+    .isString().withMessage("Currency must be a string")
+    .isLength({ min: 3, max: 3 }).withMessage("Currency must be 3 characters"),
+
+  body("title")
+    .optional()
+    .isString().withMessage("Title must be a string"),
+
+  body("category")
+    .optional({ nullable: true })
+    .isString().withMessage("Category must be a string"),
+
+  body("active")
+    .optional()
+    .isBoolean().withMessage("Active must be a boolean"),
+
+  body("launchDate")
+    .optional({ nullable: true })
+    .isISO8601().withMessage("Launch date must be a valid ISO8601 date"),
+];
+
+const coursePriceUpdateValidation = [
+  body("educatorId")
+    .optional()
+    .isString().withMessage("Educator ID must be a string"),
+
+  body("amount")
+    .optional()
+    .isFloat({ min: 0 }).withMessage("Amount must not be negative"),
+
+  body("currency")
+    .optional()
+    .isString().withMessage("Currency must be a string")
+    .isLength({ min: 3, max: 3 }).withMessage("Currency must be 3 characters"),
+
+  body("title")
+    .optional()
+    .isString().withMessage("Title must be a string"),
+
+  body("category")
+    .optional({ nullable: true })
+    .isString().withMessage("Category must be a string"),
+
+  body("active")
+    .optional()
+    .isBoolean().withMessage("Active must be a boolean"),
+
+  body("launchDate")
+    .optional({ nullable: true })
+    .isISO8601().withMessage("Launch date must be a valid ISO8601 date"),
+];
+
+const couponFieldRules = [
+  body("discountValue")
+    .optional()
+    .isFloat({ gt: 0 }).withMessage("Discount value must be greater than 0")
+    .custom((value, { req }) =>
+      req.body.discountType !== "PERCENTAGE" || parseFloat(value) <= 100
+    ).withMessage("Percentage discount cannot exceed 100"),
+
+  body("currency")
+    .optional()
+    .isString().withMessage("Currency must be a string")
+    .isLength({ min: 3, max: 3 }).withMessage("Currency must be 3 characters"),
+
+  body("description")
+    .optional()
+    .isString().withMessage("Description must be a string"),
+
+  body("validFrom")
+    .optional()
+    .isISO8601().withMessage("Valid from must be a valid ISO8601 date"),
+
+  body("validUntil")
+    .optional()
+    .isISO8601().withMessage("Valid until must be a valid ISO8601 date"),
+
+  body("maxRedemptions")
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage("Max redemptions must be a positive integer"),
+
+  body("perUserLimit")
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage("Per-user limit must be a positive integer"),
+
+  body("courseIds")
+    .optional()
+    .isArray().withMessage("Course IDs must be an array"),
+
+  body("educatorIds")
+    .optional()
+    .isArray().withMessage("Educator IDs must be an array"),
+
+  body("active")
+    .optional()
+    .isBoolean().withMessage("Active must be a boolean"),
+];
+
+const couponValidation = [
+  body("code")
+    .notEmpty().withMessage("Coupon code is required")
+    .isLength({ min: 3, max: 50 }).withMessage("Coupon code must be 3-50 characters")
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage("Coupon code may only contain letters, numbers, - and _"),
+
+  body("discountType")
+    .notEmpty().withMessage("Discount type is required")
+    .isIn(["PERCENTAGE", "FIXED"]).withMessage("Discount type must be PERCENTAGE or FIXED"),
+
+  body("discountValue")
+    .notEmpty().withMessage("Discount value is required"),
+
+  ...couponFieldRules,
+];
+
+const couponUpdateValidation = [
+  body("discountType")
+    .optional()
+    .isIn(["PERCENTAGE", "FIXED"]).withMessage("Discount type must be PERCENTAGE or FIXED"),
+
+  ...couponFieldRules,
+];
+
+const revenueSharesValidation = [
+  body("shares")
+    .isArray({ min: 1 }).withMessage("Shares must be a non-empty array"),
+
+  body("shares.*.educatorId")
+    .notEmpty().withMessage("Educator ID is required")
+    .isString().withMessage("Educator ID must be a string"),
+
+  body("shares.*.percentage")
+    .isFloat({ gt: 0, max: 100 }).withMessage("Percentage must be more than 0 and at most 100")
+    .toFloat(),
+];
+
+const commissionRuleFieldRules = [
+  body("name")
+    .optional()
+    .isString().withMessage("Name must be a string")
+    .isLength({ max: 100 }).withMessage("Name must be at most 100 characters"),
+
+  body("scope")
+    .optional()
+    .isIn(["GLOBAL", "EDUCATOR", "COURSE", "CATEGORY"]).withMessage("Scope must be GLOBAL, EDUCATOR, COURSE or CATEGORY"),
+
+  body("educatorId")
+    .optional({ nullable: true })
+    .isString().withMessage("Educator ID must be a string"),
+
+  body("courseId")
+    .optional({ nullable: true })
+    .isString().withMessage("Course ID must be a string"),
+
+  body("category")
+    .optional({ nullable: true })
+    .isString().withMessage("Category must be a string"),
+
+  body("percentage")
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage("Percentage must be between 0 and 100"),
+
+  body("fixedFee")
+    .optional()
+    .isFloat({ min: 0 }).withMessage("Fixed fee must not be negative"),
+
+  body("currency")
+    .optional({ nullable: true })
+    .isString().withMessage("Currency must be a string")
+    .isLength({ min: 3, max: 3 }).withMessage("Currency must be 3 characters"),
+
+  body("minAmount")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 }).withMessage("Minimum amount must not be negative"),
+
+  body("priority")
+    .optional()
+    .isInt().withMessage("Priority must be an integer"),
+
+  body("validFrom")
+    .optional({ nullable: true })
+    .isISO8601().withMessage("Valid from must be a valid ISO8601 date"),
+
+  body("validUntil")
+    .optional({ nullable: true })
+    .isISO8601().withMessage("Valid until must be a valid ISO8601 date"),
+
+  body("active")
+    .optional()
+    .isBoolean().withMessage("Active must be a boolean"),
+];
+
+const commissionRuleValidation = [
+  body("name")
+    .notEmpty().withMessage("Name is required"),
+
+  body("scope")
+    .notEmpty().withMessage("Scope is required"),
+
+  body("percentage")
+    .notEmpty().withMessage("Percentage is required"),
+
+  ...commissionRuleFieldRules,
+];
+
+const commissionRuleUpdateValidation = [...commissionRuleFieldRules];
+
+const affiliateFieldRules = [
+  body("name")
+    .optional()
+    .isString().withMessage("Name must be a string")
+    .isLength({ max: 100 }).withMessage("Name must be at most 100 characters"),
+
+  body("commissionPercentage")
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage("Commission percentage must be between 0 and 100"),
+
+  body("cookieWindowDays")
+    .optional()
+    .isInt({ min: 1 }).withMessage("Cookie window must be at least 1 day"),
+];
+
+const affiliateValidation = [
+  body("userId")
+    .notEmpty().withMessage("User ID is required")
+    .isString().withMessage("User ID must be a string"),
+
+  body("name")
+    .notEmpty().withMessage("Name is required"),
+
+  body("code")
+    .notEmpty().withMessage("Referral code is required")
+    .isLength({ min: 3, max: 50 }).withMessage("Referral code must be 3-50 characters")
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage("Referral code may only contain letters, numbers, - and _"),
+
+  body("commissionPercentage")
+    .notEmpty().withMessage("Commission percentage is required"),
+
+  ...affiliateFieldRules,
+];
+
+const affiliateUpdateValidation = [
+  body("status")
+    .optional()
+    .isIn(["ACTIVE", "SUSPENDED"]).withMessage("Status must be ACTIVE or SUSPENDED"),
+
+  ...affiliateFieldRules,
+];
+
+const planValidation = [
+  body("name")
+    .notEmpty().withMessage("Plan name is required")
+    .isString().withMessage("Plan name must be a string"),
+
+  body("description")
+    .optional()
+    .isString().withMessage("Description must be a string"),
+
+  body("amount")
+    .notEmpty().withMessage("Amount is required")
+    .isFloat({ min: 0.5 }).withMessage("Amount must be at least 0.5"),
+
+  body("currency")
+    .optional()
+    .isString().withMessage("Currency must be a string")
+    .isLength({ min: 3, max: 3 }).withMessage("Currency must be 3 characters"),
+
+  body("interval")
+    .notEmpty().withMessage("Interval is required")
+    .isIn(["MONTH", "YEAR"]).withMessage("Interval must be MONTH or YEAR"),
+
+  body("active")
+    .optional()
+    .isBoolean().withMessage("Active must be a boolean"),
+];
+
+const planUpdateValidation = [
+  body("name")
+    .optional()
+    .isString().withMessage("Plan name must be a string"),
+
+  body("description")
+    .optional()
+    .isString().withMessage("Description must be a string"),
+
+  body("active")
+    .optional()
+    .isBoolean().withMessage("Active must be a boolean"),
+];
+
+const subscribeValidation = [
+  body("planId")
+    .notEmpty().withMessage("Plan ID is required")
+    .isString().withMessage("Plan ID must be a string"),
+
+  body("source")
+    .notEmpty().withMessage("Payment source is required")
+    .isString().withMessage("Payment source must be a string"),
+];
+
+const cancelSubscriptionValidation = [
+  body("atPeriodEnd")
+    .optional()
+    .isBoolean().withMessage("atPeriodEnd must be a boolean"),
+];
+
+const usageValidation = [
+  body("userId")
+    .notEmpty().withMessage("User ID is required")
+    .isString().withMessage("User ID must be a string"),
+
+  body("courseId")
+    .notEmpty().withMessage("Course ID is required")
+    .isString().withMessage("Course ID must be a string"),
+
+  body("educatorId")
+    .optional()
+    .isString().withMessage("Educator ID must be a string"),
+
+  body("units")
+    .notEmpty().withMessage("Units are required")
+    .isFloat({ gt: 0 }).withMessage("Units must be greater than 0"),
+
+  body("recordedAt")
+    .optional()
+    .isISO8601().withMessage("Recorded at must be a valid ISO8601 date"),
+];
+
+const installmentPlanValidation = [
+  body("courseId")
+    .notEmpty().withMessage("Course ID is required")
+    .isString().withMessage("Course ID must be a string"),
+
+  body("source")
+    .notEmpty().withMessage("Payment source is required")
+    .isString().withMessage("Payment source must be a string"),
+
+  body("installments")
+    .notEmpty().withMessage("Number of installments is required")
+    .isInt({ min: 2, max: 6 }).withMessage("Installments must be between 2 and 6")
+    .toInt(),
+];
+
+const fxRateUploadValidation = [
+  body("rates")
+    .isArray({ min: 1 }).withMessage("Rates must be a non-empty array"),
+
+  body("rates.*.currency")
+    .isString().withMessage("Currency must be a string")
+    .isLength({ min: 3, max: 3 }).withMessage("Currency must be a 3-letter code"),
+
+  body("rates.*.rate")
+    .isFloat({ gt: 0 }).withMessage("Rate must be greater than 0"),
+
+  body("effectiveAt")
+    .optional()
+    .isISO8601().withMessage("Effective at must be a valid ISO8601 date"),
+];
+
+const walletCreditValidation = [
+  body("userId")
+    .notEmpty().withMessage("User ID is required")
+    .isString().withMessage("User ID must be a string"),
+
+  body("amount")
+    .notEmpty().withMessage("Amount is required")
+    .isFloat({ min: 0.01 }).withMessage("Amount must be greater than 0"),
+
+  body("currency")
+    .optional()
+    .isString().withMessage("Currency must be a string")
+    .isLength({ min: 3, max: 3 }).withMessage("Currency must be 3 characters"),
+
+  body("description")
+    .optional()
+    .isString().withMessage("Description must be a string"),
+];
+
+const paymentReviewDecisionValidation = [
+  body("note")
+    .optional()
+    .isString().withMessage("Note must be a string")
+    .isLength({ max: 500 }).withMessage("Note must be at most 500 characters"),
+];
+
+const outboxEventFilterValidation = [
+  ...paginationValidation,
+
+  query("status")
+    .optional()
+    .isIn(["PENDING", "DELIVERED", "DEAD"]).withMessage("Status must be PENDING, DELIVERED or DEAD"),
+
+  query("destination")
+    .optional()
+    .isIn(["USER_SERVICE", "COURSE_SERVICE", "PROGRESS_SERVICE"]).withMessage("Invalid destination"),
+];
+
+const payoutRequestValidation = [
+  body("amount")
+    .notEmpty().withMessage("Amount is required")
+    .isFloat({ min: 0.01 }).withMessage("Amount must be greater than 0")
+    .toFloat(),
+
+  body("currency")
+    .optional()
+    .isString().withMessage("Currency must be a string")
+    .isLength({ min: 3, max: 3 }).withMessage("Currency must be 3 characters"),
+
+  body("note")
+    .optional()
+    .isString().withMessage("Note must be a string")
+    .isLength({ max: 500 }).withMessage("Note must be at most 500 characters"),
+];
+
+const payoutFilterValidation = [
+  ...paginationValidation,
+
+  query("status")
+    .optional()
+    .isIn(["REQUESTED", "APPROVED", "REJECTED", "IN_TRANSIT", "COMPLETED", "FAILED"])
+    .withMessage("Invalid payout status"),
+
+  query("currency")
+    .optional()
+    .isString().withMessage("Currency must be a string")
+    .isLength({ min: 3, max: 3 }).withMessage("Currency must be 3 characters"),
+];
+
+const payoutScheduleValidation = [
+  body("interval")
+    .notEmpty().withMessage("Interval is required")
+    .isIn(["WEEKLY", "MONTHLY"]).withMessage("Interval must be WEEKLY or MONTHLY"),
+
+  // Day of the week (0 = Sunday) or of the month
+  body("anchorDay")
+    .optional()
+    .isInt({ min: 0, max: 28 }).withMessage("Anchor day must be between 0 and 28")
+    .toInt(),
+
+  body("holdDays")
+    .optional()
+    .isInt({ min: 0, max: 365 }).withMessage("Hold days must be between 0 and 365")
+    .toInt(),
+
+  body("reservePercentage")
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage("Reserve percentage must be between 0 and 100")
+    .toFloat(),
+
+  body("reserveDays")
+    .optional()
+    .isInt({ min: 0, max: 365 }).withMessage("Reserve days must be between 0 and 365")
+    .toInt(),
+];
+
+const trialBalanceValidation = [
+  query("account")
+    .optional()
+    .isIn([
+      "STRIPE_BALANCE",
+      "CUSTOMER_CREDIT",
+      "PLATFORM_REVENUE",
+      "EDUCATOR_PAYABLE",
+      "CONNECTED_BALANCE",
+      "AFFILIATE_PAYABLE",
+      "TAX_PAYABLE",
+      "STRIPE_FEES",
+      "REFUNDS",
+      "DISPUTES",
+      "PROMOTIONS",
+    ])
+    .withMessage("Invalid ledger account"),
+
+  query("currency")
+    .optional()
+    .isLength({ min: 3, max: 3 }).withMessage("Currency must be a 3-letter code"),
+
+  query("asOf")
+    .optional()
+    .isISO8601().withMessage("As of must be a valid ISO8601 date"),
+];
+
 // -- Validation runner -----------------------------------------
 
 /**
@@ -122,9 +736,34 @@ const validate = (validations) => {
 
 module.exports = {
   paymentValidation,
+  cartPaymentValidation,
   refundValidation,
   paginationValidation,
   reportFilterValidation,
   createInvoiceValidator,
+  coursePriceValidation,
+  coursePriceUpdateValidation,
+  revenueSharesValidation,
+  couponValidation,
+  couponUpdateValidation,
+  commissionRuleValidation,
+  commissionRuleUpdateValidation,
+  affiliateValidation,
+  affiliateUpdateValidation,
+  planValidation,
+  planUpdateValidation,
+  subscribeValidation,
+  cancelSubscriptionValidation,
+  usageValidation,
+  installmentPlanValidation,
+  redeemGiftValidation,
+  fxRateUploadValidation,
+  walletCreditValidation,
+  paymentReviewDecisionValidation,
+  outboxEventFilterValidation,
+  payoutRequestValidation,
+  payoutFilterValidation,
+  payoutScheduleValidation,
+  trialBalanceValidation,
   validate,
 };
@@ -0,0 +1,57 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const {
+  mockAuthMiddleware,
+  validateToken,
+  requireRole,
+} = require("../middleware/auth");
+const {
+  validate,
+  paginationValidation,
+  affiliateValidation,
+  affiliateUpdateValidation,
+} = require("../middleware/validators");
+const affiliateController = require("../controllers/affiliateController");
+
+// Follow a referral link; public so it works before signing in
+router.get("/track/:code", affiliateController.trackReferralClick);
+
+// Get the current user's affiliate account
+router.get(
+  "/me",
+  process.env.NODE_ENV === "development" ? mockAuthMiddleware() : validateToken,
+  affiliateController.getMyAffiliate
+);
+
+// Managing affiliates is admin only
+router.use(
+  process.env.NODE_ENV === "development" ? mockAuthMiddleware() : validateToken,
+  requireRole("Admin")
+);
+
+// List affiliates
+router.get(
+  "/",
+  validate(paginationValidation),
+  affiliateController.listAffiliates
+);
+
+// Get an affiliate
+router.get("/:affiliateId", affiliateController.getAffiliate);
+
+// Make a user an affiliate
+router.post(
+  "/",
+  validate(affiliateValidation),
+  affiliateController.createAffiliate
+);
+
+// Update or suspend an affiliate
+router.put(
+  "/:affiliateId",
+  validate(affiliateUpdateValidation),
+  affiliateController.updateAffiliate
+);
+
+module.exports = router;
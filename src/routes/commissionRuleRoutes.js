@@ -0,0 +1,50 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const {
+  mockAuthMiddleware,
+  validateToken,
+  requireRole,
+} = require("../middleware/auth");
+const {
+  validate,
+  paginationValidation,
+  commissionRuleValidation,
+  commissionRuleUpdateValidation,
+} = require("../middleware/validators");
+const commissionRuleController = require("../controllers/commissionRuleController");
+
+// Commission rules are admin only
+router.use(
+  process.env.NODE_ENV === "development" ? mockAuthMiddleware() : validateToken,
+  requireRole("Admin")
+);
+
+// List commission rules
+router.get(
+  "/",
+  validate(paginationValidation),
+  commissionRuleController.listCommissionRules
+);
+
+// Get a commission rule
+router.get("/:ruleId", commissionRuleController.getCommissionRule);
+
+// Create a commission rule
+router.post(
+  "/",
+  validate(commissionRuleValidation),
+  commissionRuleController.createCommissionRule
+);
+
+// Update a commission rule
+router.put(
+  "/:ruleId",
+  validate(commissionRuleUpdateValidation),
+  commissionRuleController.updateCommissionRule
+);
+
+// Deactivate a commission rule
+router.delete("/:ruleId", commissionRuleController.deactivateCommissionRule);
+
+module.exports = router;
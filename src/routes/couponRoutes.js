@@ -0,0 +1,50 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const {
+  mockAuthMiddleware,
+  validateToken,
+  requireRole,
+} = require("../middleware/auth");
+const {
+  validate,
+  paginationValidation,
+  couponValidation,
+  couponUpdateValidation,
+} = require("../middleware/validators");
+const couponController = require("../controllers/couponController");
+
+// Coupon management is admin only
+router.use(
+  process.env.NODE_ENV === "development" ? mockAuthMiddleware() : validateToken,
+  requireRole("Admin")
+);
+
+// List coupons
+router.get(
+  "/",
+  validate(paginationValidation),
+  couponController.listCoupons
+);
+
+// Get a coupon
+router.get("/:couponId", couponController.getCoupon);
+
+// Create a coupon
+router.post(
+  "/",
+  validate(couponValidation),
+  couponController.createCoupon
+);
+
+// Update a coupon
+router.put(
+  "/:couponId",
+  validate(couponUpdateValidation),
+  couponController.updateCoupon
+);
+
+// Deactivate a coupon
+router.delete("/:couponId", couponController.deactivateCoupon);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const {
+  mockAuthMiddleware,
+  validateToken,
+  requireRole,
+} = require("../middleware/auth");
+const {
+  validate,
+  paginationValidation,
+  coursePriceValidation,
+  coursePriceUpdateValidation,
+  revenueSharesValidation,
+} = require("../middleware/validators");
+const coursePriceController = require("../controllers/coursePriceController");
+const revenueShareController = require("../controllers/revenueShareController");
+
+router.use(
+  process.env.NODE_ENV === "development" ? mockAuthMiddleware() : validateToken
+);
+
+// List catalog prices (admin only)
+router.get(
+  "/",
+  requireRole("Admin"),
+  validate(paginationValidation),
+  coursePriceController.listCoursePrices
+);
+
+// Get the price of a course
+router.get("/:courseId", coursePriceController.getCoursePrice);
+
+// Add a course to the catalog (admin only)
+router.post(
+  "/",
+  requireRole("Admin"),
+  validate(coursePriceValidation),
+  coursePriceController.createCoursePrice
+);
+
+// Update the price of a course (admin only)
+router.put(
+  "/:courseId",
+  requireRole("Admin"),
+  validate(coursePriceUpdateValidation),
+  coursePriceController.updateCoursePrice
+);
+
+// Get how a course's earnings are shared between its instructors (admin only)
+router.get(
+  "/:courseId/revenue-shares",
+  requireRole("Admin"),
+  revenueShareController.getRevenueShares
+);
+
+// Share a course's earnings between its instructors (admin only)
+router.put(
+  "/:courseId/revenue-shares",
+  requireRole("Admin"),
+  validate(revenueSharesValidation),
+  revenueShareController.setRevenueShares
+);
+
+// Let the course's educator earn everything again (admin only)
+router.delete(
+  "/:courseId/revenue-shares",
+  requireRole("Admin"),
+  revenueShareController.clearRevenueShares
+);
+
+// Remove a course from the catalog (admin only)
+router.delete(
+  "/:courseId",
+  requireRole("Admin"),
+  coursePriceController.deleteCoursePrice
+);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const {
+  mockAuthMiddleware,
+  validateToken,
+  requireRole,
+} = require("../middleware/auth");
+const { validate, fxRateUploadValidation } = require("../middleware/validators");
+const fxRateController = require("../controllers/fxRateController");
+
+// Exchange rate management is admin only
+router.use(
+  process.env.NODE_ENV === "development" ? mockAuthMiddleware() : validateToken,
+  requireRole("Admin")
+);
+
+// List exchange rates
+router.get("/", fxRateController.listRates);
+
+// Upload exchange rates by hand
+router.post(
+  "/",
+  validate(fxRateUploadValidation),
+  fxRateController.uploadRates
+);
+
+// Pull rates from the configured provider
+router.post("/refresh", fxRateController.refreshRates);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const {
+  mockAuthMiddleware,
+  validateToken,
+  requireRole,
+} = require("../middleware/auth");
+const { validate, redeemGiftValidation } = require("../middleware/validators");
+const giftController = require("../controllers/giftController");
+
+router.use(
+  process.env.NODE_ENV === "development"
+    ? mockAuthMiddleware("Student", "std_123", "ali") : validateToken,
+  requireRole(["Student", "Admin"])
+);
+
+// Get the gift codes bought by the current user
+router.get("/", giftController.getPurchasedGifts);
+
+// Redeem a gift code for the current user
+router.post(
+  "/redeem",
+  validate(redeemGiftValidation),
+  giftController.redeemGift
+);
+
+module.exports = router;
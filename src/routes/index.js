@@ -6,6 +6,22 @@ const invoiceRoutes = require('./invoiceRoutes');
 const statisticsRoutes = require('./statisticsRoutes');
 const reportRoutes = require('./reportRoutes');
 const accountRoute = require('./accountRoute');
+const coursePriceRoutes = require('./coursePriceRoutes');
+const couponRoutes = require('./couponRoutes');
+const commissionRuleRoutes = require('./commissionRuleRoutes');
+const affiliateRoutes = require('./affiliateRoutes');
+const planRoutes = require('./planRoutes');
+const subscriptionRoutes = require('./subscriptionRoutes');
+const installmentRoutes = require('./installmentRoutes');
+const giftRoutes = require('./giftRoutes');
+const fxRateRoutes = require('./fxRateRoutes');
+const walletRoutes = require('./walletRoutes');
+const preorderRoutes = require('./preorderRoutes');
+const paymentMethodRoutes = require('./paymentMethodRoutes');
+const paymentReviewRoutes = require('./paymentReviewRoutes');
+const outboxRoutes = require('./outboxRoutes');
+const payoutRoutes = require('./payoutRoutes');
+const ledgerRoutes = require('./ledgerRoutes');
 const redisCache = require('../config/cache');
 const config = require('../config');
 const { logger } = require('../utils/logger');
@@ -51,6 +67,22 @@ router.use('/invoices', invoiceRoutes);
 router.use('/statistics', statisticsRoutes);
 router.use('/reports', reportRoutes);
 router.use('/account', accountRoute);
+router.use('/course-prices', coursePriceRoutes);
+router.use('/coupons', couponRoutes);
+router.use('/commission-rules', commissionRuleRoutes);
+router.use('/affiliates', affiliateRoutes);
+router.use('/plans', planRoutes);
+router.use('/subscriptions', subscriptionRoutes);
+router.use('/installments', installmentRoutes);
+router.use('/gifts', giftRoutes);
+router.use('/fx-rates', fxRateRoutes);
+router.use('/wallet', walletRoutes);
+router.use('/preorders', preorderRoutes);
+router.use('/payment-methods', paymentMethodRoutes);
+router.use('/reviews', paymentReviewRoutes);
+router.use('/outbox', outboxRoutes);
+router.use('/payouts', payoutRoutes);
+router.use('/ledger', ledgerRoutes);
 
 module.exports = router;
 
@@ -0,0 +1,33 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const {
+  mockAuthMiddleware,
+  validateToken,
+  requireRole,
+} = require("../middleware/auth");
+const { validate, installmentPlanValidation } = require("../middleware/validators");
+const { idempotency } = require("../middleware/idempotency");
+const installmentController = require("../controllers/installmentController");
+
+router.use(
+  process.env.NODE_ENV === "development"
+    ? mockAuthMiddleware("Student", "std_123", "ali") : validateToken,
+  requireRole(["Student", "Admin"])
+);
+
+// Get the current user's installment plans
+router.get("/", installmentController.getUserInstallmentPlans);
+
+// Start an installment plan for a course
+router.post(
+  "/",
+  validate(installmentPlanValidation),
+  idempotency(),
+  installmentController.createInstallmentPlan
+);
+
+// Get an installment plan with its schedule
+router.get("/:planId", installmentController.getInstallmentPlan);
+
+module.exports = router;
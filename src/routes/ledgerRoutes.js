@@ -0,0 +1,31 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const {
+  mockAuthMiddleware,
+  validateToken,
+  requireRole,
+} = require("../middleware/auth");
+const {
+  validate,
+  trialBalanceValidation,
+} = require("../middleware/validators");
+const ledgerController = require("../controllers/ledgerController");
+
+// The ledger is read by admins only
+router.use(
+  process.env.NODE_ENV === "development" ? mockAuthMiddleware() : validateToken,
+  requireRole("Admin")
+);
+
+// Balances of the ledger accounts
+router.get(
+  "/trial-balance",
+  validate(trialBalanceValidation),
+  ledgerController.getTrialBalance
+);
+
+// Find journal entries whose debits and credits differ
+router.get("/check", ledgerController.checkLedger);
+
+module.exports = router;
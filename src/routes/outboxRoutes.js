@@ -0,0 +1,34 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const {
+  mockAuthMiddleware,
+  validateToken,
+  requireRole,
+} = require("../middleware/auth");
+const {
+  validate,
+  outboxEventFilterValidation,
+} = require("../middleware/validators");
+const outboxController = require("../controllers/outboxController");
+
+// Notification delivery is inspected by admins only
+router.use(
+  process.env.NODE_ENV === "development" ? mockAuthMiddleware() : validateToken,
+  requireRole("Admin")
+);
+
+// List outbox events, e.g. the dead-lettered ones
+router.get(
+  "/",
+  validate(outboxEventFilterValidation),
+  outboxController.listEvents
+);
+
+// Get an outbox event with its last error
+router.get("/:eventId", outboxController.getEvent);
+
+// Deliver an event again
+router.post("/:eventId/redeliver", outboxController.redeliverEvent);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const {
+  mockAuthMiddleware,
+  validateToken,
+  requireRole,
+} = require("../middleware/auth");
+const paymentMethodController = require("../controllers/paymentMethodController");
+
+router.use(
+  process.env.NODE_ENV === "development"
+    ? mockAuthMiddleware("Student", "std_123", "ali") : validateToken,
+  requireRole(["Student", "Admin"])
+);
+
+// List saved cards
+router.get("/", paymentMethodController.listPaymentMethods);
+
+// Save a card (returns a SetupIntent)
+router.post("/", paymentMethodController.addPaymentMethod);
+
+// Make a saved card the default
+router.post(
+  "/:paymentMethodId/default",
+  paymentMethodController.setDefaultPaymentMethod
+);
+
+// Remove a saved card
+router.delete(
+  "/:paymentMethodId",
+  paymentMethodController.removePaymentMethod
+);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const {
+  mockAuthMiddleware,
+  validateToken,
+  requireRole,
+} = require("../middleware/auth");
+const {
+  validate,
+  paginationValidation,
+  paymentReviewDecisionValidation,
+} = require("../middleware/validators");
+const paymentReviewController = require("../controllers/paymentReviewController");
+
+// The fraud review queue is admin only
+router.use(
+  process.env.NODE_ENV === "development" ? mockAuthMiddleware() : validateToken,
+  requireRole("Admin")
+);
+
+// Held payments waiting for a decision
+router.get(
+  "/",
+  validate(paginationValidation),
+  paymentReviewController.listReviews
+);
+
+// Capture a held payment
+router.post(
+  "/:reviewId/approve",
+  validate(paymentReviewDecisionValidation),
+  paymentReviewController.approveReview
+);
+
+// Void a held payment
+router.post(
+  "/:reviewId/reject",
+  validate(paymentReviewDecisionValidation),
+  paymentReviewController.rejectReview
+);
+
+module.exports = router;
@@ -7,7 +7,8 @@ const {
   validateToken,
   requireRole,
 } = require("../middleware/auth");
-const { validate,refundValidation,paymentValidation} = require("../middleware/validators");
+const { validate,refundValidation,paymentValidation,cartPaymentValidation} = require("../middleware/validators");
+const { idempotency } = require("../middleware/idempotency");
 const paymentController = require("../controllers/paymentController");
 
 
@@ -23,16 +24,36 @@ router.post(
   process.env.NODE_ENV === "development"
     ? mockAuthMiddleware(role="Student","std_123","ali") : validateToken,
   validate(paymentValidation),
+  idempotency(),
   paymentController.processPayment
 );
 
 
+// Check out a cart of courses with a single payment
+router.post(
+  "/cart",
+  process.env.NODE_ENV === "development"
+    ? mockAuthMiddleware(role="Student","std_123","ali") : validateToken,
+  validate(cartPaymentValidation),
+  idempotency(),
+  paymentController.processCartPayment
+);
+
+// Confirm a payment after 3-D Secure, or check on it while pending
+router.post(
+  "/:transactionId/confirm",
+  process.env.NODE_ENV === "development"
+    ? mockAuthMiddleware(role="Student","std_123","ali") : validateToken,
+  paymentController.confirmPayment
+);
+
 // Process refund
 router.post(
   "/refund",
   process.env.NODE_ENV === "development"
     ? mockAuthMiddleware(role="Student","std_123","ali") : validateToken,
   validate(refundValidation),
+  idempotency(),
   paymentController.processRefund
 );
 // refund json example
@@ -0,0 +1,99 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const {
+  mockAuthMiddleware,
+  mockEducatorAuthMiddleware,
+  validateToken,
+  requireRole,
+} = require("../middleware/auth");
+const {
+  validate,
+  payoutRequestValidation,
+  payoutFilterValidation,
+  paymentReviewDecisionValidation,
+  payoutScheduleValidation,
+} = require("../middleware/validators");
+const payoutController = require("../controllers/payoutController");
+const payoutScheduleController = require("../controllers/payoutScheduleController");
+
+const educatorAuth = [
+  process.env.NODE_ENV === "development"
+    ? mockEducatorAuthMiddleware() : validateToken,
+  requireRole("Educator"),
+];
+
+const adminAuth = [
+  process.env.NODE_ENV === "development" ? mockAuthMiddleware() : validateToken,
+  requireRole("Admin"),
+];
+
+// The educator's own payouts and what they can still request
+router.get(
+  "/me",
+  educatorAuth,
+  validate(payoutFilterValidation),
+  payoutController.getMyPayouts
+);
+
+// The educator's payout schedule and held earnings
+router.get("/schedule", educatorAuth, payoutScheduleController.getMySchedule);
+
+// Ask for part of the balance to be paid out
+router.post(
+  "/",
+  educatorAuth,
+  validate(payoutRequestValidation),
+  payoutController.requestPayout
+);
+
+// Payouts of all educators (admin only)
+router.get(
+  "/",
+  adminAuth,
+  validate(payoutFilterValidation),
+  payoutController.listPayouts
+);
+
+// An educator's payout schedule and held earnings (admin only)
+router.get(
+  "/schedules/:educatorId",
+  adminAuth,
+  payoutScheduleController.getSchedule
+);
+
+// Pay an educator on a schedule (admin only)
+router.put(
+  "/schedules/:educatorId",
+  adminAuth,
+  validate(payoutScheduleValidation),
+  payoutScheduleController.setSchedule
+);
+
+// Pay an educator with each sale again (admin only)
+router.delete(
+  "/schedules/:educatorId",
+  adminAuth,
+  payoutScheduleController.removeSchedule
+);
+
+// Get a payout (admin only)
+router.get("/:payoutId", adminAuth, payoutController.getPayout);
+
+// Send a requested payout (admin only)
+router.post(
+  "/:payoutId/approve",
+  adminAuth,
+  validate(paymentReviewDecisionValidation),
+  payoutController.approvePayout
+);
+
+// Turn a requested payout down (admin only)
+router.post(
+  "/:payoutId/reject",
+  adminAuth,
+  validate(paymentReviewDecisionValidation),
+  payoutController.rejectPayout
+);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const {
+  mockAuthMiddleware,
+  validateToken,
+  requireRole,
+} = require("../middleware/auth");
+const {
+  validate,
+  planValidation,
+  planUpdateValidation,
+} = require("../middleware/validators");
+const planController = require("../controllers/planController");
+
+router.use(
+  process.env.NODE_ENV === "development" ? mockAuthMiddleware() : validateToken
+);
+
+// List membership plans
+router.get("/", planController.listPlans);
+
+// Get a membership plan
+router.get("/:planId", planController.getPlan);
+
+// Create a membership plan (admin only)
+router.post(
+  "/",
+  requireRole("Admin"),
+  validate(planValidation),
+  planController.createPlan
+);
+
+// Update a membership plan (admin only)
+router.put(
+  "/:planId",
+  requireRole("Admin"),
+  validate(planUpdateValidation),
+  planController.updatePlan
+);
+
+module.exports = router;
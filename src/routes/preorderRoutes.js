@@ -0,0 +1,38 @@
+require("dotenv").config();
+const express = require("express");
+const { body } = require("express-validator");
+const {
+  mockEducatorAuthMiddleware,
+  validateToken,
+  requireRole,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validators");
+const preorderController = require("../controllers/preorderController");
+
+const router = express.Router();
+
+router.use(
+  process.env.NODE_ENV === "development"
+    ? mockEducatorAuthMiddleware() : validateToken,
+  requireRole(["Educator", "Admin"])
+);
+
+// Capture an authorized pre-order before launch day
+router.post(
+  "/:transactionId/capture",
+  preorderController.capturePayment
+);
+
+// Void an authorized pre-order
+router.post(
+  "/:transactionId/void",
+  validate([
+    body("reason")
+      .optional()
+      .isIn(["duplicate", "fraudulent", "requested_by_customer", "abandoned"])
+      .withMessage("Invalid void reason"),
+  ]),
+  preorderController.voidPayment
+);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 require("dotenv").config();
 const express = require("express");
-const { body } = require("express-validator");
 const { validateToken, mockAuthMiddleware } = require("../middleware/auth");
+const { idempotency } = require("../middleware/idempotency");
+const { validate, refundValidation } = require("../middleware/validators");
 const paymentController = require("../controllers/paymentController");
 
 const router = express.Router();
@@ -14,17 +15,8 @@ router.use(
 // Process a refund (alternative route)
 router.post(
   "/",
-  [
-    body("transactionId").notEmpty().withMessage("Transaction ID is required"),
-    body("amount")
-      .optional()
-      .isFloat({ min: 0 })
-      .withMessage("Amount must be a positive number"),
-    body("reason")
-      .optional()
-      .isString()
-      .withMessage("Reason must be a valid string"),
-  ],
+  validate(refundValidation),
+  idempotency(),
   paymentController.processRefund
 );
 
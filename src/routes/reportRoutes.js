@@ -62,4 +62,17 @@ router.get(
   reportController.getCommissionAnalysisReport
 );
 
+/**
+ * @route   GET /api/reports/affiliate-earnings
+ * @desc    Get affiliate earnings report
+ * @access  Admin can view all, affiliates can view their own
+ */
+router.get(
+  "/affiliate-earnings",
+  process.env.NODE_ENV === "development"
+    ? mockEducatorAuthMiddleware()
+    : validateToken,
+  reportController.getAffiliateEarningsReport
+);
+
 module.exports = router;
@@ -0,0 +1,60 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const {
+  mockAuthMiddleware,
+  validateToken,
+  requireRole,
+  requireServiceKey,
+} = require("../middleware/auth");
+const {
+  validate,
+  subscribeValidation,
+  cancelSubscriptionValidation,
+  usageValidation,
+} = require("../middleware/validators");
+const { idempotency } = require("../middleware/idempotency");
+const subscriptionController = require("../controllers/subscriptionController");
+
+// Course consumption reported by the progress service (service key, no user)
+router.post(
+  "/usage",
+  requireServiceKey,
+  validate(usageValidation),
+  subscriptionController.recordUsage
+);
+
+router.use(
+  process.env.NODE_ENV === "development"
+    ? mockAuthMiddleware("Student", "std_123", "ali") : validateToken,
+  requireRole(["Student", "Admin"])
+);
+
+// Get the current user's subscriptions
+router.get("/", subscriptionController.getUserSubscriptions);
+
+// Subscribe to a plan
+router.post(
+  "/",
+  validate(subscribeValidation),
+  idempotency(),
+  subscriptionController.subscribe
+);
+
+// Cancel a subscription
+router.post(
+  "/:subscriptionId/cancel",
+  validate(cancelSubscriptionValidation),
+  subscriptionController.cancelSubscription
+);
+
+// Pause a subscription
+router.post("/:subscriptionId/pause", subscriptionController.pauseSubscription);
+
+// Resume a paused subscription
+router.post(
+  "/:subscriptionId/resume",
+  subscriptionController.resumeSubscription
+);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const {
+  mockAuthMiddleware,
+  validateToken,
+  requireRole,
+} = require("../middleware/auth");
+const {
+  validate,
+  paginationValidation,
+  walletCreditValidation,
+} = require("../middleware/validators");
+const walletController = require("../controllers/walletController");
+
+router.use(
+  process.env.NODE_ENV === "development"
+    ? mockAuthMiddleware("Student", "std_123", "ali") : validateToken,
+  requireRole(["Student", "Admin"])
+);
+
+// Get the current user's balance and history
+router.get(
+  "/",
+  validate(paginationValidation),
+  walletController.getMyWallet
+);
+
+// Get a user's balance and history (admin only)
+router.get(
+  "/users/:userId",
+  process.env.NODE_ENV === "development" ? mockAuthMiddleware() : validateToken,
+  requireRole("Admin"),
+  validate(paginationValidation),
+  walletController.getUserWallet
+);
+
+// Grant store credit (admin only)
+router.post(
+  "/credits",
+  process.env.NODE_ENV === "development" ? mockAuthMiddleware() : validateToken,
+  requireRole("Admin"),
+  validate(walletCreditValidation),
+  walletController.grantCredit
+);
+
+module.exports = router;
@@ -1,11 +1,17 @@
 const app = require('./index');
 const { logger } = require('./utils/logger');
+const config = require('./config');
+const { startJobs } = require('./jobs');
 
 const PORT = process.env.PORT || 5002;
 const server = app.listen(PORT, () => {
   logger.info(`Payment service running on port ${PORT}`);
 });
 
+if (config.jobs.enabled) {
+  startJobs();
+}
+
 process.on('unhandledRejection', (reason, promise) => {
     
   logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
@@ -1,7 +1,9 @@
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 const prisma = require("../config/db");
 const { logger, auditLogger } = require("../utils/logger");
 const { AppError } = require("../middleware/errorHandler");
+const { getPaymentGateway } = require("./paymentGateways");
+
+const gateway = getPaymentGateway();
 
 const stripeAccount = async (req) => {
   try {
@@ -19,7 +21,7 @@ const stripeAccount = async (req) => {
     }
 
     // Create a login link for the educator to access their Stripe dashboard
-    const loginLink = await stripe.accounts.createLoginLink(
+    const loginLink = await gateway.createLoginLink(
       educatorStripeAccount.stripeAccountId,
       {
         redirect_url: `${process.env.FRONT_END_URL}/educator/stripe-account`,
@@ -54,7 +56,7 @@ const createEducatorStripeAccount = async (req) => {
     }
 
     // Create the Stripe Connect Custom account
-    // const account = await stripe.accounts.create({
+    // const account = await gateway.createConnectedAccount({
     //   type: "custom",
     //   country: "US",
     //   email: req.body.email,
@@ -97,14 +99,14 @@ const createEducatorStripeAccount = async (req) => {
     //   },
     // });
 
-    const account = await stripe.accounts.create({
+    const account = await gateway.createConnectedAccount({
       type: "express",
       country: "US",
       email: req.user.email,
     });
 
     // Create Stripe express account
-    const accountLink = await stripe.accountLinks.create({
+    const accountLink = await gateway.createAccountLink({
       account: account.id,
       refresh_url: `${process.env.FRONT_END_URL}/educator/stripe-account?refresh=true`,
       return_url: `${process.env.FRONT_END_URL}/educator/stripe-account?success=true`,
@@ -188,7 +190,7 @@ const deleteEducatorStripeAccount = async (req, account) => {
     }
 
     // Delete the Stripe account
-    await stripe.accounts.del(account);
+    await gateway.deleteConnectedAccount(account);
 
     // Delete the local Stripe account record
     await prisma.stripeAccount.delete({
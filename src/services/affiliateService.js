@@ -0,0 +1,347 @@
+const prisma = require("../config/db");
+const config = require("../config");
+const { logger, auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const { Decimal, toDecimal, roundMoney } = require("../utils/money");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cookie holding the referral link click a later checkout is attributed to
+const REFERRAL_COOKIE = "referral_click";
+
+const AFFILIATE_FIELDS = [
+  "name",
+  "commissionPercentage",
+  "cookieWindowDays",
+  "status",
+];
+
+/**
+ * Normalize a referral code so lookups are case-insensitive
+ */
+const normalizeCode = (code) => code.trim().toUpperCase();
+
+/**
+ * Pick the editable affiliate fields out of a request body
+ */
+const toAffiliateData = (data) => {
+  const affiliateData = {};
+  AFFILIATE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) affiliateData[field] = data[field];
+  });
+  return affiliateData;
+};
+
+/**
+ * Read the referral link click from a request's Cookie header
+ * @param {string} [cookieHeader]
+ * @returns {string|null} Click ID
+ */
+const readReferralCookie = (cookieHeader) => {
+  const cookie = (cookieHeader || "")
+    .split(";")
+    .map((part) => part.trim().split("="))
+    .find(([name]) => name === REFERRAL_COOKIE);
+  return cookie?.[1] ? decodeURIComponent(cookie[1]) : null;
+};
+
+/**
+ * List affiliates
+ */
+const listAffiliates = async (filters = {}, page = 1, limit = 20) => {
+  const skip = (page - 1) * limit;
+
+  const where = {};
+  if (filters.status) where.status = filters.status;
+
+  try {
+    const [affiliates, totalCount] = await Promise.all([
+      prisma.affiliate.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: limit,
+      }),
+      prisma.affiliate.count({ where }),
+    ]);
+
+    return {
+      affiliates,
+      pagination: {
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit),
+        page,
+        limit,
+      },
+    };
+  } catch (error) {
+    throw new AppError(
+      "fetching_err",
+      `Error retrieving affiliates: ${error.message}`,
+      500
+    );
+  }
+};
+
+/**
+ * Get an affiliate
+ * @param {string} affiliateId - Affiliate ID
+ * @throws {AppError} If there is no such affiliate
+ */
+const getAffiliateById = async (affiliateId) => {
+  const affiliate = await prisma.affiliate.findUnique({
+    where: { id: affiliateId },
+  });
+  if (!affiliate) {
+    throw new AppError("affiliate_not_found_err", "Affiliate not found", 404);
+  }
+  return affiliate;
+};
+
+/**
+ * Get the affiliate account of a user
+ * @param {string} userId - Instructor or partner
+ * @throws {AppError} If the user is not an affiliate
+ */
+const getAffiliateByUserId = async (userId) => {
+  const affiliate = await prisma.affiliate.findUnique({ where: { userId } });
+  if (!affiliate) {
+    throw new AppError("affiliate_not_found_err", "Affiliate not found", 404);
+  }
+  return affiliate;
+};
+
+/**
+ * Make a user an affiliate with their own referral code
+ */
+const createAffiliate = async (data, user) => {
+  const affiliate = await prisma.affiliate.create({
+    data: {
+      cookieWindowDays: config.affiliates.cookieWindowDays,
+      ...toAffiliateData(data),
+      userId: data.userId,
+      code: normalizeCode(data.code),
+      createdBy: user.id,
+    },
+  });
+
+  auditLogger.log(
+    "AFFILIATE_CREATED",
+    user.id,
+    `Affiliate ${affiliate.code} created for user ${affiliate.userId} (${affiliate.commissionPercentage}%)`,
+    null,
+    { affiliateId: affiliate.id }
+  );
+
+  return affiliate;
+};
+
+/**
+ * Update an affiliate. Referrals already made keep the share they were
+ * made with.
+ */
+const updateAffiliate = async (affiliateId, data, user) => {
+  const existing = await getAffiliateById(affiliateId);
+
+  const changes = toAffiliateData(data);
+  const affiliate = await prisma.affiliate.update({
+    where: { id: affiliateId },
+    data: changes,
+  });
+
+  auditLogger.log(
+    "AFFILIATE_UPDATED",
+    user.id,
+    `Affiliate ${affiliate.code} updated`,
+    null,
+    {
+      affiliateId,
+      previous: {
+        commissionPercentage: existing.commissionPercentage,
+        cookieWindowDays: existing.cookieWindowDays,
+        status: existing.status,
+      },
+      changes,
+    }
+  );
+
+  return affiliate;
+};
+
+/**
+ * Record that someone followed an affiliate's referral link
+ * @param {string} code - Referral code in the link
+ * @param {string} [courseId] - Course the link points to
+ * @returns {Promise<Object>} { click, affiliate, expiresAt }
+ * @throws {AppError} If the code is unknown or the affiliate suspended
+ */
+const trackClick = async (code, courseId) => {
+  const affiliate = await prisma.affiliate.findUnique({
+    where: { code: normalizeCode(code) },
+  });
+  if (!affiliate || affiliate.status !== "ACTIVE") {
+    throw new AppError("affiliate_not_found_err", "Affiliate not found", 404);
+  }
+
+  const click = await prisma.referralClick.create({
+    data: { affiliateId: affiliate.id, courseId: courseId || null },
+  });
+
+  return {
+    click,
+    affiliate,
+    expiresAt: new Date(
+      click.createdAt.getTime() + affiliate.cookieWindowDays * DAY_MS
+    ),
+  };
+};
+
+/**
+ * Find the affiliate a checkout is attributed to: the referral code given
+ * at checkout, or else the link click in the buyer's cookie while it is
+ * within the affiliate's window. A referral that does not apply is ignored
+ * rather than failing the purchase.
+ * @param {Object} source - { referralCode, clickId }
+ * @param {string} buyerId - Affiliates do not earn on their own purchases
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} { affiliate, clickId }
+ */
+const resolveReferral = async ({ referralCode, clickId }, buyerId, now = new Date()) => {
+  let referral = null;
+  if (referralCode) {
+    const affiliate = await prisma.affiliate.findUnique({
+      where: { code: normalizeCode(referralCode) },
+    });
+    referral = affiliate && { affiliate, clickId: null };
+  } else if (clickId) {
+    const click = await prisma.referralClick.findUnique({
+      where: { id: clickId },
+      include: { affiliate: true },
+    });
+    const windowEnd =
+      click &&
+      click.createdAt.getTime() + click.affiliate.cookieWindowDays * DAY_MS;
+    referral =
+      click && windowEnd > now.getTime()
+        ? { affiliate: click.affiliate, clickId: click.id }
+        : null;
+  }
+
+  if (
+    !referral ||
+    referral.affiliate.status !== "ACTIVE" ||
+    referral.affiliate.userId === buyerId
+  ) {
+    if (referralCode || clickId) {
+      logger.debug(
+        `Referral ${referralCode || clickId} not applied for user ${buyerId}`
+      );
+    }
+    return null;
+  }
+  return referral;
+};
+
+/**
+ * Carve the affiliate's share of a sale out of the platform commission,
+ * so the educator's earnings are the same with or without a referral
+ * @param {number} amount - Sale amount, net of tax
+ * @param {number} platformCommission - Commission before the referral
+ * @param {Object|null} referral - From resolveReferral
+ * @param {string} currency
+ * @returns {Object} { platformCommission, affiliateCommission }
+ */
+const splitAffiliateCommission = (amount, platformCommission, referral, currency) => {
+  if (!referral || toDecimal(amount).lte(0)) {
+    return { platformCommission, affiliateCommission: new Decimal(0) };
+  }
+
+  const affiliateCommission = Decimal.min(
+    roundMoney(
+      toDecimal(amount).times(referral.affiliate.commissionPercentage).div(100),
+      currency
+    ),
+    platformCommission
+  );
+  return {
+    platformCommission: roundMoney(
+      toDecimal(platformCommission).minus(affiliateCommission),
+      currency
+    ),
+    affiliateCommission,
+  };
+};
+
+/**
+ * Record the referral of a purchase. Runs inside the payment's database
+ * transaction.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} transaction - Payment transaction of the purchase
+ * @param {Object|null} referral - From resolveReferral
+ * @returns {Promise<Object|null>} The referral record
+ */
+const recordReferral = async (tx, transaction, referral) => {
+  if (!referral || !(transaction.affiliateCommission > 0)) {
+    return null;
+  }
+
+  return tx.referral.create({
+    data: {
+      affiliateId: referral.affiliate.id,
+      clickId: referral.clickId,
+      transactionId: transaction.id,
+      userId: transaction.userId,
+      courseId: transaction.courseId,
+      currency: transaction.currency,
+      percentage: referral.affiliate.commissionPercentage,
+      commission: transaction.affiliateCommission,
+    },
+  });
+};
+
+/**
+ * Claw back the affiliate's share of a refunded purchase
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} transactionId - Refunded payment
+ * @param {number} amount - Share taken back, from calculateRefundAmounts
+ */
+const clawBackReferral = async (tx, transactionId, amount) => {
+  if (!(amount > 0)) return;
+
+  await tx.referral.update({
+    where: { transactionId },
+    data: { refundedCommission: { increment: amount } },
+  });
+};
+
+/**
+ * Give the affiliate back the share a refund clawed back when the refund
+ * fails
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} transactionId - Payment the refund was for
+ * @param {number} amount - Share the refund clawed back
+ */
+const restoreReferral = async (tx, transactionId, amount) => {
+  if (!(amount > 0)) return;
+
+  await tx.referral.update({
+    where: { transactionId },
+    data: { refundedCommission: { decrement: amount } },
+  });
+};
+
+module.exports = {
+  REFERRAL_COOKIE,
+  readReferralCookie,
+  listAffiliates,
+  getAffiliateById,
+  getAffiliateByUserId,
+  createAffiliate,
+  updateAffiliate,
+  trackClick,
+  resolveReferral,
+  splitAffiliateCommission,
+  recordReferral,
+  clawBackReferral,
+  restoreReferral,
+};
@@ -0,0 +1,354 @@
+const prisma = require("../config/db");
+const config = require("../config");
+const { auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const { Decimal, toDecimal, roundMoney } = require("../utils/money");
+
+const SCOPES = {
+  GLOBAL: "GLOBAL",
+  EDUCATOR: "EDUCATOR",
+  COURSE: "COURSE",
+  CATEGORY: "CATEGORY",
+};
+
+// On equal priority the more specific rule wins
+const SPECIFICITY = {
+  [SCOPES.COURSE]: 3,
+  [SCOPES.EDUCATOR]: 2,
+  [SCOPES.CATEGORY]: 1,
+  [SCOPES.GLOBAL]: 0,
+};
+
+// The field naming what a rule of each scope is for
+const SCOPE_TARGETS = {
+  [SCOPES.EDUCATOR]: "educatorId",
+  [SCOPES.COURSE]: "courseId",
+  [SCOPES.CATEGORY]: "category",
+};
+
+const RULE_FIELDS = [
+  "name",
+  "scope",
+  "educatorId",
+  "courseId",
+  "category",
+  "percentage",
+  "fixedFee",
+  "currency",
+  "minAmount",
+  "priority",
+  "validFrom",
+  "validUntil",
+  "active",
+];
+
+/**
+ * Pick the editable rule fields out of a request body
+ */
+const toRuleData = (data) => {
+  const ruleData = {};
+  RULE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) ruleData[field] = data[field];
+  });
+  ["validFrom", "validUntil"].forEach((field) => {
+    if (ruleData[field]) ruleData[field] = new Date(ruleData[field]);
+  });
+  if (ruleData.currency) ruleData.currency = ruleData.currency.toUpperCase();
+  return ruleData;
+};
+
+/**
+ * Check that a rule names what its scope is for, and clear the targets of
+ * the other scopes so a rule never matches on a field it is not scoped by
+ * @param {Object} rule - The rule as it will be stored
+ * @returns {Object} Target fields to store
+ * @throws {AppError} If the rule cannot be stored
+ */
+const scopeTargetFields = (rule) => {
+  const target = SCOPE_TARGETS[rule.scope];
+  if (target && !rule[target]) {
+    throw new AppError(
+      "commission_rule_err",
+      `A ${rule.scope} rule requires ${target}`,
+      400
+    );
+  }
+  if (toDecimal(rule.fixedFee).gt(0) && !rule.currency) {
+    throw new AppError(
+      "commission_rule_err",
+      "A rule with a fixed fee requires the currency of the fee",
+      400
+    );
+  }
+  if (rule.validFrom && rule.validUntil && rule.validUntil <= rule.validFrom) {
+    throw new AppError(
+      "commission_rule_err",
+      "validUntil must be after validFrom",
+      400
+    );
+  }
+
+  return Object.fromEntries(
+    Object.values(SCOPE_TARGETS).map((field) => [
+      field,
+      field === target ? rule[field] : null,
+    ])
+  );
+};
+
+/**
+ * Whether a rule applies to a sale at a given time
+ */
+const ruleMatches = (rule, sale, now) =>
+  (!rule.validFrom || rule.validFrom <= now) &&
+  (!rule.validUntil || rule.validUntil > now) &&
+  (!rule.currency ||
+    rule.currency.toUpperCase() === (sale.currency || "USD").toUpperCase()) &&
+  (!rule.minAmount || toDecimal(sale.amount).gte(rule.minAmount));
+
+/**
+ * Order rules from the one that applies down: highest priority, then the
+ * most specific scope, then the largest volume tier, then the newest
+ */
+const compareRules = (a, b) =>
+  b.priority - a.priority ||
+  SPECIFICITY[b.scope] - SPECIFICITY[a.scope] ||
+  toDecimal(b.minAmount).comparedTo(toDecimal(a.minAmount)) ||
+  b.createdAt - a.createdAt;
+
+/**
+ * Find the commission rule that applies to a sale
+ * @param {Object} sale - { amount, currency, courseId, educatorId, category }
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} The rule, or null to use the default
+ */
+const findCommissionRule = async (sale, now = new Date()) => {
+  const candidates = await prisma.commissionRule.findMany({
+    where: {
+      active: true,
+      OR: [
+        { scope: SCOPES.GLOBAL },
+        { scope: SCOPES.EDUCATOR, educatorId: sale.educatorId },
+        { scope: SCOPES.COURSE, courseId: sale.courseId },
+        ...(sale.category
+          ? [{ scope: SCOPES.CATEGORY, category: sale.category }]
+          : []),
+      ],
+    },
+  });
+
+  return (
+    candidates
+      .filter((rule) => ruleMatches(rule, sale, now))
+      .sort(compareRules)[0] || null
+  );
+};
+
+/**
+ * Split a sale between the platform and the educator. The percentage and
+ * fixed fee come from the commission rule for the sale, and are taken
+ * after an estimate of the card processing fee. The platform never takes
+ * more than half of the sale.
+ * @param {number|Object} amount - Sale amount, net of tax
+ * @param {Object} sale - { courseId, educatorId, category, currency }
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { platformCommission, educatorEarnings,
+ *   commissionRuleId }
+ */
+const calculatePlatformCommission = async (amount, sale, now = new Date()) => {
+  const price = toDecimal(amount);
+  // Free enrollments carry no fees
+  if (price.lte(0)) {
+    return {
+      platformCommission: new Decimal(0),
+      educatorEarnings: new Decimal(0),
+      commissionRuleId: null,
+    };
+  }
+
+  const rule = await findCommissionRule({ ...sale, amount: price }, now);
+  const percentage = rule
+    ? rule.percentage
+    : config.stripe.platformCommissionPercentage;
+  const fixedFee = rule ? rule.fixedFee : 0;
+
+  const stripeFee = price.times(0.029).plus(0.3);
+  const netAmount = price.minus(stripeFee);
+  // A rule can waive commission; otherwise at least 1 is taken
+  const commission = netAmount.times(percentage).div(100).plus(fixedFee);
+  const platformCommission = roundMoney(
+    Decimal.min(
+      commission.gt(0) ? Decimal.max(commission, 1) : 0,
+      price.times(0.5)
+    ),
+    sale.currency
+  );
+  const educatorEarnings = roundMoney(
+    netAmount.minus(platformCommission),
+    sale.currency
+  );
+
+  return {
+    platformCommission,
+    educatorEarnings,
+    commissionRuleId: rule?.id || null,
+  };
+};
+
+/**
+ * List commission rules, highest priority first
+ * @param {Object} filters - { scope, active, educatorId, courseId, category }
+ * @param {number} [page]
+ * @param {number} [limit]
+ * @returns {Promise<Object>} { rules, pagination }
+ */
+const listCommissionRules = async (filters = {}, page = 1, limit = 20) => {
+  const skip = (page - 1) * limit;
+
+  const where = {};
+  if (filters.scope) where.scope = filters.scope;
+  if (filters.active !== undefined) where.active = filters.active;
+  if (filters.educatorId) where.educatorId = filters.educatorId;
+  if (filters.courseId) where.courseId = filters.courseId;
+  if (filters.category) where.category = filters.category;
+
+  try {
+    const [rules, totalCount] = await Promise.all([
+      prisma.commissionRule.findMany({
+        where,
+        orderBy: [{ priority: "desc" }, { createdAt: "desc" }],
+        skip,
+        take: limit,
+      }),
+      prisma.commissionRule.count({ where }),
+    ]);
+
+    return {
+      rules,
+      pagination: {
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit),
+        page,
+        limit,
+      },
+    };
+  } catch (error) {
+    throw new AppError(
+      "fetching_err",
+      `Error retrieving commission rules: ${error.message}`,
+      500
+    );
+  }
+};
+
+/**
+ * Get a commission rule
+ * @param {string} ruleId - Commission rule ID
+ * @throws {AppError} If there is no such rule
+ */
+const getCommissionRuleById = async (ruleId) => {
+  const rule = await prisma.commissionRule.findUnique({ where: { id: ruleId } });
+  if (!rule) {
+    throw new AppError(
+      "commission_rule_not_found_err",
+      "Commission rule not found",
+      404
+    );
+  }
+  return rule;
+};
+
+/**
+ * Create a commission rule
+ */
+const createCommissionRule = async (data, user) => {
+  const ruleData = toRuleData(data);
+  const rule = await prisma.commissionRule.create({
+    data: {
+      ...ruleData,
+      ...scopeTargetFields(ruleData),
+      createdBy: user.id,
+    },
+  });
+
+  auditLogger.log(
+    "COMMISSION_RULE_CREATED",
+    user.id,
+    `Commission rule "${rule.name}" created (${rule.scope} ${rule.percentage}%)`,
+    null,
+    { ruleId: rule.id }
+  );
+
+  return rule;
+};
+
+/**
+ * Update a commission rule. Sales already made keep the split they were
+ * made with.
+ */
+const updateCommissionRule = async (ruleId, data, user) => {
+  const existing = await getCommissionRuleById(ruleId);
+
+  const changes = toRuleData(data);
+  const rule = await prisma.commissionRule.update({
+    where: { id: ruleId },
+    data: {
+      ...changes,
+      ...scopeTargetFields({ ...existing, ...changes }),
+    },
+  });
+
+  auditLogger.log(
+    "COMMISSION_RULE_UPDATED",
+    user.id,
+    `Commission rule "${rule.name}" updated`,
+    null,
+    {
+      ruleId,
+      previous: {
+        scope: existing.scope,
+        percentage: existing.percentage,
+        fixedFee: existing.fixedFee,
+        priority: existing.priority,
+        active: existing.active,
+      },
+      changes,
+    }
+  );
+
+  return rule;
+};
+
+/**
+ * Deactivate a commission rule. Rules are never deleted so the
+ * transactions they applied to keep pointing at them.
+ */
+const deactivateCommissionRule = async (ruleId, user) => {
+  await getCommissionRuleById(ruleId);
+
+  const rule = await prisma.commissionRule.update({
+    where: { id: ruleId },
+    data: { active: false },
+  });
+
+  auditLogger.log(
+    "COMMISSION_RULE_DEACTIVATED",
+    user.id,
+    `Commission rule "${rule.name}" deactivated`,
+    null,
+    { ruleId }
+  );
+
+  return rule;
+};
+
+module.exports = {
+  SCOPES,
+  findCommissionRule,
+  calculatePlatformCommission,
+  listCommissionRules,
+  getCommissionRuleById,
+  createCommissionRule,
+  updateCommissionRule,
+  deactivateCommissionRule,
+};
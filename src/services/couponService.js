@@ -0,0 +1,371 @@
+const prisma = require("../config/db");
+const { logger, auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const { applyDiscount } = require("../utils/paymentCalculator");
+const { toDecimal, roundMoney } = require("../utils/money");
+
+const COUPON_FIELDS = [
+  "description",
+  "discountType",
+  "discountValue",
+  "currency",
+  "validFrom",
+  "validUntil",
+  "maxRedemptions",
+  "perUserLimit",
+  "courseIds",
+  "educatorIds",
+  "active",
+];
+
+/**
+ * Normalize a coupon code so lookups are case-insensitive
+ */
+const normalizeCode = (code) => code.trim().toUpperCase();
+
+/**
+ * Pick the editable coupon fields out of a request body
+ */
+const toCouponData = (data) => {
+  const couponData = {};
+  COUPON_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) couponData[field] = data[field];
+  });
+  if (couponData.validFrom) couponData.validFrom = new Date(couponData.validFrom);
+  if (couponData.validUntil) couponData.validUntil = new Date(couponData.validUntil);
+  if (couponData.currency) couponData.currency = couponData.currency.toUpperCase();
+  return couponData;
+};
+
+/**
+ * List coupons
+ */
+const listCoupons = async (filters = {}, page = 1, limit = 20) => {
+  const skip = (page - 1) * limit;
+
+  const where = {};
+  if (filters.active !== undefined) where.active = filters.active;
+  if (filters.courseId) where.courseIds = { has: filters.courseId };
+  if (filters.educatorId) where.educatorIds = { has: filters.educatorId };
+
+  try {
+    const [coupons, totalCount] = await Promise.all([
+      prisma.coupon.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: limit,
+      }),
+      prisma.coupon.count({ where }),
+    ]);
+
+    return {
+      coupons,
+      pagination: {
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit),
+        page,
+        limit,
+      },
+    };
+  } catch (error) {
+    throw new AppError(
+      "fetching_err",
+      `Error retrieving coupons: ${error.message}`,
+      500
+    );
+  }
+};
+
+/**
+ * Get a coupon with its redemptions
+ */
+const getCouponById = async (couponId) => {
+  try {
+    const coupon = await prisma.coupon.findUnique({
+      where: { id: couponId },
+      include: {
+        redemptions: { orderBy: { createdAt: "desc" }, take: 50 },
+      },
+    });
+
+    if (!coupon) {
+      throw new AppError("coupon_not_found_err", "Coupon not found", 404);
+    }
+
+    return coupon;
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new AppError(
+      "fetching_err",
+      `Error retrieving coupon: ${error.message}`,
+      500
+    );
+  }
+};
+
+/**
+ * Create a coupon
+ */
+const createCoupon = async (data, user) => {
+  const coupon = await prisma.coupon.create({
+    data: {
+      ...toCouponData(data),
+      code: normalizeCode(data.code),
+      createdBy: user.id,
+    },
+  });
+
+  auditLogger.log(
+    "COUPON_CREATED",
+    user.id,
+    `Coupon ${coupon.code} created (${coupon.discountType} ${coupon.discountValue})`,
+    null,
+    { couponId: coupon.id }
+  );
+
+  return coupon;
+};
+
+/**
+ * Update a coupon. The code itself cannot change once created.
+ */
+const updateCoupon = async (couponId, data, user) => {
+  await getCouponById(couponId);
+
+  const changes = toCouponData(data);
+  const coupon = await prisma.coupon.update({
+    where: { id: couponId },
+    data: changes,
+  });
+
+  auditLogger.log(
+    "COUPON_UPDATED",
+    user.id,
+    `Coupon ${coupon.code} updated`,
+    null,
+    { couponId, changes }
+  );
+
+  return coupon;
+};
+
+/**
+ * Deactivate a coupon. Coupons are never deleted so past redemptions
+ * keep pointing at them.
+ */
+const deactivateCoupon = async (couponId, user) => {
+  await getCouponById(couponId);
+
+  const coupon = await prisma.coupon.update({
+    where: { id: couponId },
+    data: { active: false },
+  });
+
+  auditLogger.log(
+    "COUPON_DEACTIVATED",
+    user.id,
+    `Coupon ${coupon.code} deactivated`,
+    null,
+    { couponId }
+  );
+
+  return coupon;
+};
+
+/**
+ * Load a coupon by code and check it can still be used by this student.
+ * Course and educator restrictions are checked separately.
+ */
+const findUsableCoupon = async (code, userId, currency) => {
+  const coupon = await prisma.coupon.findUnique({
+    where: { code: normalizeCode(code) },
+  });
+
+  if (!coupon || !coupon.active) {
+    throw new AppError("coupon_invalid_err", "Coupon code is not valid", 400);
+  }
+
+  const now = new Date();
+  if (coupon.validFrom && coupon.validFrom > now) {
+    throw new AppError("coupon_invalid_err", "Coupon is not active yet", 400);
+  }
+  if (coupon.validUntil && coupon.validUntil < now) {
+    throw new AppError("coupon_invalid_err", "Coupon has expired", 400);
+  }
+
+  if (
+    coupon.maxRedemptions !== null &&
+    coupon.redemptionCount >= coupon.maxRedemptions
+  ) {
+    throw new AppError(
+      "coupon_invalid_err",
+      "Coupon has reached its usage limit",
+      400
+    );
+  }
+
+  if (
+    coupon.discountType === "FIXED" &&
+    coupon.currency &&
+    coupon.currency !== currency.toUpperCase()
+  ) {
+    throw new AppError(
+      "coupon_invalid_err",
+      `Coupon can only be used for ${coupon.currency} purchases`,
+      400
+    );
+  }
+
+  if (coupon.perUserLimit !== null) {
+    const userRedemptions = await prisma.couponRedemption.count({
+      where: { couponId: coupon.id, userId },
+    });
+    if (userRedemptions >= coupon.perUserLimit) {
+      throw new AppError(
+        "coupon_invalid_err",
+        "You have already used this coupon",
+        400
+      );
+    }
+  }
+
+  return coupon;
+};
+
+/**
+ * Whether a coupon's course and educator restrictions allow a course
+ */
+const couponAppliesTo = (coupon, courseId, educatorId) =>
+  (coupon.courseIds.length === 0 || coupon.courseIds.includes(courseId)) &&
+  (coupon.educatorIds.length === 0 || coupon.educatorIds.includes(educatorId));
+
+/**
+ * Work out the discounted price of one item, rounded in its currency
+ */
+const priceWithCoupon = (coupon, amount, currency) => {
+  const finalAmount = roundMoney(
+    applyDiscount(amount, coupon.discountType, coupon.discountValue),
+    currency
+  );
+  const discountAmount = roundMoney(
+    toDecimal(amount).minus(finalAmount),
+    currency
+  );
+  return { discountAmount, finalAmount };
+};
+
+/**
+ * Check that a coupon can be used for a purchase and work out the discount
+ * @param {string} code - Coupon code entered by the student
+ * @param {Object} purchase - { userId, courseId, educatorId, amount, currency }
+ * @throws {AppError} If the coupon does not exist or cannot be applied
+ * @returns {Promise<Object>} { coupon, discountAmount, finalAmount }
+ */
+const validateCoupon = async (code, purchase) => {
+  const { userId, courseId, educatorId, amount, currency } = purchase;
+
+  const coupon = await findUsableCoupon(code, userId, currency);
+
+  if (coupon.courseIds.length > 0 && !coupon.courseIds.includes(courseId)) {
+    throw new AppError(
+      "coupon_invalid_err",
+      "Coupon does not apply to this course",
+      400
+    );
+  }
+  if (
+    coupon.educatorIds.length > 0 &&
+    !coupon.educatorIds.includes(educatorId)
+  ) {
+    throw new AppError(
+      "coupon_invalid_err",
+      "Coupon does not apply to this educator's courses",
+      400
+    );
+  }
+
+  return { coupon, ...priceWithCoupon(coupon, amount, currency) };
+};
+
+/**
+ * Check a coupon against a cart. A coupon counts as a single use, so it is
+ * applied to the most expensive course in the cart it is valid for.
+ * @param {string} code - Coupon code entered by the student
+ * @param {Object} cart - { userId, currency, items: [{ courseId, educatorId, amount }] }
+ * @throws {AppError} If the coupon cannot be used for any course in the cart
+ * @returns {Promise<Object>} { coupon, courseId, discountAmount, finalAmount }
+ */
+const validateCartCoupon = async (code, cart) => {
+  const { userId, currency, items } = cart;
+
+  const coupon = await findUsableCoupon(code, userId, currency);
+
+  const eligible = items
+    .filter((item) => couponAppliesTo(coupon, item.courseId, item.educatorId))
+    .sort((a, b) => toDecimal(b.amount).comparedTo(a.amount));
+
+  if (eligible.length === 0) {
+    throw new AppError(
+      "coupon_invalid_err",
+      "Coupon does not apply to any course in the cart",
+      400
+    );
+  }
+
+  const item = eligible[0];
+  return {
+    coupon,
+    courseId: item.courseId,
+    ...priceWithCoupon(coupon, item.amount, currency),
+  };
+};
+
+/**
+ * Record a coupon redemption. Runs inside the payment's database transaction.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} redemption - { coupon, userId, courseId, transactionId, discountAmount }
+ */
+const redeemCoupon = async (tx, redemption) => {
+  const { coupon, userId, courseId, transactionId, discountAmount } =
+    redemption;
+
+  const couponRedemption = await tx.couponRedemption.create({
+    data: {
+      couponId: coupon.id,
+      transactionId,
+      userId,
+      courseId,
+      discountAmount,
+    },
+  });
+
+  const updated = await tx.coupon.update({
+    where: { id: coupon.id },
+    data: { redemptionCount: { increment: 1 } },
+  });
+
+  // The charge has already succeeded at this point, so an over-redemption
+  // from concurrent checkouts is logged rather than rolled back
+  if (
+    updated.maxRedemptions !== null &&
+    updated.redemptionCount > updated.maxRedemptions
+  ) {
+    logger.warn(
+      `Coupon ${coupon.code} redeemed ${updated.redemptionCount} times, limit is ${updated.maxRedemptions}`
+    );
+  }
+
+  return couponRedemption;
+};
+
+module.exports = {
+  listCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deactivateCoupon,
+  validateCoupon,
+  validateCartCoupon,
+  redeemCoupon,
+};
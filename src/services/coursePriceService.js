@@ -0,0 +1,263 @@
+const prisma = require("../config/db");
+const config = require("../config");
+const courseCatalog = require("../config/courseCatalog");
+const { logger, auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+
+/**
+ * List catalog prices
+ */
+const listCoursePrices = async (filters = {}, page = 1, limit = 20) => {
+  const { educatorId, active } = filters;
+  const skip = (page - 1) * limit;
+
+  const where = {};
+  if (educatorId) where.educatorId = educatorId;
+  if (active !== undefined) where.active = active;
+
+  try {
+    const [coursePrices, totalCount] = await Promise.all([
+      prisma.coursePrice.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: limit,
+      }),
+      prisma.coursePrice.count({ where }),
+    ]);
+
+    return {
+      coursePrices,
+      pagination: {
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit),
+        page,
+        limit,
+      },
+    };
+  } catch (error) {
+    throw new AppError(
+      "fetching_err",
+      `Error retrieving course prices: ${error.message}`,
+      500
+    );
+  }
+};
+
+/**
+ * Get the catalog entry of a course
+ */
+const getCoursePrice = async (courseId) => {
+  try {
+    const coursePrice = await prisma.coursePrice.findUnique({
+      where: { courseId },
+    });
+
+    if (!coursePrice) {
+      throw new AppError(
+        "course_price_not_found_err",
+        `No price found for course ${courseId}`,
+        404
+      );
+    }
+
+    return coursePrice;
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new AppError(
+      "fetching_err",
+      `Error retrieving course price: ${error.message}`,
+      500
+    );
+  }
+};
+
+/**
+ * Add a course to the catalog
+ */
+const createCoursePrice = async (data, user) => {
+  const {
+    courseId,
+    educatorId,
+    title,
+    category,
+    amount,
+    currency = "USD",
+    active,
+    launchDate,
+  } = data;
+
+  const coursePrice = await prisma.coursePrice.create({
+    data: {
+      courseId,
+      educatorId,
+      title,
+      category,
+      amount,
+      currency: currency.toUpperCase(),
+      active,
+      launchDate: launchDate ? new Date(launchDate) : null,
+    },
+  });
+
+  auditLogger.log(
+    "COURSE_PRICE_CREATED",
+    user.id,
+    `Price of ${amount} ${coursePrice.currency} set for course ${courseId}`,
+    null,
+    { courseId, educatorId }
+  );
+
+  return coursePrice;
+};
+
+/**
+ * Update the catalog entry of a course
+ */
+const updateCoursePrice = async (courseId, data, user) => {
+  const existing = await getCoursePrice(courseId);
+
+  const updateData = {};
+  ["educatorId", "title", "category", "amount", "active"].forEach((field) => {
+    if (data[field] !== undefined) updateData[field] = data[field];
+  });
+  if (data.currency) updateData.currency = data.currency.toUpperCase();
+  if (data.launchDate !== undefined) {
+    updateData.launchDate = data.launchDate ? new Date(data.launchDate) : null;
+  }
+
+  const coursePrice = await prisma.coursePrice.update({
+    where: { id: existing.id },
+    data: updateData,
+  });
+
+  auditLogger.log(
+    "COURSE_PRICE_UPDATED",
+    user.id,
+    `Price of course ${courseId} updated`,
+    null,
+    {
+      courseId,
+      previous: {
+        amount: existing.amount,
+        currency: existing.currency,
+        educatorId: existing.educatorId,
+        active: existing.active,
+      },
+      changes: updateData,
+    }
+  );
+
+  return coursePrice;
+};
+
+/**
+ * Remove a course from the catalog
+ */
+const deleteCoursePrice = async (courseId, user) => {
+  const existing = await getCoursePrice(courseId);
+
+  await prisma.coursePrice.delete({ where: { id: existing.id } });
+
+  auditLogger.log(
+    "COURSE_PRICE_DELETED",
+    user.id,
+    `Price of course ${courseId} removed from the catalog`,
+    null,
+    { courseId, amount: existing.amount, currency: existing.currency }
+  );
+};
+
+/**
+ * Resolve the authoritative price and educator of a course.
+ * Looks up the catalog first and falls back to the local stand-in for
+ * the course service when the course has no catalog entry.
+ * @param {string} courseId - Course ID
+ * @throws {AppError} If the course is unknown or not for sale
+ * @returns {Promise<Object>} { courseId, educatorId, title, category, amount,
+ *   currency, launchDate, source }
+ */
+const resolveCoursePrice = async (courseId) => {
+  const coursePrice = await prisma.coursePrice.findUnique({
+    where: { courseId },
+  });
+
+  if (coursePrice) {
+    if (!coursePrice.active) {
+      throw new AppError(
+        "course_unavailable_err",
+        `Course ${courseId} is not available for purchase`,
+        400
+      );
+    }
+
+    return {
+      courseId,
+      educatorId: coursePrice.educatorId,
+      title: coursePrice.title,
+      category: coursePrice.category,
+      amount: coursePrice.amount,
+      currency: coursePrice.currency,
+      launchDate: coursePrice.launchDate,
+      source: "catalog",
+    };
+  }
+
+  if (courseCatalog.enabled && courseCatalog.courses[courseId]) {
+    logger.debug(`Using stand-in course catalog price for ${courseId}`);
+    return { ...courseCatalog.courses[courseId], source: "fallback" };
+  }
+
+  throw new AppError(
+    "course_price_not_found_err",
+    `No price found for course ${courseId}`,
+    404
+  );
+};
+
+/**
+ * How long before launch a pre-order can be placed, so that its card
+ * authorization is still valid, with a margin, on launch day
+ * @returns {number} Milliseconds
+ */
+const getPreorderWindowMs = () => {
+  const { authorizationDays, voidMarginHours } = config.preorders;
+  return (authorizationDays * 24 - voidMarginHours) * 60 * 60 * 1000;
+};
+
+/**
+ * Check that a course can be pre-ordered now
+ * @param {Object} coursePrice - Result of resolveCoursePrice
+ * @param {Date} [now]
+ * @throws {AppError} If the course has launched or pre-orders are not open yet
+ */
+const assertPreorderOpen = (coursePrice, now = new Date()) => {
+  const { courseId, launchDate } = coursePrice;
+  if (!launchDate || launchDate <= now) {
+    throw new AppError(
+      "preorder_err",
+      `Course ${courseId} is not sold as a pre-order`,
+      400
+    );
+  }
+
+  const opensAt = new Date(launchDate.getTime() - getPreorderWindowMs());
+  if (now < opensAt) {
+    throw new AppError(
+      "preorder_err",
+      `Pre-orders for course ${courseId} open on ${opensAt.toISOString()}`,
+      400
+    );
+  }
+};
+
+module.exports = {
+  listCoursePrices,
+  getCoursePrice,
+  createCoursePrice,
+  updateCoursePrice,
+  deleteCoursePrice,
+  resolveCoursePrice,
+  getPreorderWindowMs,
+  assertPreorderOpen,
+};
@@ -0,0 +1,204 @@
+const prisma = require("../config/db");
+const { AppError } = require("../middleware/errorHandler");
+const { getPaymentGateway } = require("./paymentGateways");
+
+const gateway = getPaymentGateway();
+
+/**
+ * Find a student's Stripe customer, creating it the first time. When a
+ * payment method is given it is attached, so it can be charged again
+ * off-session and shows up among the saved cards.
+ * @param {Object} user - Authenticated user
+ * @param {string} [paymentMethod] - Stripe payment method ID
+ * @returns {Promise<string>} Stripe customer ID
+ */
+const getOrCreateCustomer = async (user, paymentMethod) => {
+  let customer = await prisma.stripeCustomer.findUnique({
+    where: { userId: user.id },
+  });
+
+  if (!customer) {
+    // The key makes concurrent first checkouts share one customer
+    const stripeCustomer = await gateway.createCustomer(
+      {
+        email: user.email,
+        name: user.name,
+        metadata: { userId: user.id },
+      },
+      { idempotencyKey: `customer_${user.id}` }
+    );
+    customer = await prisma.stripeCustomer.upsert({
+      where: { userId: user.id },
+      create: { userId: user.id, stripeCustomerId: stripeCustomer.id },
+      update: {},
+    });
+  }
+
+  if (paymentMethod) {
+    await gateway.attachPaymentMethod(paymentMethod, {
+      customer: customer.stripeCustomerId,
+    });
+  }
+
+  return customer.stripeCustomerId;
+};
+
+/**
+ * The parts of a saved card that are safe to show
+ * @param {Object} paymentMethod - Stripe payment method
+ * @param {string|null} defaultId - The customer's default payment method
+ */
+const formatPaymentMethod = (paymentMethod, defaultId) => ({
+  id: paymentMethod.id,
+  type: paymentMethod.type,
+  brand: paymentMethod.card?.brand || null,
+  last4: paymentMethod.card?.last4 || null,
+  expMonth: paymentMethod.card?.exp_month || null,
+  expYear: paymentMethod.card?.exp_year || null,
+  isDefault: paymentMethod.id === defaultId,
+});
+
+/**
+ * A saved payment method of the student, checked to belong to them
+ * @param {Object} user - Authenticated user
+ * @param {string} paymentMethodId - Stripe payment method ID
+ * @returns {Promise<Object>} { customer, paymentMethod }
+ * @throws {AppError} If the student has no such saved payment method
+ */
+const getSavedPaymentMethod = async (user, paymentMethodId) => {
+  const customer = await prisma.stripeCustomer.findUnique({
+    where: { userId: user.id },
+  });
+  const paymentMethod =
+    customer &&
+    (await gateway.retrievePaymentMethod(paymentMethodId).catch(() => null));
+
+  if (!paymentMethod || paymentMethod.customer !== customer.stripeCustomerId) {
+    throw new AppError(
+      "payment_method_not_found_err",
+      "Saved payment method not found",
+      404
+    );
+  }
+
+  return { customer, paymentMethod };
+};
+
+/**
+ * The student's saved cards, the default one first
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object[]>}
+ */
+const listPaymentMethods = async (user) => {
+  const customer = await prisma.stripeCustomer.findUnique({
+    where: { userId: user.id },
+  });
+  if (!customer) {
+    return [];
+  }
+
+  const { data } = await gateway.listPaymentMethods({
+    customer: customer.stripeCustomerId,
+    type: "card",
+  });
+
+  return data
+    .map((paymentMethod) =>
+      formatPaymentMethod(paymentMethod, customer.defaultPaymentMethodId)
+    )
+    .sort((a, b) => b.isDefault - a.isDefault);
+};
+
+/**
+ * Start saving a card. The client confirms the returned SetupIntent with
+ * Stripe.js, which attaches the card to the student's customer.
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { setupIntentId, clientSecret }
+ */
+const createSetupIntent = async (user) => {
+  const customerId = await getOrCreateCustomer(user);
+
+  const setupIntent = await gateway.createSetupIntent({
+    customer: customerId,
+    payment_method_types: ["card"],
+    usage: "off_session",
+    metadata: { userId: user.id },
+  });
+
+  return {
+    setupIntentId: setupIntent.id,
+    clientSecret: setupIntent.client_secret,
+  };
+};
+
+/**
+ * Make a saved card the one charged by default
+ * @param {Object} user - Authenticated user
+ * @param {string} paymentMethodId - Stripe payment method ID
+ * @returns {Promise<Object>} The saved card
+ */
+const setDefaultPaymentMethod = async (user, paymentMethodId) => {
+  const { customer, paymentMethod } = await getSavedPaymentMethod(
+    user,
+    paymentMethodId
+  );
+
+  await gateway.updateCustomer(customer.stripeCustomerId, {
+    invoice_settings: { default_payment_method: paymentMethodId },
+  });
+  await prisma.stripeCustomer.update({
+    where: { id: customer.id },
+    data: { defaultPaymentMethodId: paymentMethodId },
+  });
+
+  return formatPaymentMethod(paymentMethod, paymentMethodId);
+};
+
+/**
+ * Remove a saved card from the student's customer
+ * @param {Object} user - Authenticated user
+ * @param {string} paymentMethodId - Stripe payment method ID
+ */
+const removePaymentMethod = async (user, paymentMethodId) => {
+  const { customer } = await getSavedPaymentMethod(user, paymentMethodId);
+
+  await gateway.detachPaymentMethod(paymentMethodId);
+  if (customer.defaultPaymentMethodId === paymentMethodId) {
+    await prisma.stripeCustomer.update({
+      where: { id: customer.id },
+      data: { defaultPaymentMethodId: null },
+    });
+  }
+};
+
+/**
+ * How a Stripe payment was paid, as recorded in transaction metadata.
+ * Payment intents carry it when created with the payment method expanded;
+ * charges carry it themselves.
+ * @param {Object} stripeCharge - Stripe payment intent or charge
+ * @returns {Object} { paymentMethod, cardBrand, cardLast4 }
+ */
+const paymentMethodFields = (stripeCharge) => {
+  const method =
+    typeof stripeCharge.payment_method === "object"
+      ? stripeCharge.payment_method
+      : null;
+  const card = method?.card || stripeCharge.payment_method_details?.card;
+
+  return {
+    paymentMethod:
+      method?.type || stripeCharge.payment_method_details?.type || "card",
+    cardBrand: card?.brand || null,
+    cardLast4: card?.last4 || null,
+  };
+};
+
+module.exports = {
+  getOrCreateCustomer,
+  getSavedPaymentMethod,
+  listPaymentMethods,
+  createSetupIntent,
+  setDefaultPaymentMethod,
+  removePaymentMethod,
+  paymentMethodFields,
+};
@@ -0,0 +1,29 @@
+const stubProvider = require("./stubProvider");
+
+/**
+ * FX rate providers by name. A provider exposes `name` and
+ * `fetchRates(baseCurrency)` resolving to `{ rates, effectiveAt }`, with
+ * rates given as units of each currency per 1 base currency unit.
+ * Register a new provider here and select it with FX_PROVIDER.
+ */
+const providers = {
+  [stubProvider.name]: stubProvider,
+};
+
+/**
+ * Get a provider by name, or null when rates are only uploaded by admins
+ * @param {string} name - Provider name, or "manual"
+ */
+const getFxProvider = (name) => {
+  if (!name || name === "manual") return null;
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown FX provider: ${name}`);
+  }
+  return provider;
+};
+
+module.exports = {
+  getFxProvider,
+};
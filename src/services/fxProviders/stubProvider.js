@@ -0,0 +1,46 @@
+/**
+ * Local FX provider with fixed rates, so development and tests work
+ * without a market data subscription. Rates are units per 1 USD.
+ */
+const USD_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  EGP: 48.5,
+  SAR: 3.75,
+  AED: 3.6725,
+  INR: 83.2,
+  CAD: 1.36,
+  AUD: 1.52,
+  JPY: 149.5,
+};
+
+/**
+ * Get the rates for `baseCurrency`
+ * @param {string} baseCurrency - Currency the rates are quoted against
+ * @returns {Promise<Object>} { rates: { [currency]: rate }, effectiveAt }
+ */
+const fetchRates = async (baseCurrency) => {
+  const baseRate = USD_RATES[baseCurrency];
+  if (!baseRate) {
+    throw new Error(`Stub FX provider has no rates for ${baseCurrency}`);
+  }
+
+  const rates = {};
+  for (const [currency, usdRate] of Object.entries(USD_RATES)) {
+    if (currency !== baseCurrency) {
+      rates[currency] = Math.round((usdRate / baseRate) * 1e6) / 1e6;
+    }
+  }
+
+  // One rate per day, like a daily reference rate feed
+  const effectiveAt = new Date();
+  effectiveAt.setUTCHours(0, 0, 0, 0);
+
+  return { rates, effectiveAt };
+};
+
+module.exports = {
+  name: "stub",
+  fetchRates,
+};
@@ -0,0 +1,242 @@
+const prisma = require("../config/db");
+const config = require("../config");
+const { Prisma } = require("@prisma/client");
+const { logger, auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const { getFxProvider } = require("./fxProviders");
+const { toDecimal, roundMoney } = require("../utils/money");
+
+const round = (value, places) =>
+  Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Get the rate of `currency` against the reporting currency that applied
+ * at a given time
+ * @param {string} currency - ISO currency code
+ * @param {Date} [at] - Point in time, defaults to now
+ * @returns {Promise<Object|null>} { rate, effectiveAt } or null if unknown
+ */
+const getRate = async (currency, at = new Date()) => {
+  const { baseCurrency } = config.fx;
+  const code = currency.toUpperCase();
+
+  if (code === baseCurrency) {
+    return { rate: 1, effectiveAt: null };
+  }
+
+  const rate = await prisma.exchangeRate.findFirst({
+    where: { baseCurrency, currency: code, effectiveAt: { lte: at } },
+    orderBy: { effectiveAt: "desc" },
+    select: { rate: true, effectiveAt: true },
+  });
+
+  return rate;
+};
+
+/**
+ * Look up how to convert a captured amount into the reporting currency.
+ * Payments never fail over a missing rate; the amount is then stored
+ * without a base amount and a warning is logged.
+ * @param {string} currency - Currency of the transaction
+ * @param {Date} [at] - Capture time
+ * @returns {Promise<Object>} { baseCurrency, fxRate }
+ */
+const getConversionToBase = async (currency, at = new Date()) => {
+  const { baseCurrency } = config.fx;
+
+  try {
+    const rate = await getRate(currency, at);
+    if (rate) {
+      return { baseCurrency, fxRate: round(1 / rate.rate, 8) };
+    }
+    logger.warn(
+      `No ${currency}/${baseCurrency} exchange rate, transaction stored without base amount`
+    );
+  } catch (error) {
+    logger.error(`Exchange rate lookup failed: ${error.message}`, { error });
+  }
+
+  return { baseCurrency, fxRate: null };
+};
+
+/**
+ * Transaction fields holding `amount` in the reporting currency
+ * @param {number} amount - Amount in the transaction currency
+ * @param {Object} conversion - Result of getConversionToBase
+ */
+const baseAmountFields = (amount, conversion) => ({
+  baseCurrency: conversion.baseCurrency,
+  fxRate: conversion.fxRate,
+  baseAmount:
+    conversion.fxRate === null
+      ? null
+      : roundMoney(
+          toDecimal(amount).times(conversion.fxRate),
+          conversion.baseCurrency
+        ),
+});
+
+/**
+ * SQL for a money column of "Transaction" in the reporting currency.
+ * Transactions captured before rates were stored count at face value.
+ * @param {string} column - Column name, e.g. "amount"
+ * @param {string} [alias] - Table alias used in the query
+ */
+const baseColumnSql = (column, alias) => {
+  const prefix = alias ? `${alias}.` : "";
+  return Prisma.raw(
+    `(${prefix}"${column}" * COALESCE(${prefix}"fxRate", 1))`
+  );
+};
+
+/**
+ * Build the converter reports use to present reporting currency figures in
+ * the currency asked for, at the latest rate
+ * @param {string} [currency] - Requested currency, defaults to the base
+ * @returns {Promise<Object>} { currency, rate, convert }
+ * @throws {AppError} If there is no rate for the currency
+ */
+const getReportConverter = async (currency) => {
+  const code = (currency || config.fx.baseCurrency).toUpperCase();
+  const rate = await getRate(code);
+
+  if (!rate) {
+    throw new AppError(
+      "fx_rate_not_found_err",
+      `No exchange rate available for ${code}`,
+      400
+    );
+  }
+
+  return {
+    currency: code,
+    rate: rate.rate,
+    convert: (value) => roundMoney(toDecimal(value).times(rate.rate), code),
+  };
+};
+
+/**
+ * Latest rate of every currency, or the history of one currency
+ * @param {Object} filters - { currency }
+ */
+const listRates = async (filters = {}) => {
+  const { baseCurrency } = config.fx;
+
+  if (filters.currency) {
+    return prisma.exchangeRate.findMany({
+      where: { baseCurrency, currency: filters.currency.toUpperCase() },
+      orderBy: { effectiveAt: "desc" },
+      take: 100,
+    });
+  }
+
+  return prisma.exchangeRate.findMany({
+    where: { baseCurrency },
+    orderBy: [{ currency: "asc" }, { effectiveAt: "desc" }],
+    distinct: ["currency"],
+  });
+};
+
+/**
+ * Store a set of rates. An existing rate for the same currency and
+ * effective time is replaced.
+ * @param {Object} rates - { [currency]: rate } against the base currency
+ * @param {Date} effectiveAt - When the rates start to apply
+ * @param {string} source - "manual" or the provider name
+ * @returns {Promise<number>} Number of rates stored
+ */
+const saveRates = async (rates, effectiveAt, source) => {
+  const { baseCurrency } = config.fx;
+  const entries = Object.entries(rates)
+    .map(([currency, rate]) => [currency.toUpperCase(), Number(rate)])
+    .filter(([currency]) => currency !== baseCurrency);
+
+  await prisma.$transaction(
+    entries.map(([currency, rate]) =>
+      prisma.exchangeRate.upsert({
+        where: {
+          baseCurrency_currency_effectiveAt: {
+            baseCurrency,
+            currency,
+            effectiveAt,
+          },
+        },
+        update: { rate, source },
+        create: { baseCurrency, currency, rate, source, effectiveAt },
+      })
+    )
+  );
+
+  return entries.length;
+};
+
+/**
+ * Upload rates by hand (admin only)
+ * @param {Object} data - { rates: [{ currency, rate }], effectiveAt }
+ * @param {Object} user - Admin uploading the rates
+ */
+const uploadRates = async (data, user) => {
+  const effectiveAt = data.effectiveAt ? new Date(data.effectiveAt) : new Date();
+  const rates = Object.fromEntries(
+    data.rates.map(({ currency, rate }) => [currency, rate])
+  );
+
+  const count = await saveRates(rates, effectiveAt, "manual");
+
+  auditLogger.log(
+    "FX_RATES_UPLOADED",
+    user.id,
+    `${count} exchange rates uploaded, effective ${effectiveAt.toISOString()}`,
+    null,
+    { rates, baseCurrency: config.fx.baseCurrency }
+  );
+
+  return { baseCurrency: config.fx.baseCurrency, effectiveAt, count };
+};
+
+/**
+ * Pull the latest rates from the configured provider
+ * @returns {Promise<Object>} { provider, effectiveAt, count }
+ */
+const refreshRates = async () => {
+  let provider;
+  try {
+    provider = getFxProvider(config.fx.provider);
+  } catch (error) {
+    throw new AppError("fx_provider_err", error.message, 500);
+  }
+  if (!provider) {
+    throw new AppError(
+      "fx_provider_err",
+      "No FX provider configured; upload rates instead",
+      400
+    );
+  }
+
+  let result;
+  try {
+    result = await provider.fetchRates(config.fx.baseCurrency);
+  } catch (error) {
+    throw new AppError(
+      "fx_provider_err",
+      `FX provider ${provider.name} failed: ${error.message}`,
+      502
+    );
+  }
+
+  const count = await saveRates(result.rates, result.effectiveAt, provider.name);
+  logger.info(`Stored ${count} exchange rates from ${provider.name}`);
+
+  return { provider: provider.name, effectiveAt: result.effectiveAt, count };
+};
+
+module.exports = {
+  getRate,
+  getConversionToBase,
+  baseAmountFields,
+  baseColumnSql,
+  getReportConverter,
+  listRates,
+  uploadRates,
+  refreshRates,
+};
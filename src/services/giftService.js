@@ -0,0 +1,228 @@
+const crypto = require("crypto");
+const prisma = require("../config/db");
+const config = require("../config");
+const { auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const outboxService = require("./outboxService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// No 0/O or 1/I so codes survive being read out or typed by hand
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+/**
+ * Generate a code like GIFT-7KQ2-MX9P-4RTA
+ */
+const generateCode = () => {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]);
+  const groups = [0, 4, 8].map((i) => chars.slice(i, i + 4).join(""));
+  return `GIFT-${groups.join("-")}`;
+};
+
+/**
+ * Issue the gift code for a gift purchase. Runs inside the payment's
+ * database transaction.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} data - { transaction, gift }
+ */
+const createGiftCode = async (tx, { transaction, gift }) => {
+  return tx.giftCode.create({
+    data: {
+      code: generateCode(),
+      transactionId: transaction.id,
+      purchaserId: transaction.userId,
+      courseId: transaction.courseId,
+      educatorId: transaction.educatorId,
+      recipientEmail: gift.recipientEmail,
+      recipientName: gift.recipientName,
+      message: gift.message,
+      expiresAt: new Date(Date.now() + config.gifts.expiryDays * DAY_MS),
+    },
+  });
+};
+
+/**
+ * Courses, out of `courseIds`, the user already received as a gift
+ * @param {string} userId - User ID
+ * @param {string[]} courseIds - Course IDs to check
+ * @returns {Promise<string[]>}
+ */
+const getRedeemedCourseIds = async (userId, courseIds) => {
+  const redeemed = await prisma.giftCode.findMany({
+    where: {
+      redeemedBy: userId,
+      courseId: { in: courseIds },
+      status: "REDEEMED",
+    },
+    select: { courseId: true },
+  });
+
+  return redeemed.map((gift) => gift.courseId);
+};
+
+/**
+ * Redeem a gift code and enroll the current user in the gifted course
+ * @param {string} code - Gift code
+ * @param {Object} user - Authenticated user redeeming the code
+ */
+const redeemGiftCode = async (code, user) => {
+  const giftCode = await prisma.giftCode.findUnique({
+    where: { code: code.trim().toUpperCase() },
+  });
+
+  if (!giftCode) {
+    throw new AppError("gift_code_not_found_err", "Gift code not found", 404);
+  }
+  if (giftCode.status === "REDEEMED") {
+    throw new AppError(
+      "gift_code_invalid_err",
+      "Gift code has already been redeemed",
+      400
+    );
+  }
+  if (giftCode.status === "REFUNDED") {
+    throw new AppError(
+      "gift_code_invalid_err",
+      "Gift code is no longer valid",
+      400
+    );
+  }
+  if (giftCode.status === "EXPIRED" || giftCode.expiresAt < new Date()) {
+    if (giftCode.status !== "EXPIRED") {
+      await prisma.giftCode.update({
+        where: { id: giftCode.id },
+        data: { status: "EXPIRED" },
+      });
+    }
+    throw new AppError("gift_code_invalid_err", "Gift code has expired", 400);
+  }
+
+  const { courseId } = giftCode;
+  const [purchased, redeemed, installmentPlan] = await Promise.all([
+    prisma.transaction.findFirst({
+      where: {
+        courseId,
+        userId: user.id,
+        status: "COMPLETED",
+        giftCode: { is: null },
+      },
+      select: { id: true },
+    }),
+    getRedeemedCourseIds(user.id, [courseId]),
+    prisma.installmentPlan.findFirst({
+      where: { courseId, userId: user.id, status: "ACTIVE" },
+      select: { id: true },
+    }),
+  ]);
+  if (purchased || redeemed.length > 0 || installmentPlan) {
+    throw new AppError(
+      "already_enrolled_err",
+      "User already enrolled in this course",
+      400
+    );
+  }
+
+  // Only the first of two concurrent redemptions wins
+  const now = new Date();
+  await prisma.$transaction(async (tx) => {
+    const { count } = await tx.giftCode.updateMany({
+      where: { id: giftCode.id, status: "ACTIVE" },
+      data: { status: "REDEEMED", redeemedBy: user.id, redeemedAt: now },
+    });
+    if (count === 0) {
+      throw new AppError(
+        "gift_code_invalid_err",
+        "Gift code is no longer valid",
+        400
+      );
+    }
+
+    await outboxService.enqueueEvents(tx, [
+      ...outboxService.enrollmentEvents(
+        user.id,
+        courseId,
+        giftCode.transactionId,
+        { giftCodeId: giftCode.id }
+      ),
+      {
+        destination: outboxService.DESTINATIONS.USER_SERVICE,
+        payload: {
+          userId: giftCode.purchaserId,
+          action: "GIFT_REDEEMED",
+          courseId,
+          giftCodeId: giftCode.id,
+          recipientEmail: giftCode.recipientEmail,
+        },
+      },
+    ]);
+  });
+
+  auditLogger.log(
+    "GIFT_CODE_REDEEMED",
+    user.id,
+    `Gift code for course ${courseId} redeemed`,
+    giftCode.transactionId,
+    { giftCodeId: giftCode.id, purchaserId: giftCode.purchaserId }
+  );
+  outboxService.dispatchSoon();
+
+  return {
+    courseId,
+    status: "REDEEMED",
+    redeemedAt: now,
+  };
+};
+
+/**
+ * Withdraw the gift code of a transaction being refunded so it can no
+ * longer be redeemed
+ * @param {Object} giftCode - Gift code of the refunded transaction
+ * @throws {AppError} If the code was already redeemed
+ */
+const withdrawGiftCode = async (giftCode) => {
+  const { count } = await prisma.giftCode.updateMany({
+    where: { id: giftCode.id, status: { in: ["ACTIVE", "EXPIRED"] } },
+    data: { status: "REFUNDED" },
+  });
+
+  if (count === 0) {
+    throw new AppError(
+      "gift_code_redeemed_err",
+      "Gift has already been redeemed and cannot be refunded",
+      400
+    );
+  }
+};
+
+/**
+ * Put a withdrawn gift code back when the refund did not go through
+ * @param {Object} giftCode - Gift code as it was before the refund
+ * @param {Object} [client] - Prisma client or transaction client
+ */
+const restoreGiftCode = async (giftCode, client = prisma) => {
+  await client.giftCode.update({
+    where: { id: giftCode.id },
+    data: { status: giftCode.status },
+  });
+};
+
+/**
+ * Get the gift codes bought by a user
+ * @param {string} userId - Purchaser ID
+ */
+const getGiftCodesByPurchaser = async (userId) => {
+  return prisma.giftCode.findMany({
+    where: { purchaserId: userId },
+    orderBy: { createdAt: "desc" },
+  });
+};
+
+module.exports = {
+  createGiftCode,
+  getRedeemedCourseIds,
+  redeemGiftCode,
+  withdrawGiftCode,
+  restoreGiftCode,
+  getGiftCodesByPurchaser,
+};
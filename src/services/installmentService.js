@@ -0,0 +1,595 @@
+const prisma = require("../config/db");
+const config = require("../config");
+const { logger, auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const { splitProRata } = require("../utils/paymentCalculator");
+const { toMinorUnits } = require("../utils/money");
+const { resolveCoursePrice } = require("./coursePriceService");
+const {
+  getOrCreateCustomer,
+  paymentMethodFields,
+} = require("./customerService");
+const { getRedeemedCourseIds } = require("./giftService");
+const { getPaymentGateway } = require("./paymentGateways");
+const { getTotalEarningsForEducator } = require("./paymentService");
+const { calculatePlatformCommission } = require("./commissionService");
+const {
+  getRevenueShares,
+  paysByTransfer,
+  recordEducatorEarnings,
+  transferEducatorEarnings,
+} = require("./revenueShareService");
+const { invalidateTransactionCaches } = require("./statisticsService");
+const fxRateService = require("./fxRateService");
+const ledgerService = require("./ledgerService");
+const outboxService = require("./outboxService");
+
+const gateway = getPaymentGateway();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Installments the job still has to collect
+const OPEN_INSTALLMENT_STATUSES = ["SCHEDULED", "FAILED"];
+
+/**
+ * Start an installment plan for a course and charge the first installment.
+ * The student is enrolled once the first installment is paid.
+ * @param {Object} data - { courseId, source, installments }
+ * @param {Object} user - Authenticated user
+ * @param {Object} options
+ * @param {string} [options.idempotencyKey] - Client supplied Idempotency-Key
+ */
+const createInstallmentPlan = async (data, user, options = {}) => {
+  const { courseId, source, installments: installmentCount } = data;
+  const { minCoursePrice, minCount, maxCount, intervalDays } =
+    config.installments;
+
+  const coursePrice = await resolveCoursePrice(courseId);
+  const { amount, currency, educatorId } = coursePrice;
+
+  if (amount < minCoursePrice) {
+    throw new AppError(
+      "installment_not_eligible_err",
+      `Installments are only available for courses priced at ${minCoursePrice} or more`,
+      400
+    );
+  }
+  if (installmentCount < minCount || installmentCount > maxCount) {
+    throw new AppError(
+      "installment_not_eligible_err",
+      `Installment count must be between ${minCount} and ${maxCount}`,
+      400
+    );
+  }
+
+  const shares = await getRevenueShares(courseId, educatorId);
+  const [duplicateCheck, redeemedGifts, activePlan, educatorAccounts] =
+    await Promise.all([
+      prisma.transaction.findFirst({
+        where: {
+          courseId,
+          userId: user.id,
+          status: "COMPLETED",
+          giftCode: { is: null },
+        },
+        select: { id: true },
+      }),
+      getRedeemedCourseIds(user.id, [courseId]),
+      prisma.installmentPlan.findFirst({
+        where: { courseId, userId: user.id, status: "ACTIVE" },
+        select: { id: true },
+      }),
+      prisma.stripeAccount.findMany({
+        where: { educatorId: { in: shares.map((share) => share.educatorId) } },
+        select: { stripeAccountId: true },
+      }),
+    ]);
+
+  if (educatorAccounts.length < shares.length) {
+    throw new AppError("edu_not_found_err", "Educator account not found", 400);
+  }
+  if (duplicateCheck || redeemedGifts.length > 0 || activePlan) {
+    throw new AppError(
+      "already_enrolled_err",
+      "User already enrolled in this course",
+      400
+    );
+  }
+
+  const customerId = await getOrCreateCustomer(user, source);
+
+  // Commission follows the full course price, not the installment size,
+  // so paying in installments does not move the course to a cheaper tier
+  const weights = Array(installmentCount).fill(1);
+  const amounts = splitProRata(amount, weights, currency);
+  const { platformCommission, educatorEarnings, commissionRuleId } =
+    await calculatePlatformCommission(amount, {
+      courseId,
+      educatorId,
+      category: coursePrice.category,
+      currency,
+    });
+  const commissions = splitProRata(platformCommission, amounts, currency);
+  const earnings = splitProRata(educatorEarnings, amounts, currency);
+
+  const now = Date.now();
+  const plan = await prisma.installmentPlan.create({
+    data: {
+      userId: user.id,
+      courseId,
+      educatorId,
+      totalAmount: amount,
+      currency,
+      installmentCount,
+      stripeCustomerId: customerId,
+      stripePaymentMethodId: source,
+      commissionRuleId,
+      installments: {
+        create: amounts.map((installmentAmount, i) => ({
+          sequence: i + 1,
+          amount: installmentAmount,
+          platformCommission: commissions[i],
+          educatorEarnings: earnings[i],
+          dueDate: new Date(now + i * intervalDays * DAY_MS),
+        })),
+      },
+    },
+    include: { installments: { orderBy: { sequence: "asc" } } },
+  });
+
+  try {
+    await chargeInstallment(plan.installments[0], plan, {
+      destination: paysByTransfer(shares)
+        ? undefined
+        : educatorAccounts[0].stripeAccountId,
+      idempotencyKey: options.idempotencyKey
+        ? `installment_${user.id}_${options.idempotencyKey}`
+        : undefined,
+      user,
+    });
+  } catch (error) {
+    // Nothing was collected, so the plan never starts
+    await prisma.$transaction([
+      prisma.installment.updateMany({
+        where: { planId: plan.id },
+        data: { status: "CANCELED" },
+      }),
+      prisma.installmentPlan.update({
+        where: { id: plan.id },
+        data: { status: "CANCELED" },
+      }),
+    ]);
+    logger.error(
+      `First installment of plan ${plan.id} failed: ${error.message}`,
+      { error }
+    );
+    throw new AppError(
+      "installment_charge_err",
+      `First installment could not be charged: ${error.message}`,
+      402
+    );
+  }
+
+  auditLogger.log(
+    "INSTALLMENT_PLAN_CREATED",
+    user.id,
+    `Installment plan of ${amount} ${currency} in ${installmentCount} installments started for course ${courseId}`,
+    null,
+    { installmentPlanId: plan.id }
+  );
+
+  return getInstallmentPlanById(plan.id);
+};
+
+/**
+ * Charge one installment against the card saved on the plan. On success a
+ * transaction and an invoice are recorded for it; Stripe errors are thrown.
+ * @param {Object} installment - Installment to charge
+ * @param {Object} plan - Plan the installment belongs to
+ * @param {Object} options
+ * @param {string} [options.destination] - Educator Stripe account ID; not
+ *   used when the instructors are paid by transfers (see paysByTransfer)
+ * @param {string} [options.idempotencyKey] - Stripe idempotency key
+ * @param {Object} [options.user] - Student, when they are present
+ */
+const chargeInstallment = async (installment, plan, options = {}) => {
+  const attempt = installment.attempts + 1;
+  const onSession = installment.sequence === 1;
+
+  // A co-taught course pays each instructor with a transfer of their own,
+  // and earnings held for a payout schedule are transferred on release
+  const shares = await getRevenueShares(plan.courseId, plan.educatorId);
+  const byTransfer = paysByTransfer(shares);
+
+  let destination = options.destination;
+  if (!destination && !byTransfer) {
+    const educatorAccount = await prisma.stripeAccount.findFirst({
+      where: { educatorId: plan.educatorId },
+      select: { stripeAccountId: true },
+    });
+    if (!educatorAccount) {
+      throw new AppError(
+        "edu_not_found_err",
+        "Educator account not found",
+        400
+      );
+    }
+    destination = educatorAccount.stripeAccountId;
+  }
+
+  const description = `Installment ${installment.sequence} of ${plan.installmentCount} for course: ${plan.courseId}`;
+
+  const paymentIntent = await gateway.createPayment(
+    {
+      amount: toMinorUnits(installment.amount, plan.currency),
+      currency: plan.currency,
+      customer: plan.stripeCustomerId,
+      payment_method: plan.stripePaymentMethodId,
+      confirm: true,
+      // The first installment is paid with the student present and saves
+      // the card for the ones the job charges later
+      ...(onSession
+        ? { setup_future_usage: "off_session" }
+        : { off_session: true }),
+      description,
+      metadata: {
+        installmentPlanId: plan.id,
+        installmentId: installment.id,
+        sequence: installment.sequence,
+        courseId: plan.courseId,
+        userId: plan.userId,
+        educatorId: plan.educatorId,
+      },
+      ...(!byTransfer && {
+        application_fee_amount: toMinorUnits(
+          installment.platformCommission,
+          plan.currency
+        ),
+        transfer_data: { destination },
+      }),
+      automatic_payment_methods: { enabled: true, allow_redirects: "never" },
+      // Card brand and last4 for the transaction
+      expand: ["payment_method"],
+    },
+    {
+      idempotencyKey:
+        options.idempotencyKey || `installment_${installment.id}_${attempt}`,
+    }
+  );
+
+  if (paymentIntent.status !== "succeeded") {
+    throw new Error(`Payment ${paymentIntent.status}`);
+  }
+
+  const conversion = await fxRateService.getConversionToBase(plan.currency);
+  const transaction = await prisma.$transaction(async (tx) => {
+    const transactionRecord = await tx.transaction.create({
+      data: {
+        stripeChargeId: paymentIntent.id,
+        amount: installment.amount,
+        currency: plan.currency,
+        ...fxRateService.baseAmountFields(installment.amount, conversion),
+        status: "COMPLETED",
+        type: "PAYMENT",
+        platformCommission: installment.platformCommission,
+        educatorEarnings: installment.educatorEarnings,
+        commissionRuleId: plan.commissionRuleId,
+        userId: plan.userId,
+        courseId: plan.courseId,
+        educatorId: plan.educatorId,
+        description,
+        metadata: {
+          stripePaymentId: paymentIntent.id,
+          ...paymentMethodFields(paymentIntent),
+          installmentPlanId: plan.id,
+          sequence: installment.sequence,
+          installmentCount: plan.installmentCount,
+          // The educator is paid by the charge itself
+          ...(!byTransfer && { destinationCharge: true }),
+        },
+      },
+    });
+    const earningRows = await recordEducatorEarnings(
+      tx,
+      transactionRecord,
+      shares
+    );
+    await ledgerService.postPayment(tx, transactionRecord);
+
+    await tx.invoice.create({
+      data: {
+        transactionId: transactionRecord.id,
+        invoiceNumber: `INV-${Date.now().toString().substring(5)}`,
+        subtotal: installment.amount,
+        total: installment.amount,
+        status: "PAID",
+        paidAt: new Date(),
+        issueDate: new Date(),
+        billingInfo: JSON.stringify({
+          name: options.user?.name || "Customer",
+          email: options.user?.email || "customer@example.com",
+        }),
+        notes: description,
+      },
+    });
+
+    await tx.installment.update({
+      where: { id: installment.id },
+      data: {
+        status: "PAID",
+        paidAt: new Date(),
+        attempts: attempt,
+        lastAttemptAt: new Date(),
+        nextAttemptAt: null,
+        failureReason: null,
+        transactionId: transactionRecord.id,
+      },
+    });
+
+    const unpaid = await tx.installment.count({
+      where: { planId: plan.id, status: { not: "PAID" } },
+    });
+    if (unpaid === 0) {
+      await tx.installmentPlan.update({
+        where: { id: plan.id },
+        data: { status: "COMPLETED", completedAt: new Date() },
+      });
+    }
+
+    // The first installment enrolls the student
+    const events =
+      installment.sequence === 1
+        ? outboxService.enrollmentEvents(
+            plan.userId,
+            plan.courseId,
+            transactionRecord.id,
+            { installmentPlanId: plan.id }
+          )
+        : [];
+    for (const earning of earningRows) {
+      if (!(earning.amount > 0)) continue;
+      events.push({
+        destination: outboxService.DESTINATIONS.USER_SERVICE,
+        payload: {
+          userId: earning.educatorId,
+          action: "NEW_EARNINGS",
+          courseId: plan.courseId,
+          transactionId: transactionRecord.id,
+          amount: earning.amount,
+          totalPendingEarnings: await getTotalEarningsForEducator(
+            earning.educatorId,
+            tx
+          ),
+        },
+      });
+    }
+    await outboxService.enqueueEvents(tx, events);
+
+    return transactionRecord;
+  });
+
+  auditLogger.log(
+    "INSTALLMENT_PAID",
+    plan.userId,
+    `Installment ${installment.sequence} of ${plan.installmentCount} (${installment.amount} ${plan.currency}) paid for course ${plan.courseId}`,
+    transaction.id,
+    { installmentPlanId: plan.id, stripeChargeId: paymentIntent.id }
+  );
+  outboxService.dispatchSoon();
+
+  setTimeout(() => {
+    invalidateTransactionCaches();
+  }, 0);
+
+  if (byTransfer) {
+    await transferEducatorEarnings(transaction, {
+      sourceTransaction: paymentIntent.latest_charge || paymentIntent.id,
+    });
+  }
+
+  return transaction;
+};
+
+/**
+ * Record a failed installment charge. The installment is retried later
+ * unless the attempts or the grace period are used up, in which case the
+ * plan defaults.
+ * @param {Object} installment - Installment that failed
+ * @param {Object} plan - Plan the installment belongs to
+ * @param {Error} error - Why the charge failed
+ * @param {Date} [now] - Reference time of the attempt
+ */
+const recordInstallmentFailure = async (
+  installment,
+  plan,
+  error,
+  now = new Date()
+) => {
+  const { retryIntervalHours, maxAttempts, gracePeriodDays } =
+    config.installments;
+  const attempts = installment.attempts + 1;
+  const graceEnds = new Date(
+    installment.dueDate.getTime() + gracePeriodDays * DAY_MS
+  );
+  const nextAttemptAt = new Date(now.getTime() + retryIntervalHours * HOUR_MS);
+
+  const defaulted = attempts >= maxAttempts || nextAttemptAt > graceEnds;
+
+  await prisma.$transaction(async (tx) => {
+    await tx.installment.update({
+      where: { id: installment.id },
+      data: {
+        status: "FAILED",
+        attempts,
+        lastAttemptAt: now,
+        nextAttemptAt,
+        failureReason: error.message,
+      },
+    });
+
+    if (defaulted) {
+      await defaultInstallmentPlan(tx, plan);
+      return;
+    }
+    await outboxService.enqueueEvents(tx, [
+      {
+        destination: outboxService.DESTINATIONS.USER_SERVICE,
+        payload: {
+          userId: plan.userId,
+          action: "INSTALLMENT_PAYMENT_FAILED",
+          courseId: plan.courseId,
+          installmentPlanId: plan.id,
+          amount: installment.amount,
+          nextAttemptAt,
+          graceEnds,
+        },
+      },
+    ]);
+  });
+  outboxService.dispatchSoon();
+
+  if (defaulted) {
+    auditLogger.log(
+      "INSTALLMENT_PLAN_DEFAULTED",
+      "system",
+      `Installment plan ${plan.id} for course ${plan.courseId} defaulted: ${error.message}`,
+      null,
+      { installmentPlanId: plan.id, userId: plan.userId }
+    );
+    return "DEFAULTED";
+  }
+  return "FAILED";
+};
+
+/**
+ * Mark a plan as defaulted, cancel what is left to collect and revoke the
+ * student's enrollment. Runs inside the database transaction recording the
+ * failed installment.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} plan - Defaulting plan
+ */
+const defaultInstallmentPlan = async (tx, plan) => {
+  await tx.installment.updateMany({
+    where: { planId: plan.id, status: { in: OPEN_INSTALLMENT_STATUSES } },
+    data: { status: "CANCELED", nextAttemptAt: null },
+  });
+  await tx.installmentPlan.update({
+    where: { id: plan.id },
+    data: { status: "DEFAULTED", defaultedAt: new Date() },
+  });
+
+  await outboxService.enqueueEvents(tx, [
+    {
+      destination: outboxService.DESTINATIONS.USER_SERVICE,
+      payload: {
+        userId: plan.userId,
+        action: "REMOVE_ENROLLMENT",
+        courseId: plan.courseId,
+        installmentPlanId: plan.id,
+        reason: "INSTALLMENT_PLAN_DEFAULTED",
+      },
+    },
+    {
+      destination: outboxService.DESTINATIONS.COURSE_SERVICE,
+      payload: {
+        userId: plan.userId,
+        courseId: plan.courseId,
+        action: "REMOVE",
+      },
+    },
+  ]);
+};
+
+/**
+ * Charge every installment that is due or waiting for a retry. Run by the
+ * installment job.
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} Counts of paid, failed and defaulted installments
+ */
+const processDueInstallments = async (now = new Date()) => {
+  const due = await prisma.installment.findMany({
+    where: {
+      plan: { status: "ACTIVE" },
+      OR: [
+        { status: "SCHEDULED", dueDate: { lte: now } },
+        { status: "FAILED", nextAttemptAt: { lte: now } },
+      ],
+    },
+    include: { plan: true },
+    orderBy: { dueDate: "asc" },
+  });
+
+  const result = { paid: 0, failed: 0, defaulted: 0 };
+  const defaultedPlans = new Set();
+
+  for (const { plan, ...installment } of due) {
+    // An earlier installment of the same plan may have defaulted it
+    if (defaultedPlans.has(plan.id)) continue;
+
+    try {
+      await chargeInstallment(installment, plan);
+      result.paid += 1;
+    } catch (error) {
+      logger.error(
+        `Installment ${installment.id} of plan ${plan.id} failed: ${error.message}`,
+        { error }
+      );
+      const outcome = await recordInstallmentFailure(
+        installment,
+        plan,
+        error,
+        now
+      );
+      if (outcome === "DEFAULTED") {
+        defaultedPlans.add(plan.id);
+        result.defaulted += 1;
+      } else {
+        result.failed += 1;
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Get an installment plan with its schedule
+ * @param {string} planId - Installment plan ID
+ * @param {Object} [user] - When given, only the owner or an admin may see it
+ */
+const getInstallmentPlanById = async (planId, user) => {
+  const plan = await prisma.installmentPlan.findUnique({
+    where: { id: planId },
+    include: { installments: { orderBy: { sequence: "asc" } } },
+  });
+
+  if (!plan || (user && user.role !== "Admin" && plan.userId !== user.id)) {
+    throw new AppError(
+      "installment_plan_not_found_err",
+      "Installment plan not found",
+      404
+    );
+  }
+
+  return plan;
+};
+
+/**
+ * Get the installment plans of a user
+ * @param {string} userId - User ID
+ */
+const getInstallmentPlansByUser = async (userId) => {
+  return prisma.installmentPlan.findMany({
+    where: { userId },
+    include: { installments: { orderBy: { sequence: "asc" } } },
+    orderBy: { createdAt: "desc" },
+  });
+};
+
+module.exports = {
+  createInstallmentPlan,
+  processDueInstallments,
+  getInstallmentPlanById,
+  getInstallmentPlansByUser,
+};
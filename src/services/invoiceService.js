@@ -6,6 +6,7 @@ const { v4: uuidv4 } = require('uuid');
 const prisma = require('../config/db');
 const { AppError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { currencyExponent, toDecimal } = require('../utils/money');
 
 /**
  * Create a new invoice
@@ -16,7 +17,7 @@ const createInvoice = async (invoiceData) => {
   
   try {
     // Calculate the total
-    const total = subtotal - discount + tax;
+    const total = toDecimal(subtotal).minus(discount).plus(tax);
     
     // Generate invoice number (formatted as INV-{year}-{sequential number})
     const currentYear = new Date().getFullYear();
@@ -64,6 +65,8 @@ const getInvoiceById = async (invoiceId) => {
       where: { id: invoiceId },
       include: {
         transaction: true,
+        order: true,
+        lineItems: true,
       },
     });
     
@@ -85,15 +88,16 @@ const getInvoicesByUser = async (userId, page = 1, limit = 10) => {
   const skip = (page - 1) * limit;
   
   try {
-    // We need to join with transactions to filter by userId
+    // We need to join with transactions (or cart orders) to filter by userId
+    const where = {
+      OR: [{ transaction: { userId } }, { order: { userId } }],
+    };
     const invoices = await prisma.invoice.findMany({
-      where: {
-        transaction: {
-          userId,
-        },
-      },
+      where,
       include: {
         transaction: true,
+        order: true,
+        lineItems: true,
       },
       orderBy: {
         createdAt: 'desc',
@@ -102,13 +106,7 @@ const getInvoicesByUser = async (userId, page = 1, limit = 10) => {
       take: limit,
     });
     
-    const totalCount = await prisma.invoice.count({
-      where: {
-        transaction: {
-          userId,
-        },
-      },
-    });
+    const totalCount = await prisma.invoice.count({ where });
     
     return {
       invoices,
@@ -206,16 +204,30 @@ const generateInvoicePDF = async (invoiceId) => {
     
     doc.moveDown(2);
     
-    // Add billing information
-    if (invoice.billingInfo) {
+    // Add billing information - always the buyer, also for gift purchases.
+    // Payments store it as a JSON string
+    const billingInfo = typeof invoice.billingInfo === 'string'
+      ? JSON.parse(invoice.billingInfo)
+      : invoice.billingInfo;
+    if (billingInfo) {
       doc.text('BILL TO:', { underline: true });
-      doc.text(invoice.billingInfo.name || 'N/A');
-      doc.text(invoice.billingInfo.email || 'N/A');
+      doc.text(billingInfo.name || 'N/A');
+      doc.text(billingInfo.email || 'N/A');
+      if (invoice.taxCountry) {
+        doc.text(`Country: ${[invoice.taxCountry, invoice.taxRegion].filter(Boolean).join('-')}`);
+      }
+      if (invoice.customerTaxId) {
+        doc.text(`Tax ID: ${invoice.customerTaxId}`);
+      }
       doc.moveDown();
     }
     
     // Add transaction details
-    doc.text(`Course: ${invoice.transaction.description || 'N/A'}`);
+    if (invoice.transaction) {
+      doc.text(`Course: ${invoice.transaction.description || 'N/A'}`);
+    } else {
+      doc.text(`Order: ${invoice.orderId}`);
+    }
     doc.moveDown(2);
     
     // Add table header
@@ -233,24 +245,38 @@ const generateInvoicePDF = async (invoiceId) => {
     const tableTop = doc.y + 20;
     doc.font('Helvetica');
     
-    // Add item
-    doc.text(invoice.transaction.description || 'Course Purchase', 50, tableTop, { width: 250 })
-      .text(`$${invoice.subtotal.toFixed(2)}`, 300, tableTop, { width: 90, align: 'right' })
-      .text(`$${invoice.subtotal.toFixed(2)}`, 390, tableTop, { width: 90, align: 'right' });
-    
-    let currentY = tableTop + 30;
+    // Amounts are shown with as many decimals as their currency has
+    const currency = invoice.transaction?.currency || invoice.order?.currency || 'USD';
+    const money = (amount) => `${toDecimal(amount).toFixed(currencyExponent(currency))} ${currency}`;
+
+    // Add items - cart invoices list one line per course
+    const items = invoice.lineItems?.length
+      ? invoice.lineItems.map((item) => ({ description: item.description || item.courseId, price: item.unitPrice }))
+      : [{ description: invoice.transaction?.description || 'Course Purchase', price: invoice.subtotal }];
+
+    let currentY = tableTop;
+    items.forEach((item) => {
+      doc.text(item.description, 50, currentY, { width: 250 })
+        .text(money(item.price), 300, currentY, { width: 90, align: 'right' })
+        .text(money(item.price), 390, currentY, { width: 90, align: 'right' });
+      currentY += 20;
+    });
+    currentY += 10;
     
     // Add discount if any
     if (invoice.discount > 0) {
       doc.text('Discount', 50, currentY, { width: 250 })
-        .text(`-$${invoice.discount.toFixed(2)}`, 390, currentY, { width: 90, align: 'right' });
+        .text(`-${money(invoice.discount)}`, 390, currentY, { width: 90, align: 'right' });
       currentY += 20;
     }
     
-    // Add tax if any
-    if (invoice.tax > 0) {
-      doc.text('Tax', 50, currentY, { width: 250 })
-        .text(`$${invoice.tax.toFixed(2)}`, 390, currentY, { width: 90, align: 'right' });
+    // Add tax if any, with the rate applied
+    if (invoice.tax > 0 || invoice.reverseCharge) {
+      const taxLabel = invoice.taxRate !== null && invoice.taxRate !== undefined
+        ? `${invoice.taxType || 'Tax'} (${invoice.taxRate}%)`
+        : 'Tax';
+      doc.text(taxLabel, 50, currentY, { width: 250 })
+        .text(money(invoice.tax), 390, currentY, { width: 90, align: 'right' });
       currentY += 20;
     }
     
@@ -262,7 +288,25 @@ const generateInvoicePDF = async (invoiceId) => {
     currentY += 10;
     doc.font('Helvetica-Bold')
       .text('Total', 300, currentY, { width: 90 })
-      .text(`$${invoice.total.toFixed(2)}`, 390, currentY, { width: 90, align: 'right' });
+      .text(money(invoice.total), 390, currentY, { width: 90, align: 'right' });
+    
+    // Split of the payment between store credit and the card
+    if (invoice.walletAmount > 0) {
+      currentY += 20;
+      doc.font('Helvetica')
+        .text('Paid from store credit', 50, currentY, { width: 250 })
+        .text(`-${money(invoice.walletAmount)}`, 390, currentY, { width: 90, align: 'right' });
+      currentY += 20;
+      doc.text('Charged to card', 50, currentY, { width: 250 })
+        .text(money(toDecimal(invoice.total).minus(invoice.walletAmount)), 390, currentY, { width: 90, align: 'right' });
+    }
+    
+    // B2B customers abroad account for the tax themselves
+    if (invoice.reverseCharge) {
+      doc.moveDown(2);
+      doc.font('Helvetica')
+        .text(`Reverse charge: ${invoice.taxType || 'tax'} to be accounted for by the recipient.`, 50);
+    }
     
     // Add notes
     if (invoice.notes) {
@@ -0,0 +1,594 @@
+const prisma = require("../config/db");
+const { logger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  Decimal,
+  toDecimal,
+  toMinorUnits,
+  fromMinorUnits,
+  roundMoney,
+} = require("../utils/money");
+
+/**
+ * Double-entry ledger of the platform's money. Every payment, refund,
+ * dispute, Stripe fee, transfer to an educator and payout posts a journal
+ * entry whose debits equal its credits, in the database transaction of
+ * the change it records. Entries are append-only; a refund or payout that
+ * fails afterwards posts a reversing entry.
+ *
+ * Educators are paid in two steps: transfers move their earnings from the
+ * platform's Stripe balance to their connected account, and a payout
+ * sends them on to the educator's bank, which settles what they are owed.
+ */
+
+const ACCOUNTS = {
+  // Money held in the platform's Stripe balance
+  STRIPE_BALANCE: "STRIPE_BALANCE",
+  // Store credit owed to each customer
+  CUSTOMER_CREDIT: "CUSTOMER_CREDIT",
+  PLATFORM_REVENUE: "PLATFORM_REVENUE",
+  // Earnings owed to each educator until they are paid out
+  EDUCATOR_PAYABLE: "EDUCATOR_PAYABLE",
+  // Earnings transferred to each educator's connected account and not
+  // yet paid out to their bank
+  CONNECTED_BALANCE: "CONNECTED_BALANCE",
+  AFFILIATE_PAYABLE: "AFFILIATE_PAYABLE",
+  // Tax collected and still to be remitted
+  TAX_PAYABLE: "TAX_PAYABLE",
+  STRIPE_FEES: "STRIPE_FEES",
+  // The platform's part of what was refunded
+  REFUNDS: "REFUNDS",
+  // Money Stripe took back for chargebacks
+  DISPUTES: "DISPUTES",
+  // Store credit granted by admins
+  PROMOTIONS: "PROMOTIONS",
+};
+
+// Accounts whose balance is their debits less their credits; the rest are
+// what the platform owes or earned, credits less debits
+const DEBIT_ACCOUNTS = [
+  ACCOUNTS.STRIPE_BALANCE,
+  ACCOUNTS.CONNECTED_BALANCE,
+  ACCOUNTS.STRIPE_FEES,
+  ACCOUNTS.REFUNDS,
+  ACCOUNTS.DISPUTES,
+  ACCOUNTS.PROMOTIONS,
+];
+
+const debit = (account, amount, ownerId = null) => ({
+  account,
+  ownerId,
+  debit: toDecimal(amount),
+  credit: new Decimal(0),
+});
+
+const credit = (account, amount, ownerId = null) => ({
+  account,
+  ownerId,
+  debit: new Decimal(0),
+  credit: toDecimal(amount),
+});
+
+/**
+ * Post a journal entry. Lines of zero are left out and a negative amount
+ * moves to the other side. Posting the same reference again returns the
+ * entry already posted.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} entry - { type, reference, transactionId, description,
+ *   currency, lines: [{ account, ownerId, debit, credit }] }
+ * @returns {Promise<Object|null>} Journal entry, or null when every line
+ *   was zero
+ * @throws {AppError} If the debits do not equal the credits
+ */
+const postJournal = async (client, entry) => {
+  const currency = entry.currency.toUpperCase();
+  const lines = entry.lines
+    .map((line) => {
+      const amount = roundMoney(
+        toDecimal(line.debit).minus(toDecimal(line.credit)),
+        currency
+      );
+      return {
+        account: line.account,
+        ownerId: line.ownerId || null,
+        debit: Decimal.max(amount, 0),
+        credit: Decimal.max(amount.negated(), 0),
+        currency,
+      };
+    })
+    .filter((line) => line.debit.gt(0) || line.credit.gt(0));
+  if (lines.length === 0) {
+    return null;
+  }
+
+  // Compared in minor units, so rounding cannot hide a difference
+  const sumOf = (side) =>
+    lines.reduce((sum, line) => sum + toMinorUnits(line[side], currency), 0);
+  if (sumOf("debit") !== sumOf("credit")) {
+    throw new AppError(
+      "ledger_unbalanced_err",
+      `Journal entry ${entry.reference} debits ${sumOf("debit")} but credits ${sumOf("credit")} minor units of ${currency}`,
+      500
+    );
+  }
+
+  const posted = await client.journalEntry.findUnique({
+    where: { reference: entry.reference },
+  });
+  if (posted) {
+    return posted;
+  }
+
+  return client.journalEntry.create({
+    data: {
+      type: entry.type,
+      reference: entry.reference,
+      transactionId: entry.transactionId || null,
+      description: entry.description,
+      currency,
+      lines: { create: lines },
+    },
+  });
+};
+
+/**
+ * Post a transfer of an educator's earnings to their connected account
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} transfer - { reference, transactionId, educatorId,
+ *   amount, currency, stripeTransferId }
+ */
+const postEducatorTransfer = (client, transfer) =>
+  postJournal(client, {
+    type: "EDUCATOR_TRANSFER",
+    reference: transfer.reference,
+    transactionId: transfer.transactionId,
+    description: transfer.stripeTransferId
+      ? `Transfer ${transfer.stripeTransferId} to educator ${transfer.educatorId}`
+      : `Destination charge paid educator ${transfer.educatorId}`,
+    currency: transfer.currency,
+    lines: [
+      debit(ACCOUNTS.CONNECTED_BALANCE, transfer.amount, transfer.educatorId),
+      credit(ACCOUNTS.STRIPE_BALANCE, transfer.amount),
+    ],
+  });
+
+/**
+ * Post a payout of an educator's connected account balance to their bank,
+ * which settles that much of what they are owed
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} payout - Payout Stripe accepted
+ */
+const postPayout = (client, payout) =>
+  postJournal(client, {
+    type: "PAYOUT",
+    reference: `payout_${payout.id}`,
+    description: `Payout ${payout.stripePayoutId || payout.id} to educator ${payout.educatorId}`,
+    currency: payout.currency,
+    lines: [
+      debit(ACCOUNTS.EDUCATOR_PAYABLE, payout.amount, payout.educatorId),
+      credit(ACCOUNTS.CONNECTED_BALANCE, payout.amount, payout.educatorId),
+    ],
+  });
+
+/**
+ * Post the reversal of an entry whose money movement did not happen after
+ * all: every line moves to the other side
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} reference - Reference of the entry to reverse
+ * @param {Object} reversal - { type, reference, description }
+ * @returns {Promise<Object|null>} Reversing entry, or null when nothing
+ *   was posted under the reference
+ */
+const reverseJournal = async (client, reference, reversal) => {
+  const entry = await client.journalEntry.findUnique({
+    where: { reference },
+    include: { lines: true },
+  });
+  if (!entry) {
+    return null;
+  }
+
+  return postJournal(client, {
+    ...reversal,
+    transactionId: entry.transactionId,
+    currency: entry.currency,
+    lines: entry.lines.map((line) => ({
+      account: line.account,
+      ownerId: line.ownerId,
+      debit: line.credit,
+      credit: line.debit,
+    })),
+  });
+};
+
+/**
+ * Post a payout that failed after Stripe accepted it. The money is back in
+ * the educator's connected account and owed to them again.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} payout - Failed payout
+ */
+const postPayoutFailure = (client, payout) =>
+  reverseJournal(client, `payout_${payout.id}`, {
+    type: "PAYOUT_REVERSAL",
+    reference: `payout_failed_${payout.id}`,
+    description: `Payout ${payout.stripePayoutId || payout.id} to educator ${payout.educatorId} failed: ${payout.failureReason || "no reason given"}`,
+  });
+
+/**
+ * Post a completed sale: what came in by card and store credit, and who
+ * it is owed to. Instructors paid with the charge itself (a destination
+ * charge, marked on the transaction metadata) or by a transfer made
+ * before the sale was recorded also get their transfer posted.
+ * @param {Object} client - Prisma transaction client of the sale
+ * @param {Object} transaction - Completed PAYMENT or SUBSCRIPTION transaction
+ */
+const postPayment = async (client, transaction) => {
+  const { currency } = transaction;
+  const earnings = await client.educatorEarning.findMany({
+    where: { transactionId: transaction.id, amount: { gt: 0 } },
+  });
+  const referral =
+    transaction.affiliateCommission > 0
+      ? await client.referral.findUnique({
+          where: { transactionId: transaction.id },
+          select: { affiliateId: true },
+        })
+      : null;
+
+  const gross = roundMoney(
+    toDecimal(transaction.amount).plus(toDecimal(transaction.taxAmount)),
+    currency
+  );
+  const fromWallet = toDecimal(transaction.metadata?.walletAmount);
+  const owed = [
+    ...earnings.map((row) =>
+      credit(ACCOUNTS.EDUCATOR_PAYABLE, row.amount, row.educatorId)
+    ),
+    credit(
+      ACCOUNTS.AFFILIATE_PAYABLE,
+      transaction.affiliateCommission || 0,
+      referral?.affiliateId
+    ),
+    credit(ACCOUNTS.TAX_PAYABLE, transaction.taxAmount || 0),
+  ];
+  // The platform keeps the rest, so rounding never unbalances the entry
+  const revenue = owed.reduce((rest, line) => rest.minus(line.credit), gross);
+
+  await postJournal(client, {
+    type: "PAYMENT",
+    reference: `payment_${transaction.id}`,
+    transactionId: transaction.id,
+    description: transaction.description,
+    currency,
+    lines: [
+      debit(ACCOUNTS.STRIPE_BALANCE, gross.minus(fromWallet)),
+      debit(ACCOUNTS.CUSTOMER_CREDIT, fromWallet, transaction.userId),
+      ...owed,
+      credit(ACCOUNTS.PLATFORM_REVENUE, revenue),
+    ],
+  });
+
+  for (const row of earnings) {
+    if (row.stripeTransferId || transaction.metadata?.destinationCharge) {
+      await postEducatorTransfer(client, {
+        reference: `transfer_${transaction.id}_${row.educatorId}`,
+        transactionId: transaction.id,
+        educatorId: row.educatorId,
+        amount: row.amount,
+        currency,
+        stripeTransferId: row.stripeTransferId,
+      });
+    }
+  }
+};
+
+/**
+ * Post a membership payment none of whose period was consumed, which the
+ * platform keeps whole. Shared payments are posted with the transactions
+ * of their shares.
+ * @param {Object} client - Prisma transaction client of the settlement
+ * @param {Object} payment - Settled subscription payment
+ */
+const postMembershipRevenue = (client, payment) =>
+  postJournal(client, {
+    type: "PAYMENT",
+    reference: `subscription_payment_${payment.id}`,
+    description: `Membership payment ${payment.id} kept by the platform`,
+    currency: payment.currency,
+    lines: [
+      debit(ACCOUNTS.STRIPE_BALANCE, payment.amount),
+      credit(ACCOUNTS.PLATFORM_REVENUE, payment.amount),
+    ],
+  });
+
+/**
+ * Post a refund: the educators, the affiliate and the tax authority give
+ * back their part and the platform bears the rest. Transfers reversed to
+ * take back paid-out earnings are posted as well.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} refundTransaction - REFUND transaction just created
+ * @param {Object} refund
+ * @param {Object} refund.originalTransaction - Refunded payment
+ * @param {Object[]} refund.shares - From splitRefundedEarnings
+ * @param {Object[]} [refund.reversals] - [{ educatorId, amount }] taken
+ *   back from the educators' connected accounts
+ */
+const postRefund = async (client, refundTransaction, refund) => {
+  const { originalTransaction, shares, reversals = [] } = refund;
+  const { currency } = refundTransaction;
+  const total = roundMoney(
+    toDecimal(refundTransaction.amount).plus(
+      toDecimal(refundTransaction.taxAmount)
+    ),
+    currency
+  );
+  const toWallet = toDecimal(refundTransaction.metadata?.refundedToWallet);
+  const referral =
+    refundTransaction.affiliateCommission < 0
+      ? await client.referral.findUnique({
+          where: { transactionId: originalTransaction.id },
+          select: { affiliateId: true },
+        })
+      : null;
+
+  const givenBack = [
+    ...shares.map((share) =>
+      debit(ACCOUNTS.EDUCATOR_PAYABLE, share.amount, share.educatorId)
+    ),
+    debit(
+      ACCOUNTS.AFFILIATE_PAYABLE,
+      toDecimal(refundTransaction.affiliateCommission).negated(),
+      referral?.affiliateId
+    ),
+    debit(ACCOUNTS.TAX_PAYABLE, refundTransaction.taxAmount || 0),
+  ];
+  const platformPart = givenBack.reduce(
+    (rest, line) => rest.minus(line.debit),
+    total
+  );
+
+  await postJournal(client, {
+    type: "REFUND",
+    reference: `refund_${refundTransaction.id}`,
+    transactionId: refundTransaction.id,
+    description: refundTransaction.description,
+    currency,
+    lines: [
+      ...givenBack,
+      debit(ACCOUNTS.REFUNDS, platformPart),
+      credit(ACCOUNTS.STRIPE_BALANCE, total.minus(toWallet)),
+      credit(ACCOUNTS.CUSTOMER_CREDIT, toWallet, originalTransaction.userId),
+    ],
+  });
+
+  await postTransferReversals(client, refundTransaction, reversals);
+};
+
+/**
+ * Post the transfers to educators reversed for a refund
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} refundTransaction - REFUND transaction
+ * @param {Object[]} reversals - [{ educatorId, amount }] taken back from
+ *   the educators' connected accounts
+ */
+const postTransferReversals = async (client, refundTransaction, reversals) => {
+  const { currency } = refundTransaction;
+  for (const reversal of reversals) {
+    await postJournal(client, {
+      type: "TRANSFER_REVERSAL",
+      reference: `reversal_${refundTransaction.id}_${reversal.educatorId}`,
+      transactionId: refundTransaction.id,
+      description: `Transfers to educator ${reversal.educatorId} reversed for refund`,
+      currency,
+      lines: [
+        debit(ACCOUNTS.STRIPE_BALANCE, reversal.amount),
+        credit(ACCOUNTS.CONNECTED_BALANCE, reversal.amount, reversal.educatorId),
+      ],
+    });
+  }
+};
+
+/**
+ * Post a refund that failed after it was posted: the money stays in the
+ * platform balance and the educators, affiliate and tax authority are
+ * owed their part again. Transfers reversed for it stay reversed.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} refundTransaction - Failed REFUND transaction
+ */
+const postRefundFailure = (client, refundTransaction) =>
+  reverseJournal(client, `refund_${refundTransaction.id}`, {
+    type: "REFUND_REVERSAL",
+    reference: `refund_failed_${refundTransaction.id}`,
+    description: `Refund ${refundTransaction.stripeChargeId || refundTransaction.id} failed`,
+  });
+
+/**
+ * Post a chargeback: Stripe takes the disputed amount out of the platform
+ * balance. The dispute fee is posted as a Stripe fee.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} transaction - Disputed payment
+ * @param {Object} dispute - Stripe dispute
+ */
+const postDispute = async (client, transaction, dispute) => {
+  const currency = dispute.currency.toUpperCase();
+  const amount = fromMinorUnits(dispute.amount, currency);
+
+  await postJournal(client, {
+    type: "DISPUTE",
+    reference: `dispute_${dispute.id}`,
+    transactionId: transaction.id,
+    description: `Dispute ${dispute.id}: ${dispute.reason || "no reason given"}`,
+    currency,
+    lines: [
+      debit(ACCOUNTS.DISPUTES, amount),
+      credit(ACCOUNTS.STRIPE_BALANCE, amount),
+    ],
+  });
+
+  for (const balanceTransaction of dispute.balance_transactions || []) {
+    await postStripeFee(client, balanceTransaction, transaction.id);
+  }
+};
+
+/**
+ * Post the fee Stripe kept from a balance transaction, such as a charge
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} balanceTransaction - Stripe balance transaction
+ * @param {string} [transactionId] - Payment the fee was charged on
+ */
+const postStripeFee = (client, balanceTransaction, transactionId = null) => {
+  const currency = balanceTransaction.currency.toUpperCase();
+  const fee = fromMinorUnits(balanceTransaction.fee, currency);
+
+  return postJournal(client, {
+    type: "STRIPE_FEE",
+    reference: `fee_${balanceTransaction.id}`,
+    transactionId,
+    description: `Stripe fee on ${balanceTransaction.source || balanceTransaction.id}`,
+    currency,
+    lines: [
+      debit(ACCOUNTS.STRIPE_FEES, fee),
+      credit(ACCOUNTS.STRIPE_BALANCE, fee),
+    ],
+  });
+};
+
+/**
+ * Post store credit granted to a customer by an admin
+ * @param {Object} client - Prisma transaction client of the grant
+ * @param {Object} walletEntry - Wallet entry of the grant
+ * @param {string} userId - Customer
+ * @param {string} currency
+ */
+const postCreditGrant = (client, walletEntry, userId, currency) =>
+  postJournal(client, {
+    type: "CREDIT_GRANT",
+    reference: `credit_grant_${walletEntry.id}`,
+    description: walletEntry.description || `Store credit granted to ${userId}`,
+    currency,
+    lines: [
+      debit(ACCOUNTS.PROMOTIONS, walletEntry.amount),
+      credit(ACCOUNTS.CUSTOMER_CREDIT, walletEntry.amount, userId),
+    ],
+  });
+
+/**
+ * Balance of each ledger account, per owner and currency, with the total
+ * debits and credits of each currency. The ledger is in balance when they
+ * are equal in every currency.
+ * @param {Object} [filters] - { account, ownerId, currency, asOf }
+ * @returns {Promise<Object>} { asOf, balanced, totals, accounts }
+ */
+const getTrialBalance = async (filters = {}) => {
+  const asOf = filters.asOf ? new Date(filters.asOf) : new Date();
+  const where = {
+    createdAt: { lte: asOf },
+    ...(filters.account && { account: filters.account }),
+    ...(filters.ownerId && { ownerId: filters.ownerId }),
+    ...(filters.currency && { currency: filters.currency.toUpperCase() }),
+  };
+
+  const rows = await prisma.journalLine.groupBy({
+    by: ["account", "ownerId", "currency"],
+    where,
+    _sum: { debit: true, credit: true },
+    orderBy: [{ account: "asc" }, { currency: "asc" }, { ownerId: "asc" }],
+  });
+
+  const totals = new Map();
+  const accounts = rows.map((row) => {
+    const debits = roundMoney(row._sum.debit, row.currency);
+    const credits = roundMoney(row._sum.credit, row.currency);
+    const total = totals.get(row.currency) || {
+      currency: row.currency,
+      debits: new Decimal(0),
+      credits: new Decimal(0),
+    };
+    total.debits = total.debits.plus(debits);
+    total.credits = total.credits.plus(credits);
+    totals.set(row.currency, total);
+
+    return {
+      account: row.account,
+      ownerId: row.ownerId,
+      currency: row.currency,
+      debits,
+      credits,
+      balance: roundMoney(
+        DEBIT_ACCOUNTS.includes(row.account)
+          ? debits.minus(credits)
+          : credits.minus(debits),
+        row.currency
+      ),
+    };
+  });
+
+  const currencyTotals = [...totals.values()].map((total) => ({
+    ...total,
+    balanced: total.debits.eq(total.credits),
+  }));
+  return {
+    asOf,
+    // Only meaningful for the whole ledger; one account never balances
+    balanced: currencyTotals.every((total) => total.balanced),
+    totals: currencyTotals,
+    accounts,
+  };
+};
+
+/**
+ * Check that every journal entry has equal debits and credits, and that
+ * each entry's lines are in its currency
+ * @returns {Promise<Object>} { balanced, checkedAt, unbalancedEntries }
+ */
+const checkLedger = async () => {
+  const unbalanced = await prisma.$queryRaw`
+    SELECT e."id", e."reference", e."currency",
+      SUM(l."debit") AS "debits", SUM(l."credit") AS "credits"
+    FROM "JournalEntry" e
+    JOIN "JournalLine" l ON l."entryId" = e."id"
+    GROUP BY e."id", e."reference", e."currency"
+    HAVING SUM(l."debit") <> SUM(l."credit")
+      OR bool_or(l."currency" <> e."currency")
+    ORDER BY e."id"
+    LIMIT 100
+  `;
+
+  const unbalancedEntries = unbalanced.map((entry) => ({
+    id: entry.id,
+    reference: entry.reference,
+    currency: entry.currency,
+    debits: entry.debits,
+    credits: entry.credits,
+  }));
+  if (unbalancedEntries.length > 0) {
+    logger.error(
+      `Ledger check found ${unbalancedEntries.length} unbalanced journal entries`,
+      { references: unbalancedEntries.map((entry) => entry.reference) }
+    );
+  }
+
+  return {
+    balanced: unbalancedEntries.length === 0,
+    checkedAt: new Date(),
+    unbalancedEntries,
+  };
+};
+
+module.exports = {
+  ACCOUNTS,
+  postJournal,
+  postEducatorTransfer,
+  postPayout,
+  postPayoutFailure,
+  postPayment,
+  postMembershipRevenue,
+  postRefund,
+  postTransferReversals,
+  postRefundFailure,
+  postDispute,
+  postStripeFee,
+  postCreditGrant,
+  getTrialBalance,
+  checkLedger,
+};
@@ -0,0 +1,302 @@
+const prisma = require("../config/db");
+const config = require("../config");
+const { logger, auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const { toJsonValue } = require("../utils/money");
+const {
+  sendToUserService,
+  sendToCourseService,
+  sendToProgressService,
+} = require("../utils/serviceNotifier");
+
+const DESTINATIONS = {
+  USER_SERVICE: "USER_SERVICE",
+  COURSE_SERVICE: "COURSE_SERVICE",
+  PROGRESS_SERVICE: "PROGRESS_SERVICE",
+};
+
+const SENDERS = {
+  [DESTINATIONS.USER_SERVICE]: sendToUserService,
+  [DESTINATIONS.COURSE_SERVICE]: sendToCourseService,
+  [DESTINATIONS.PROGRESS_SERVICE]: sendToProgressService,
+};
+
+/**
+ * Write notifications to the outbox. Pass the Prisma transaction client
+ * of the change being reported, so the events exist if and only if the
+ * change is committed. An enrollment and its removal must not overtake
+ * each other, so events of one user to one service are delivered in order.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object[]} events - [{ destination, payload }]
+ */
+const enqueueEvents = (tx, events) =>
+  tx.outboxEvent.createMany({
+    data: events.map(({ destination, payload }) => ({
+      destination,
+      // The progress service takes capitalized fields
+      eventType: payload.action || payload.Action,
+      // Amounts are sent as numbers
+      payload: toJsonValue(payload),
+      orderingKey: `${destination}:${payload.userId || payload.UserId}`,
+      transactionId: payload.transactionId || null,
+    })),
+  });
+
+/**
+ * The notifications that enroll a student in a course
+ * @param {string} userId - Student
+ * @param {string} courseId
+ * @param {string} transactionId - Payment that enrolls them
+ * @param {Object} [details] - More fields for the user service, e.g. the
+ *   gift code or installment plan the enrollment comes from
+ * @returns {Object[]} Outbox events
+ */
+const enrollmentEvents = (userId, courseId, transactionId, details = {}) => [
+  {
+    destination: DESTINATIONS.USER_SERVICE,
+    payload: {
+      userId,
+      action: "ENROLL_USER",
+      courseId,
+      transactionId,
+      ...details,
+    },
+  },
+  {
+    destination: DESTINATIONS.PROGRESS_SERVICE,
+    payload: { UserId: userId, CourseId: courseId, Action: "ENROLL_USER" },
+  },
+  {
+    destination: DESTINATIONS.COURSE_SERVICE,
+    payload: { userId, courseId, action: "ADD" },
+  },
+];
+
+/**
+ * Delay before the next delivery attempt: doubles with every failure, up
+ * to the configured cap
+ * @param {number} attempts - Failed deliveries so far
+ * @returns {number} Milliseconds
+ */
+const backoffDelayMs = (attempts) => {
+  const { baseDelaySeconds, maxDelayMinutes } = config.outbox;
+  return Math.min(
+    baseDelaySeconds * 1000 * 2 ** (attempts - 1),
+    maxDelayMinutes * 60 * 1000
+  );
+};
+
+/**
+ * Deliver one event, unless an older event with the same ordering key is
+ * still undelivered or another dispatcher holds it
+ * @param {Object} event - Pending outbox event
+ * @param {Date} [now]
+ * @returns {Promise<string|null>} DELIVERED, FAILED, DEAD or null when skipped
+ */
+const deliverEvent = async (event, now = new Date()) => {
+  const earlier = await prisma.outboxEvent.count({
+    where: {
+      orderingKey: event.orderingKey,
+      status: "PENDING",
+      createdAt: { lt: event.createdAt },
+    },
+  });
+  if (earlier > 0) {
+    return null;
+  }
+
+  // Lease the event so a concurrent run does not deliver it twice
+  const { count } = await prisma.outboxEvent.updateMany({
+    where: {
+      id: event.id,
+      status: "PENDING",
+      nextAttemptAt: event.nextAttemptAt,
+    },
+    data: {
+      nextAttemptAt: new Date(now.getTime() + config.outbox.leaseSeconds * 1000),
+    },
+  });
+  if (count === 0) {
+    return null;
+  }
+
+  try {
+    await SENDERS[event.destination](event.payload);
+    await prisma.outboxEvent.update({
+      where: { id: event.id },
+      data: {
+        status: "DELIVERED",
+        attempts: event.attempts + 1,
+        deliveredAt: new Date(),
+        lastError: null,
+      },
+    });
+    return "DELIVERED";
+  } catch (error) {
+    const attempts = event.attempts + 1;
+    const dead = attempts >= config.outbox.maxAttempts;
+
+    await prisma.outboxEvent.update({
+      where: { id: event.id },
+      data: {
+        attempts,
+        lastError: error.message,
+        ...(dead
+          ? { status: "DEAD" }
+          : { nextAttemptAt: new Date(now.getTime() + backoffDelayMs(attempts)) }),
+      },
+    });
+    logger.error(
+      `Delivering ${event.eventType} to ${event.destination} failed (attempt ${attempts}): ${error.message}`,
+      { eventId: event.id }
+    );
+
+    if (dead) {
+      auditLogger.log(
+        "OUTBOX_EVENT_DEAD",
+        "system",
+        `${event.eventType} to ${event.destination} dead-lettered after ${attempts} attempts`,
+        event.transactionId,
+        { eventId: event.id, error: error.message }
+      );
+      return "DEAD";
+    }
+    return "FAILED";
+  }
+};
+
+/**
+ * Deliver the events that are due, oldest first. Run by the outbox job
+ * and right after a payment commits.
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { delivered, failed, dead, skipped }
+ */
+const dispatchPendingEvents = async (now = new Date()) => {
+  const events = await prisma.outboxEvent.findMany({
+    where: { status: "PENDING", nextAttemptAt: { lte: now } },
+    orderBy: { createdAt: "asc" },
+    take: config.outbox.batchSize,
+  });
+
+  const result = { delivered: 0, failed: 0, dead: 0, skipped: 0 };
+  for (const event of events) {
+    const outcome = await deliverEvent(event, now);
+    if (outcome === "DELIVERED") result.delivered += 1;
+    else if (outcome === "FAILED") result.failed += 1;
+    else if (outcome === "DEAD") result.dead += 1;
+    else result.skipped += 1;
+  }
+
+  return result;
+};
+
+/**
+ * Deliver newly committed events without waiting for the next job run
+ */
+const dispatchSoon = () => {
+  setTimeout(async () => {
+    try {
+      await dispatchPendingEvents();
+    } catch (error) {
+      logger.error(`Outbox dispatch failed: ${error.message}`, { error });
+    }
+  }, 0);
+};
+
+/**
+ * List outbox events, newest first
+ * @param {Object} filters - { status, destination, eventType, transactionId }
+ * @param {number} [page]
+ * @param {number} [limit]
+ * @returns {Promise<Object>} { events, pagination }
+ */
+const listEvents = async (filters = {}, page = 1, limit = 20) => {
+  const skip = (page - 1) * limit;
+
+  const where = {};
+  if (filters.status) where.status = filters.status;
+  if (filters.destination) where.destination = filters.destination;
+  if (filters.eventType) where.eventType = filters.eventType;
+  if (filters.transactionId) where.transactionId = filters.transactionId;
+
+  try {
+    const [events, totalCount] = await Promise.all([
+      prisma.outboxEvent.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: limit,
+      }),
+      prisma.outboxEvent.count({ where }),
+    ]);
+
+    return {
+      events,
+      pagination: {
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit),
+        page,
+        limit,
+      },
+    };
+  } catch (error) {
+    throw new AppError(
+      "fetching_err",
+      `Error retrieving outbox events: ${error.message}`,
+      500
+    );
+  }
+};
+
+/**
+ * Get an outbox event
+ * @param {string} eventId - Outbox event ID
+ * @throws {AppError} If there is no such event
+ */
+const getEventById = async (eventId) => {
+  const event = await prisma.outboxEvent.findUnique({ where: { id: eventId } });
+  if (!event) {
+    throw new AppError("outbox_event_not_found_err", "Outbox event not found", 404);
+  }
+  return event;
+};
+
+/**
+ * Deliver an event again, typically a dead-lettered one once the service
+ * it is for is back. It gets a fresh set of attempts and is tried at once.
+ * @param {string} eventId - Outbox event ID
+ * @param {Object} user - Authenticated admin
+ * @returns {Promise<Object>} The event after the attempt
+ */
+const redeliverEvent = async (eventId, user) => {
+  const event = await getEventById(eventId);
+
+  const requeued = await prisma.outboxEvent.update({
+    where: { id: event.id },
+    data: { status: "PENDING", attempts: 0, nextAttemptAt: new Date() },
+  });
+
+  auditLogger.log(
+    "OUTBOX_EVENT_REDELIVERED",
+    user.id,
+    `${event.eventType} to ${event.destination} requeued (was ${event.status})`,
+    event.transactionId,
+    { eventId: event.id, previousAttempts: event.attempts }
+  );
+
+  await deliverEvent(requeued);
+  return getEventById(event.id);
+};
+
+module.exports = {
+  DESTINATIONS,
+  enqueueEvents,
+  enrollmentEvents,
+  backoffDelayMs,
+  deliverEvent,
+  dispatchPendingEvents,
+  dispatchSoon,
+  listEvents,
+  getEventById,
+  redeliverEvent,
+};
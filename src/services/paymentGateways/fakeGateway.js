@@ -0,0 +1,843 @@
+const crypto = require("crypto");
+
+/**
+ * In-memory payment gateway, so the service runs and is tested without a
+ * network or a Stripe account. It keeps Stripe's object shapes, statuses
+ * and errors, and is deterministic: IDs count up, and each test payment
+ * method always behaves the same way. Unknown payment methods succeed as
+ * a Visa card. State lasts until the process exits or `reset` is called.
+ */
+
+// Stripe's test payment methods, with the outcome of charging them
+const TEST_CARDS = {
+  pm_card_visa: { brand: "visa", last4: "4242" },
+  pm_card_mastercard: { brand: "mastercard", last4: "4444" },
+  pm_card_amex: { brand: "amex", last4: "8431" },
+  pm_card_chargeDeclined: {
+    brand: "visa",
+    last4: "0002",
+    decline: { code: "generic_decline", message: "Your card was declined." },
+  },
+  pm_card_chargeDeclinedInsufficientFunds: {
+    brand: "visa",
+    last4: "9995",
+    decline: {
+      code: "insufficient_funds",
+      message: "Your card has insufficient funds.",
+    },
+  },
+  pm_card_authenticationRequired: {
+    brand: "visa",
+    last4: "3184",
+    requiresAction: true,
+  },
+};
+const DEFAULT_CARD = TEST_CARDS.pm_card_visa;
+
+const INTERVAL_SECONDS = {
+  day: 86400,
+  week: 7 * 86400,
+  month: 30 * 86400,
+  year: 365 * 86400,
+};
+
+// Stripe's standard card pricing: 2.9% plus 30 minor units per charge
+const CARD_FEE_PERCENTAGE = 2.9;
+const CARD_FEE_FIXED = 30;
+
+// Signed webhooks older than this are rejected, as Stripe does
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+let counters = {};
+let objects = new Map();
+let idempotentResults = new Map();
+// Test payment method each card saved through a SetupIntent was made from
+let savedCardSources = new Map();
+
+const nextId = (prefix) => {
+  counters[prefix] = (counters[prefix] || 0) + 1;
+  return `${prefix}_fake_${String(counters[prefix]).padStart(6, "0")}`;
+};
+
+const unixNow = () => Math.floor(Date.now() / 1000);
+
+// Callers get copies, like objects deserialized from an API response
+const save = (object) => {
+  objects.set(object.id, object);
+  return structuredClone(object);
+};
+
+const gatewayError = (type, message, extra = {}) =>
+  Object.assign(new Error(message), { type, ...extra });
+
+const invalidRequest = (message, statusCode = 400) =>
+  gatewayError("StripeInvalidRequestError", message, { statusCode });
+
+const find = (id, objectType) => {
+  const object = objects.get(id);
+  if (!object || object.object !== objectType) {
+    throw invalidRequest(`No such ${objectType}: '${id}'`, 404);
+  }
+  return object;
+};
+
+/**
+ * Replay the first result for a repeated idempotency key, as Stripe does
+ */
+const idempotent = (options, create) => {
+  const key = options?.idempotencyKey;
+  if (key && idempotentResults.has(key)) {
+    return structuredClone(idempotentResults.get(key));
+  }
+
+  const result = create();
+  if (key) {
+    idempotentResults.set(key, structuredClone(result));
+  }
+  return result;
+};
+
+const cardOf = (paymentMethodId) =>
+  TEST_CARDS[savedCardSources.get(paymentMethodId) || paymentMethodId] ||
+  DEFAULT_CARD;
+
+// Stripe's test cards are all issued in the US
+const cardDetails = ({ brand, last4 }) => ({
+  brand,
+  last4,
+  country: "US",
+  fingerprint: `fp_${brand}_${last4}`,
+  exp_month: 12,
+  exp_year: new Date().getUTCFullYear() + 5,
+});
+
+/**
+ * A payment method by ID, creating the test payment methods on first use
+ */
+const paymentMethodObject = (paymentMethodId) => {
+  if (!objects.has(paymentMethodId)) {
+    objects.set(paymentMethodId, {
+      id: paymentMethodId,
+      object: "payment_method",
+      type: "card",
+      card: cardDetails(cardOf(paymentMethodId)),
+      customer: null,
+      created: unixNow(),
+    });
+  }
+  return find(paymentMethodId, "payment_method");
+};
+
+// ─────────────────────────── Payments ───────────────────────────
+
+const createTransferObject = (params) =>
+  save({
+    id: nextId("tr"),
+    object: "transfer",
+    amount: params.amount,
+    amount_reversed: 0,
+    currency: params.currency.toLowerCase(),
+    destination: params.destination,
+    source_transaction: params.source_transaction || null,
+    transfer_group: params.transfer_group || null,
+    metadata: params.metadata || {},
+    reversed: false,
+    created: unixNow(),
+  });
+
+/**
+ * Take the money of a payment that was authorized or confirmed, less
+ * Stripe's fee, which is recorded on its balance transaction. A
+ * destination charge also pays the connected account, less the
+ * application fee.
+ */
+const settleCharge = (intent, charge) => {
+  charge.captured = true;
+  charge.amount_captured = charge.amount;
+  const fee =
+    Math.round((charge.amount * CARD_FEE_PERCENTAGE) / 100) + CARD_FEE_FIXED;
+  const balanceTransaction = save({
+    id: nextId("txn"),
+    object: "balance_transaction",
+    amount: charge.amount,
+    currency: charge.currency,
+    fee,
+    net: charge.amount - fee,
+    source: charge.id,
+    type: "charge",
+    created: unixNow(),
+  });
+  charge.balance_transaction = balanceTransaction.id;
+  if (intent.transfer_data?.destination) {
+    const transfer = createTransferObject({
+      amount: charge.amount - (intent.application_fee_amount || 0),
+      currency: charge.currency,
+      destination: intent.transfer_data.destination,
+      source_transaction: charge.id,
+      transfer_group: intent.transfer_group,
+    });
+    charge.transfer = transfer.id;
+  }
+  intent.amount_received = charge.amount;
+  intent.status = "succeeded";
+};
+
+/**
+ * Charge the intent's payment method, once the customer is authenticated
+ * where the card requires it
+ */
+const chargePayment = (intent) => {
+  const card = cardOf(intent.payment_method);
+
+  if (card.decline) {
+    intent.status = "requires_payment_method";
+    intent.last_payment_error = {
+      type: "card_error",
+      code: "card_declined",
+      decline_code: card.decline.code,
+      message: card.decline.message,
+    };
+    throw gatewayError("StripeCardError", card.decline.message, {
+      statusCode: 402,
+      code: "card_declined",
+      decline_code: card.decline.code,
+      payment_intent: structuredClone(intent),
+    });
+  }
+  if (card.requiresAction && !intent.authenticated) {
+    intent.status = "requires_action";
+    intent.next_action = {
+      type: "use_stripe_sdk",
+      use_stripe_sdk: { type: "three_d_secure_redirect" },
+    };
+    return;
+  }
+
+  const charge = {
+    id: nextId("ch"),
+    object: "charge",
+    amount: intent.amount,
+    amount_captured: 0,
+    amount_refunded: 0,
+    currency: intent.currency,
+    captured: false,
+    refunded: false,
+    status: "succeeded",
+    payment_intent: intent.id,
+    payment_method: intent.payment_method,
+    payment_method_details: { type: "card", card: cardDetails(card) },
+    customer: intent.customer,
+    transfer: null,
+    balance_transaction: null,
+    transfer_group: intent.transfer_group,
+    metadata: intent.metadata,
+    created: unixNow(),
+  };
+  intent.next_action = null;
+  intent.latest_charge = charge.id;
+
+  if (intent.capture_method === "manual") {
+    intent.status = "requires_capture";
+    intent.amount_capturable = intent.amount;
+  } else {
+    settleCharge(intent, charge);
+  }
+  save(charge);
+};
+
+/**
+ * Expand the payment method the way `expand: ["payment_method"]` does
+ */
+const withExpansions = (intent, expand = []) => {
+  const result = structuredClone(intent);
+  delete result.authenticated;
+  if (expand.includes("payment_method") && result.payment_method) {
+    result.payment_method = structuredClone(
+      paymentMethodObject(result.payment_method)
+    );
+  }
+  return result;
+};
+
+const createPayment = async (params, options) =>
+  idempotent(options, () => {
+    const customer = params.customer ? find(params.customer, "customer") : null;
+    const paymentMethod =
+      params.payment_method ||
+      customer?.invoice_settings.default_payment_method;
+    if (!(params.amount > 0)) {
+      throw invalidRequest("Amount must be greater than zero");
+    }
+
+    const id = nextId("pi");
+    const intent = {
+      id,
+      object: "payment_intent",
+      amount: params.amount,
+      amount_capturable: 0,
+      amount_received: 0,
+      currency: params.currency.toLowerCase(),
+      capture_method: params.capture_method || "automatic",
+      status: paymentMethod ? "requires_confirmation" : "requires_payment_method",
+      client_secret: `${id}_secret_fake`,
+      customer: params.customer || null,
+      payment_method: paymentMethod || null,
+      description: params.description || null,
+      metadata: params.metadata || {},
+      application_fee_amount: params.application_fee_amount || null,
+      transfer_data: params.transfer_data || null,
+      transfer_group: params.transfer_group || null,
+      latest_charge: null,
+      next_action: null,
+      last_payment_error: null,
+      cancellation_reason: null,
+      created: unixNow(),
+    };
+    objects.set(id, intent);
+    if (paymentMethod) {
+      paymentMethodObject(paymentMethod);
+    }
+
+    if (params.confirm && paymentMethod) {
+      chargePayment(intent);
+    }
+    return withExpansions(intent, params.expand);
+  });
+
+const retrievePayment = async (paymentId) =>
+  withExpansions(find(paymentId, "payment_intent"));
+
+const confirmPayment = async (paymentId) => {
+  const intent = find(paymentId, "payment_intent");
+  if (
+    !["requires_confirmation", "requires_action"].includes(intent.status)
+  ) {
+    throw invalidRequest(
+      `This PaymentIntent's status is ${intent.status} and cannot be confirmed`
+    );
+  }
+  chargePayment(intent);
+  return withExpansions(intent);
+};
+
+const capturePayment = async (paymentId, options) =>
+  idempotent(options, () => {
+    const intent = find(paymentId, "payment_intent");
+    if (intent.status !== "requires_capture") {
+      throw invalidRequest(
+        `This PaymentIntent could not be captured because it has a status of ${intent.status}`
+      );
+    }
+    settleCharge(intent, find(intent.latest_charge, "charge"));
+    intent.amount_capturable = 0;
+    return withExpansions(intent);
+  });
+
+const cancelPayment = async (paymentId, params = {}) => {
+  const intent = find(paymentId, "payment_intent");
+  if (["succeeded", "canceled"].includes(intent.status)) {
+    throw invalidRequest(
+      `You cannot cancel this PaymentIntent because it has a status of ${intent.status}`
+    );
+  }
+  intent.status = "canceled";
+  intent.amount_capturable = 0;
+  intent.cancellation_reason = params.cancellation_reason || null;
+  return withExpansions(intent);
+};
+
+const retrieveCharge = async (chargeId) =>
+  structuredClone(find(chargeId, "charge"));
+
+const retrieveBalanceTransaction = async (balanceTransactionId) =>
+  structuredClone(find(balanceTransactionId, "balance_transaction"));
+
+const createRefund = async (params, options) =>
+  idempotent(options, () => {
+    const chargeId =
+      params.charge ||
+      (params.payment_intent &&
+        find(params.payment_intent, "payment_intent").latest_charge);
+    const charge = find(chargeId, "charge");
+    const refundable = charge.amount_captured - charge.amount_refunded;
+    const amount = params.amount ?? refundable;
+    if (!(amount > 0) || amount > refundable) {
+      throw invalidRequest(
+        `Refund amount (${amount}) is greater than unrefunded amount on charge (${refundable})`
+      );
+    }
+
+    charge.amount_refunded += amount;
+    charge.refunded = charge.amount_refunded === charge.amount_captured;
+    return save({
+      id: nextId("re"),
+      object: "refund",
+      amount,
+      currency: charge.currency,
+      charge: charge.id,
+      payment_intent: charge.payment_intent,
+      reason: params.reason || null,
+      metadata: params.metadata || {},
+      status: "succeeded",
+      created: unixNow(),
+    });
+  });
+
+// ─────────────────────── Payouts to educators ───────────────────────
+
+const createTransfer = async (params, options) =>
+  idempotent(options, () => createTransferObject(params));
+
+const reverseTransfer = async (transferId, params = {}) => {
+  const transfer = find(transferId, "transfer");
+  const reversible = transfer.amount - transfer.amount_reversed;
+  const amount = Math.round(params.amount ?? reversible);
+  if (!(amount > 0) || amount > reversible) {
+    throw invalidRequest(
+      `Reversal amount (${amount}) is greater than the amount left on the transfer (${reversible})`
+    );
+  }
+
+  transfer.amount_reversed += amount;
+  transfer.reversed = transfer.amount_reversed === transfer.amount;
+  return save({
+    id: nextId("trr"),
+    object: "transfer_reversal",
+    amount,
+    currency: transfer.currency,
+    transfer: transfer.id,
+    created: unixNow(),
+  });
+};
+
+/**
+ * What a connected account holds per currency: what was transferred to it
+ * and not reversed, less what was paid out
+ */
+// A connected account's funds by currency, either still pending or
+// available. Payouts are paid from the available funds.
+const accountTotals = (accountId, available) => {
+  const totals = {};
+  for (const object of objects.values()) {
+    if (
+      object.object === "transfer" &&
+      object.destination === accountId &&
+      Boolean(object.settled) === available
+    ) {
+      totals[object.currency] =
+        (totals[object.currency] || 0) + object.amount - object.amount_reversed;
+    }
+    if (
+      available &&
+      object.object === "payout" &&
+      object.account === accountId &&
+      object.status !== "failed"
+    ) {
+      totals[object.currency] = (totals[object.currency] || 0) - object.amount;
+    }
+  }
+  return Object.entries(totals).map(([currency, amount]) => ({
+    amount,
+    currency,
+  }));
+};
+
+/**
+ * A connected account's balance. Transfers stay pending until
+ * `settleBalance` makes them available.
+ */
+const retrieveBalance = async (accountId) => {
+  const pending = accountTotals(accountId, false);
+  const available = accountTotals(accountId, true);
+  const currency = pending[0]?.currency || available[0]?.currency || "usd";
+
+  return {
+    object: "balance",
+    available: available.length > 0 ? available : [{ amount: 0, currency }],
+    pending: pending.length > 0 ? pending : [{ amount: 0, currency }],
+  };
+};
+
+/**
+ * Pay a connected account's balance out. The payout stays pending; nothing
+ * ever arrives at a bank.
+ */
+const createPayout = async (accountId, params, options) =>
+  idempotent(options, () => {
+    const currency = params.currency.toLowerCase();
+    const balance =
+      accountTotals(accountId, true).find((entry) => entry.currency === currency)
+        ?.amount || 0;
+    if (params.amount > balance) {
+      throw invalidRequest(
+        "You have insufficient funds in your Stripe account for this transfer."
+      );
+    }
+
+    return save({
+      id: nextId("po"),
+      object: "payout",
+      account: accountId,
+      amount: params.amount,
+      currency,
+      status: "pending",
+      arrival_date: unixNow() + 2 * INTERVAL_SECONDS.day,
+      failure_code: null,
+      failure_message: null,
+      metadata: params.metadata || {},
+      created: unixNow(),
+    });
+  });
+
+// ───────────────────────── Connected accounts ─────────────────────────
+
+const createConnectedAccount = async (params) =>
+  save({
+    id: nextId("acct"),
+    object: "account",
+    type: params.type,
+    country: params.country,
+    email: params.email || null,
+    charges_enabled: true,
+    payouts_enabled: true,
+    created: unixNow(),
+  });
+
+// There is no onboarding to do, so the link leads straight back
+const createAccountLink = async (params) => {
+  find(params.account, "account");
+  return {
+    object: "account_link",
+    url: params.return_url,
+    expires_at: unixNow() + 300,
+    created: unixNow(),
+  };
+};
+
+const createLoginLink = async (accountId, params = {}) => {
+  find(accountId, "account");
+  return {
+    object: "login_link",
+    url: params.redirect_url || `fake://dashboard/${accountId}`,
+    created: unixNow(),
+  };
+};
+
+const deleteConnectedAccount = async (accountId) => {
+  find(accountId, "account");
+  objects.delete(accountId);
+  return { id: accountId, object: "account", deleted: true };
+};
+
+// ─────────────────── Customers and saved payment methods ───────────────────
+
+const createCustomer = async (params, options) =>
+  idempotent(options, () =>
+    save({
+      id: nextId("cus"),
+      object: "customer",
+      email: params.email || null,
+      name: params.name || null,
+      metadata: params.metadata || {},
+      invoice_settings: { default_payment_method: null },
+      created: unixNow(),
+    })
+  );
+
+const updateCustomer = async (customerId, params) => {
+  const customer = find(customerId, "customer");
+  const { invoice_settings: invoiceSettings, ...changes } = params;
+  Object.assign(customer, changes);
+  Object.assign(customer.invoice_settings, invoiceSettings);
+  return structuredClone(customer);
+};
+
+const retrievePaymentMethod = async (paymentMethodId) =>
+  structuredClone(paymentMethodObject(paymentMethodId));
+
+const listPaymentMethods = async (params) => ({
+  object: "list",
+  data: [...objects.values()]
+    .filter(
+      (object) =>
+        object.object === "payment_method" &&
+        object.customer === params.customer &&
+        (!params.type || object.type === params.type)
+    )
+    .map((paymentMethod) => structuredClone(paymentMethod)),
+  has_more: false,
+});
+
+const attachPaymentMethod = async (paymentMethodId, params) => {
+  find(params.customer, "customer");
+  const paymentMethod = paymentMethodObject(paymentMethodId);
+  if (paymentMethod.customer && paymentMethod.customer !== params.customer) {
+    throw invalidRequest(
+      "The payment method you provided has already been attached to a customer."
+    );
+  }
+  paymentMethod.customer = params.customer;
+  return structuredClone(paymentMethod);
+};
+
+const detachPaymentMethod = async (paymentMethodId) => {
+  const paymentMethod = paymentMethodObject(paymentMethodId);
+  const customer = paymentMethod.customer && objects.get(paymentMethod.customer);
+  if (customer?.invoice_settings.default_payment_method === paymentMethodId) {
+    customer.invoice_settings.default_payment_method = null;
+  }
+  paymentMethod.customer = null;
+  return structuredClone(paymentMethod);
+};
+
+const createSetupIntent = async (params) => {
+  const id = nextId("seti");
+  return save({
+    id,
+    object: "setup_intent",
+    status: "requires_payment_method",
+    client_secret: `${id}_secret_fake`,
+    customer: params.customer || null,
+    payment_method: null,
+    usage: params.usage || "off_session",
+    metadata: params.metadata || {},
+    created: unixNow(),
+  });
+};
+
+// ─────────────────────────── Memberships ───────────────────────────
+
+const createProduct = async (params) =>
+  save({
+    id: nextId("prod"),
+    object: "product",
+    active: true,
+    name: params.name,
+    description: params.description || null,
+    metadata: params.metadata || {},
+    created: unixNow(),
+  });
+
+const updateProduct = async (productId, params) => {
+  const product = find(productId, "product");
+  Object.assign(product, params);
+  return structuredClone(product);
+};
+
+const createPrice = async (params) =>
+  save({
+    id: nextId("price"),
+    object: "price",
+    active: true,
+    product: params.product,
+    unit_amount: params.unit_amount,
+    currency: params.currency.toLowerCase(),
+    recurring: params.recurring || null,
+    created: unixNow(),
+  });
+
+const createSubscription = async (params, options) =>
+  idempotent(options, () => {
+    find(params.customer, "customer");
+    const price = find(params.items[0].price, "price");
+    const paymentMethod = params.default_payment_method;
+    const card = cardOf(paymentMethod);
+    if (card.decline) {
+      throw gatewayError("StripeCardError", card.decline.message, {
+        statusCode: 402,
+        code: "card_declined",
+        decline_code: card.decline.code,
+      });
+    }
+
+    const start = unixNow();
+    return save({
+      id: nextId("sub"),
+      object: "subscription",
+      status: "active",
+      customer: params.customer,
+      items: { data: [{ price: structuredClone(price) }] },
+      default_payment_method: paymentMethod || null,
+      current_period_start: start,
+      current_period_end:
+        start + INTERVAL_SECONDS[price.recurring?.interval || "month"],
+      cancel_at_period_end: false,
+      pause_collection: null,
+      canceled_at: null,
+      metadata: params.metadata || {},
+      created: start,
+    });
+  });
+
+const updateSubscription = async (subscriptionId, params) => {
+  const subscription = find(subscriptionId, "subscription");
+  Object.assign(subscription, params);
+  // An empty string clears pause_collection
+  if (params.pause_collection === "") {
+    subscription.pause_collection = null;
+  }
+  return structuredClone(subscription);
+};
+
+const cancelSubscription = async (subscriptionId) => {
+  const subscription = find(subscriptionId, "subscription");
+  subscription.status = "canceled";
+  subscription.canceled_at = unixNow();
+  return structuredClone(subscription);
+};
+
+// ───────────────────────────── Webhooks ─────────────────────────────
+
+const signatureFor = (payload, secret, timestamp) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+
+/**
+ * Verify a webhook signed with `signWebhookPayload`, in Stripe's
+ * "t=<timestamp>,v1=<signature>" header format
+ */
+const constructWebhookEvent = (payload, signature, secret) => {
+  const parts = Object.fromEntries(
+    String(signature)
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = Number(parts.t);
+  const expected = Buffer.from(
+    signatureFor(payload.toString(), secret, timestamp)
+  );
+  const received = Buffer.from(parts.v1 || "");
+
+  if (
+    !timestamp ||
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    throw gatewayError(
+      "StripeSignatureVerificationError",
+      "No signatures found matching the expected signature for payload"
+    );
+  }
+  if (unixNow() - timestamp > WEBHOOK_TOLERANCE_SECONDS) {
+    throw gatewayError(
+      "StripeSignatureVerificationError",
+      "Timestamp outside the tolerance zone"
+    );
+  }
+
+  return JSON.parse(payload.toString());
+};
+
+// ─────────────────────── Local development and tests ───────────────────────
+
+/**
+ * Sign a webhook payload, to post events to the webhook endpoint locally
+ * @param {string} payload - Raw JSON body
+ * @param {string} secret - Webhook secret
+ * @param {number} [timestamp] - Unix seconds
+ * @returns {string} Value of the Stripe-Signature header
+ */
+const signWebhookPayload = (payload, secret, timestamp = unixNow()) =>
+  `t=${timestamp},v1=${signatureFor(payload, secret, timestamp)}`;
+
+/**
+ * Complete 3-D Secure for a payment, as the customer does with Stripe.js
+ * @param {string} paymentId - Payment intent in requires_action
+ */
+const authenticatePayment = async (paymentId) => {
+  const intent = find(paymentId, "payment_intent");
+  if (intent.status !== "requires_action") {
+    throw invalidRequest(
+      `This PaymentIntent's status is ${intent.status} and does not need authentication`
+    );
+  }
+  intent.authenticated = true;
+  chargePayment(intent);
+  return withExpansions(intent);
+};
+
+/**
+ * Save a card with a SetupIntent, as the customer does with Stripe.js
+ * @param {string} setupIntentId - Setup intent to confirm
+ * @param {string} paymentMethodId - Test payment method, e.g. pm_card_visa
+ */
+const confirmSetup = async (setupIntentId, paymentMethodId) => {
+  const setupIntent = find(setupIntentId, "setup_intent");
+  // Each saved card is its own payment method, as with Stripe.js
+  const savedId = nextId("pm");
+  objects.set(savedId, {
+    ...structuredClone(paymentMethodObject(paymentMethodId)),
+    id: savedId,
+  });
+  savedCardSources.set(savedId, paymentMethodId);
+  await attachPaymentMethod(savedId, { customer: setupIntent.customer });
+
+  setupIntent.status = "succeeded";
+  setupIntent.payment_method = savedId;
+  return structuredClone(setupIntent);
+};
+
+/**
+ * Settle the funds transferred to a connected account, so they become
+ * available for payout as they do on Stripe after a few days
+ * @param {string} accountId - Connected account
+ */
+const settleBalance = async (accountId) => {
+  for (const object of objects.values()) {
+    if (object.object === "transfer" && object.destination === accountId) {
+      object.settled = true;
+    }
+  }
+  return retrieveBalance(accountId);
+};
+
+/**
+ * Forget every object, e.g. between tests
+ */
+const reset = () => {
+  counters = {};
+  objects = new Map();
+  idempotentResults = new Map();
+  savedCardSources = new Map();
+};
+
+module.exports = {
+  name: "fake",
+  createPayment,
+  retrievePayment,
+  confirmPayment,
+  capturePayment,
+  cancelPayment,
+  retrieveCharge,
+  retrieveBalanceTransaction,
+  createRefund,
+  createTransfer,
+  reverseTransfer,
+  retrieveBalance,
+  createPayout,
+  createConnectedAccount,
+  createAccountLink,
+  createLoginLink,
+  deleteConnectedAccount,
+  createCustomer,
+  updateCustomer,
+  retrievePaymentMethod,
+  listPaymentMethods,
+  attachPaymentMethod,
+  detachPaymentMethod,
+  createSetupIntent,
+  createProduct,
+  updateProduct,
+  createPrice,
+  createSubscription,
+  updateSubscription,
+  cancelSubscription,
+  constructWebhookEvent,
+  signWebhookPayload,
+  authenticatePayment,
+  confirmSetup,
+  settleBalance,
+  reset,
+};
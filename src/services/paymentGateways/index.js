@@ -0,0 +1,43 @@
+const config = require("../../config");
+
+/**
+ * Payment gateways by name, loaded on first use so the Stripe client is
+ * only set up when it is selected. A gateway exposes `name` and, taking
+ * and returning Stripe-shaped objects (amounts in minor units):
+ *
+ * - payments: createPayment, retrievePayment, confirmPayment,
+ *   capturePayment, cancelPayment, retrieveCharge,
+ *   retrieveBalanceTransaction, createRefund
+ * - payouts to educators: createTransfer, reverseTransfer, retrieveBalance,
+ *   createPayout
+ * - connected accounts: createConnectedAccount, createAccountLink,
+ *   createLoginLink, deleteConnectedAccount
+ * - customers: createCustomer, updateCustomer, retrievePaymentMethod,
+ *   listPaymentMethods, attachPaymentMethod, detachPaymentMethod,
+ *   createSetupIntent
+ * - memberships: createProduct, updateProduct, createPrice,
+ *   createSubscription, updateSubscription, cancelSubscription
+ * - webhooks: constructWebhookEvent
+ *
+ * Register a new gateway here and select it with PAYMENT_GATEWAY.
+ */
+const gateways = {
+  stripe: () => require("./stripeGateway"),
+  fake: () => require("./fakeGateway"),
+};
+
+/**
+ * Get a gateway by name
+ * @param {string} [name] - Gateway name, the configured one by default
+ */
+const getPaymentGateway = (name = config.paymentGateway.provider) => {
+  const load = gateways[name];
+  if (!load) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return load();
+};
+
+module.exports = {
+  getPaymentGateway,
+};
@@ -0,0 +1,68 @@
+const stripe = require("../../config/stripe");
+
+/**
+ * Payment gateway backed by the Stripe API. Parameters and results are
+ * Stripe's own, so this is a thin pass-through.
+ */
+module.exports = {
+  name: "stripe",
+
+  // Payments
+  createPayment: (params, options) =>
+    stripe.paymentIntents.create(params, options),
+  retrievePayment: (paymentId) => stripe.paymentIntents.retrieve(paymentId),
+  confirmPayment: (paymentId) => stripe.paymentIntents.confirm(paymentId),
+  capturePayment: (paymentId, options) =>
+    stripe.paymentIntents.capture(paymentId, {}, options),
+  cancelPayment: (paymentId, params) =>
+    stripe.paymentIntents.cancel(paymentId, params),
+  retrieveCharge: (chargeId) => stripe.charges.retrieve(chargeId),
+  retrieveBalanceTransaction: (balanceTransactionId) =>
+    stripe.balanceTransactions.retrieve(balanceTransactionId),
+  createRefund: (params, options) => stripe.refunds.create(params, options),
+
+  // Payouts to educators
+  createTransfer: (params, options) => stripe.transfers.create(params, options),
+  reverseTransfer: (transferId, params) =>
+    stripe.transfers.createReversal(transferId, params),
+  retrieveBalance: (accountId) =>
+    stripe.balance.retrieve({ stripeAccount: accountId }),
+  // Pays a connected account's balance out to the educator's bank account
+  createPayout: (accountId, params, options) =>
+    stripe.payouts.create(params, { ...options, stripeAccount: accountId }),
+
+  // Connected accounts
+  createConnectedAccount: (params) => stripe.accounts.create(params),
+  createAccountLink: (params) => stripe.accountLinks.create(params),
+  createLoginLink: (accountId, params) =>
+    stripe.accounts.createLoginLink(accountId, params),
+  deleteConnectedAccount: (accountId) => stripe.accounts.del(accountId),
+
+  // Customers and saved payment methods
+  createCustomer: (params, options) => stripe.customers.create(params, options),
+  updateCustomer: (customerId, params) =>
+    stripe.customers.update(customerId, params),
+  retrievePaymentMethod: (paymentMethodId) =>
+    stripe.paymentMethods.retrieve(paymentMethodId),
+  listPaymentMethods: (params) => stripe.paymentMethods.list(params),
+  attachPaymentMethod: (paymentMethodId, params) =>
+    stripe.paymentMethods.attach(paymentMethodId, params),
+  detachPaymentMethod: (paymentMethodId) =>
+    stripe.paymentMethods.detach(paymentMethodId),
+  createSetupIntent: (params) => stripe.setupIntents.create(params),
+
+  // Memberships
+  createProduct: (params) => stripe.products.create(params),
+  updateProduct: (productId, params) => stripe.products.update(productId, params),
+  createPrice: (params) => stripe.prices.create(params),
+  createSubscription: (params, options) =>
+    stripe.subscriptions.create(params, options),
+  updateSubscription: (subscriptionId, params) =>
+    stripe.subscriptions.update(subscriptionId, params),
+  cancelSubscription: (subscriptionId) =>
+    stripe.subscriptions.cancel(subscriptionId),
+
+  // Webhooks
+  constructWebhookEvent: (payload, signature, secret) =>
+    stripe.webhooks.constructEvent(payload, signature, secret),
+};
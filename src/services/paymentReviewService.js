@@ -0,0 +1,203 @@
+const prisma = require("../config/db");
+const { auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const preorderService = require("./preorderService");
+
+/**
+ * Payments held by the fraud rules that are waiting for a decision. Only
+ * authorized ones are listed; the rest still await 3-D Secure.
+ * @param {number} [page]
+ * @param {number} [limit]
+ * @returns {Promise<Object>} { reviews, pagination }
+ */
+const listPendingReviews = async (page = 1, limit = 20) => {
+  const skip = (page - 1) * limit;
+  const where = {
+    status: "PENDING",
+    transaction: { status: "AUTHORIZED" },
+  };
+
+  try {
+    const [reviews, totalCount] = await Promise.all([
+      prisma.paymentReview.findMany({
+        where,
+        include: {
+          transaction: {
+            select: {
+              id: true,
+              amount: true,
+              currency: true,
+              taxAmount: true,
+              userId: true,
+              courseId: true,
+              educatorId: true,
+              createdAt: true,
+            },
+          },
+        },
+        // Oldest first, as their authorizations lapse first
+        orderBy: { createdAt: "asc" },
+        skip,
+        take: limit,
+      }),
+      prisma.paymentReview.count({ where }),
+    ]);
+
+    return {
+      reviews,
+      pagination: {
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit),
+        page,
+        limit,
+      },
+    };
+  } catch (error) {
+    throw new AppError(
+      "fetching_err",
+      `Error retrieving payment reviews: ${error.message}`,
+      500
+    );
+  }
+};
+
+/**
+ * Record the admin's decision on a held payment. Only the first decision
+ * counts.
+ * @param {string} reviewId - Payment review ID
+ * @param {Object} user - Authenticated admin
+ * @param {string} status - APPROVED or REJECTED
+ * @param {string} [note] - The admin's reason
+ * @returns {Promise<Object>} The review and its transaction
+ */
+const decideReview = async (reviewId, user, status, note) => {
+  const review = await prisma.paymentReview.findUnique({
+    where: { id: reviewId },
+    include: { transaction: true },
+  });
+  if (!review) {
+    throw new AppError(
+      "payment_review_not_found_err",
+      "Payment review not found",
+      404
+    );
+  }
+  if (review.transaction.status !== "AUTHORIZED") {
+    throw new AppError(
+      "payment_review_err",
+      `Only authorized payments can be reviewed; this one is ${review.transaction.status}`,
+      400
+    );
+  }
+
+  const { count } = await prisma.paymentReview.updateMany({
+    where: { id: reviewId, status: "PENDING" },
+    data: {
+      status,
+      reviewedBy: user.id,
+      reviewNote: note || null,
+      reviewedAt: new Date(),
+    },
+  });
+  if (count === 0) {
+    throw new AppError(
+      "payment_review_err",
+      "This payment has already been reviewed",
+      400
+    );
+  }
+
+  return review;
+};
+
+/**
+ * Approve a held payment. The card is captured, enrolling the student,
+ * unless it is a pre-order, which stays authorized until launch day.
+ * @param {string} reviewId - Payment review ID
+ * @param {Object} user - Authenticated admin
+ * @param {string} [note] - Why it was approved
+ * @returns {Promise<Object>} { reviewId, transactionId, status, transactionStatus }
+ */
+const approveReview = async (reviewId, user, note) => {
+  const review = await decideReview(reviewId, user, "APPROVED", note);
+  const { transaction } = review;
+
+  const launchDate = transaction.metadata?.preorder
+    ? new Date(transaction.metadata.launchDate)
+    : null;
+  let transactionStatus = "AUTHORIZED";
+  if (!launchDate || launchDate <= new Date()) {
+    try {
+      ({ status: transactionStatus } =
+        await preorderService.captureAuthorizedPayment(transaction.id, user));
+    } catch (error) {
+      // Back in the queue, to retry or reject
+      await prisma.paymentReview.update({
+        where: { id: reviewId },
+        data: {
+          status: "PENDING",
+          reviewedBy: null,
+          reviewNote: null,
+          reviewedAt: null,
+        },
+      });
+      throw error;
+    }
+  }
+
+  auditLogger.log(
+    "PAYMENT_REVIEW_APPROVED",
+    user.id,
+    `Held payment of ${transaction.amount} ${transaction.currency} approved for course ${transaction.courseId}`,
+    transaction.id,
+    { reviewId, score: review.score, note: note || null }
+  );
+
+  return {
+    reviewId,
+    transactionId: transaction.id,
+    status: "APPROVED",
+    transactionStatus,
+  };
+};
+
+/**
+ * Reject a held payment. Its card authorization is voided, so the student
+ * is never charged.
+ * @param {string} reviewId - Payment review ID
+ * @param {Object} user - Authenticated admin
+ * @param {string} [note] - Why it was rejected
+ * @returns {Promise<Object>} { reviewId, transactionId, status, transactionStatus }
+ */
+const rejectReview = async (reviewId, user, note) => {
+  const review = await decideReview(reviewId, user, "REJECTED", note);
+  const { transaction } = review;
+
+  const { status: transactionStatus } =
+    await preorderService.voidAuthorizedPayment(
+      transaction.id,
+      user,
+      "fraudulent"
+    );
+
+  auditLogger.log(
+    "PAYMENT_REVIEW_REJECTED",
+    user.id,
+    `Held payment of ${transaction.amount} ${transaction.currency} rejected for course ${transaction.courseId}`,
+    transaction.id,
+    { reviewId, score: review.score, note: note || null }
+  );
+
+  return {
+    reviewId,
+    transactionId: transaction.id,
+    status: "REJECTED",
+    transactionStatus,
+  };
+};
+
+module.exports = {
+  listPendingReviews,
+  approveReview,
+  rejectReview,
+};
@@ -1,55 +1,448 @@
-const stripe = require("../config/stripe");
 const prisma = require("../config/db");
 const { Prisma } = require("@prisma/client");
+const { v4: uuidv4 } = require("uuid");
 const { logger, auditLogger } = require("../utils/logger");
 const { AppError } = require("../middleware/errorHandler");
-const {
-  notifyUserService,
-  notifyCourseService,
-  notifyProgressService,
-} = require("../utils/serviceNotifier");
 const invoiceService = require("./invoiceService");
+const {
+  resolveCoursePrice,
+  assertPreorderOpen,
+} = require("./coursePriceService");
+const couponService = require("./couponService");
+const giftService = require("./giftService");
+const fxRateService = require("./fxRateService");
+const taxService = require("./taxService");
+const walletService = require("./walletService");
+const riskService = require("./riskService");
+const outboxService = require("./outboxService");
+const affiliateService = require("./affiliateService");
+const revenueShareService = require("./revenueShareService");
+const payoutScheduleService = require("./payoutScheduleService");
+const ledgerService = require("./ledgerService");
+const { calculatePlatformCommission } = require("./commissionService");
+const { calculateRefundAmounts } = require("../utils/paymentCalculator");
+const {
+  getSavedPaymentMethod,
+  paymentMethodFields,
+} = require("./customerService");
 const { invalidateTransactionCaches } = require("./statisticsService");
+const { getPaymentGateway } = require("./paymentGateways");
+const {
+  Decimal,
+  toDecimal,
+  toMinorUnits,
+  fromMinorUnits,
+  roundMoney,
+  sumMoney,
+  toJsonValue,
+} = require("../utils/money");
+
+const gateway = getPaymentGateway();
+
+// Payments whose money has not been taken yet
+const OPEN_PAYMENT_STATUSES = ["PENDING", "AUTHORIZED"];
+
+// Payments that can still be refunded, in full or in part
+const REFUNDABLE_STATUSES = ["COMPLETED", "PARTIALLY_REFUNDED"];
+
+/**
+ * What is left to refund of a payment, net of tax
+ * @param {Object} transaction - Payment transaction
+ * @returns {Decimal}
+ */
+const getRefundableAmount = (transaction) =>
+  transaction.type !== "REFUND" &&
+  REFUNDABLE_STATUSES.includes(transaction.status)
+    ? roundMoney(
+        toDecimal(transaction.amount).minus(
+          toDecimal(transaction.refundedAmount)
+        ),
+        transaction.currency
+      )
+    : new Decimal(0);
+
+/**
+ * Totals of the refunds of a payment so far, as positive amounts for
+ * calculateRefundAmounts. Failed refunds gave nothing back.
+ * @param {string} transactionId - Refunded payment
+ * @param {Object} [client] - Prisma client or transaction client
+ */
+const getRefundedTotals = async (transactionId, client = prisma) => {
+  const { _sum } = await client.transaction.aggregate({
+    where: {
+      type: "REFUND",
+      status: { not: "FAILED" },
+      metadata: { path: ["originalTransactionId"], equals: transactionId },
+    },
+    _sum: {
+      amount: true,
+      taxAmount: true,
+      platformCommission: true,
+      educatorEarnings: true,
+      affiliateCommission: true,
+    },
+  });
+
+  return {
+    amount: toDecimal(_sum.amount),
+    taxAmount: toDecimal(_sum.taxAmount),
+    platformCommission: toDecimal(_sum.platformCommission).negated(),
+    educatorEarnings: toDecimal(_sum.educatorEarnings).negated(),
+    affiliateCommission: toDecimal(_sum.affiliateCommission).negated(),
+  };
+};
+
+/**
+ * Record what a completed payment creates besides its transaction: the
+ * coupon redemption, the gift code, the invoice, the ledger entries and
+ * the notifications to the other services. Runs inside the payment's
+ * database transaction.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} transaction - Completed payment transaction
+ * @param {Object} checkout - Coupon, gift and invoice details of the checkout
+ * @returns {Promise<Object>} { invoice, giftCode }
+ */
+const fulfillPayment = async (tx, transaction, checkout) => {
+  if (checkout.coupon) {
+    await couponService.redeemCoupon(tx, {
+      coupon: checkout.coupon,
+      userId: transaction.userId,
+      courseId: transaction.courseId,
+      transactionId: transaction.id,
+      discountAmount: checkout.discount,
+    });
+  }
+
+  // A gift issues a code for the recipient instead of enrolling the buyer
+  const giftCode = checkout.gift
+    ? await giftService.createGiftCode(tx, {
+        transaction,
+        gift: checkout.gift,
+      })
+    : null;
+
+  const invoice = await tx.invoice.create({
+    data: {
+      transactionId: transaction.id,
+      invoiceNumber: `INV-${Date.now().toString().substring(5)}`,
+      ...checkout.invoice,
+      status: "PAID",
+      paidAt: new Date(),
+      issueDate: new Date(),
+    },
+  });
+
+  await ledgerService.postPayment(tx, transaction);
+  await enqueuePaymentCompleted(tx, transaction, giftCode);
+  return { invoice, giftCode };
+};
+
+/**
+ * Notifications of a refund: each instructor's refunded earnings and, once
+ * the whole payment is refunded, the removal of the enrollment. The buyer
+ * of an unredeemed gift was never enrolled, so there is none to remove.
+ * @param {Object} originalTransaction - Refunded payment
+ * @param {Object} refundTransaction - REFUND transaction
+ * @param {Object[]} shares - From splitRefundedEarnings
+ * @param {Object} options - { final, gift, reason }
+ * @returns {Object[]} Outbox events
+ */
+const refundEvents = (originalTransaction, refundTransaction, shares, options) => {
+  const { userId, courseId } = originalTransaction;
+  const events =
+    options.gift || !options.final
+      ? []
+      : [
+          {
+            destination: outboxService.DESTINATIONS.USER_SERVICE,
+            payload: {
+              userId,
+              action: "REMOVE_ENROLLMENT",
+              courseId,
+              transactionId: refundTransaction.id,
+            },
+          },
+          {
+            destination: outboxService.DESTINATIONS.COURSE_SERVICE,
+            payload: { userId, courseId, action: "REMOVE" },
+          },
+        ];
+
+  shares.forEach((share) => {
+    events.push({
+      destination: outboxService.DESTINATIONS.USER_SERVICE,
+      payload: {
+        userId: share.educatorId,
+        action: "EARNINGS_REFUNDED",
+        courseId,
+        transactionId: refundTransaction.id,
+        amount: share.amount,
+        reason: options.reason || "Refund processed",
+      },
+    });
+  });
+  return events;
+};
+
+/**
+ * Tell the other services about a completed course payment: enroll the
+ * buyer (or send them the gift code) and report the instructors' earnings.
+ * The notifications are written to the outbox in the payment's database
+ * transaction and delivered once it commits.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} transaction - Completed payment transaction
+ * @param {Object|null} giftCode - Gift code issued by the payment
+ */
+const enqueuePaymentCompleted = async (tx, transaction, giftCode) => {
+  const { userId, courseId } = transaction;
+
+  // The recipient of a gift is enrolled when they redeem the code, so the
+  // buyer only gets the code
+  const events = giftCode
+    ? [
+        {
+          destination: outboxService.DESTINATIONS.USER_SERVICE,
+          payload: {
+            userId,
+            action: "GIFT_PURCHASED",
+            courseId,
+            transactionId: transaction.id,
+            giftCode: giftCode.code,
+            recipientEmail: giftCode.recipientEmail,
+            recipientName: giftCode.recipientName,
+            message: giftCode.message,
+            expiresAt: giftCode.expiresAt,
+          },
+        },
+      ]
+    : outboxService.enrollmentEvents(userId, courseId, transaction.id);
+
+  // Each instructor of the course hears about their own share. Free
+  // enrollments earn them nothing to report.
+  const earnings = await tx.educatorEarning.findMany({
+    where: { transactionId: transaction.id, amount: { gt: 0 } },
+  });
+  for (const earning of earnings) {
+    events.push({
+      destination: outboxService.DESTINATIONS.USER_SERVICE,
+      payload: {
+        userId: earning.educatorId,
+        action: "NEW_EARNINGS",
+        courseId,
+        transactionId: transaction.id,
+        amount: earning.amount,
+        totalPendingEarnings: await getTotalEarningsForEducator(
+          earning.educatorId,
+          tx
+        ),
+      },
+    });
+  }
+
+  await outboxService.enqueueEvents(tx, events);
+};
+
+/**
+ * Give back the store credit taken for a checkout that did not go through
+ * @param {Object} debit - { userId, currency, amount, transactionId, orderId }
+ */
+const reverseWalletDebit = ({ userId, currency, amount, transactionId, orderId }) =>
+  prisma.$transaction((tx) =>
+    walletService.creditWallet(tx, {
+      userId,
+      currency,
+      amount,
+      transactionId,
+      orderId,
+      reason: "CHECKOUT_REVERSAL",
+      description: "Checkout did not complete",
+    })
+  );
 
-const PLATFORM_COMMISSION_PERCENTAGE =
-  parseFloat(process.env.PLATFORM_COMMISSION_PERCENTAGE) || 20;
+/**
+ * What the client needs to finish a payment that is still pending
+ * @param {string} transactionId - Pending transaction
+ * @param {Object} paymentIntent - Its Stripe payment intent
+ */
+const pendingPaymentResult = (transactionId, paymentIntent) => ({
+  transactionId,
+  status: "PENDING",
+  paymentIntentStatus: paymentIntent.status,
+  requiresAction: paymentIntent.status === "requires_action",
+  clientSecret: paymentIntent.client_secret || null,
+  nextAction: paymentIntent.next_action || null,
+});
 
+/**
+ * Run the fraud rules on a checkout about to be charged
+ * @param {Object} user - Authenticated buyer
+ * @param {Object} checkout - { items, amount, currency, source, billingCountry }
+ * @param {Object} options - { ipAddress, userAgent } of the request
+ * @returns {Promise<Object>} Risk assessment
+ * @throws {AppError} If the rules block the payment
+ */
+const screenPayment = async (user, checkout, options) => {
+  const assessment = await riskService.assessPayment({
+    user,
+    ...checkout,
+    ipAddress: options.ipAddress,
+    userAgent: options.userAgent,
+  });
 
+  // The customer is not told which rules matched
+  if (assessment.decision === riskService.DECISIONS.BLOCK) {
+    throw new AppError("payment_blocked_err", "Payment was declined", 402);
+  }
+  return assessment;
+};
 
-const processPayment = async (paymentData, user) => {
+/**
+ * Process a course payment
+ * @param {Object} paymentData - Validated request body
+ * @param {Object} user - Authenticated user
+ * @param {Object} options
+ * @param {string} [options.idempotencyKey] - Client supplied Idempotency-Key
+ * @param {string} [options.ipAddress] - Client IP, for the fraud rules
+ * @param {string} [options.userAgent] - Client user agent, for the fraud rules
+ * @param {string} [options.referralClickId] - Referral link click from the
+ *   buyer's cookie
+ */
+const processPayment = async (paymentData, user, options = {}) => {
   const startTime = Date.now();
   const {
     courseId,
-    amount,
-    currency = "USD",
     source,
+    paymentMethodId,
     description,
-    educatorId,
+    couponCode,
+    gift,
+    billingCountry,
+    billingRegion,
+    taxId,
+    useWallet,
+    captureMethod,
+    referralCode,
   } = paymentData;
+  // Replaced by the catalog values below; kept for failure recording
+  let amount = paymentData.amount;
+  let currency = paymentData.currency || "USD";
+  let educatorId = paymentData.educatorId;
+  // Store credit taken for this checkout until a transaction records it
+  let walletDebit = null;
 
   try {
-    // Parallel database queries
+    // Never trust the client price - resolve it from the catalog
+    const coursePrice = await resolveCoursePrice(courseId);
+    assertMatchesCoursePrice(paymentData, coursePrice);
+    // A pre-order only authorizes the card until the course launches
+    const preorder = captureMethod === "manual";
+    if (preorder) {
+      assertPreorderOpen(coursePrice);
+    }
+    amount = coursePrice.amount;
+    currency = coursePrice.currency;
+    educatorId = coursePrice.educatorId;
+    // A co-taught course pays each instructor with a transfer of their own
+    const shares = await revenueShareService.getRevenueShares(
+      courseId,
+      educatorId
+    );
+    const shared = revenueShareService.isShared(shares);
+    const byTransfer = revenueShareService.paysByTransfer(shares);
+
+    // Apply the coupon before anything is charged; commission is
+    // computed on the discounted amount
+    const listPrice = amount;
+    let discount = 0;
+    let appliedCoupon = null;
+    if (couponCode) {
+      const couponResult = await couponService.validateCoupon(couponCode, {
+        userId: user.id,
+        courseId,
+        educatorId,
+        amount: listPrice,
+        currency,
+      });
+      appliedCoupon = couponResult.coupon;
+      discount = couponResult.discountAmount;
+      amount = couponResult.finalAmount;
+    }
+
+    // Tax follows the customer's billing location. From here on `amount`
+    // is net of tax, so commission is never taken on tax.
+    const sale = taxService.calculateSaleTax(
+      [{ listPrice, discount, amount }],
+      { country: billingCountry, region: billingRegion, taxId },
+      currency
+    );
+    const [taxedItem] = sale.items;
+    amount = taxedItem.net;
+
+    // Free and fully discounted courses are enrolled without Stripe
+    const free = sale.total.isZero();
+
+    // Store credit is drawn first and Stripe charges the rest
+    const walletAmount = useWallet
+      ? await walletService.getAvailableCredit(user.id, currency, sale.total)
+      : new Decimal(0);
+    const chargeAmount = roundMoney(sale.total.minus(walletAmount), currency);
+    const payment = await resolvePaymentSource(
+      user,
+      { source, paymentMethodId },
+      chargeAmount.isZero()
+    );
+
+    // A payment held for fraud review only authorizes the card until an
+    // admin approves it
+    const risk =
+      chargeAmount.gt(0)
+        ? await screenPayment(
+            user,
+            {
+              items: [{ courseId, amount }],
+              amount: chargeAmount,
+              currency,
+              source: payment.source,
+              billingCountry,
+            },
+            options
+          )
+        : null;
+    const review = risk?.decision === riskService.DECISIONS.REVIEW;
+
+    // Parallel database queries. A gift may be bought for a course the
+    // buyer already owns, so enrollment is only checked for themselves.
     const t1 = Date.now();
-    const [duplicateCheck, educatorAccount] = await Promise.all([
-      prisma.transaction.findFirst({
-        where: { courseId, userId: user.id, status: "COMPLETED" },
-        select: { id: true }, // Only select what we need
-      }),
+    const [duplicateCheck, redeemedGifts, educatorAccounts] = await Promise.all([
+      gift
+        ? null
+        : prisma.transaction.findFirst({
+            where: {
+              courseId,
+              userId: user.id,
+              // A pre-order already holds the course
+              status: { in: ["COMPLETED", "AUTHORIZED"] },
+              giftCode: { is: null },
+            },
+            select: { id: true }, // Only select what we need
+          }),
+
+      gift ? [] : giftService.getRedeemedCourseIds(user.id, [courseId]),
 
-      prisma.stripeAccount.findFirst({
-        where: { educatorId },
-        select: { stripeAccountId: true },
+      prisma.stripeAccount.findMany({
+        where: { educatorId: { in: shares.map((share) => share.educatorId) } },
+        select: { educatorId: true, stripeAccountId: true },
       }),
     ]);
 
-    if (!educatorAccount) {
+    if (educatorAccounts.length < shares.length && !free) {
       throw new AppError(
         "edu_not_found_err",
         "Educator account not found",
         400
       );
     }
-    if (duplicateCheck) {
+    if (duplicateCheck || redeemedGifts.length > 0) {
       throw new AppError(
         "already_enrolled_err",
         "User already enrolled in this course",
@@ -60,179 +453,1124 @@ const processPayment = async (paymentData, user) => {
 
     // Calculate revenue split
     const t2 = Date.now();
-    const { platformCommission, educatorEarnings } =
-      calculatePlatformCommission(amount, educatorId);
+    const split = await calculatePlatformCommission(amount, {
+      courseId,
+      educatorId,
+      category: coursePrice.category,
+      currency,
+    });
+    const { educatorEarnings, commissionRuleId } = split;
+    // A referred sale pays the affiliate out of the platform commission
+    const referral = await affiliateService.resolveReferral(
+      { referralCode, clickId: options.referralClickId },
+      user.id
+    );
+    const { platformCommission, affiliateCommission } =
+      affiliateService.splitAffiliateCommission(
+        amount,
+        split.platformCommission,
+        referral,
+        currency
+      );
     const m2 = Date.now() - t2;
-    const idempotencyKey = `payment_${courseId}_${user.id}_${Date.now()}`;
+    // Reuse the client key so a retried request can never create a second charge
+    const idempotencyKey = options.idempotencyKey
+      ? `payment_${user.id}_${options.idempotencyKey}`
+      : `payment_${courseId}_${user.id}_${Date.now()}`;
+
+    const t3 = Date.now();
+    if (walletAmount.gt(0)) {
+      const entry = await prisma.$transaction((tx) =>
+        walletService.debitWallet(tx, {
+          userId: user.id,
+          currency,
+          amount: walletAmount,
+          reason: "CHECKOUT",
+          description: `Payment for course: ${description || courseId}`,
+        })
+      );
+      walletDebit = {
+        entryId: entry.id,
+        userId: user.id,
+        currency,
+        amount: walletAmount,
+      };
+    }
+
+    // The platform collects the tax and remits it, and holds the
+    // affiliate's share. With store credit, several instructors or earnings
+    // held for a payout schedule, the educators are paid by separate
+    // transfers instead of with the charge.
+    const destinationCharge = walletAmount.isZero() && !byTransfer;
+
+    // Create and confirm payment in one step
+    let stripeCharge = null;
+    if (chargeAmount.gt(0)) {
+      stripeCharge = await gateway.createPayment(
+        {
+          amount: toMinorUnits(chargeAmount, currency),
+          currency: currency || "USD",
+          payment_method: payment.source,
+          ...(payment.customerId && { customer: payment.customerId }),
+          confirm: true, // Confirm immediately
+          // Let Stripe.js run 3-D Secure when the bank asks for it
+          use_stripe_sdk: true,
+          ...((preorder || review) && { capture_method: "manual" }),
+          description: description || `Payment for course: ${courseId}`,
+          metadata: { courseId, userId: user.id, educatorId },
+          ...(destinationCharge && {
+            application_fee_amount: toMinorUnits(
+              sumMoney([platformCommission, affiliateCommission, sale.tax]),
+              currency
+            ),
+            transfer_data: {
+              destination: educatorAccounts[0].stripeAccountId,
+            },
+          }),
+          automatic_payment_methods: { enabled: true, allow_redirects: "never" },
+          // Card brand and last4 for the transaction
+          expand: ["payment_method"],
+        },
+        { idempotencyKey }
+      );
+    }
+    const m3 = Date.now() - t3;
+
+    // Failed authentication or a declined card ends the checkout here
+    if (
+      stripeCharge &&
+      ["requires_payment_method", "canceled"].includes(stripeCharge.status)
+    ) {
+      throw new AppError(
+        "payment_declined_err",
+        stripeCharge.last_payment_error?.message || "Payment was declined",
+        402
+      );
+    }
+    const authorized = stripeCharge?.status === "requires_capture";
+    const succeeded = !stripeCharge || stripeCharge.status === "succeeded";
+    let status = "PENDING";
+    if (succeeded) status = "COMPLETED";
+    else if (authorized) status = "AUTHORIZED";
+
+    // What the payment creates once it succeeds. Kept on a pending or
+    // authorized transaction until the customer has authenticated or the
+    // pre-order is captured.
+    const checkout = {
+      coupon: appliedCoupon && { id: appliedCoupon.id, code: appliedCoupon.code },
+      discount,
+      gift: gift || null,
+      invoice: {
+        subtotal: taxedItem.unitPrice,
+        discount: taxedItem.discount,
+        tax: sale.tax,
+        total: sale.total,
+        walletAmount,
+        ...taxService.invoiceTaxFields(sale),
+        // Always billed to the buyer, also for gifts
+        billingInfo: JSON.stringify({
+          name: user.name || "Customer",
+          email: user.email || "customer@example.com",
+        }),
+        notes: gift
+          ? `Gift purchase of course: ${description || courseId}`
+          : `Payment for course: ${description || courseId}`,
+      },
+    };
+
+    const t4 = Date.now();
+    const conversion = await fxRateService.getConversionToBase(currency);
+    // Use database transaction for multiple operations
+    const [transaction, invoice, giftCode] = await prisma.$transaction(async (tx) => {
+      // Create transaction record
+      const transactionRecord = await tx.transaction.create({
+        data: {
+          stripeChargeId: stripeCharge?.id || null,
+          amount,
+          currency,
+          ...fxRateService.baseAmountFields(amount, conversion),
+          taxAmount: sale.tax,
+          status,
+          type: "PAYMENT",
+          platformCommission,
+          educatorEarnings,
+          affiliateCommission,
+          commissionRuleId,
+          userId: user.id,
+          courseId,
+          educatorId,
+          description,
+          metadata: toJsonValue({
+            stripePaymentId: stripeCharge?.id || null,
+            ...paymentMethodOf(free, stripeCharge),
+            processingTime: Date.now() - startTime,
+            ...(walletAmount.gt(0) && { walletAmount }),
+            ...(appliedCoupon && {
+              couponCode: appliedCoupon.code,
+              listPrice,
+              discount,
+            }),
+            ...(gift && { gift: true }),
+            ...(preorder && { preorder: true, launchDate: coursePrice.launchDate }),
+            ...(risk && { riskScore: risk.score }),
+            ...(shared && { revenueShared: true }),
+            // The educator is paid by the charge itself
+            ...(stripeCharge && destinationCharge && { destinationCharge: true }),
+            ...(!succeeded && { checkout }),
+          }),
+        },
+      });
+
+      await revenueShareService.recordEducatorEarnings(
+        tx,
+        transactionRecord,
+        shares
+      );
+      await affiliateService.recordReferral(tx, transactionRecord, referral);
+
+      if (review) {
+        await riskService.holdForReview(tx, transactionRecord, risk);
+      }
+
+      if (walletDebit) {
+        await tx.walletEntry.update({
+          where: { id: walletDebit.entryId },
+          data: { transactionId: transactionRecord.id },
+        });
+      }
+
+      if (!succeeded) {
+        return [transactionRecord, null, null];
+      }
+      const fulfilled = await fulfillPayment(tx, transactionRecord, checkout);
+      return [transactionRecord, fulfilled.invoice, fulfilled.giftCode];
+    });
+    // From here the credit is given back with the transaction, if at all
+    walletDebit = null;
+    const m4 = Date.now() - t4;
+    // Fire and forget audit logging (don't await)
+    setTimeout(() => {
+      const outcomes = {
+        COMPLETED: ["PAYMENT_PROCESSED", "processed"],
+        AUTHORIZED: ["PAYMENT_AUTHORIZED", "authorized until launch"],
+        PENDING: ["PAYMENT_PENDING", "awaiting confirmation"],
+      };
+      const [action, outcome] =
+        review && authorized
+          ? ["PAYMENT_HELD_FOR_REVIEW", "held for fraud review"]
+          : outcomes[status];
+      auditLogger.log(
+        action,
+        user.id,
+        `Payment of ${amount} ${currency} ${outcome} for course ${courseId}`,
+        transaction.id,
+        {
+          stripeChargeId: stripeCharge?.id || null,
+          ...(free && { free: true }),
+          ...(walletAmount.gt(0) && { walletAmount }),
+          ...(appliedCoupon && { couponCode: appliedCoupon.code, discount }),
+          ...(giftCode && { giftCodeId: giftCode.id }),
+          ...(sale.tax.gt(0) && { tax: sale.tax, taxCountry: sale.countryCode }),
+          ...(affiliateCommission.gt(0) && {
+            affiliateCode: referral.affiliate.code,
+            affiliateCommission,
+          }),
+        }
+      );
+    }, 0);
+
+    // Invalidate transaction-related caches (added)
+    setTimeout(() => {
+      invalidateTransactionCaches();
+    }, 0);
+
+    const processingTime = Date.now() - startTime;
+    logger.info(`Payment processing completed in ${processingTime}ms`);
+
+    // The card is charged once an admin approves the payment
+    if (review && authorized) {
+      return {
+        success: true,
+        processingTime,
+        transactionId: transaction.id,
+        status,
+        inReview: true,
+      };
+    }
+
+    // The card is charged on launch day, which is when the student is
+    // enrolled and invoiced
+    if (authorized) {
+      return {
+        success: true,
+        processingTime,
+        transactionId: transaction.id,
+        status,
+        launchDate: coursePrice.launchDate,
+      };
+    }
+
+    // 3-D Secure and similar: nothing is enrolled until the payment intent
+    // succeeds, through the confirm endpoint or the webhook
+    if (!succeeded) {
+      return {
+        success: true,
+        processingTime,
+        ...pendingPaymentResult(transaction.id, stripeCharge),
+      };
+    }
+
+    if (walletAmount.gt(0) || shared) {
+      // Store credit is paid out of the platform balance
+      await revenueShareService.transferEducatorEarnings(transaction, {
+        ...(stripeCharge &&
+          walletAmount.isZero() && {
+            sourceTransaction: stripeCharge.latest_charge || stripeCharge.id,
+          }),
+      });
+    }
+    outboxService.dispatchSoon();
+    return {
+      success: true,
+      processingTime,
+      transactionId: transaction.id,
+      status: transaction.status,
+      invoiceId: invoice.id,
+      ...(walletAmount.gt(0) && { walletAmount, chargedAmount: chargeAmount }),
+      matrices: { m1, m2, m3, m4 },
+      ...(giftCode && {
+        giftCode: {
+          code: giftCode.code,
+          recipientEmail: giftCode.recipientEmail,
+          expiresAt: giftCode.expiresAt,
+        },
+      }),
+    };
+  } catch (error) {
+    logger.error(`Payment processing error: ${error.message}`, { error });
+
+    if (walletDebit) {
+      await reverseWalletDebit(walletDebit);
+    }
+
+    // Record failed transaction if we have enough information
+    if (courseId && amount && educatorId && user?.id) {
+      // Fire and forget transaction failure recording
+      setTimeout(async () => {
+        try {
+          await prisma.transaction.create({
+            data: {
+              amount,
+              currency,
+              status: "FAILED",
+              type: "PAYMENT",
+              platformCommission: 0,
+              educatorEarnings: 0,
+              userId: user.id,
+              courseId,
+              educatorId,
+              description: description || "Failed payment",
+              metadata: { error: error.message },
+            },
+          });
+
+          auditLogger.log(
+            "PAYMENT_FAILED",
+            user.id,
+            `Payment of ${amount} ${currency} failed for course ${courseId}`,
+            null,
+            { error: error.message }
+          );
+        } catch (logError) {
+          logger.error(
+            `Failed to log transaction failure: ${logError.message}`,
+            { error: logError }
+          );
+        }
+      }, 0);
+    }
+    throw error;
+  }
+};
+/**
+ * Complete a payment that was waiting for the customer to authenticate
+ * (3-D Secure), for the bank or, for a pre-order, to be captured. Called by
+ * the confirm and capture endpoints and the payment_intent.succeeded
+ * webhook; only the first call enrolls. A cart completes its whole order.
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Promise<Object|null>} { transaction, invoice, giftCode }, or
+ *   for a cart { order, transaction, transactions, invoice }; null when
+ *   there was no pending payment to complete
+ */
+const completePendingPayment = async (paymentIntentId) => {
+  const pending = await prisma.transaction.findFirst({
+    where: { stripeChargeId: paymentIntentId, type: "PAYMENT" },
+  });
+  if (!pending || !OPEN_PAYMENT_STATUSES.includes(pending.status)) {
+    return null;
+  }
+  if (pending.orderId) {
+    return completePendingCart(pending.orderId, paymentIntentId);
+  }
+
+  // Payments left pending before checkout details were kept on them
+  const checkout = pending.metadata?.checkout || {
+    invoice: {
+      subtotal: pending.amount,
+      tax: pending.taxAmount,
+      total: sumMoney([pending.amount, pending.taxAmount]),
+      notes: `Payment for course: ${pending.description || pending.courseId}`,
+    },
+  };
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Only the first of the confirm call and the webhook gets past here
+    const { count } = await tx.transaction.updateMany({
+      where: { id: pending.id, status: { in: OPEN_PAYMENT_STATUSES } },
+      data: { status: "COMPLETED" },
+    });
+    if (count === 0) return null;
+
+    const transaction = { ...pending, status: "COMPLETED" };
+    const fulfilled = await fulfillPayment(tx, transaction, checkout);
+    return { transaction, ...fulfilled };
+  });
+  if (!result) {
+    return null;
+  }
+
+  auditLogger.log(
+    "PAYMENT_PROCESSED",
+    pending.userId,
+    `Payment of ${pending.amount} ${pending.currency} processed for course ${pending.courseId}`,
+    pending.id,
+    {
+      stripeChargeId: paymentIntentId,
+      ...(result.giftCode && { giftCodeId: result.giftCode.id }),
+    }
+  );
+
+  setTimeout(() => {
+    invalidateTransactionCaches();
+  }, 0);
+
+  if (pending.metadata?.walletAmount > 0 || pending.metadata?.revenueShared) {
+    await revenueShareService.transferEducatorEarnings(result.transaction);
+  }
+  outboxService.dispatchSoon();
+  return result;
+};
+
+/**
+ * Complete a cart whose charge was waiting for the customer to
+ * authenticate: enroll the student in every course, invoice the order and
+ * pay the educators. Only the first call completes it.
+ * @param {string} orderId
+ * @param {string} paymentIntentId - The order's Stripe payment intent ID
+ * @returns {Promise<Object|null>} { order, transaction, transactions,
+ *   invoice }, or null when the order was no longer pending
+ */
+const completePendingCart = async (orderId, paymentIntentId) => {
+  const result = await prisma.$transaction(async (tx) => {
+    // Only the first of the confirm call and the webhook gets past here
+    const { count } = await tx.order.updateMany({
+      where: { id: orderId, status: "PENDING" },
+      data: { status: "COMPLETED" },
+    });
+    if (count === 0) return null;
+
+    await tx.transaction.updateMany({
+      where: { orderId, type: "PAYMENT", status: "PENDING" },
+      data: { status: "COMPLETED" },
+    });
+    const order = await tx.order.findUnique({ where: { id: orderId } });
+    const transactions = await tx.transaction.findMany({
+      where: { orderId, type: "PAYMENT" },
+      orderBy: { createdAt: "asc" },
+    });
+    const invoice = await fulfillCartPayment(
+      tx,
+      order,
+      transactions,
+      order.metadata.checkout
+    );
+    return { order, transaction: transactions[0], transactions, invoice };
+  });
+  if (!result) {
+    return null;
+  }
+
+  const { order, transactions } = result;
+  auditLogger.log(
+    "CART_PAYMENT_PROCESSED",
+    order.userId,
+    `Payment of ${order.amount} ${order.currency} processed for ${transactions.length} courses`,
+    null,
+    {
+      orderId,
+      stripeChargeId: paymentIntentId,
+      transactionIds: transactions.map((t) => t.id),
+    }
+  );
+
+  setTimeout(() => {
+    invalidateTransactionCaches();
+  }, 0);
+
+  await transferCartEarnings(transactions, {
+    transferGroup: order.metadata.transferGroup,
+  });
+  outboxService.dispatchSoon();
+  return result;
+};
+
+/**
+ * Mark a pending payment as failed, e.g. when 3-D Secure was not passed.
+ * An authorized pre-order whose payment intent was canceled is voided.
+ * @param {Object} paymentIntent - Stripe payment intent
+ * @returns {Promise<boolean>} Whether a pending payment was failed
+ */
+const failPendingPayment = async (paymentIntent) => {
+  // The courses of a cart share the order's payment intent
+  const pending = await prisma.transaction.findFirst({
+    where: {
+      stripeChargeId: paymentIntent.id,
+      type: "PAYMENT",
+      status: { in: OPEN_PAYMENT_STATUSES },
+    },
+  });
+  if (!pending) {
+    return false;
+  }
+  const status = pending.status === "AUTHORIZED" ? "VOIDED" : "FAILED";
+
+  const count = await prisma.$transaction(async (tx) => {
+    const { count: failed } = await tx.transaction.updateMany({
+      where: pending.orderId
+        ? { orderId: pending.orderId, type: "PAYMENT", status: pending.status }
+        : { id: pending.id, status: pending.status },
+      data: { status },
+    });
+    if (failed === 0) return 0;
+
+    // Store credit drawn at checkout goes back to the wallet; a cart's
+    // credit is kept on its order
+    let walletAmount = pending.metadata?.walletAmount;
+    if (pending.orderId) {
+      const order = await tx.order.update({
+        where: { id: pending.orderId },
+        data: { status },
+      });
+      walletAmount = order.metadata?.walletAmount;
+    }
+    if (walletAmount > 0) {
+      await walletService.creditWallet(tx, {
+        userId: pending.userId,
+        currency: pending.currency,
+        amount: walletAmount,
+        reason: "CHECKOUT_REVERSAL",
+        transactionId: pending.id,
+        ...(pending.orderId && { orderId: pending.orderId }),
+        description: "Checkout did not complete",
+      });
+    }
+    return failed;
+  });
+
+  if (count > 0) {
+    auditLogger.log(
+      status === "VOIDED" ? "PAYMENT_VOIDED" : "PAYMENT_FAILED",
+      "system",
+      `Payment ${paymentIntent.id} ${status === "VOIDED" ? "voided" : "failed"}: ${paymentIntent.status}`,
+      pending.id,
+      {
+        stripeChargeId: paymentIntent.id,
+        error: paymentIntent.last_payment_error?.message,
+      }
+    );
+    setTimeout(() => {
+      invalidateTransactionCaches();
+    }, 0);
+  }
+
+  return count > 0;
+};
+
+/**
+ * Record that a pre-order which needed 3-D Secure is now authorized
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Promise<boolean>} Whether a pending payment was authorized
+ */
+const markPaymentAuthorized = async (paymentIntentId) => {
+  const { count } = await prisma.transaction.updateMany({
+    where: {
+      stripeChargeId: paymentIntentId,
+      type: "PAYMENT",
+      status: "PENDING",
+    },
+    data: { status: "AUTHORIZED" },
+  });
+
+  if (count > 0) {
+    auditLogger.log(
+      "PAYMENT_AUTHORIZED",
+      "system",
+      `Payment ${paymentIntentId} authorized until launch`,
+      null,
+      { stripeChargeId: paymentIntentId }
+    );
+  }
+  return count > 0;
+};
+
+/**
+ * Check on a pending payment after the customer authenticated it, and
+ * complete it when the payment intent has succeeded. Also serves as a
+ * status check while the payment is processing.
+ * @param {string} transactionId - Payment transaction ID
+ * @param {Object} user - Authenticated buyer
+ * @returns {Promise<Object>} Transaction status and, while pending, what
+ *   the client still has to do
+ */
+const confirmPayment = async (transactionId, user) => {
+  const transaction = await prisma.transaction.findUnique({
+    where: { id: transactionId },
+  });
+  if (
+    !transaction ||
+    transaction.type !== "PAYMENT" ||
+    transaction.userId !== user.id
+  ) {
+    throw new AppError("transaction_err", "Transaction not found", 404);
+  }
+  if (transaction.status !== "PENDING") {
+    return {
+      transactionId,
+      status: transaction.status,
+      requiresAction: false,
+    };
+  }
+
+  let paymentIntent = await gateway.retrievePayment(transaction.stripeChargeId);
+  if (paymentIntent.status === "requires_confirmation") {
+    paymentIntent = await gateway.confirmPayment(paymentIntent.id);
+  }
+
+  if (paymentIntent.status === "succeeded") {
+    await completePendingPayment(paymentIntent.id);
+    return { transactionId, status: "COMPLETED", requiresAction: false };
+  }
+  if (paymentIntent.status === "requires_capture") {
+    await markPaymentAuthorized(paymentIntent.id);
+    return { transactionId, status: "AUTHORIZED", requiresAction: false };
+  }
+  if (["requires_payment_method", "canceled"].includes(paymentIntent.status)) {
+    await failPendingPayment(paymentIntent);
+    return {
+      transactionId,
+      status: "FAILED",
+      requiresAction: false,
+      error: paymentIntent.last_payment_error?.message || "Payment was declined",
+    };
+  }
+
+  return pendingPaymentResult(transactionId, paymentIntent);
+};
+
+/**
+ * Check out several courses with a single charge. Every course gets its own
+ * transaction and commission, educators are paid with separate transfers
+ * and the student receives one invoice listing each course. Nothing is
+ * enrolled, invoiced or paid out until the charge succeeds.
+ * @param {Object} cartData - Validated request body
+ * @param {Object} user - Authenticated user
+ * @param {Object} options
+ * @param {string} [options.idempotencyKey] - Client supplied Idempotency-Key
+ * @param {string} [options.ipAddress] - Client IP, for the fraud rules
+ * @param {string} [options.userAgent] - Client user agent, for the fraud rules
+ * @param {string} [options.referralClickId] - Referral link click from the
+ *   buyer's cookie
+ */
+const processCartPayment = async (cartData, user, options = {}) => {
+  const startTime = Date.now();
+  const {
+    courseIds,
+    source,
+    paymentMethodId,
+    description,
+    couponCode,
+    billingCountry,
+    billingRegion,
+    taxId,
+    useWallet,
+    referralCode,
+  } = cartData;
+  let total;
+  let currency;
+  let items;
+  // Store credit taken for this checkout until the order records it
+  let walletDebit = null;
+
+  try {
+    const repeated = courseIds.find((id, i) => courseIds.indexOf(id) !== i);
+    if (repeated) {
+      throw new AppError(
+        "cart_err",
+        `Course ${repeated} appears more than once in the cart`,
+        400
+      );
+    }
+
+    // Never trust the client price - resolve every course from the catalog
+    const coursePrices = await Promise.all(courseIds.map(resolveCoursePrice));
+    currency = coursePrices[0].currency;
+    if (
+      coursePrices.some(
+        (price) => price.currency.toUpperCase() !== currency.toUpperCase()
+      )
+    ) {
+      throw new AppError(
+        "cart_err",
+        "All courses in the cart must be priced in the same currency",
+        400
+      );
+    }
+    if (
+      cartData.currency &&
+      cartData.currency.toUpperCase() !== currency.toUpperCase()
+    ) {
+      throw new AppError(
+        "price_mismatch_err",
+        `Currency ${cartData.currency} does not match the cart currency ${currency}`,
+        400
+      );
+    }
+
+    // Co-taught courses pay every instructor their share
+    const revenueShares = await Promise.all(
+      coursePrices.map((price) =>
+        revenueShareService.getRevenueShares(price.courseId, price.educatorId)
+      )
+    );
+    const educatorIds = [
+      ...new Set(revenueShares.flat().map((share) => share.educatorId)),
+    ];
+    const [ownedTransactions, redeemedCourseIds, educatorAccounts] =
+      await Promise.all([
+        prisma.transaction.findMany({
+          where: {
+            courseId: { in: courseIds },
+            userId: user.id,
+            status: { in: ["COMPLETED", "AUTHORIZED"] },
+            giftCode: { is: null },
+          },
+          select: { courseId: true },
+        }),
+        giftService.getRedeemedCourseIds(user.id, courseIds),
+        prisma.stripeAccount.findMany({
+          where: { educatorId: { in: educatorIds } },
+          select: { educatorId: true, stripeAccountId: true },
+        }),
+      ]);
+
+    const owned = [
+      ...new Set([
+        ...ownedTransactions.map((t) => t.courseId),
+        ...redeemedCourseIds,
+      ]),
+    ];
+    if (owned.length > 0) {
+      throw new AppError(
+        "cart_course_owned_err",
+        `Already enrolled in: ${owned.join(", ")}`,
+        409
+      );
+    }
+
+    const stripeAccounts = new Map(
+      educatorAccounts.map((a) => [a.educatorId, a.stripeAccountId])
+    );
+    const missingEducator = educatorIds.find(
+      (id) =>
+        !stripeAccounts.has(id) &&
+        coursePrices.some(
+          (p, i) =>
+            toDecimal(p.amount).gt(0) &&
+            revenueShares[i].some((share) => share.educatorId === id)
+        )
+    );
+    if (missingEducator) {
+      throw new AppError(
+        "edu_not_found_err",
+        `Educator account not found for ${missingEducator}`,
+        400
+      );
+    }
+
+    items = coursePrices.map((price, i) => ({
+      courseId: price.courseId,
+      educatorId: price.educatorId,
+      shares: revenueShares[i],
+      title: price.title,
+      category: price.category,
+      listPrice: price.amount,
+      discount: 0,
+      amount: price.amount,
+    }));
+
+    let appliedCoupon = null;
+    if (couponCode) {
+      const couponResult = await couponService.validateCartCoupon(couponCode, {
+        userId: user.id,
+        currency,
+        items,
+      });
+      appliedCoupon = couponResult.coupon;
+      const item = items.find((i) => i.courseId === couponResult.courseId);
+      item.discount = couponResult.discountAmount;
+      item.amount = couponResult.finalAmount;
+    }
+
+    // Tax is worked out per course, then commission on the net amount so
+    // each course's commission rule applies. A referral pays the affiliate
+    // a share of every course in the cart.
+    const sale = taxService.calculateSaleTax(
+      items,
+      { country: billingCountry, region: billingRegion, taxId },
+      currency
+    );
+    const referral = await affiliateService.resolveReferral(
+      { referralCode, clickId: options.referralClickId },
+      user.id
+    );
+    for (const [i, item] of items.entries()) {
+      item.taxed = sale.items[i];
+      Object.assign(
+        item,
+        await calculatePlatformCommission(item.taxed.net, {
+          courseId: item.courseId,
+          educatorId: item.educatorId,
+          category: item.category,
+          currency,
+        })
+      );
+      Object.assign(
+        item,
+        affiliateService.splitAffiliateCommission(
+          item.taxed.net,
+          item.platformCommission,
+          referral,
+          currency
+        )
+      );
+    }
+
+    total = sale.total;
+    const { subtotal, discount } = sale;
+
+    // A cart of free courses is enrolled without Stripe
+    const free = total.isZero();
+
+    // Store credit is drawn first and Stripe charges the rest. Each course
+    // carries its share of the credit, so a refund can give it back.
+    const walletAmount = useWallet
+      ? await walletService.getAvailableCredit(user.id, currency, total)
+      : new Decimal(0);
+    const chargeAmount = roundMoney(total.minus(walletAmount), currency);
+    const payment = await resolvePaymentSource(
+      user,
+      { source, paymentMethodId },
+      chargeAmount.isZero()
+    );
+    allocateWalletAmount(items, walletAmount, total, currency);
+
+    // The cart's one charge is split between educators straight away, so
+    // it cannot be held for review; a cart the rules would hold is declined
+    if (chargeAmount.gt(0)) {
+      const risk = await screenPayment(
+        user,
+        {
+          items: items.map((item) => ({
+            courseId: item.courseId,
+            amount: item.taxed.net,
+          })),
+          amount: chargeAmount,
+          currency,
+          source: payment.source,
+          billingCountry,
+        },
+        options
+      );
+      if (risk.decision !== riskService.DECISIONS.ALLOW) {
+        throw new AppError("payment_blocked_err", "Payment was declined", 402);
+      }
+    }
+
+    const orderId = uuidv4();
+    const transferGroup = `order_${orderId}`;
+    const idempotencyKey = options.idempotencyKey
+      ? `cart_${user.id}_${options.idempotencyKey}`
+      : `cart_${orderId}`;
+    const chargeDescription =
+      description || `Payment for ${items.length} courses`;
+    const chargeMetadata = {
+      orderId,
+      userId: user.id,
+      courseIds: courseIds.join(","),
+    };
+
+    if (walletAmount.gt(0)) {
+      const entry = await prisma.$transaction((tx) =>
+        walletService.debitWallet(tx, {
+          userId: user.id,
+          currency,
+          amount: walletAmount,
+          reason: "CHECKOUT",
+          orderId,
+          description: chargeDescription,
+        })
+      );
+      walletDebit = {
+        entryId: entry.id,
+        userId: user.id,
+        currency,
+        amount: walletAmount,
+        orderId,
+      };
+    }
+
+    // One charge for the whole cart; no destination so it can be split
+    // between the educators once it succeeds
+    let stripeCharge = null;
+    if (chargeAmount.gt(0)) {
+      stripeCharge = await gateway.createPayment(
+        {
+          amount: toMinorUnits(chargeAmount, currency),
+          currency,
+          payment_method: payment.source,
+          ...(payment.customerId && { customer: payment.customerId }),
+          confirm: true,
+          // Let Stripe.js run 3-D Secure when the bank asks for it
+          use_stripe_sdk: true,
+          description: chargeDescription,
+          metadata: chargeMetadata,
+          transfer_group: transferGroup,
+          automatic_payment_methods: { enabled: true, allow_redirects: "never" },
+          // Card brand and last4 for the transaction
+          expand: ["payment_method"],
+        },
+        { idempotencyKey }
+      );
+    }
 
-    const t3 = Date.now();
-    // Create and confirm payment in one step (fallback to charges.create in tests)
-    let stripeCharge;
+    // Failed authentication or a declined card ends the checkout here
     if (
-      stripe.paymentIntents &&
-      typeof stripe.paymentIntents.create === "function"
+      stripeCharge &&
+      ["requires_payment_method", "canceled"].includes(stripeCharge.status)
     ) {
-      stripeCharge = await stripe.paymentIntents.create({
-        amount: Math.round(amount * 100),
-        currency: currency || "USD",
-        payment_method: source,
-        confirm: true, // Confirm immediately
-        description: description || `Payment for course: ${courseId}`,
-        metadata: { courseId, userId: user.id, educatorId },
-        application_fee_amount: Math.round(platformCommission * 100),
-        transfer_data: { destination: educatorAccount.stripeAccountId },
-        automatic_payment_methods: { enabled: true, allow_redirects: "never" },
-      });
-    } else {
-      // Fallback to charges.create for older Stripe versions or tests
-      stripeCharge = await stripe.charges.create({
-        amount: Math.round(amount * 100),
-        currency: currency || "USD",
-        source,
-        description: description || `Payment for course: ${courseId}`,
-        metadata: { courseId, userId: user.id },
-      });
+      throw new AppError(
+        "payment_declined_err",
+        stripeCharge.last_payment_error?.message || "Payment was declined",
+        402
+      );
     }
-    const m3 = Date.now() - t3;
+    const succeeded = !stripeCharge || stripeCharge.status === "succeeded";
+    const status = succeeded ? "COMPLETED" : "PENDING";
 
-    const t4 = Date.now();
-    // Use database transaction for multiple operations
-    const [transaction, invoice] = await prisma.$transaction(async (tx) => {
-      // Create transaction record
-      const transactionRecord = await tx.transaction.create({
-        data: {
-          stripeChargeId: stripeCharge.id,
-          amount,
-          currency,
-          status: stripeCharge.status === "succeeded" ? "COMPLETED" : "PENDING",
-          type: "PAYMENT",
-          platformCommission,
-          educatorEarnings,
-          userId: user.id,
-          courseId,
-          educatorId,
-          description,
-          metadata: {
-            stripePaymentId: stripeCharge.id,
-            paymentMethod: "card", // Simplified for now
-            processingTime: Date.now() - startTime,
-          },
+    // What the order creates once the charge succeeds. Kept on a pending
+    // order until the customer has authenticated.
+    const checkout = {
+      coupon: appliedCoupon && { id: appliedCoupon.id, code: appliedCoupon.code },
+      invoice: {
+        subtotal,
+        discount,
+        tax: sale.tax,
+        total,
+        walletAmount,
+        ...taxService.invoiceTaxFields(sale),
+        billingInfo: {
+          name: user.name || "Customer",
+          email: user.email || "customer@example.com",
         },
-      });
+        notes: chargeDescription,
+        lineItems: items.map((item) => ({
+          courseId: item.courseId,
+          description: item.title || `Course ${item.courseId}`,
+          unitPrice: item.taxed.unitPrice,
+          discount: item.taxed.discount,
+          amount: item.taxed.net,
+        })),
+      },
+    };
+
+    const conversion = await fxRateService.getConversionToBase(currency);
+    const [order, transactions, invoice] = await prisma.$transaction(
+      async (tx) => {
+        const orderRecord = await tx.order.create({
+          data: {
+            id: orderId,
+            userId: user.id,
+            stripeChargeId: stripeCharge?.id || null,
+            amount: total,
+            currency,
+            status,
+            metadata: toJsonValue({
+              transferGroup,
+              ...(appliedCoupon && { couponCode: appliedCoupon.code }),
+              ...(walletAmount.gt(0) && { walletAmount }),
+              ...(!succeeded && { checkout }),
+            }),
+          },
+        });
+
+        const transactionRecords = [];
+        for (const item of items) {
+          const record = await tx.transaction.create({
+            data: {
+              // Every course of the cart is paid by the order's charge
+              stripeChargeId: stripeCharge?.id || null,
+              amount: item.taxed.net,
+              currency,
+              ...fxRateService.baseAmountFields(item.taxed.net, conversion),
+              taxAmount: item.taxed.tax,
+              status,
+              type: "PAYMENT",
+              platformCommission: item.platformCommission,
+              educatorEarnings: item.educatorEarnings,
+              affiliateCommission: item.affiliateCommission,
+              commissionRuleId: item.commissionRuleId,
+              userId: user.id,
+              courseId: item.courseId,
+              educatorId: item.educatorId,
+              description: item.title || `Payment for course: ${item.courseId}`,
+              orderId,
+              metadata: toJsonValue({
+                stripePaymentId: stripeCharge?.id || null,
+                ...paymentMethodOf(item.taxed.total.isZero(), stripeCharge),
+                ...(item.walletAmount.gt(0) && { walletAmount: item.walletAmount }),
+                ...(toDecimal(item.discount).gt(0) && {
+                  couponCode: appliedCoupon.code,
+                  listPrice: item.listPrice,
+                  discount: item.discount,
+                }),
+              }),
+            },
+          });
+          transactionRecords.push(record);
+          await revenueShareService.recordEducatorEarnings(
+            tx,
+            record,
+            item.shares
+          );
+          await affiliateService.recordReferral(tx, record, referral);
+
+          if (walletDebit && transactionRecords.length === 1) {
+            await tx.walletEntry.update({
+              where: { id: walletDebit.entryId },
+              data: { transactionId: record.id },
+            });
+          }
+        }
+
+        if (!succeeded) {
+          return [orderRecord, transactionRecords, null];
+        }
+        const invoiceRecord = await fulfillCartPayment(
+          tx,
+          orderRecord,
+          transactionRecords,
+          checkout
+        );
+        return [orderRecord, transactionRecords, invoiceRecord];
+      }
+    );
+    walletDebit = null;
 
-      // Create invoice
-      const invoiceRecord = await tx.invoice.create({
-        data: {
-          transactionId: transactionRecord.id,
-          invoiceNumber: `INV-${Date.now().toString().substring(5)}`,
-          subtotal: amount,
-          total: amount,
-          status: "PAID",
-          paidAt: new Date(),
-          issueDate: new Date(),
-          billingInfo: JSON.stringify({
-            name: user.name || "Customer",
-            email: user.email || "customer@example.com",
-          }),
-          notes: `Payment for course: ${description || courseId}`,
-        },
-      });
-      return [transactionRecord, invoiceRecord];
-    });
-    const m4 = Date.now() - t4;
-    // Fire and forget audit logging (don't await)
     setTimeout(() => {
       auditLogger.log(
-        "PAYMENT_PROCESSED",
+        succeeded ? "CART_PAYMENT_PROCESSED" : "CART_PAYMENT_PENDING",
         user.id,
-        `Payment of ${amount} ${currency} processed for course ${courseId}`,
-        transaction.id,
-        { stripeChargeId: stripeCharge.id }
+        `Payment of ${total} ${currency} ${succeeded ? "processed" : "awaiting confirmation"} for ${items.length} courses`,
+        null,
+        {
+          orderId: order.id,
+          stripeChargeId: stripeCharge?.id || null,
+          transactionIds: transactions.map((t) => t.id),
+          ...(walletAmount.gt(0) && { walletAmount }),
+          ...(appliedCoupon && { couponCode: appliedCoupon.code, discount }),
+        }
       );
     }, 0);
 
-    // Invalidate transaction-related caches (added)
     setTimeout(() => {
       invalidateTransactionCaches();
     }, 0);
 
-    const processingTime = Date.now() - startTime;
-    logger.info(`Payment processing completed in ${processingTime}ms`);
-
-    //  5. Update user enrollment status
-    setTimeout(async () => {
-      await notifyUserService({
-        userId: user.id,
-        action: "ENROLL_USER",
-        courseId,
-        transactionId: transaction.id,
+    // Pay each educator their share of the charge. Earnings held for a
+    // payout schedule are transferred when they are released.
+    if (succeeded && !free) {
+      await transferCartEarnings(transactions, {
+        transferGroup,
+        // Store credit is paid out of the platform balance instead
+        ...(walletAmount.isZero() && {
+          sourceTransaction: stripeCharge.latest_charge || stripeCharge.id,
+        }),
       });
-    }, 0);
+    }
+    outboxService.dispatchSoon();
 
-    setTimeout(async () => {
-      await notifyProgressService({
-        UserId: user.id,
-        CourseId: courseId,
-        Action: "ENROLL_USER",
-      });
-    }, 0);
+    const processingTime = Date.now() - startTime;
+    logger.info(`Cart payment processing completed in ${processingTime}ms`);
 
-    // 6. Update course purchase stats
-    setTimeout(async () => {
-      await notifyCourseService({
-        userId: user.id,
-        courseId,
-        action: "ADD",
-      });
-    }, 0);
-    // Fetch total pending earnings before notifying
-    const totalPendingEarnings = await getTotalEarningsForEducator(educatorId);
-    setTimeout(async () => {
-      await notifyUserService({
-        userId: educatorId,
-        action: "NEW_EARNINGS",
-        courseId: courseId,
-        transactionId: transaction.id,
-        amount: educatorEarnings,
-        totalPendingEarnings: totalPendingEarnings,
-      });
-    }, 0);
     return {
       success: true,
       processingTime,
-      matrices: { m1, m2, m3, m4 },
+      order: {
+        id: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        status: order.status,
+        ...(walletAmount.gt(0) && { walletAmount, chargedAmount: chargeAmount }),
+      },
+      transactions: transactions.map((t) => ({
+        id: t.id,
+        courseId: t.courseId,
+        amount: t.amount,
+      })),
+      // Nothing is enrolled or invoiced until the charge succeeds, through
+      // the confirm endpoint with any of the transactions or the webhook
+      ...(invoice
+        ? { invoiceId: invoice.id }
+        : pendingPaymentResult(transactions[0].id, stripeCharge)),
     };
   } catch (error) {
-    logger.error(`Payment processing error: ${error.message}`, { error });
+    logger.error(`Cart payment processing error: ${error.message}`, { error });
 
-    // Record failed transaction if we have enough information
-    if (courseId && amount && user?.id) {
+    if (walletDebit) {
+      await reverseWalletDebit(walletDebit);
+    }
+
+    // Record a failed transaction per course, as a single course checkout
+    // does, so failed attempts count towards the fraud rules
+    if (items && user?.id) {
       // Fire and forget transaction failure recording
       setTimeout(async () => {
         try {
-          await prisma.transaction.create({
-            data: {
-              amount,
+          await prisma.transaction.createMany({
+            data: items.map((item) => ({
+              amount: item.taxed ? item.taxed.net : item.amount,
               currency,
               status: "FAILED",
               type: "PAYMENT",
               platformCommission: 0,
               educatorEarnings: 0,
               userId: user.id,
-              courseId,
-              educatorId: paymentData.educatorId,
-              description: description || "Failed payment",
-              metadata: { error: error.message },
-            },
+              courseId: item.courseId,
+              educatorId: item.educatorId,
+              description: description || "Failed cart payment",
+              metadata: { error: error.message, courseIds },
+            })),
           });
-
-          auditLogger.log(
-            "PAYMENT_FAILED",
-            user.id,
-            `Payment of ${amount} ${currency} failed for course ${courseId}`,
-            null,
-            { error: error.message }
-          );
         } catch (logError) {
           logger.error(
             `Failed to log transaction failure: ${logError.message}`,
@@ -241,28 +1579,242 @@ const processPayment = async (paymentData, user) => {
         }
       }, 0);
     }
+
+    if (total && user?.id) {
+      auditLogger.log(
+        "PAYMENT_FAILED",
+        user.id,
+        `Payment of ${total} ${currency} failed for courses ${courseIds.join(", ")}`,
+        null,
+        { error: error.message }
+      );
+    }
     throw error;
   }
 };
+
+/**
+ * Record what a completed cart payment creates besides its transactions:
+ * the coupon redemption, the order's invoice, the ledger entries and the
+ * notifications that enroll the student and tell each educator about their
+ * earnings. Runs inside the payment's database transaction.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Completed order
+ * @param {Object[]} transactions - The order's transactions, one per course
+ * @param {Object} checkout - Coupon and invoice details of the checkout
+ * @returns {Promise<Object>} The invoice
+ */
+const fulfillCartPayment = async (tx, order, transactions, checkout) => {
+  for (const transaction of transactions) {
+    const discount = transaction.metadata?.discount;
+    if (checkout.coupon && toDecimal(discount).gt(0)) {
+      await couponService.redeemCoupon(tx, {
+        coupon: checkout.coupon,
+        userId: order.userId,
+        courseId: transaction.courseId,
+        transactionId: transaction.id,
+        discountAmount: discount,
+      });
+    }
+    await ledgerService.postPayment(tx, transaction);
+  }
+
+  const { lineItems, ...invoice } = checkout.invoice;
+  const invoiceRecord = await tx.invoice.create({
+    data: {
+      orderId: order.id,
+      invoiceNumber: `INV-${Date.now().toString().substring(5)}`,
+      ...invoice,
+      status: "PAID",
+      paidAt: new Date(),
+      issueDate: new Date(),
+      lineItems: {
+        create: lineItems.map((line) => ({
+          ...line,
+          transactionId: transactions.find((t) => t.courseId === line.courseId)
+            .id,
+        })),
+      },
+    },
+    include: { lineItems: true },
+  });
+
+  // Enroll the student in every course and tell each educator about their
+  // new earnings from the whole order
+  const events = transactions.flatMap((transaction) =>
+    outboxService.enrollmentEvents(order.userId, transaction.courseId, transaction.id)
+  );
+  const earnings = await tx.educatorEarning.findMany({
+    where: {
+      transactionId: { in: transactions.map((t) => t.id) },
+      amount: { gt: 0 },
+    },
+  });
+  const educatorIds = [...new Set(earnings.map((row) => row.educatorId))];
+  for (const educatorId of educatorIds) {
+    const earned = earnings.filter((row) => row.educatorId === educatorId);
+    events.push({
+      destination: outboxService.DESTINATIONS.USER_SERVICE,
+      payload: {
+        userId: educatorId,
+        action: "NEW_EARNINGS",
+        courseId: earned.map((row) => row.courseId).join(","),
+        transactionId: earned[0].transactionId,
+        amount: roundMoney(
+          sumMoney(earned.map((row) => row.amount)),
+          order.currency
+        ),
+        totalPendingEarnings: await getTotalEarningsForEducator(educatorId, tx),
+      },
+    });
+  }
+  await outboxService.enqueueEvents(tx, events);
+
+  return invoiceRecord;
+};
+
+/**
+ * Pay the educators of a completed cart their share of each course
+ * @param {Object[]} transactions - The order's transactions
+ * @param {Object} options - Passed to transferEducatorEarnings
+ */
+const transferCartEarnings = async (transactions, options) => {
+  for (const transaction of transactions) {
+    await revenueShareService.transferEducatorEarnings(transaction, options);
+  }
+};
+
+/**
+ * Split the store credit of a cart checkout over its courses in proportion
+ * to what each costs. The last paid course takes the rounding difference.
+ * @param {Object[]} items - Cart items with their `taxed` figures
+ * @param {Decimal} walletAmount - Credit drawn for the whole cart
+ * @param {Decimal} total - Cart total
+ * @param {string} currency - Cart currency
+ */
+const allocateWalletAmount = (items, walletAmount, total, currency) => {
+  let remaining = toMinorUnits(walletAmount, currency);
+  items.forEach((item) => {
+    item.walletAmount = new Decimal(0);
+  });
+  const paid = items.filter((item) => item.taxed.total.gt(0));
+  paid.forEach((item, i) => {
+    const share =
+      i === paid.length - 1
+        ? remaining
+        : toMinorUnits(walletAmount.times(item.taxed.total).div(total), currency);
+    item.walletAmount = fromMinorUnits(share, currency);
+    remaining -= share;
+  });
+};
+
+/**
+ * How a checkout was paid, as recorded on its transactions
+ * @param {boolean} free - Whether the checkout total is zero
+ * @param {Object|null} stripeCharge - Stripe charge, if anything was charged
+ * @returns {Object} { paymentMethod } and, for cards, the brand and last4
+ */
+const paymentMethodOf = (free, stripeCharge) => {
+  if (free) return { paymentMethod: "free" };
+  if (!stripeCharge) return { paymentMethod: "wallet" };
+  return paymentMethodFields(stripeCharge);
+};
+
+/**
+ * What Stripe charges for a checkout: one of the student's saved payment
+ * methods, or the source sent with it. Only a checkout with something to
+ * charge needs either.
+ * @param {Object} user - Authenticated user
+ * @param {Object} sources - { source, paymentMethodId } from the request
+ * @param {boolean} free - Whether nothing is left to charge
+ * @returns {Promise<Object>} { source, customerId }
+ * @throws {AppError} If a paid checkout has neither, or the saved payment
+ *   method is not the student's
+ */
+const resolvePaymentSource = async (user, { source, paymentMethodId }, free) => {
+  if (free) {
+    return { source: null, customerId: null };
+  }
+  if (paymentMethodId) {
+    const { customer } = await getSavedPaymentMethod(user, paymentMethodId);
+    return {
+      source: paymentMethodId,
+      customerId: customer.stripeCustomerId,
+    };
+  }
+  if (!source) {
+    throw new AppError(
+      "payment_source_err",
+      "Payment source or saved payment method is required",
+      400
+    );
+  }
+  return { source, customerId: null };
+};
+
+/**
+ * Reject a payment whose client supplied amount, currency or educator
+ * differ from the catalog. Omitted fields are not checked.
+ * @param {Object} paymentData - Request body
+ * @param {Object} coursePrice - Resolved catalog price
+ * @throws {AppError} If any supplied value does not match
+ */
+const assertMatchesCoursePrice = (paymentData, coursePrice) => {
+  const { amount, currency, educatorId } = paymentData;
+
+  if (
+    amount !== undefined &&
+    toMinorUnits(amount, coursePrice.currency) !==
+      toMinorUnits(coursePrice.amount, coursePrice.currency)
+  ) {
+    throw new AppError(
+      "price_mismatch_err",
+      `Amount ${amount} does not match the course price of ${coursePrice.amount} ${coursePrice.currency}`,
+      400
+    );
+  }
+
+  if (currency && currency.toUpperCase() !== coursePrice.currency.toUpperCase()) {
+    throw new AppError(
+      "price_mismatch_err",
+      `Currency ${currency} does not match the course currency ${coursePrice.currency}`,
+      400
+    );
+  }
+
+  if (educatorId && educatorId !== coursePrice.educatorId) {
+    throw new AppError(
+      "price_mismatch_err",
+      "Educator does not match the course educator",
+      400
+    );
+  }
+};
+
 /**
  * Get total pending earnings for an educator
  * @param {string} educatorId - Educator ID
+ * @param {Object} [client] - Prisma client, or a transaction client to
+ *   include earnings not yet committed
  * @throws {AppError} If an error occurs while fetching earnings
  * @returns {number} Total earnings for the educator
  */
-const getTotalEarningsForEducator = async (educatorId) => {
+const getTotalEarningsForEducator = async (educatorId, client = prisma) => {
   try {
-    const totalEarnings = await prisma.transaction.aggregate({
+    // Every instructor's own share, co-taught courses included
+    const totalEarnings = await client.educatorEarning.aggregate({
       where: {
         educatorId,
-        status: { in: ["COMPLETED", "REFUNDED"] },
+        transaction: {
+          status: { in: ["COMPLETED", "PARTIALLY_REFUNDED", "REFUNDED"] },
+        },
       },
       _sum: {
-        educatorEarnings: true,
+        amount: true,
       },
     });
 
-    return totalEarnings._sum?.educatorEarnings || 0;
+    return toDecimal(totalEarnings._sum?.amount);
   } catch (error) {
     throw new AppError("fetching_err", `Error fetching total earnings`, 500);
   }
@@ -281,9 +1833,9 @@ const getCurrentBalanceForEducator = async (educatorId) => {
         educatorId,
       },
     });
-    const earnings = await stripe.balance.retrieve({
-      stripeAccount: stripeAccount.stripeAccountId,
-    });
+    const earnings = await gateway.retrieveBalance(
+      stripeAccount.stripeAccountId
+    );
 
     return earnings.pending[0];
   } catch (error) {
@@ -296,42 +1848,21 @@ const getCurrentBalanceForEducator = async (educatorId) => {
 };
 
 /**
- * Calculate platform commission based on amount and educator tier
- * @param {number} amount - Payment amount
- * @param {string} educatorId - Educator ID to check for special rates
- * @returns {number} Platform commission amount
- */
-const calculatePlatformCommission = (amount, educatorId) => {
-  // Default percentage
-  let commissionPercentage = PLATFORM_COMMISSION_PERCENTAGE;
-
-  // Apply tiered commission structure
-  if (amount >= 500) {
-    commissionPercentage = PLATFORM_COMMISSION_PERCENTAGE - 5;
-  } else if (amount >= 200) {
-    commissionPercentage = PLATFORM_COMMISSION_PERCENTAGE - 2;
-  }
-
-  const stripeFee = 0.3 + 0.029 * amount;
-  const netAmount = amount - stripeFee;
-  const platformCommission = Math.min(
-    Math.max(Math.round((netAmount * commissionPercentage) / 100), 1),
-    amount * 0.5
-  );
-  const educatorEarnings = Math.round(netAmount - platformCommission);
-
-  return { platformCommission, educatorEarnings };
-};
-/**
- * Process a refund
+ * Process a refund. A payment can be refunded in several parts until the
+ * whole amount is refunded; the enrollment is only removed then.
+ * @param {Object} refundData - Validated request body
+ * @param {Object} user - Authenticated user
+ * @param {Object} options
+ * @param {string} [options.idempotencyKey] - Client supplied Idempotency-Key
  */
-const processRefund = async (refundData, user) => {
-  const { transactionId, reason } = refundData;
+const processRefund = async (refundData, user, options = {}) => {
+  const { transactionId, amount, reason, refundTo = "card" } = refundData;
 
   try {
     // 1. Find the original transaction
     const originalTransaction = await prisma.transaction.findUnique({
       where: { id: transactionId },
+      include: { order: true, giftCode: true },
     });
 
     if (!originalTransaction) {
@@ -346,123 +1877,353 @@ const processRefund = async (refundData, user) => {
       );
     }
 
-    // 2. Process the refund with Stripe
-    const refundAmount = amount || originalTransaction.amount;
+    if (OPEN_PAYMENT_STATUSES.includes(originalTransaction.status)) {
+      throw new AppError(
+        "refund_err",
+        "Nothing has been charged yet; void the payment instead",
+        400
+      );
+    }
 
-    // Retrieve original charge ID (fallback in tests)
-    let paymentIntent;
     if (
-      stripe.paymentIntents &&
-      typeof stripe.paymentIntents.retrieve === "function"
+      sumMoney([originalTransaction.amount, originalTransaction.taxAmount]).lte(0)
     ) {
-      paymentIntent = await stripe.paymentIntents.retrieve(
-        originalTransaction.stripeChargeId
+      throw new AppError(
+        "refund_err",
+        "Free enrollments have no payment to refund",
+        400
       );
-    } else {
-      paymentIntent = { latest_charge: originalTransaction.stripeChargeId };
-    }
-    // Retrieve charge object (fallback)
-    let charge;
-    if (stripe.charges && typeof stripe.charges.retrieve === "function") {
-      charge = await stripe.charges.retrieve(paymentIntent.latest_charge);
-    } else {
-      charge = { transfer: null };
     }
 
-    const stripeRefund = await stripe.refunds.create({
-      charge: paymentIntent.latest_charge,
-      amount: Math.round(refundAmount * 100),
-      reason: reason || "requested_by_customer",
-    });
+    if (!REFUNDABLE_STATUSES.includes(originalTransaction.status)) {
+      throw new AppError(
+        "refund_err",
+        `A ${originalTransaction.status.toLowerCase()} payment cannot be refunded`,
+        400
+      );
+    }
 
-    // Create reversal if supported
-    let reversal;
-    if (
-      stripe.transfers &&
-      typeof stripe.transfers.createReversal === "function" &&
-      charge.transfer
-    ) {
-      reversal = await stripe.transfers.createReversal(charge.transfer, {
-        amount: originalTransaction.educatorEarnings * 100,
-      });
+    const { currency, giftCode } = originalTransaction;
+    const refundable = getRefundableAmount(originalTransaction);
+    if (refundable.lt(amount || 0)) {
+      throw new AppError(
+        "refund_err",
+        `Only ${refundable} ${currency} is left to refund`,
+        400
+      );
+    }
+    if (giftCode && amount && refundable.gt(amount)) {
+      throw new AppError(
+        "refund_err",
+        "Gifts can only be refunded in full",
+        400
+      );
     }
 
-    // 3. Calculate updated commission and earnings
-    const refundRatio = refundAmount / originalTransaction.amount;
-    const refundedCommission =
-      originalTransaction.platformCommission * refundRatio;
-    const refundedEarnings = originalTransaction.educatorEarnings * refundRatio;
-
-    // 4. Create a refund transaction record
-    const refundTransaction = await prisma.transaction.create({
-      data: {
-        stripeChargeId: stripeRefund.id,
-        amount: refundAmount,
-        currency: originalTransaction.currency,
-        status: "COMPLETED",
-        type: "REFUND",
-        platformCommission: -refundedCommission,
-        educatorEarnings: -refundedEarnings,
-        userId: originalTransaction.userId + "_REFUND",
-        courseId: originalTransaction.courseId,
-        educatorId: originalTransaction.educatorId,
-        description: `Refund for transaction ${originalTransaction.id}`,
-        metadata: {
-          originalTransactionId: originalTransaction.id,
-          reason,
-          refundedBy: user.id,
-        },
-      },
-    });
+    // 2. Work out what goes back: the tax collected, commission and
+    // earnings in proportion to the amount refunded, and whatever the
+    // earlier refunds left when this one refunds the rest
+    const refunded = await getRefundedTotals(originalTransaction.id);
+    const {
+      refundAmount,
+      refundedTax,
+      refundedCommission,
+      refundedEarnings,
+      refundedAffiliateCommission,
+      final,
+    } = calculateRefundAmounts(originalTransaction, amount, refunded);
 
-    // 5. Update original transaction
-    await prisma.transaction.update({
-      where: { id: transactionId },
-      data: {
-        status: "REFUNDED",
-        refundId: refundTransaction.id,
+    // Reserve the amount so refunds made at the same time cannot add up to
+    // more than was paid
+    const reserved = await prisma.transaction.updateMany({
+      where: {
+        id: originalTransaction.id,
+        status: { in: REFUNDABLE_STATUSES },
+        refundedAmount: originalTransaction.refundedAmount,
       },
+      data: { refundedAmount: { increment: refundAmount } },
     });
+    if (reserved.count === 0) {
+      throw new AppError(
+        "refund_err",
+        "The transaction changed while the refund was being made; try again",
+        409
+      );
+    }
+    const releaseReservation = () =>
+      prisma.transaction.update({
+        where: { id: originalTransaction.id },
+        data: { refundedAmount: { decrement: refundAmount } },
+      });
 
-    // 6. Update the invoice
-    await invoiceService.updateInvoiceStatus(
-      originalTransaction.id,
-      "CANCELLED",
-      `Refunded on ${new Date().toISOString().split("T")[0]}`
-    );
+    // Store credit spent on the course always goes back to the wallet. The
+    // rest goes back to the card, unless it was asked for as store credit.
+    // Worked out in minor units so the two parts add up exactly.
+    const refundMinor = toMinorUnits(refundAmount.plus(refundedTax), currency);
+    const paidFromWallet = toDecimal(originalTransaction.metadata?.walletAmount);
+    const walletMinor =
+      refundTo === "wallet"
+        ? refundMinor
+        : Math.min(
+            refundMinor,
+            toMinorUnits(
+              paidFromWallet.times(refundAmount).div(originalTransaction.amount),
+              currency
+            )
+          );
+    const cardMinor = refundMinor - walletMinor;
+    const refundedToWallet = fromMinorUnits(walletMinor, currency);
 
-    // 7. Notify other services
-    await notifyUserService({
-      userId: originalTransaction.userId,
-      action: "REMOVE_ENROLLMENT",
-      courseId: originalTransaction.courseId,
-      transactionId: refundTransaction.id,
-    });
+    // Cart purchases share the order's charge; checkouts paid entirely
+    // with store credit have none
+    const paymentReference =
+      originalTransaction.stripeChargeId ||
+      originalTransaction.order?.stripeChargeId;
 
-    await notifyCourseService({
-      userId: originalTransaction.userId,
-      courseId: originalTransaction.courseId,
-      action: "REMOVE",
-    });
+    // 3. Process the refund with Stripe. Gifts can only be refunded until
+    // they are redeemed; the code is withdrawn first so it cannot be
+    // redeemed while the refund runs. Each instructor's share of the
+    // earnings is worked out first too, so nothing but recording the
+    // refund is left to fail once it is made.
+    let charge = { id: null, transfer: null };
+    let stripeRefund = null;
+    let giftWithdrawn = false;
+    let refundedShares;
+    try {
+      refundedShares = await revenueShareService.splitRefundedEarnings(
+        originalTransaction.id,
+        refundedEarnings,
+        currency
+      );
 
-    // Notify educator about refunded earnings
-    await notifyUserService({
-      userId: originalTransaction.educatorId,
-      action: "EARNINGS_REFUNDED",
-      courseId: originalTransaction.courseId,
-      transactionId: refundTransaction.id,
-      amount: refundedEarnings,
-      reason: reason || "Refund processed",
-    });
+      if (giftCode) {
+        await giftService.withdrawGiftCode(giftCode);
+        giftWithdrawn = true;
+      }
+
+      // Retrieve the original charge
+      const paymentIntent = paymentReference
+        ? await gateway.retrievePayment(paymentReference)
+        : null;
+      if (paymentIntent?.latest_charge) {
+        charge = await gateway.retrieveCharge(paymentIntent.latest_charge);
+      }
+
+      if (cardMinor > 0) {
+        stripeRefund = await gateway.createRefund(
+          {
+            charge: charge.id,
+            amount: cardMinor,
+            reason: reason || "requested_by_customer",
+            // Tells the charge.refunded webhook the refund is recorded here
+            metadata: { transactionId: originalTransaction.id },
+          },
+          options.idempotencyKey
+            ? { idempotencyKey: `refund_${user.id}_${options.idempotencyKey}` }
+            : undefined
+        );
+      }
+    } catch (error) {
+      if (giftWithdrawn) {
+        await giftService.restoreGiftCode(giftCode);
+      }
+      await releaseReservation();
+      throw error;
+    }
+
+    // 4. Record the refund. The money has gone back, so the amount stays
+    // reserved even if this fails, and a retry cannot refund it twice.
+    let refundTransaction;
+    try {
+      const conversion = await fxRateService.getConversionToBase(
+        originalTransaction.currency
+      );
+      refundTransaction = await prisma.$transaction(async (tx) => {
+        const record = await tx.transaction.create({
+          data: {
+            stripeChargeId: stripeRefund?.id || null,
+            amount: refundAmount,
+            currency: originalTransaction.currency,
+            ...fxRateService.baseAmountFields(refundAmount, conversion),
+            taxAmount: refundedTax,
+            status: "COMPLETED",
+            type: "REFUND",
+            platformCommission: refundedCommission.negated(),
+            educatorEarnings: refundedEarnings.negated(),
+            affiliateCommission: refundedAffiliateCommission.negated(),
+            commissionRuleId: originalTransaction.commissionRuleId,
+            userId: originalTransaction.userId + "_REFUND",
+            courseId: originalTransaction.courseId,
+            educatorId: originalTransaction.educatorId,
+            description: `Refund for transaction ${originalTransaction.id}`,
+            metadata: toJsonValue({
+              originalTransactionId: originalTransaction.id,
+              reason,
+              refundedBy: user.id,
+              ...(walletMinor > 0 && { refundedToWallet }),
+            }),
+          },
+        });
+
+        await revenueShareService.recordRefundedEarnings(
+          tx,
+          record,
+          refundedShares
+        );
+        await affiliateService.clawBackReferral(
+          tx,
+          originalTransaction.id,
+          refundedAffiliateCommission
+        );
+        await ledgerService.postRefund(tx, record, {
+          originalTransaction,
+          shares: refundedShares,
+        });
+
+        // Kept with the purchase so it shows next to it in the user's history
+        if (walletMinor > 0) {
+          await walletService.creditWallet(tx, {
+            userId: originalTransaction.userId,
+            currency: originalTransaction.currency,
+            amount: refundedToWallet,
+            reason: "REFUND",
+            transactionId: originalTransaction.id,
+            description: `Refund for transaction ${originalTransaction.id}`,
+            createdBy: user.id,
+          });
+        }
+
+        // Update original transaction; the amount refunded was reserved
+        // before the refund was made
+        await tx.transaction.update({
+          where: { id: transactionId },
+          data: {
+            status: final ? "REFUNDED" : "PARTIALLY_REFUNDED",
+            refundId: record.id,
+          },
+        });
 
-    // 8. Log the audit
+        // Notify other services; the enrollment is removed once the whole
+        // payment is refunded
+        await outboxService.enqueueEvents(
+          tx,
+          refundEvents(originalTransaction, record, refundedShares, {
+            final,
+            gift: Boolean(giftCode),
+            reason,
+          })
+        );
 
+        return record;
+      });
+    } catch (error) {
+      auditLogger.log(
+        "REFUND_NOT_RECORDED",
+        user.id,
+        `Refund of ${refundAmount} ${currency} for transaction ${originalTransaction.id} was made but could not be recorded: ${error.message}`,
+        null,
+        {
+          originalTransactionId: originalTransaction.id,
+          stripeRefundId: stripeRefund?.id || null,
+          ...(walletMinor > 0 && { refundedToWallet }),
+        }
+      );
+      throw new AppError(
+        "refund_incomplete_err",
+        `Refund of transaction ${originalTransaction.id} was made but could not be recorded; it needs to be reconciled`,
+        500
+      );
+    }
+    outboxService.dispatchSoon();
+
+    // 5. Take each instructor's share of the earnings back. A destination
+    // charge paid the course's educator with the charge's own transfer;
+    // everyone else was paid by a transfer recorded on their earnings, or
+    // still has the earnings held for their payout schedule. Then update
+    // the invoice once the payment is fully refunded; a cart invoice also
+    // covers the other courses in the order, so it is left as issued.
+    const refundHolds = [];
+    const reversals = [];
+    try {
+      for (const share of refundedShares) {
+        const heldRefund = await payoutScheduleService.takeBackHeldEarnings(
+          originalTransaction.id,
+          share,
+          currency
+        );
+        if (heldRefund) {
+          refundHolds.push(...heldRefund);
+          const reversed = heldRefund
+            .filter((hold) => hold.stripeTransferId)
+            .reduce((sum, hold) => sum.minus(hold.amount), new Decimal(0));
+          if (reversed.gt(0)) {
+            reversals.push({ educatorId: share.educatorId, amount: reversed });
+          }
+          continue;
+        }
+
+        const transferId =
+          share.stripeTransferId ||
+          (share.educatorId === originalTransaction.educatorId
+            ? charge.transfer
+            : null);
+        if (transferId) {
+          await gateway.reverseTransfer(transferId, {
+            amount: toMinorUnits(share.amount, currency),
+          });
+          reversals.push({ educatorId: share.educatorId, amount: share.amount });
+        }
+      }
+
+      if (refundHolds.length > 0 || reversals.length > 0) {
+        await prisma.$transaction(async (tx) => {
+          await payoutScheduleService.recordHeldRefunds(
+            tx,
+            refundTransaction,
+            refundHolds
+          );
+          await ledgerService.postTransferReversals(
+            tx,
+            refundTransaction,
+            reversals
+          );
+        });
+      }
+
+      if (final && !originalTransaction.orderId) {
+        await invoiceService.updateInvoiceStatus(
+          originalTransaction.id,
+          "CANCELLED",
+          `Refunded${walletMinor > 0 ? ` ${refundedToWallet} as store credit` : ""} on ${new Date().toISOString().split("T")[0]}`
+        );
+      }
+    } catch (error) {
+      auditLogger.log(
+        "REFUND_NOT_COMPLETED",
+        user.id,
+        `Refund ${refundTransaction.id} for transaction ${originalTransaction.id} was recorded but not completed: ${error.message}`,
+        refundTransaction.id,
+        { originalTransactionId: originalTransaction.id, refundHolds, reversals }
+      );
+      throw new AppError(
+        "refund_incomplete_err",
+        `Refund ${refundTransaction.id} was recorded but taking back earnings or cancelling the invoice failed; it needs to be reconciled`,
+        500
+      );
+    }
+
+    // 6. Log the audit
     auditLogger.log(
       "REFUND_PROCESSED",
       user.id,
       `Refund of ${refundAmount} ${originalTransaction.currency} processed for transaction ${originalTransaction.id}`,
       refundTransaction.id,
-      { originalTransactionId: originalTransaction.id, reason }
+      {
+        originalTransactionId: originalTransaction.id,
+        reason,
+        refundableAmount: roundMoney(refundable.minus(refundAmount), currency),
+        ...(walletMinor > 0 && { refundedToWallet }),
+      }
     );
 
     // Invalidate transaction-related caches (added)
@@ -473,10 +2234,14 @@ const processRefund = async (refundData, user) => {
     return {
       originalTransaction,
       refundTransaction,
+      refundableAmount: roundMoney(refundable.minus(refundAmount), currency),
       success: true,
     };
   } catch (error) {
     logger.error(`Refund processing error: ${error.message}`, { error });
+    // The money went back; asking the client to fix the request would
+    // only have it retried
+    if (error.name === "refund_incomplete_err") throw error;
     throw new AppError(
       "refund_err",
       "Refund processing failed: " + error.message,
@@ -486,7 +2251,7 @@ const processRefund = async (refundData, user) => {
 };
 
 /**
- * Get transaction by ID
+ * Get transaction by ID, with what is left to refund of it
  */
 const getTransactionById = async (transactionId) => {
   try {
@@ -501,7 +2266,10 @@ const getTransactionById = async (transactionId) => {
       throw new AppError("transaction_err", "Transaction not found", 404);
     }
 
-    return transaction;
+    return {
+      ...transaction,
+      refundableAmount: getRefundableAmount(transaction),
+    };
   } catch (error) {
     if (error instanceof AppError) throw error;
     throw new AppError(
@@ -523,6 +2291,8 @@ const getTransactionsByUser = async (userId, page = 1, limit = 10) => {
       where: { userId },
       include: {
         invoice: true,
+        // Store credit spent on or refunded for the purchase
+        walletEntries: { orderBy: { createdAt: "asc" } },
       },
       orderBy: {
         createdAt: "desc",
@@ -536,7 +2306,10 @@ const getTransactionsByUser = async (userId, page = 1, limit = 10) => {
     });
 
     return {
-      transactions,
+      transactions: transactions.map((transaction) => ({
+        ...transaction,
+        refundableAmount: getRefundableAmount(transaction),
+      })),
       pagination: {
         total: totalCount,
         pages: Math.ceil(totalCount / limit),
@@ -638,7 +2411,15 @@ const getTransactionsReport = async (filters = {}, page = 1, limit = 50) => {
 module.exports = {
   getCurrentBalanceForEducator,
   processPayment,
+  completePendingPayment,
+  failPendingPayment,
+  markPaymentAuthorized,
+  confirmPayment,
+  processCartPayment,
   processRefund,
+  refundEvents,
+  getRefundableAmount,
+  getRefundedTotals,
   getTransactionById,
   getTransactionsByUser,
   getTransactionsReport,
@@ -0,0 +1,529 @@
+const crypto = require("crypto");
+const prisma = require("../config/db");
+const config = require("../config");
+const { logger, auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  Decimal,
+  toDecimal,
+  toMinorUnits,
+  roundMoney,
+  sumMoney,
+} = require("../utils/money");
+const outboxService = require("./outboxService");
+const ledgerService = require("./ledgerService");
+const { getPaymentGateway } = require("./paymentGateways");
+
+const gateway = getPaymentGateway();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Held earnings are only released once the sale is settled; a disputed
+// payment keeps them until the dispute is over
+const SETTLED_STATUSES = ["COMPLETED", "PARTIALLY_REFUNDED", "REFUNDED"];
+
+// Order in which a refund takes back what is still held
+const HOLD_KINDS = ["HOLD", "RESERVE"];
+
+const sumAmounts = (holds, currency) =>
+  roundMoney(
+    sumMoney(holds.map((hold) => hold.amount)),
+    currency
+  );
+
+/**
+ * The next payout date of a schedule: midnight UTC of the next anchor day
+ * after `after`
+ * @param {string} interval - WEEKLY or MONTHLY
+ * @param {number} anchorDay - Day of the week (0 = Sunday) or of the month
+ * @param {Date} after
+ * @returns {Date}
+ */
+const nextPayoutDate = (interval, anchorDay, after) => {
+  const next = new Date(
+    Date.UTC(after.getUTCFullYear(), after.getUTCMonth(), after.getUTCDate())
+  );
+  if (interval === "WEEKLY") {
+    next.setUTCDate(next.getUTCDate() + ((anchorDay - next.getUTCDay() + 7) % 7));
+    if (next <= after) next.setUTCDate(next.getUTCDate() + 7);
+  } else {
+    next.setUTCDate(anchorDay);
+    if (next <= after) next.setUTCMonth(next.getUTCMonth() + 1);
+  }
+  return next;
+};
+
+/**
+ * Which of the educators are on a payout schedule, and so are not paid
+ * with each sale
+ * @param {string[]} educatorIds
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<Set<string>>}
+ */
+const getHeldEducators = async (educatorIds, client = prisma) => {
+  const schedules = await client.payoutSchedule.findMany({
+    where: { educatorId: { in: educatorIds } },
+    select: { educatorId: true },
+  });
+  return new Set(schedules.map((schedule) => schedule.educatorId));
+};
+
+/**
+ * Hold the earnings of a sale for the instructors on a payout schedule.
+ * The reserve is held for longer than the rest.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} transaction - Transaction just created
+ * @param {Object[]} earnings - Earnings rows of the held instructors
+ */
+const holdEarnings = async (tx, transaction, earnings) => {
+  const earned = earnings.filter((row) => row.amount > 0);
+  if (earned.length === 0) return;
+
+  const schedules = await tx.payoutSchedule.findMany({
+    where: { educatorId: { in: earned.map((row) => row.educatorId) } },
+  });
+  const soldAt = (transaction.createdAt || new Date()).getTime();
+
+  const holds = [];
+  for (const schedule of schedules) {
+    const row = earned.find((e) => e.educatorId === schedule.educatorId);
+    const reserve = roundMoney(
+      toDecimal(row.amount).times(schedule.reservePercentage).div(100),
+      row.currency
+    );
+    const hold = {
+      educatorId: row.educatorId,
+      paymentTransactionId: transaction.id,
+      transactionId: transaction.id,
+      currency: row.currency,
+    };
+
+    holds.push({
+      ...hold,
+      kind: "HOLD",
+      amount: roundMoney(toDecimal(row.amount).minus(reserve), row.currency),
+      releaseAt: new Date(soldAt + schedule.holdDays * DAY_MS),
+    });
+    if (reserve.gt(0)) {
+      holds.push({
+        ...hold,
+        kind: "RESERVE",
+        amount: reserve,
+        releaseAt: new Date(
+          soldAt + Math.max(schedule.holdDays, schedule.reserveDays) * DAY_MS
+        ),
+      });
+    }
+  }
+
+  if (holds.length > 0) {
+    await tx.earningHold.createMany({ data: holds });
+  }
+};
+
+/**
+ * Take an instructor's share of a refund back from their held earnings.
+ * What has not been released yet is kept back, the hold before the
+ * reserve; the rest was transferred already and the transfer is reversed.
+ * @param {string} paymentTransactionId - Refunded sale
+ * @param {Object} share - From splitRefundedEarnings
+ * @param {string} currency
+ * @returns {Promise<Object[]|null>} Holds for recordHeldRefunds, or null
+ *   when the instructor's earnings were not held
+ */
+const takeBackHeldEarnings = async (paymentTransactionId, share, currency) => {
+  const holds = await prisma.earningHold.findMany({
+    where: { paymentTransactionId, educatorId: share.educatorId },
+    orderBy: { createdAt: "asc" },
+  });
+  if (holds.length === 0) {
+    return null;
+  }
+
+  const now = new Date();
+  const refundHolds = [];
+  let remaining = toDecimal(share.amount);
+  const takeBack = (amount, fields) => {
+    refundHolds.push({
+      educatorId: share.educatorId,
+      paymentTransactionId,
+      currency,
+      amount: amount.negated(),
+      ...fields,
+    });
+    remaining = roundMoney(remaining.minus(amount), currency);
+  };
+
+  for (const kind of HOLD_KINDS) {
+    const unreleased = holds.filter(
+      (hold) => hold.kind === kind && !hold.releasedAt
+    );
+    const amount = Decimal.min(remaining, sumAmounts(unreleased, currency));
+    if (amount.gt(0)) {
+      takeBack(amount, { kind, releaseAt: unreleased[0].releaseAt });
+    }
+  }
+
+  const released = new Map();
+  holds
+    .filter((hold) => hold.releasedAt)
+    .forEach((hold) => {
+      const transfer = released.get(hold.stripeTransferId) || {
+        kind: hold.kind,
+        holds: [],
+      };
+      transfer.holds.push(hold);
+      released.set(hold.stripeTransferId, transfer);
+    });
+  for (const [transferId, transfer] of released) {
+    const amount = Decimal.min(remaining, sumAmounts(transfer.holds, currency));
+    if (amount.lte(0)) continue;
+
+    await gateway.reverseTransfer(transferId, {
+      amount: toMinorUnits(amount, currency),
+    });
+    takeBack(amount, {
+      kind: transfer.kind,
+      releaseAt: now,
+      releasedAt: now,
+      stripeTransferId: transferId,
+    });
+  }
+
+  if (remaining.gt(0)) {
+    logger.warn(
+      `Refund of transaction ${paymentTransactionId} takes back ${remaining} ${currency} more than educator ${share.educatorId} earned`
+    );
+  }
+  return refundHolds;
+};
+
+/**
+ * Record what refunds took back from held earnings
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {Object} refundTransaction - Refund transaction just created
+ * @param {Object[]} refundHolds - From takeBackHeldEarnings
+ */
+const recordHeldRefunds = async (tx, refundTransaction, refundHolds) => {
+  if (refundHolds.length === 0) return;
+
+  await tx.earningHold.createMany({
+    data: refundHolds.map((hold) => ({
+      ...hold,
+      transactionId: refundTransaction.id,
+    })),
+  });
+};
+
+/**
+ * Give back the held earnings a refund took when the refund fails.
+ * Transfers it reversed stay reversed.
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {Object} refundTransaction - Failed refund transaction
+ */
+const restoreHeldRefunds = async (tx, refundTransaction) => {
+  await tx.earningHold.deleteMany({
+    where: { transactionId: refundTransaction.id, releasedAt: null },
+  });
+};
+
+/**
+ * An educator's earnings still held, by currency: available at the next
+ * payout, pending until their hold ends, and reserved
+ * @param {string} educatorId
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} [{ currency, available, pending, reserved }]
+ */
+const getEarningsBalance = async (educatorId, now = new Date()) => {
+  const holds = await prisma.earningHold.findMany({
+    where: {
+      educatorId,
+      releasedAt: null,
+      payment: { status: { in: SETTLED_STATUSES } },
+    },
+    select: { currency: true, kind: true, amount: true, releaseAt: true },
+  });
+
+  const currencies = [...new Set(holds.map((hold) => hold.currency))];
+  return currencies.map((currency) => {
+    const held = holds.filter((hold) => hold.currency === currency);
+    const waiting = held.filter((hold) => hold.releaseAt > now);
+    return {
+      currency,
+      available: sumAmounts(
+        held.filter((hold) => hold.releaseAt <= now),
+        currency
+      ),
+      pending: sumAmounts(
+        waiting.filter((hold) => hold.kind === "HOLD"),
+        currency
+      ),
+      reserved: sumAmounts(
+        waiting.filter((hold) => hold.kind === "RESERVE"),
+        currency
+      ),
+    };
+  });
+};
+
+/**
+ * Get an educator's payout schedule and held earnings. Without a schedule
+ * the educator is paid with each sale.
+ * @param {string} educatorId
+ */
+const getPayoutSchedule = async (educatorId) => {
+  const [schedule, balances] = await Promise.all([
+    prisma.payoutSchedule.findUnique({ where: { educatorId } }),
+    getEarningsBalance(educatorId),
+  ]);
+  return { educatorId, schedule, balances };
+};
+
+/**
+ * Put an educator on a payout schedule, or change it. Sales already made
+ * keep the hold they were made with.
+ * @param {string} educatorId
+ * @param {Object} data - { interval, anchorDay, holdDays, reservePercentage,
+ *   reserveDays }; the holds default to the service configuration
+ * @param {Object} user - Admin making the change
+ * @throws {AppError} If the anchor day does not fit the interval, or the
+ *   educator has no connected account to be paid to
+ */
+const setPayoutSchedule = async (educatorId, data, user) => {
+  const { interval } = data;
+  const anchorDay = data.anchorDay ?? 1;
+  const [minDay, maxDay] = interval === "WEEKLY" ? [0, 6] : [1, 28];
+  if (anchorDay < minDay || anchorDay > maxDay) {
+    throw new AppError(
+      "payout_schedule_err",
+      `Anchor day of a ${interval.toLowerCase()} schedule must be between ${minDay} and ${maxDay}`,
+      400
+    );
+  }
+
+  const account = await prisma.stripeAccount.findFirst({
+    where: { educatorId },
+    select: { id: true },
+  });
+  if (!account) {
+    throw new AppError("edu_not_found_err", "Educator account not found", 400);
+  }
+
+  const fields = {
+    interval,
+    anchorDay,
+    holdDays: data.holdDays ?? config.payouts.holdDays,
+    reservePercentage: data.reservePercentage ?? config.payouts.reservePercentage,
+    reserveDays: data.reserveDays ?? config.payouts.reserveDays,
+    nextPayoutAt: nextPayoutDate(interval, anchorDay, new Date()),
+  };
+  await prisma.payoutSchedule.upsert({
+    where: { educatorId },
+    create: { educatorId, ...fields, createdBy: user.id },
+    update: fields,
+  });
+
+  auditLogger.log(
+    "PAYOUT_SCHEDULE_UPDATED",
+    user.id,
+    `Educator ${educatorId} paid ${interval.toLowerCase()} after a ${fields.holdDays} day hold, with a ${fields.reservePercentage}% reserve`,
+    null,
+    { educatorId, ...fields }
+  );
+
+  return getPayoutSchedule(educatorId);
+};
+
+/**
+ * Take an educator off their payout schedule, so they are paid with each
+ * sale again. What is still held is released as it matures.
+ * @param {string} educatorId
+ * @param {Object} user - Admin making the change
+ */
+const removePayoutSchedule = async (educatorId, user) => {
+  const { count } = await prisma.payoutSchedule.deleteMany({
+    where: { educatorId },
+  });
+
+  if (count > 0) {
+    auditLogger.log(
+      "PAYOUT_SCHEDULE_REMOVED",
+      user.id,
+      `Payout schedule of educator ${educatorId} removed`,
+      null,
+      { educatorId }
+    );
+  }
+};
+
+/**
+ * Transfer an educator the held earnings that have matured, in one
+ * transfer per currency. Retrying transfers the same holds with the same
+ * idempotency key, so nothing is paid twice.
+ * @param {string} educatorId
+ * @param {Date} now
+ * @returns {Promise<number>} Number of transfers made
+ */
+const releaseEducatorEarnings = async (educatorId, now) => {
+  const holds = await prisma.earningHold.findMany({
+    where: {
+      educatorId,
+      releasedAt: null,
+      releaseAt: { lte: now },
+      payment: { status: { in: SETTLED_STATUSES } },
+    },
+  });
+  if (holds.length === 0) {
+    return 0;
+  }
+
+  const account = await prisma.stripeAccount.findFirst({
+    where: { educatorId },
+    select: { stripeAccountId: true },
+  });
+  if (!account) {
+    throw new Error(`Educator ${educatorId} has no connected account`);
+  }
+
+  let transfers = 0;
+  const currencies = [...new Set(holds.map((hold) => hold.currency))];
+  for (const currency of currencies) {
+    const matured = holds.filter((hold) => hold.currency === currency);
+    const amount = sumAmounts(matured, currency);
+    // Refunds can outweigh what matured; the rest waits for later sales
+    if (amount.lte(0)) continue;
+
+    const holdIds = matured.map((hold) => hold.id).sort();
+    const releaseKey = crypto
+      .createHash("sha256")
+      .update(holdIds.join(","))
+      .digest("hex")
+      .slice(0, 32);
+    const reference = `release_${educatorId}_${releaseKey}`;
+    const transfer = await gateway.createTransfer(
+      {
+        amount: toMinorUnits(amount, currency),
+        currency,
+        destination: account.stripeAccountId,
+        metadata: { educatorId, holds: holdIds.length },
+      },
+      { idempotencyKey: reference }
+    );
+
+    await prisma.$transaction(async (tx) => {
+      await tx.earningHold.updateMany({
+        where: { id: { in: holdIds } },
+        data: { releasedAt: now, stripeTransferId: transfer.id },
+      });
+      await ledgerService.postEducatorTransfer(tx, {
+        reference,
+        educatorId,
+        amount,
+        currency,
+        stripeTransferId: transfer.id,
+      });
+      await outboxService.enqueueEvents(tx, [
+        {
+          destination: outboxService.DESTINATIONS.USER_SERVICE,
+          payload: {
+            userId: educatorId,
+            action: "EARNINGS_RELEASED",
+            amount,
+            currency,
+            stripeTransferId: transfer.id,
+          },
+        },
+      ]);
+    });
+
+    auditLogger.log(
+      "EARNINGS_RELEASED",
+      "system",
+      `Released ${amount} ${currency} of held earnings to educator ${educatorId}`,
+      null,
+      { educatorId, stripeTransferId: transfer.id, holds: holdIds.length }
+    );
+    transfers += 1;
+  }
+  return transfers;
+};
+
+/**
+ * Pay out the matured earnings of every educator whose payout date has
+ * come, and move their schedule on. A failed release is retried on the
+ * next run. Run by the payout-release job.
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { released, failed }
+ */
+const releaseDueEarnings = async (now = new Date()) => {
+  const due = await prisma.payoutSchedule.findMany({
+    where: { nextPayoutAt: { lte: now } },
+  });
+
+  // Educators taken off a schedule are paid what is left as it matures
+  const matured = await prisma.earningHold.findMany({
+    where: {
+      releasedAt: null,
+      releaseAt: { lte: now },
+      payment: { status: { in: SETTLED_STATUSES } },
+    },
+    distinct: ["educatorId"],
+    select: { educatorId: true },
+  });
+  const scheduled = await getHeldEducators(
+    matured.map((hold) => hold.educatorId)
+  );
+  const unscheduled = matured
+    .map((hold) => hold.educatorId)
+    .filter((educatorId) => !scheduled.has(educatorId));
+
+  let released = 0;
+  let failed = 0;
+  const release = async (educatorId) => {
+    try {
+      released += await releaseEducatorEarnings(educatorId, now);
+      return true;
+    } catch (error) {
+      failed += 1;
+      logger.error(
+        `Releasing earnings of educator ${educatorId} failed: ${error.message}`,
+        { error }
+      );
+      return false;
+    }
+  };
+
+  for (const schedule of due) {
+    if (await release(schedule.educatorId)) {
+      await prisma.payoutSchedule.update({
+        where: { id: schedule.id },
+        data: {
+          lastPayoutAt: now,
+          nextPayoutAt: nextPayoutDate(schedule.interval, schedule.anchorDay, now),
+        },
+      });
+    }
+  }
+  for (const educatorId of unscheduled) {
+    await release(educatorId);
+  }
+
+  if (released > 0) {
+    outboxService.dispatchSoon();
+  }
+  return { released, failed };
+};
+
+module.exports = {
+  nextPayoutDate,
+  getHeldEducators,
+  holdEarnings,
+  takeBackHeldEarnings,
+  recordHeldRefunds,
+  restoreHeldRefunds,
+  getEarningsBalance,
+  getPayoutSchedule,
+  setPayoutSchedule,
+  removePayoutSchedule,
+  releaseDueEarnings,
+};
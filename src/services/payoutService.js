@@ -0,0 +1,385 @@
+const prisma = require("../config/db");
+const { logger, auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  Decimal,
+  toDecimal,
+  toMinorUnits,
+  fromMinorUnits,
+  roundMoney,
+} = require("../utils/money");
+const outboxService = require("./outboxService");
+const ledgerService = require("./ledgerService");
+const { getPaymentGateway } = require("./paymentGateways");
+
+const gateway = getPaymentGateway();
+
+// Requests not yet paid out, which the balance has to cover
+const OPEN_PAYOUT_STATUSES = ["REQUESTED", "APPROVED"];
+
+/**
+ * What an educator can still request to be paid out: the funds available
+ * on their connected account in one currency, less the payouts they have
+ * already asked for. Funds still pending on Stripe cannot be paid out yet.
+ * @param {string} educatorId
+ * @param {string} [currency] - Defaults to the first currency of the balance
+ * @returns {Promise<Object>} { balance, pending, requested, available, currency }
+ * @throws {AppError} If the educator has no connected account, or no
+ * balance in that currency
+ */
+const getPayoutBalance = async (educatorId, currency) => {
+  const account = await prisma.stripeAccount.findFirst({
+    where: { educatorId },
+    select: { stripeAccountId: true },
+  });
+  if (!account) {
+    throw new AppError("edu_not_found_err", "Educator account not found", 400);
+  }
+
+  let stripeBalance;
+  try {
+    stripeBalance = await gateway.retrieveBalance(account.stripeAccountId);
+  } catch (error) {
+    throw new AppError(
+      "fetching_err",
+      `Error fetching current balance: ${error.message}`,
+      500
+    );
+  }
+
+  const inCurrency = (entries) =>
+    currency
+      ? entries.find(
+          (entry) => entry.currency.toUpperCase() === currency.toUpperCase()
+        )
+      : entries[0];
+  const availableEntry = inCurrency(stripeBalance.available);
+  if (!availableEntry) {
+    throw new AppError(
+      "payout_err",
+      `Your balance has no funds in ${currency.toUpperCase()}`,
+      400
+    );
+  }
+  const balanceCurrency = availableEntry.currency.toUpperCase();
+  const balance = fromMinorUnits(availableEntry.amount, balanceCurrency);
+  const pendingEntry = inCurrency(
+    stripeBalance.pending.filter(
+      (entry) => entry.currency === availableEntry.currency
+    )
+  );
+
+  const open = await prisma.payout.aggregate({
+    where: {
+      educatorId,
+      currency: balanceCurrency,
+      status: { in: OPEN_PAYOUT_STATUSES },
+    },
+    _sum: { amount: true },
+  });
+  const requested = toDecimal(open._sum.amount);
+
+  return {
+    stripeAccountId: account.stripeAccountId,
+    currency: balanceCurrency,
+    balance,
+    pending: pendingEntry
+      ? fromMinorUnits(pendingEntry.amount, balanceCurrency)
+      : new Decimal(0),
+    requested,
+    available: Decimal.max(
+      roundMoney(balance.minus(requested), balanceCurrency),
+      0
+    ),
+  };
+};
+
+/**
+ * Ask for part of the connected account balance to be paid out. An admin
+ * approves the request before anything is sent.
+ * @param {Object} data - { amount, currency, note }
+ * @param {Object} user - Authenticated educator
+ * @throws {AppError} If the amount is more than the educator can request
+ */
+const requestPayout = async (data, user) => {
+  const { stripeAccountId, currency, available } = await getPayoutBalance(
+    user.id,
+    data.currency
+  );
+
+  const amount = roundMoney(data.amount, currency);
+  if (amount.gt(available)) {
+    throw new AppError(
+      "payout_balance_err",
+      `Requested ${amount} ${currency}, but only ${available} ${currency} is available for payout`,
+      400
+    );
+  }
+
+  const payout = await prisma.payout.create({
+    data: {
+      educatorId: user.id,
+      stripeAccountId,
+      amount,
+      currency,
+      note: data.note || null,
+    },
+  });
+
+  auditLogger.log(
+    "PAYOUT_REQUESTED",
+    user.id,
+    `Payout of ${amount} ${currency} requested`,
+    null,
+    { payoutId: payout.id }
+  );
+
+  return payout;
+};
+
+/**
+ * List payouts, newest first
+ * @param {Object} [filters] - { status, educatorId }
+ */
+const listPayouts = async (filters = {}, page = 1, limit = 20) => {
+  const skip = (page - 1) * limit;
+
+  const where = {};
+  if (filters.status) where.status = filters.status;
+  if (filters.educatorId) where.educatorId = filters.educatorId;
+
+  try {
+    const [payouts, totalCount] = await Promise.all([
+      prisma.payout.findMany({
+        where,
+        orderBy: { requestedAt: "desc" },
+        skip,
+        take: limit,
+      }),
+      prisma.payout.count({ where }),
+    ]);
+
+    return {
+      payouts,
+      pagination: {
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit),
+        page,
+        limit,
+      },
+    };
+  } catch (error) {
+    throw new AppError(
+      "fetching_err",
+      `Error retrieving payouts: ${error.message}`,
+      500
+    );
+  }
+};
+
+/**
+ * Get a payout
+ * @param {string} payoutId
+ * @throws {AppError} If there is no such payout
+ */
+const getPayoutById = async (payoutId) => {
+  const payout = await prisma.payout.findUnique({ where: { id: payoutId } });
+  if (!payout) {
+    throw new AppError("payout_not_found_err", "Payout not found", 404);
+  }
+  return payout;
+};
+
+/**
+ * Record the admin's decision on a payout request. Only the first
+ * decision counts.
+ * @param {string} payoutId
+ * @param {Object} user - Authenticated admin
+ * @param {string} status - APPROVED or REJECTED
+ * @param {string} [note] - The admin's reason
+ * @returns {Promise<Object>} The payout as it was requested
+ */
+const decidePayout = async (payoutId, user, status, note) => {
+  const payout = await getPayoutById(payoutId);
+
+  const { count } = await prisma.payout.updateMany({
+    where: { id: payoutId, status: "REQUESTED" },
+    data: {
+      status,
+      reviewedBy: user.id,
+      reviewNote: note || null,
+      reviewedAt: new Date(),
+    },
+  });
+  if (count === 0) {
+    throw new AppError(
+      "payout_err",
+      `Only requested payouts can be reviewed; this one is ${payout.status}`,
+      400
+    );
+  }
+
+  return payout;
+};
+
+/**
+ * Approve a payout request and send it to the educator's bank account,
+ * posting it to the ledger once Stripe accepts it. Stripe reports when it
+ * arrives with the payout.paid webhook.
+ * @param {string} payoutId
+ * @param {Object} user - Authenticated admin
+ * @param {string} [note] - Why it was approved
+ * @throws {AppError} If Stripe does not accept the payout, which is then
+ *   marked as failed
+ */
+const approvePayout = async (payoutId, user, note) => {
+  const payout = await decidePayout(payoutId, user, "APPROVED", note);
+
+  let stripePayout;
+  try {
+    stripePayout = await gateway.createPayout(
+      payout.stripeAccountId,
+      {
+        amount: toMinorUnits(payout.amount, payout.currency),
+        currency: payout.currency.toLowerCase(),
+        metadata: { payoutId: payout.id, educatorId: payout.educatorId },
+      },
+      { idempotencyKey: `payout_${payout.id}` }
+    );
+  } catch (error) {
+    logger.error(`Payout ${payout.id} failed: ${error.message}`, { error });
+    await prisma.payout.update({
+      where: { id: payout.id },
+      data: { status: "FAILED", failureReason: error.message },
+    });
+    throw new AppError(
+      "payout_err",
+      `Payout could not be sent: ${error.message}`,
+      400
+    );
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const inTransit = await tx.payout.update({
+      where: { id: payout.id },
+      data: {
+        status: "IN_TRANSIT",
+        stripePayoutId: stripePayout.id,
+        arrivalDate: stripePayout.arrival_date
+          ? new Date(stripePayout.arrival_date * 1000)
+          : null,
+      },
+    });
+    await ledgerService.postPayout(tx, inTransit);
+    return inTransit;
+  });
+
+  auditLogger.log(
+    "PAYOUT_APPROVED",
+    user.id,
+    `Payout of ${payout.amount} ${payout.currency} to educator ${payout.educatorId} approved`,
+    null,
+    { payoutId: payout.id, stripePayoutId: stripePayout.id, note: note || null }
+  );
+
+  return updated;
+};
+
+/**
+ * Reject a payout request; the amount can be requested again
+ * @param {string} payoutId
+ * @param {Object} user - Authenticated admin
+ * @param {string} [note] - Why it was rejected
+ */
+const rejectPayout = async (payoutId, user, note) => {
+  const payout = await decidePayout(payoutId, user, "REJECTED", note);
+
+  auditLogger.log(
+    "PAYOUT_REJECTED",
+    user.id,
+    `Payout of ${payout.amount} ${payout.currency} to educator ${payout.educatorId} rejected`,
+    null,
+    { payoutId: payout.id, note: note || null }
+  );
+
+  return getPayoutById(payoutId);
+};
+
+/**
+ * Record what Stripe reports about a payout sent to an educator's bank,
+ * from the payout.paid and payout.failed webhooks, and tell the educator.
+ * A failed payout is reversed in the ledger. Payouts Stripe makes on its
+ * own schedule are not ours and are ignored.
+ * @param {Object} stripePayout - Stripe payout
+ * @returns {Promise<boolean>} Whether a payout was updated
+ */
+const recordPayoutOutcome = async (stripePayout) => {
+  const paid = stripePayout.status === "paid";
+  const payout = await prisma.payout.findUnique({
+    where: { stripePayoutId: stripePayout.id },
+  });
+  if (!payout) {
+    logger.info(`Ignoring payout ${stripePayout.id} not requested here`);
+    return false;
+  }
+
+  const failureReason = paid
+    ? null
+    : stripePayout.failure_message || stripePayout.failure_code || "Payout failed";
+  const count = await prisma.$transaction(async (tx) => {
+    const { count: updated } = await tx.payout.updateMany({
+      where: { id: payout.id, status: "IN_TRANSIT" },
+      data: paid
+        ? {
+            status: "COMPLETED",
+            paidAt: stripePayout.arrival_date
+              ? new Date(stripePayout.arrival_date * 1000)
+              : new Date(),
+          }
+        : { status: "FAILED", failureReason },
+    });
+
+    if (updated > 0) {
+      if (!paid) {
+        await ledgerService.postPayoutFailure(tx, { ...payout, failureReason });
+      }
+      await outboxService.enqueueEvents(tx, [
+        {
+          destination: outboxService.DESTINATIONS.USER_SERVICE,
+          payload: {
+            userId: payout.educatorId,
+            action: paid ? "PAYOUT_PAID" : "PAYOUT_FAILED",
+            payoutId: payout.id,
+            amount: payout.amount,
+            currency: payout.currency,
+            ...(!paid && { reason: failureReason }),
+          },
+        },
+      ]);
+    }
+    return updated;
+  });
+  if (count === 0) {
+    return false;
+  }
+
+  auditLogger.log(
+    paid ? "PAYOUT_PAID" : "PAYOUT_FAILED",
+    "system",
+    `Payout of ${payout.amount} ${payout.currency} to educator ${payout.educatorId} ${paid ? "paid" : `failed: ${failureReason}`}`,
+    null,
+    { payoutId: payout.id, stripePayoutId: stripePayout.id }
+  );
+  outboxService.dispatchSoon();
+  return true;
+};
+
+module.exports = {
+  getPayoutBalance,
+  requestPayout,
+  listPayouts,
+  getPayoutById,
+  approvePayout,
+  rejectPayout,
+  recordPayoutOutcome,
+};
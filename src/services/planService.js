@@ -0,0 +1,130 @@
+const prisma = require("../config/db");
+const { auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const { getPaymentGateway } = require("./paymentGateways");
+const { toMinorUnits } = require("../utils/money");
+
+const gateway = getPaymentGateway();
+
+/**
+ * List membership plans
+ */
+const listPlans = async (includeInactive = false) => {
+  try {
+    return await prisma.plan.findMany({
+      where: includeInactive ? {} : { active: true },
+      orderBy: { amount: "asc" },
+    });
+  } catch (error) {
+    throw new AppError(
+      "fetching_err",
+      `Error retrieving plans: ${error.message}`,
+      500
+    );
+  }
+};
+
+/**
+ * Get a plan by ID
+ */
+const getPlanById = async (planId) => {
+  try {
+    const plan = await prisma.plan.findUnique({ where: { id: planId } });
+
+    if (!plan) {
+      throw new AppError("plan_not_found_err", "Plan not found", 404);
+    }
+
+    return plan;
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new AppError(
+      "fetching_err",
+      `Error retrieving plan: ${error.message}`,
+      500
+    );
+  }
+};
+
+/**
+ * Create a plan along with its Stripe product and recurring price
+ */
+const createPlan = async (data, user) => {
+  const { name, description, amount, interval } = data;
+  const currency = (data.currency || "USD").toUpperCase();
+
+  const product = await gateway.createProduct({
+    name,
+    description: description || undefined,
+    metadata: { source: "payment-service" },
+  });
+
+  const price = await gateway.createPrice({
+    product: product.id,
+    unit_amount: toMinorUnits(amount, currency),
+    currency: currency.toLowerCase(),
+    recurring: { interval: interval.toLowerCase() },
+  });
+
+  const plan = await prisma.plan.create({
+    data: {
+      name,
+      description,
+      amount,
+      currency,
+      interval,
+      stripeProductId: product.id,
+      stripePriceId: price.id,
+      active: data.active ?? true,
+    },
+  });
+
+  auditLogger.log(
+    "PLAN_CREATED",
+    user.id,
+    `Plan ${plan.name} created at ${plan.amount} ${plan.currency} per ${plan.interval.toLowerCase()}`,
+    null,
+    { planId: plan.id, stripePriceId: price.id }
+  );
+
+  return plan;
+};
+
+/**
+ * Update a plan. Stripe prices are immutable, so the amount and interval
+ * of an existing plan cannot change; create a new plan instead.
+ */
+const updatePlan = async (planId, data, user) => {
+  const existing = await getPlanById(planId);
+
+  const changes = {};
+  ["name", "description", "active"].forEach((field) => {
+    if (data[field] !== undefined) changes[field] = data[field];
+  });
+
+  if (existing.stripeProductId) {
+    await gateway.updateProduct(existing.stripeProductId, changes);
+  }
+
+  const plan = await prisma.plan.update({
+    where: { id: planId },
+    data: changes,
+  });
+
+  auditLogger.log(
+    "PLAN_UPDATED",
+    user.id,
+    `Plan ${plan.name} updated`,
+    null,
+    { planId, changes }
+  );
+
+  return plan;
+};
+
+module.exports = {
+  listPlans,
+  getPlanById,
+  createPlan,
+  updatePlan,
+};
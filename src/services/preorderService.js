@@ -0,0 +1,199 @@
+const prisma = require("../config/db");
+const { logger, auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const { getPreorderWindowMs } = require("./coursePriceService");
+const paymentService = require("./paymentService");
+const { getPaymentGateway } = require("./paymentGateways");
+
+const gateway = getPaymentGateway();
+
+// Actor recorded for captures and voids made by the scheduled jobs
+const SYSTEM_USER = { id: "system", role: "Admin" };
+
+/**
+ * Find an authorized pre-order the user may capture or void: admins any,
+ * educators their own courses'
+ * @param {string} transactionId - Payment transaction ID
+ * @param {Object} user - Authenticated admin or educator
+ */
+const getAuthorizedPayment = async (transactionId, user) => {
+  const transaction = await prisma.transaction.findUnique({
+    where: { id: transactionId },
+    include: { paymentReview: true },
+  });
+
+  if (
+    !transaction ||
+    transaction.type !== "PAYMENT" ||
+    (user.role !== "Admin" && transaction.educatorId !== user.id)
+  ) {
+    throw new AppError("transaction_err", "Transaction not found", 404);
+  }
+  if (transaction.status !== "AUTHORIZED") {
+    throw new AppError(
+      "preorder_err",
+      `Only authorized payments can be captured or voided; this one is ${transaction.status}`,
+      400
+    );
+  }
+
+  return transaction;
+};
+
+/**
+ * Charge an authorized pre-order. The student is enrolled and invoiced
+ * once the capture succeeds.
+ * @param {string} transactionId - Payment transaction ID
+ * @param {Object} user - Authenticated admin or educator, or the system job
+ * @returns {Promise<Object>} { transactionId, status }
+ */
+const captureAuthorizedPayment = async (transactionId, user) => {
+  const transaction = await getAuthorizedPayment(transactionId, user);
+  // Approving the review is what captures a held payment
+  if (transaction.paymentReview?.status === "PENDING") {
+    throw new AppError(
+      "preorder_err",
+      "This payment is held for fraud review and cannot be captured yet",
+      400
+    );
+  }
+
+  const paymentIntent = await gateway.capturePayment(
+    transaction.stripeChargeId,
+    { idempotencyKey: `capture_${transaction.id}` }
+  );
+  if (paymentIntent.status !== "succeeded") {
+    throw new AppError(
+      "payment_declined_err",
+      `Capture did not succeed: ${paymentIntent.status}`,
+      402
+    );
+  }
+
+  await paymentService.completePendingPayment(paymentIntent.id);
+
+  auditLogger.log(
+    "PAYMENT_CAPTURED",
+    user.id,
+    `Pre-order payment of ${transaction.amount} ${transaction.currency} captured for course ${transaction.courseId}`,
+    transaction.id,
+    { stripeChargeId: paymentIntent.id }
+  );
+
+  return { transactionId, status: "COMPLETED" };
+};
+
+/**
+ * Release the card authorization of a pre-order without charging it
+ * @param {string} transactionId - Payment transaction ID
+ * @param {Object} user - Authenticated admin or educator, or the system job
+ * @param {string} [reason] - Stripe cancellation reason
+ * @returns {Promise<Object>} { transactionId, status }
+ */
+const voidAuthorizedPayment = async (
+  transactionId,
+  user,
+  reason = "requested_by_customer"
+) => {
+  const transaction = await getAuthorizedPayment(transactionId, user);
+
+  const paymentIntent = await gateway.cancelPayment(
+    transaction.stripeChargeId,
+    { cancellation_reason: reason }
+  );
+  await paymentService.failPendingPayment(paymentIntent);
+
+  auditLogger.log(
+    "PAYMENT_VOID_REQUESTED",
+    user.id,
+    `Pre-order payment of ${transaction.amount} ${transaction.currency} voided for course ${transaction.courseId}`,
+    transaction.id,
+    { stripeChargeId: paymentIntent.id, reason }
+  );
+
+  return { transactionId, status: "VOIDED" };
+};
+
+/**
+ * Capture every pre-order of the courses that have launched
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { captured, failed }
+ */
+const captureLaunchedPreorders = async (now = new Date()) => {
+  const launched = await prisma.coursePrice.findMany({
+    where: { launchDate: { lte: now } },
+    select: { courseId: true },
+  });
+  if (launched.length === 0) {
+    return { captured: 0, failed: 0 };
+  }
+
+  const authorized = await prisma.transaction.findMany({
+    where: {
+      type: "PAYMENT",
+      status: "AUTHORIZED",
+      courseId: { in: launched.map((course) => course.courseId) },
+      // Held payments wait for their review
+      NOT: { paymentReview: { is: { status: "PENDING" } } },
+    },
+    select: { id: true },
+    orderBy: { createdAt: "asc" },
+  });
+
+  const result = { captured: 0, failed: 0 };
+  for (const { id } of authorized) {
+    try {
+      await captureAuthorizedPayment(id, SYSTEM_USER);
+      result.captured += 1;
+    } catch (error) {
+      // Left authorized; the void job releases it before it lapses
+      logger.error(`Capturing pre-order ${id} failed: ${error.message}`, {
+        error,
+      });
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Void pre-orders whose card authorization is about to lapse, so the
+ * student's funds are released rather than left to expire
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { voided, failed }
+ */
+const voidExpiringAuthorizations = async (now = new Date()) => {
+  const expiring = await prisma.transaction.findMany({
+    where: {
+      type: "PAYMENT",
+      status: "AUTHORIZED",
+      createdAt: { lte: new Date(now.getTime() - getPreorderWindowMs()) },
+      // Held payments are approved or rejected by their review
+      NOT: { paymentReview: { is: { status: "PENDING" } } },
+    },
+    select: { id: true },
+  });
+
+  const result = { voided: 0, failed: 0 };
+  for (const { id } of expiring) {
+    try {
+      await voidAuthorizedPayment(id, SYSTEM_USER, "abandoned");
+      result.voided += 1;
+    } catch (error) {
+      logger.error(`Voiding pre-order ${id} failed: ${error.message}`, {
+        error,
+      });
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  captureAuthorizedPayment,
+  voidAuthorizedPayment,
+  captureLaunchedPreorders,
+  voidExpiringAuthorizations,
+};
@@ -7,14 +7,36 @@ const { Prisma } = require("@prisma/client");
 const { AppError } = require("../middleware/errorHandler");
 const { logger } = require("../utils/logger");
 const { cacheUtils } = require("../config/cache");
+const fxRateService = require("./fxRateService");
+const { educatorTransactionsSql } = require("./revenueShareService");
+const {
+  currencyExponent,
+  toDecimal,
+  sumMoney,
+} = require("../utils/money");
 
 // Cache TTLs in seconds
 const CACHE_TTLS = {
   FINANCIAL_REPORT: 1800, // 30 minutes
   EARNINGS_REPORT: 1800, // 30 minutes
   COMMISSION_REPORT: 1800, // 30 minutes
+  AFFILIATE_REPORT: 1800, // 30 minutes
 };
 
+// Money columns in the reporting currency, at the rate of each capture
+const AMOUNT = fxRateService.baseColumnSql("amount", "t");
+const COMMISSION = fxRateService.baseColumnSql("platformCommission", "t");
+const EARNINGS = fxRateService.baseColumnSql("educatorEarnings", "t");
+
+// Captured sales, including those refunded since. Refunds are REFUND rows
+// of their own with negative commission and earnings, so figures without a
+// refund column next to them add those rows to be net of refunds.
+const SOLD = Prisma.sql`t."type" = 'PAYMENT' AND t."status" IN ('COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED')`;
+const REFUNDED = Prisma.sql`t."type" = 'REFUND' AND t."status" = 'COMPLETED'`;
+const SOLD_OR_REFUNDED = Prisma.sql`(${SOLD}) OR (${REFUNDED})`;
+// Students still enrolled; a partial refund keeps the enrollment
+const ENROLLED = Prisma.sql`t."type" = 'PAYMENT' AND t."status" IN ('COMPLETED', 'PARTIALLY_REFUNDED')`;
+
 /**
  * Generate cache key for a report function based on its parameters
  */
@@ -32,6 +54,10 @@ const generateReportCacheKey = (prefix, filters = {}) => {
  * Generate financial report with optional filters
  */
 const generateFinancialReport = async (filters = {}) => {
+  const { currency, convert } = await fxRateService.getReportConverter(
+    filters.currency
+  );
+
   try {
     const cacheKey = generateReportCacheKey("financial", filters);
 
@@ -104,14 +130,16 @@ const generateFinancialReport = async (filters = {}) => {
         // Summary statistics
         prisma.$queryRaw`
         SELECT 
-          COALESCE(SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."amount" ELSE 0 END), 0) AS "totalRevenue",
-          COALESCE(SUM(CASE WHEN t."type" = 'REFUND' AND t."status" = 'COMPLETED' THEN t."amount" ELSE 0 END), 0) AS "totalRefunds",
-          COALESCE(SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."amount" ELSE 0 END) - 
-                   SUM(CASE WHEN t."type" = 'REFUND' AND t."status" = 'COMPLETED' THEN t."amount" ELSE 0 END), 0) AS "netRevenue",
-          COALESCE(SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."platformCommission" ELSE 0 END), 0) AS "totalCommission",
-          COALESCE(SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."educatorEarnings" ELSE 0 END), 0) AS "totalEducatorEarnings",
-          COUNT(CASE WHEN t."type" = 'PAYMENT' THEN 1 END) AS "totalTransactions",
+          COALESCE(SUM(CASE WHEN ${SOLD} THEN ${AMOUNT} ELSE 0 END), 0) AS "totalRevenue",
+          COALESCE(SUM(CASE WHEN ${REFUNDED} THEN ${AMOUNT} ELSE 0 END), 0) AS "totalRefunds",
+          COALESCE(SUM(CASE WHEN ${SOLD} THEN ${AMOUNT} ELSE 0 END) - 
+                   SUM(CASE WHEN ${REFUNDED} THEN ${AMOUNT} ELSE 0 END), 0) AS "netRevenue",
+          COALESCE(SUM(CASE WHEN ${SOLD_OR_REFUNDED} THEN ${COMMISSION} ELSE 0 END), 0) AS "totalCommission",
+          COALESCE(SUM(CASE WHEN ${SOLD_OR_REFUNDED} THEN ${EARNINGS} ELSE 0 END), 0) AS "totalEducatorEarnings",
+          COUNT(CASE WHEN t."type" = 'PAYMENT' AND t."amount" > 0 THEN 1 END) AS "totalTransactions",
           COUNT(CASE WHEN t."type" = 'REFUND' THEN 1 END) AS "totalRefundCount",
+          COUNT(CASE WHEN ${ENROLLED} THEN 1 END) AS "totalEnrollments",
+          COUNT(CASE WHEN ${ENROLLED} AND t."amount" = 0 THEN 1 END) AS "freeEnrollments",
           COUNT(DISTINCT t."userId") AS "uniqueCustomers"
         FROM "Transaction" t
         WHERE 1=1 ${dateCondition} ${educatorFilter}
@@ -121,11 +149,12 @@ const generateFinancialReport = async (filters = {}) => {
         prisma.$queryRaw`
         SELECT 
           TO_CHAR(t."createdAt", 'YYYY-MM-DD') AS "date",
-          COUNT(CASE WHEN t."type" = 'PAYMENT' THEN 1 END) AS "transactions",
-          COALESCE(SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."amount" ELSE 0 END), 0) AS "revenue",
-          COALESCE(SUM(CASE WHEN t."type" = 'REFUND' AND t."status" = 'COMPLETED' THEN t."amount" ELSE 0 END), 0) AS "refunds",
-          COALESCE(SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."platformCommission" ELSE 0 END), 0) AS "platformCommission",
-          COALESCE(SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."educatorEarnings" ELSE 0 END), 0) AS "educatorEarnings"
+          COUNT(CASE WHEN t."type" = 'PAYMENT' AND t."amount" > 0 THEN 1 END) AS "transactions",
+          COUNT(CASE WHEN ${ENROLLED} THEN 1 END) AS "enrollments",
+          COALESCE(SUM(CASE WHEN ${SOLD} THEN ${AMOUNT} ELSE 0 END), 0) AS "revenue",
+          COALESCE(SUM(CASE WHEN ${REFUNDED} THEN ${AMOUNT} ELSE 0 END), 0) AS "refunds",
+          COALESCE(SUM(CASE WHEN ${SOLD_OR_REFUNDED} THEN ${COMMISSION} ELSE 0 END), 0) AS "platformCommission",
+          COALESCE(SUM(CASE WHEN ${SOLD_OR_REFUNDED} THEN ${EARNINGS} ELSE 0 END), 0) AS "educatorEarnings"
         FROM "Transaction" t
         WHERE 1=1 ${dateCondition} ${educatorFilter}
         GROUP BY TO_CHAR(t."createdAt", 'YYYY-MM-DD')
@@ -137,11 +166,12 @@ const generateFinancialReport = async (filters = {}) => {
         prisma.$queryRaw`
         SELECT 
           t."courseId",
-          COUNT(CASE WHEN t."type" = 'PAYMENT' THEN 1 END) AS "sales",
-          COALESCE(SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."amount" ELSE 0 END), 0) AS "revenue",
-          COALESCE(SUM(CASE WHEN t."type" = 'REFUND' AND t."status" = 'COMPLETED' THEN t."amount" ELSE 0 END), 0) AS "refunds",
-          COALESCE(SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."platformCommission" ELSE 0 END), 0) AS "platformCommission",
-          COALESCE(SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."educatorEarnings" ELSE 0 END), 0) AS "educatorEarnings"
+          COUNT(CASE WHEN t."type" = 'PAYMENT' AND t."amount" > 0 THEN 1 END) AS "sales",
+          COUNT(CASE WHEN ${ENROLLED} THEN 1 END) AS "enrollments",
+          COALESCE(SUM(CASE WHEN ${SOLD} THEN ${AMOUNT} ELSE 0 END), 0) AS "revenue",
+          COALESCE(SUM(CASE WHEN ${REFUNDED} THEN ${AMOUNT} ELSE 0 END), 0) AS "refunds",
+          COALESCE(SUM(CASE WHEN ${SOLD_OR_REFUNDED} THEN ${COMMISSION} ELSE 0 END), 0) AS "platformCommission",
+          COALESCE(SUM(CASE WHEN ${SOLD_OR_REFUNDED} THEN ${EARNINGS} ELSE 0 END), 0) AS "educatorEarnings"
         FROM "Transaction" t
         WHERE 1=1 ${dateCondition} ${educatorFilter}
         GROUP BY t."courseId"
@@ -154,9 +184,9 @@ const generateFinancialReport = async (filters = {}) => {
         SELECT 
           COALESCE(t.metadata->>'paymentMethod', 'unknown') AS "paymentMethod",
           COUNT(*) AS "count",
-          COALESCE(SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."amount" ELSE 0 END), 0) AS "volume"
+          COALESCE(SUM(CASE WHEN ${SOLD} THEN ${AMOUNT} ELSE 0 END), 0) AS "volume"
         FROM "Transaction" t
-        WHERE t."type" = 'PAYMENT' ${dateCondition} ${educatorFilter}
+        WHERE t."type" = 'PAYMENT' AND t."amount" > 0 ${dateCondition} ${educatorFilter}
         GROUP BY t.metadata->>'paymentMethod'
         ORDER BY "count" DESC
       `,
@@ -172,37 +202,43 @@ const generateFinancialReport = async (filters = {}) => {
           endDate: endDate || "Current date",
           educatorId: educatorId || "All educators",
         },
+        currency,
       },
       summary: {
-        totalRevenue: Number(summary[0]?.totalRevenue) || 0,
-        totalRefunds: Number(summary[0]?.totalRefunds) || 0,
-        netRevenue: Number(summary[0]?.netRevenue) || 0,
-        totalCommission: Number(summary[0]?.totalCommission) || 0,
-        totalEducatorEarnings: Number(summary[0]?.totalEducatorEarnings) || 0,
+        totalRevenue: convert(summary[0]?.totalRevenue),
+        totalRefunds: convert(summary[0]?.totalRefunds),
+        netRevenue: convert(summary[0]?.netRevenue),
+        totalCommission: convert(summary[0]?.totalCommission),
+        totalEducatorEarnings: convert(summary[0]?.totalEducatorEarnings),
         totalTransactions: Number(summary[0]?.totalTransactions) || 0,
         totalRefundCount: Number(summary[0]?.totalRefundCount) || 0,
+        // Free enrollments count here but add nothing to revenue
+        totalEnrollments: Number(summary[0]?.totalEnrollments) || 0,
+        freeEnrollments: Number(summary[0]?.freeEnrollments) || 0,
         uniqueCustomers: Number(summary[0]?.uniqueCustomers) || 0,
       },
       dailyStats: dailyStats.map((day) => ({
         date: day.date,
         transactions: Number(day.transactions) || 0,
-        revenue: Number(day.revenue) || 0,
-        refunds: Number(day.refunds) || 0,
-        platformCommission: Number(day.platformCommission) || 0,
-        educatorEarnings: Number(day.educatorEarnings) || 0,
+        enrollments: Number(day.enrollments) || 0,
+        revenue: convert(day.revenue),
+        refunds: convert(day.refunds),
+        platformCommission: convert(day.platformCommission),
+        educatorEarnings: convert(day.educatorEarnings),
       })),
       topCourses: topCourses.map((course) => ({
         courseId: course.courseId,
         sales: Number(course.sales) || 0,
-        revenue: Number(course.revenue) || 0,
-        refunds: Number(course.refunds) || 0,
-        platformCommission: Number(course.platformCommission) || 0,
-        educatorEarnings: Number(course.educatorEarnings) || 0,
+        enrollments: Number(course.enrollments) || 0,
+        revenue: convert(course.revenue),
+        refunds: convert(course.refunds),
+        platformCommission: convert(course.platformCommission),
+        educatorEarnings: convert(course.educatorEarnings),
       })),
       paymentMethods: paymentMethods.map((pm) => ({
         paymentMethod: pm.paymentMethod,
         count: Number(pm.count) || 0,
-        volume: Number(pm.volume) || 0,
+        volume: convert(pm.volume),
         percentage:
           summary[0]?.totalTransactions > 0
             ? (
@@ -294,6 +330,8 @@ const generateFinancialReportPDF = async (reportData) => {
  * Generate content for financial report PDF
  */
 const generateFinancialPDFContent = (doc, reportData) => {
+  const currency = reportData.metadata?.currency || "";
+
   // Add header
   doc.fontSize(20).text("FINANCIAL REPORT", { align: "center" });
   doc.moveDown();
@@ -321,19 +359,21 @@ const generateFinancialPDFContent = (doc, reportData) => {
 
   const summary = reportData.summary;
   if (summary) {
-    doc.text(`Total Revenue: $${formatNumber(summary.totalPayments || 0)}`);
-    doc.text(`Total Refunds: $${formatNumber(summary.totalRefunds || 0)}`);
+    doc.text(`Total Revenue: ${formatMoney(summary.totalPayments || 0, currency)}`);
+    doc.text(`Total Refunds: ${formatMoney(summary.totalRefunds || 0, currency)}`);
     doc.text(
-      `Net Revenue: $${formatNumber(
-        (summary.totalPayments || 0) - (summary.totalRefunds || 0)
+      `Net Revenue: ${formatMoney(
+        toDecimal(summary.totalPayments).minus(toDecimal(summary.totalRefunds)),
+        currency
       )}`
     );
     doc.text(
-      `Platform Commission: $${formatNumber(summary.totalCommission || 0)}`
+      `Platform Commission: ${formatMoney(summary.totalCommission || 0, currency)}`
     );
     doc.text(
-      `Total Educator Earnings: $${formatNumber(
-        summary.totalEducatorEarnings || 0
+      `Total Educator Earnings: ${formatMoney(
+        summary.totalEducatorEarnings || 0,
+        currency
       )}`
     );
     doc.text(`Successful Payments: ${summary.successfulPayments || 0}`);
@@ -350,17 +390,19 @@ const generateFinancialPDFContent = (doc, reportData) => {
     const educatorStats = reportData.educatorStats;
     doc.text(`Educator ID: ${educatorStats.educatorId}`);
     doc.text(
-      `Total Earnings: $${formatNumber(educatorStats.totalEarnings || 0)}`
+      `Total Earnings: ${formatMoney(educatorStats.totalEarnings || 0, currency)}`
     );
     doc.text(
-      `Total Refunded Earnings: $${formatNumber(
-        educatorStats.totalRefundedEarnings || 0
+      `Total Refunded Earnings: ${formatMoney(
+        educatorStats.totalRefundedEarnings || 0,
+        currency
       )}`
     );
     doc.text(
-      `Net Earnings: $${formatNumber(
+      `Net Earnings: ${formatMoney(
         (educatorStats.totalEarnings || 0) -
-          (educatorStats.totalRefundedEarnings || 0)
+          (educatorStats.totalRefundedEarnings || 0),
+        currency
       )}`
     );
 
@@ -396,8 +438,8 @@ const generateFinancialPDFContent = (doc, reportData) => {
       doc
         .fontSize(9)
         .text(date, 50, y)
-        .text(`$${formatNumber(stat.dailyRevenue)}`, 200, y)
-        .text(`$${formatNumber(stat.dailyRefunds)}`, 300, y)
+        .text(formatMoney(stat.dailyRevenue, currency), 200, y)
+        .text(formatMoney(stat.dailyRefunds, currency), 300, y)
         .text(stat.dailyTransactions.toString(), 400, y);
 
       y += 20;
@@ -442,7 +484,7 @@ const generateFinancialPDFContent = (doc, reportData) => {
       doc
         .fontSize(9)
         .text(course.courseId.toString(), 50, y, { width: 240 })
-        .text(`$${formatNumber(course.totalRevenue)}`, 300, y)
+        .text(formatMoney(course.totalRevenue, currency), 300, y)
         .text(course.totalSales.toString(), 400, y);
 
       y += 20;
@@ -465,9 +507,14 @@ const generateFinancialPDFContent = (doc, reportData) => {
 };
 
 /**
- * Get educator earnings report
+ * Get educator earnings report. Earnings are the educator's own share,
+ * also of co-taught courses.
  */
 const getEducatorEarningsReport = async (educatorId, filters = {}) => {
+  const { currency, convert } = await fxRateService.getReportConverter(
+    filters.currency
+  );
+
   try {
     const cacheKey = generateReportCacheKey(`earnings:${educatorId}`, filters);
 
@@ -500,12 +547,13 @@ const getEducatorEarningsReport = async (educatorId, filters = {}) => {
     const transactionsQuery = Prisma.sql`
       SELECT
         t."educatorId",
-        COALESCE(SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."amount" ELSE 0 END)::numeric,0) as "totalEarnings",
-        COALESCE(SUM(CASE WHEN t."type" = 'REFUND' AND t."status" = 'COMPLETED' THEN t."amount" ELSE 0 END)::numeric,0) as "totalRefundedEarnings",
-        COUNT(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN 1 END)::integer as "totalSales",
+        COALESCE(SUM(CASE WHEN ${SOLD} THEN ${EARNINGS} ELSE 0 END)::numeric,0) as "totalEarnings",
+        COALESCE(SUM(CASE WHEN ${REFUNDED} THEN ABS(${EARNINGS}) ELSE 0 END)::numeric,0) as "totalRefundedEarnings",
+        COUNT(CASE WHEN ${SOLD} AND t."amount" > 0 THEN 1 END)::integer as "totalSales",
+        COUNT(CASE WHEN ${ENROLLED} THEN 1 END)::integer as "totalEnrollments",
         COUNT(DISTINCT t."courseId") as "totalActiveCourses"
-      FROM "Transaction" t
-      WHERE t."educatorId" = ${educatorId} ${dateCondition}
+      FROM ${educatorTransactionsSql(educatorId)} t
+      WHERE 1=1 ${dateCondition}
       GROUP BY t."educatorId"
     `;
 
@@ -515,9 +563,11 @@ const getEducatorEarningsReport = async (educatorId, filters = {}) => {
     if (transactionsResults.length === 0) {
       return {
         educatorId,
+        currency,
         totalEarnings: 0,
         totalRefundedEarnings: 0,
         totalSales: 0,
+        totalEnrollments: 0,
         totalActiveCourses: 0,
       };
     }
@@ -525,11 +575,13 @@ const getEducatorEarningsReport = async (educatorId, filters = {}) => {
     // Format the report data
     const report = {
       educatorId: transactionsResults[0].educatorId,
-      totalEarnings: Number(transactionsResults[0].totalEarnings),
-      totalRefundedEarnings: Number(
+      currency,
+      totalEarnings: convert(transactionsResults[0].totalEarnings),
+      totalRefundedEarnings: convert(
         transactionsResults[0].totalRefundedEarnings
       ),
       totalSales: Number(transactionsResults[0].totalSales),
+      totalEnrollments: Number(transactionsResults[0].totalEnrollments),
       totalActiveCourses: Number(transactionsResults[0].totalActiveCourses),
       reportGenerated: new Date(),
       period: {
@@ -558,6 +610,10 @@ const getEducatorEarningsReport = async (educatorId, filters = {}) => {
  * Generate commission report
  */
 const generateCommissionReport = async (filters = {}) => {
+  const { currency, convert } = await fxRateService.getReportConverter(
+    filters.currency
+  );
+
   try {
     const cacheKey = generateReportCacheKey("commission", filters);
 
@@ -589,12 +645,12 @@ const generateCommissionReport = async (filters = {}) => {
     // Query for commission statistics
     const commissionQuery = Prisma.sql`
       SELECT
-        COALESCE(SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."platformCommission" ELSE 0 END)::numeric, 0) as "totalCommission",
-        COALESCE(SUM(CASE WHEN t."type" = 'REFUND' AND t."status" = 'COMPLETED' THEN t."platformCommission" ELSE 0 END)::numeric, 0) as "refundedCommission",
-        COALESCE(SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."educatorEarnings" ELSE 0 END)::numeric, 0) as "totalEducatorEarnings",
-        COALESCE(SUM(CASE WHEN t."type" = 'REFUND' AND t."status" = 'COMPLETED' THEN t."educatorEarnings" ELSE 0 END)::numeric, 0) as "refundedEducatorEarnings",
-        COALESCE(SUM(CASE WHEN t."status" = 'COMPLETED' THEN t."amount" ELSE 0 END)::numeric, 0) as "totalTransactionAmount",
-        AVG(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."platformCommission" / NULLIF(t."amount", 0) * 100 ELSE NULL END) as "averageCommissionRate"
+        COALESCE(SUM(CASE WHEN ${SOLD} THEN ${COMMISSION} ELSE 0 END)::numeric, 0) as "totalCommission",
+        COALESCE(SUM(CASE WHEN ${REFUNDED} THEN ${COMMISSION} ELSE 0 END)::numeric, 0) as "refundedCommission",
+        COALESCE(SUM(CASE WHEN ${SOLD} THEN ${EARNINGS} ELSE 0 END)::numeric, 0) as "totalEducatorEarnings",
+        COALESCE(SUM(CASE WHEN ${REFUNDED} THEN ${EARNINGS} ELSE 0 END)::numeric, 0) as "refundedEducatorEarnings",
+        COALESCE(SUM(CASE WHEN ${SOLD} THEN ${AMOUNT} WHEN ${REFUNDED} THEN -${AMOUNT} ELSE 0 END)::numeric, 0) as "totalTransactionAmount",
+        AVG(CASE WHEN ${SOLD} THEN t."platformCommission" / NULLIF(t."amount", 0) * 100 ELSE NULL END) as "averageCommissionRate"
       FROM "Transaction" t
       WHERE 1=1 ${dateCondition}
     `;
@@ -603,36 +659,38 @@ const generateCommissionReport = async (filters = {}) => {
 
     // Format the report data
     const report = {
+      currency,
       summary: {
-        totalCommission: Number(commissionResults[0]?.totalCommission) || 0,
-        refundedCommission: Math.abs(
-          Number(commissionResults[0]?.refundedCommission) || 0
+        totalCommission: convert(commissionResults[0]?.totalCommission),
+        refundedCommission: convert(
+          commissionResults[0]?.refundedCommission
+        ).abs(),
+        netCommission: convert(commissionResults[0]?.totalCommission).minus(
+          convert(commissionResults[0]?.refundedCommission).abs()
         ),
-        netCommission:
-          Number(commissionResults[0]?.totalCommission) -
-          Math.abs(Number(commissionResults[0]?.refundedCommission) || 0),
-        totalEducatorEarnings:
-          Number(commissionResults[0]?.totalEducatorEarnings) || 0,
-        refundedEducatorEarnings: Math.abs(
-          Number(commissionResults[0]?.refundedEducatorEarnings) || 0
+        totalEducatorEarnings: convert(
+          commissionResults[0]?.totalEducatorEarnings
         ),
-        netEducatorEarnings:
-          Number(commissionResults[0]?.totalEducatorEarnings) -
-          Math.abs(Number(commissionResults[0]?.refundedEducatorEarnings) || 0),
-        totalAmount: Number(commissionResults[0]?.totalTransactionAmount) || 0,
+        refundedEducatorEarnings: convert(
+          commissionResults[0]?.refundedEducatorEarnings
+        ).abs(),
+        netEducatorEarnings: convert(
+          commissionResults[0]?.totalEducatorEarnings
+        ).minus(convert(commissionResults[0]?.refundedEducatorEarnings).abs()),
+        totalAmount: convert(commissionResults[0]?.totalTransactionAmount),
         averageCommissionRate:
           Number(commissionResults[0]?.averageCommissionRate) || 0,
       },
       monthlyTrend: [],
     };
 
-    // Monthly trend query
+    // Monthly trend query, net of the month's refunds
     const trendQuery = Prisma.sql`
       SELECT
         DATE_TRUNC('month', t."createdAt") as "month",
-        SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."platformCommission" ELSE 0 END) as "platformCommission",
-        SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."educatorEarnings" ELSE 0 END) as "educatorEarnings",
-        SUM(CASE WHEN t."type" = 'PAYMENT' AND t."status" = 'COMPLETED' THEN t."amount" ELSE 0 END) as "totalRevenue"
+        SUM(CASE WHEN ${SOLD_OR_REFUNDED} THEN ${COMMISSION} ELSE 0 END) as "platformCommission",
+        SUM(CASE WHEN ${SOLD_OR_REFUNDED} THEN ${EARNINGS} ELSE 0 END) as "educatorEarnings",
+        SUM(CASE WHEN ${SOLD} THEN ${AMOUNT} WHEN ${REFUNDED} THEN -${AMOUNT} ELSE 0 END) as "totalRevenue"
       FROM "Transaction" t
       WHERE 1=1 ${dateCondition}
       GROUP BY DATE_TRUNC('month', t."createdAt")
@@ -644,15 +702,48 @@ const generateCommissionReport = async (filters = {}) => {
     // Format monthly trend data
     report.monthlyTrend = trendResults.map((item) => ({
       month: item.month,
-      platformCommission: Number(item.platformCommission),
-      educatorEarnings: Number(item.educatorEarnings),
-      totalRevenue: Number(item.totalRevenue),
+      platformCommission: convert(item.platformCommission),
+      educatorEarnings: convert(item.educatorEarnings),
+      totalRevenue: convert(item.totalRevenue),
       platformShare:
         (Number(item.platformCommission) / Number(item.totalRevenue)) * 100,
       educatorShare:
         (Number(item.educatorEarnings) / Number(item.totalRevenue)) * 100,
     }));
 
+    // Commission by the rule that set it; refunds carry the rule of the
+    // payment they refund. Sales no rule matched fall under the default.
+    const ruleQuery = Prisma.sql`
+      SELECT
+        t."commissionRuleId" as "ruleId",
+        r."name" as "ruleName",
+        r."scope" as "scope",
+        COUNT(CASE WHEN ${SOLD} THEN 1 END) as "sales",
+        COALESCE(SUM(CASE WHEN ${SOLD} THEN ${AMOUNT} ELSE 0 END)::numeric, 0) as "totalRevenue",
+        COALESCE(SUM(CASE WHEN ${SOLD} THEN ${COMMISSION} ELSE 0 END)::numeric, 0) as "totalCommission",
+        COALESCE(SUM(CASE WHEN ${REFUNDED} THEN ${COMMISSION} ELSE 0 END)::numeric, 0) as "refundedCommission"
+      FROM "Transaction" t
+      LEFT JOIN "CommissionRule" r ON r."id" = t."commissionRuleId"
+      WHERE t."type" IN ('PAYMENT', 'REFUND') ${dateCondition}
+      GROUP BY t."commissionRuleId", r."name", r."scope"
+      ORDER BY "totalCommission" DESC
+    `;
+
+    const ruleResults = await prisma.$queryRaw(ruleQuery);
+
+    report.byRule = ruleResults.map((item) => ({
+      ruleId: item.ruleId,
+      ruleName: item.ruleId ? item.ruleName : "Default commission",
+      scope: item.scope || null,
+      sales: Number(item.sales),
+      totalRevenue: convert(item.totalRevenue),
+      totalCommission: convert(item.totalCommission),
+      refundedCommission: convert(item.refundedCommission).abs(),
+      netCommission: convert(item.totalCommission).minus(
+        convert(item.refundedCommission).abs()
+      ),
+    }));
+
     // Cache the results
     await cacheUtils.set(cacheKey, report, CACHE_TTLS.COMMISSION_REPORT);
 
@@ -667,11 +758,131 @@ const generateCommissionReport = async (filters = {}) => {
   }
 };
 
+/**
+ * Get affiliate earnings: the sales each affiliate referred, the share
+ * they earned and what refunds clawed back. Only purchases that were
+ * actually paid count.
+ * @param {Object} filters - { affiliateId, startDate, endDate, currency }
+ */
+const getAffiliateEarningsReport = async (filters = {}) => {
+  const { currency, convert } = await fxRateService.getReportConverter(
+    filters.currency
+  );
+
+  try {
+    const cacheKey = generateReportCacheKey("affiliates", filters);
+
+    // Try to get from cache first
+    const cachedData = await cacheUtils.get(cacheKey);
+    if (cachedData) {
+      logger.debug(`Cache hit for affiliate report: ${cacheKey}`);
+      return cachedData;
+    }
+
+    logger.debug(`Cache miss for affiliate report: ${cacheKey}`);
+
+    // Sales are dated by their transaction and clicks by when they happened
+    const from = filters.startDate ? new Date(filters.startDate) : null;
+    const to = filters.endDate ? new Date(filters.endDate) : null;
+    const saleDateCondition = Prisma.sql`
+      ${from ? Prisma.sql`AND t."createdAt" >= ${from}` : Prisma.empty}
+      ${to ? Prisma.sql`AND t."createdAt" <= ${to}` : Prisma.empty}
+    `;
+    const clickDateCondition = Prisma.sql`
+      ${from ? Prisma.sql`AND c."createdAt" >= ${from}` : Prisma.empty}
+      ${to ? Prisma.sql`AND c."createdAt" <= ${to}` : Prisma.empty}
+    `;
+    const affiliateCondition = filters.affiliateId
+      ? Prisma.sql`AND a."id" = ${filters.affiliateId}`
+      : Prisma.empty;
+
+    const affiliateQuery = Prisma.sql`
+      SELECT
+        a."id" as "affiliateId",
+        a."code",
+        a."name",
+        a."status",
+        (SELECT COUNT(*) FROM "ReferralClick" c WHERE c."affiliateId" = a."id" ${clickDateCondition})::integer as "clicks",
+        COUNT(t."id")::integer as "referredSales",
+        COUNT(CASE WHEN t."id" IS NOT NULL THEN ref."clickId" END)::integer as "salesFromLinks",
+        COALESCE(SUM(CASE WHEN t."id" IS NOT NULL THEN ${AMOUNT} ELSE 0 END)::numeric, 0) as "referredRevenue",
+        COALESCE(SUM(CASE WHEN t."id" IS NOT NULL THEN ref."commission" * COALESCE(t."fxRate", 1) ELSE 0 END)::numeric, 0) as "totalCommission",
+        COALESCE(SUM(CASE WHEN t."id" IS NOT NULL THEN ref."refundedCommission" * COALESCE(t."fxRate", 1) ELSE 0 END)::numeric, 0) as "refundedCommission"
+      FROM "Affiliate" a
+      LEFT JOIN "Referral" ref ON ref."affiliateId" = a."id"
+      LEFT JOIN "Transaction" t ON t."id" = ref."transactionId"
+        AND t."status" IN ('COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED') ${saleDateCondition}
+      WHERE 1=1 ${affiliateCondition}
+      GROUP BY a."id", a."code", a."name", a."status"
+      ORDER BY "totalCommission" DESC
+    `;
+
+    const affiliateResults = await prisma.$queryRaw(affiliateQuery);
+
+    const affiliates = affiliateResults.map((item) => ({
+      affiliateId: item.affiliateId,
+      code: item.code,
+      name: item.name,
+      status: item.status,
+      clicks: Number(item.clicks),
+      referredSales: Number(item.referredSales),
+      conversionRate:
+        Number(item.clicks) > 0
+          ? (Number(item.salesFromLinks) / Number(item.clicks)) * 100
+          : 0,
+      referredRevenue: convert(item.referredRevenue),
+      totalCommission: convert(item.totalCommission),
+      refundedCommission: convert(item.refundedCommission),
+      netCommission: convert(item.totalCommission).minus(
+        convert(item.refundedCommission)
+      ),
+    }));
+
+    const sum = (field) =>
+      sumMoney(affiliates.map((affiliate) => affiliate[field]));
+    const report = {
+      currency,
+      summary: {
+        clicks: sum("clicks").toNumber(),
+        referredSales: sum("referredSales").toNumber(),
+        referredRevenue: sum("referredRevenue"),
+        totalCommission: sum("totalCommission"),
+        refundedCommission: sum("refundedCommission"),
+        netCommission: sum("netCommission"),
+      },
+      affiliates,
+      reportGenerated: new Date(),
+      period: { from, to },
+    };
+
+    // Cache the results
+    await cacheUtils.set(cacheKey, report, CACHE_TTLS.AFFILIATE_REPORT);
+
+    return report;
+  } catch (error) {
+    logger.error(`Error generating affiliate report: ${error.message}`, {
+      error,
+    });
+    throw new AppError(
+      "report_generate_err",
+      "Failed to generate affiliate earnings report",
+      500
+    );
+  }
+};
+
 /**
  * Format a number for display in reports
  */
-const formatNumber = (num) => {
-  return num.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+const formatNumber = (num, places = 2) => {
+  return num.toFixed(places).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+};
+
+/**
+ * Format an amount with its currency code for display in reports
+ */
+const formatMoney = (num, currency) => {
+  return `${formatNumber(num, currencyExponent(currency))} ${currency}`.trim();
 };
 
 /**
@@ -718,5 +929,6 @@ module.exports = {
   getEducatorEarningsReport,
   deleteTempPDF,
   generateCommissionReport,
+  getAffiliateEarningsReport,
   invalidateReportCaches,
 };
@@ -0,0 +1,373 @@
+const prisma = require("../config/db");
+const { Prisma } = require("@prisma/client");
+const { logger, auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const { splitProRata } = require("../utils/paymentCalculator");
+const { toDecimal, toMinorUnits } = require("../utils/money");
+const { getCoursePrice } = require("./coursePriceService");
+const payoutScheduleService = require("./payoutScheduleService");
+const ledgerService = require("./ledgerService");
+const { getPaymentGateway } = require("./paymentGateways");
+
+const gateway = getPaymentGateway();
+
+/**
+ * How a course's educator earnings are shared between its instructors.
+ * A course without revenue shares pays its educator everything.
+ * Instructors on a payout schedule are marked `held`.
+ * @param {string} courseId
+ * @param {string} educatorId - Educator of the course in the catalog
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<Object[]>} [{ educatorId, percentage, held }], largest
+ *   first
+ */
+const getRevenueShares = async (courseId, educatorId, client = prisma) => {
+  const rows = await client.revenueShare.findMany({
+    where: { courseId },
+    orderBy: [{ percentage: "desc" }, { createdAt: "asc" }],
+  });
+  const shares =
+    rows.length === 0
+      ? [{ educatorId, percentage: 100 }]
+      : rows.map((share) => ({
+          educatorId: share.educatorId,
+          percentage: share.percentage,
+        }));
+
+  const held = await payoutScheduleService.getHeldEducators(
+    shares.map((share) => share.educatorId),
+    client
+  );
+  return shares.map((share) =>
+    held.has(share.educatorId) ? { ...share, held: true } : share
+  );
+};
+
+/**
+ * Whether the earnings are shared between several instructors, which
+ * rules out paying them with a destination charge
+ * @param {Object[]} shares - From getRevenueShares
+ */
+const isShared = (shares) => shares.length > 1;
+
+/**
+ * Whether the instructors are paid by transfers of their own rather than
+ * with a destination charge: when there are several of them, or any is
+ * paid on a payout schedule
+ * @param {Object[]} shares - From getRevenueShares
+ */
+const paysByTransfer = (shares) =>
+  isShared(shares) || shares.some((share) => share.held);
+
+/**
+ * Split educator earnings between the instructors of a course. Rounding
+ * differences go to the largest shares so the parts add up exactly.
+ * @param {number} amount - Educator earnings of the transaction
+ * @param {Object[]} shares - From getRevenueShares
+ * @param {string} currency
+ * @returns {number[]} Each instructor's earnings, in the order of `shares`
+ */
+const splitEducatorEarnings = (amount, shares, currency) =>
+  splitProRata(
+    amount,
+    shares.map((share) => share.percentage),
+    currency
+  );
+
+/**
+ * Record what each instructor earned from a transaction. Written for every
+ * payment, including free ones, since enrollments are counted from them.
+ * The earnings of instructors on a payout schedule are held.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} transaction - Transaction just created
+ * @param {Object[]} shares - From getRevenueShares
+ * @param {Object} [transfers] - Stripe transfer ID by educator, when the
+ *   instructors were already paid
+ * @returns {Promise<Object[]>} The earnings rows
+ */
+const recordEducatorEarnings = async (tx, transaction, shares, transfers = {}) => {
+  const amounts = splitEducatorEarnings(
+    transaction.educatorEarnings,
+    shares,
+    transaction.currency
+  );
+  const rows = shares.map((share, i) => ({
+    transactionId: transaction.id,
+    educatorId: share.educatorId,
+    courseId: transaction.courseId,
+    percentage: share.percentage,
+    amount: amounts[i],
+    currency: transaction.currency,
+    stripeTransferId: transfers[share.educatorId] || null,
+  }));
+
+  await tx.educatorEarning.createMany({ data: rows });
+  await payoutScheduleService.holdEarnings(
+    tx,
+    transaction,
+    rows.filter((row, i) => shares[i].held)
+  );
+  return rows;
+};
+
+/**
+ * Pay each instructor's earnings from a transaction with a transfer of
+ * their own. Used whenever the charge was not a destination charge: for
+ * co-taught courses, carts and checkouts paid partly with store credit.
+ * Transfers already made are not repeated, and held earnings are left to
+ * the payout schedule.
+ * @param {Object} transaction - Completed payment transaction
+ * @param {Object} [options]
+ * @param {string} [options.sourceTransaction] - Charge to fund the
+ *   transfers from; otherwise they come out of the platform balance
+ * @param {string} [options.transferGroup] - Stripe transfer group, e.g. of
+ *   a cart's order
+ * @returns {Promise<Object>} Transfer ID by educator
+ */
+const transferEducatorEarnings = async (transaction, options = {}) => {
+  const rows = await prisma.educatorEarning.findMany({
+    where: {
+      transactionId: transaction.id,
+      amount: { gt: 0 },
+      stripeTransferId: null,
+    },
+  });
+  const held = await prisma.earningHold.findMany({
+    where: { paymentTransactionId: transaction.id },
+    distinct: ["educatorId"],
+    select: { educatorId: true },
+  });
+  const heldEducators = new Set(held.map((hold) => hold.educatorId));
+  const unpaid = rows.filter((row) => !heldEducators.has(row.educatorId));
+  if (unpaid.length === 0) {
+    return {};
+  }
+
+  const accounts = await prisma.stripeAccount.findMany({
+    where: { educatorId: { in: unpaid.map((row) => row.educatorId) } },
+    select: { educatorId: true, stripeAccountId: true },
+  });
+  const stripeAccounts = new Map(
+    accounts.map((a) => [a.educatorId, a.stripeAccountId])
+  );
+
+  const transfers = {};
+  for (const row of unpaid) {
+    try {
+      if (!stripeAccounts.has(row.educatorId)) {
+        throw new Error("Educator account not found");
+      }
+      const transfer = await gateway.createTransfer(
+        {
+          amount: toMinorUnits(row.amount, row.currency),
+          currency: row.currency,
+          destination: stripeAccounts.get(row.educatorId),
+          ...(options.sourceTransaction && {
+            source_transaction: options.sourceTransaction,
+          }),
+          ...(options.transferGroup && { transfer_group: options.transferGroup }),
+          metadata: { transactionId: transaction.id, educatorId: row.educatorId },
+        },
+        { idempotencyKey: `transfer_${transaction.id}_${row.educatorId}` }
+      );
+
+      await prisma.$transaction(async (tx) => {
+        await tx.educatorEarning.update({
+          where: { id: row.id },
+          data: { stripeTransferId: transfer.id },
+        });
+        await ledgerService.postEducatorTransfer(tx, {
+          reference: `transfer_${transaction.id}_${row.educatorId}`,
+          transactionId: transaction.id,
+          educatorId: row.educatorId,
+          amount: row.amount,
+          currency: row.currency,
+          stripeTransferId: transfer.id,
+        });
+      });
+      transfers[row.educatorId] = transfer.id;
+    } catch (error) {
+      // The student has paid, so the missing transfer is left to be retried
+      logger.error(
+        `Transfer to educator ${row.educatorId} for transaction ${transaction.id} failed: ${error.message}`,
+        { error }
+      );
+    }
+  }
+  return transfers;
+};
+
+/**
+ * Split the educator earnings of a refund between the instructors, in
+ * proportion to what each earned from the payment
+ * @param {string} originalTransactionId - Refunded payment
+ * @param {number} refundedEarnings - Educator earnings refunded, positive
+ * @param {string} currency
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<Object[]>} [{ educatorId, courseId, percentage, amount,
+ *   stripeTransferId }] with the transfer that paid each instructor
+ */
+const splitRefundedEarnings = async (
+  originalTransactionId,
+  refundedEarnings,
+  currency,
+  client = prisma
+) => {
+  const earnings = await client.educatorEarning.findMany({
+    where: { transactionId: originalTransactionId, amount: { gt: 0 } },
+    orderBy: { amount: "desc" },
+  });
+  if (earnings.length === 0 || !(refundedEarnings > 0)) {
+    return [];
+  }
+
+  const amounts = splitProRata(
+    refundedEarnings,
+    earnings.map((row) => row.amount),
+    currency
+  );
+  return earnings.map((row, i) => ({
+    educatorId: row.educatorId,
+    courseId: row.courseId,
+    percentage: row.percentage,
+    amount: amounts[i],
+    stripeTransferId: row.stripeTransferId,
+  }));
+};
+
+/**
+ * Record the earnings each instructor gives back with a refund, as
+ * negative earnings rows of the refund transaction
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {Object} refundTransaction - Refund transaction just created
+ * @param {Object[]} refunded - From splitRefundedEarnings
+ */
+const recordRefundedEarnings = async (tx, refundTransaction, refunded) => {
+  if (refunded.length === 0) return;
+
+  await tx.educatorEarning.createMany({
+    data: refunded.map((share) => ({
+      transactionId: refundTransaction.id,
+      educatorId: share.educatorId,
+      courseId: share.courseId,
+      percentage: share.percentage,
+      amount: toDecimal(share.amount).negated(),
+      currency: refundTransaction.currency,
+    })),
+  });
+};
+
+/**
+ * The transactions an educator has earnings from, with their own share as
+ * `educatorEarnings`. Stands in for "Transaction" in the earnings queries:
+ * FROM ${educatorTransactionsSql(educatorId)} t
+ * @param {string} educatorId
+ */
+const educatorTransactionsSql = (educatorId) => Prisma.sql`(
+  SELECT t."id", t."type", t."status", t."amount", t."fxRate", t."userId",
+    t."courseId", t."createdAt", e."educatorId", e."amount" AS "educatorEarnings"
+  FROM "EducatorEarning" e
+  JOIN "Transaction" t ON t."id" = e."transactionId"
+  WHERE e."educatorId" = ${educatorId}
+)`;
+
+/**
+ * Get the revenue shares of a course
+ * @param {string} courseId
+ * @throws {AppError} If the course is not in the catalog
+ */
+const getCourseRevenueShares = async (courseId) => {
+  const coursePrice = await getCoursePrice(courseId);
+  const shares = await getRevenueShares(courseId, coursePrice.educatorId);
+  return { courseId, shared: isShared(shares), shares };
+};
+
+/**
+ * Replace the revenue shares of a course. The percentages must add up to
+ * 100; sales already made keep the split they were made with.
+ * @param {string} courseId
+ * @param {Object[]} shares - [{ educatorId, percentage }]
+ * @param {Object} user - Admin making the change
+ * @throws {AppError} If the shares do not add up to 100 or repeat an educator
+ */
+const setCourseRevenueShares = async (courseId, shares, user) => {
+  await getCoursePrice(courseId);
+
+  const educatorIds = shares.map((share) => share.educatorId);
+  if (new Set(educatorIds).size !== educatorIds.length) {
+    throw new AppError(
+      "revenue_share_err",
+      "Each educator can only have one share of a course",
+      400
+    );
+  }
+  const total = shares.reduce((sum, share) => sum + share.percentage, 0);
+  if (Math.abs(total - 100) > 0.0001) {
+    throw new AppError(
+      "revenue_share_err",
+      `Revenue shares must add up to 100, not ${total}`,
+      400
+    );
+  }
+
+  await prisma.$transaction([
+    prisma.revenueShare.deleteMany({ where: { courseId } }),
+    prisma.revenueShare.createMany({
+      data: shares.map((share) => ({
+        courseId,
+        educatorId: share.educatorId,
+        percentage: share.percentage,
+        createdBy: user.id,
+      })),
+    }),
+  ]);
+
+  auditLogger.log(
+    "REVENUE_SHARES_UPDATED",
+    user.id,
+    `Revenue shares of course ${courseId} set to ${shares
+      .map((share) => `${share.educatorId} ${share.percentage}%`)
+      .join(", ")}`,
+    null,
+    { courseId, shares }
+  );
+
+  return getCourseRevenueShares(courseId);
+};
+
+/**
+ * Remove the revenue shares of a course, so its educator earns everything
+ * again
+ * @param {string} courseId
+ * @param {Object} user - Admin making the change
+ */
+const clearCourseRevenueShares = async (courseId, user) => {
+  const { count } = await prisma.revenueShare.deleteMany({
+    where: { courseId },
+  });
+
+  if (count > 0) {
+    auditLogger.log(
+      "REVENUE_SHARES_CLEARED",
+      user.id,
+      `Revenue shares of course ${courseId} removed`,
+      null,
+      { courseId }
+    );
+  }
+};
+
+module.exports = {
+  getRevenueShares,
+  isShared,
+  paysByTransfer,
+  splitEducatorEarnings,
+  recordEducatorEarnings,
+  transferEducatorEarnings,
+  splitRefundedEarnings,
+  recordRefundedEarnings,
+  educatorTransactionsSql,
+  getCourseRevenueShares,
+  setCourseRevenueShares,
+  clearCourseRevenueShares,
+};
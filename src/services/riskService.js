@@ -0,0 +1,234 @@
+const fs = require("fs");
+const prisma = require("../config/db");
+const config = require("../config");
+const { auditLogger } = require("../utils/logger");
+const { getPaymentGateway } = require("./paymentGateways");
+const { toDecimal, roundMoney } = require("../utils/money");
+
+const gateway = getPaymentGateway();
+
+const DECISIONS = {
+  ALLOW: "ALLOW",
+  REVIEW: "REVIEW",
+  BLOCK: "BLOCK",
+};
+
+// Audit action every assessment is recorded under; velocity rules count it
+const ASSESSED_ACTION = "RISK_ASSESSED";
+
+const MINUTE_MS = 60 * 1000;
+
+let cachedRules = null;
+
+/**
+ * Load the versioned fraud rules file. It is read once per process, so a
+ * threshold change ships with a deploy.
+ * @returns {Object} Parsed rules
+ */
+const loadRiskRules = () => {
+  if (!cachedRules) {
+    cachedRules = JSON.parse(fs.readFileSync(config.risk.rulesFile, "utf8"));
+  }
+  return cachedRules;
+};
+
+const since = (now, minutes) => new Date(now.getTime() - minutes * MINUTE_MS);
+
+/**
+ * Earlier checkouts matching `where` within the rule's window
+ */
+const countAssessments = (where, rule, now) =>
+  prisma.auditLog.count({
+    where: {
+      action: ASSESSED_ACTION,
+      createdAt: { gte: since(now, rule.windowMinutes) },
+      ...where,
+    },
+  });
+
+/**
+ * The checks behind each rule. Each returns why it matched, or null.
+ */
+const RULE_CHECKS = {
+  userVelocity: async (payment, rule, now) => {
+    const count = await countAssessments({ actor: payment.user.id }, rule, now);
+    return count >= rule.maxAttempts
+      ? `${count} checkouts by the user in ${rule.windowMinutes} minutes`
+      : null;
+  },
+
+  cardVelocity: async (payment, rule, now) => {
+    if (!payment.cardFingerprint) return null;
+    const count = await countAssessments(
+      { metadata: { path: ["cardFingerprint"], equals: payment.cardFingerprint } },
+      rule,
+      now
+    );
+    return count >= rule.maxAttempts
+      ? `${count} checkouts with the card in ${rule.windowMinutes} minutes`
+      : null;
+  },
+
+  ipVelocity: async (payment, rule, now) => {
+    if (!payment.ipAddress) return null;
+    const count = await countAssessments(
+      { ipAddress: payment.ipAddress },
+      rule,
+      now
+    );
+    return count >= rule.maxAttempts
+      ? `${count} checkouts from ${payment.ipAddress} in ${rule.windowMinutes} minutes`
+      : null;
+  },
+
+  // Compared with what the course usually sells for
+  amountAnomaly: async (payment, rule, now) => {
+    const anomalies = await Promise.all(
+      payment.items.map(async ({ courseId, amount }) => {
+        const { _avg, _count } = await prisma.transaction.aggregate({
+          where: {
+            courseId,
+            type: "PAYMENT",
+            status: "COMPLETED",
+            createdAt: { gte: since(now, rule.lookbackDays * 24 * 60) },
+          },
+          _avg: { amount: true },
+          _count: { _all: true },
+        });
+        const average = toDecimal(_avg.amount);
+        if (_count._all < rule.minPayments || average.isZero()) return null;
+        return toDecimal(amount).gt(average.times(rule.multiplier))
+          ? `${amount} for course ${courseId}, which averages ${roundMoney(average, payment.currency)}`
+          : null;
+      })
+    );
+    const matched = anomalies.filter(Boolean);
+    return matched.length > 0 ? matched.join("; ") : null;
+  },
+
+  failedAttempts: async (payment, rule, now) => {
+    const count = await prisma.transaction.count({
+      where: {
+        userId: payment.user.id,
+        type: "PAYMENT",
+        status: "FAILED",
+        createdAt: { gte: since(now, rule.windowHours * 60) },
+      },
+    });
+    return count >= rule.maxFailures
+      ? `${count} failed payments in ${rule.windowHours} hours`
+      : null;
+  },
+
+  countryMismatch: async (payment) => {
+    const billing = payment.billingCountry?.toUpperCase();
+    const card = payment.cardCountry?.toUpperCase();
+    return billing && card && billing !== card
+      ? `Card issued in ${card}, billing country ${billing}`
+      : null;
+  },
+};
+
+/**
+ * The card behind a payment source, as far as the gateway knows it.
+ * Sources that are not payment methods, like tokens, are identified by
+ * themselves.
+ * @param {string} source - Payment method ID or token
+ * @returns {Promise<Object>} { cardFingerprint, cardCountry }
+ */
+const describeCard = async (source) => {
+  const paymentMethod = await gateway
+    .retrievePaymentMethod(source)
+    .catch(() => null);
+
+  return {
+    cardFingerprint: paymentMethod?.card?.fingerprint || source,
+    cardCountry: paymentMethod?.card?.country || null,
+  };
+};
+
+/**
+ * Score a checkout before its card is charged. Every enabled rule that
+ * matches adds its score, and the total decides whether the payment is
+ * allowed, held for review or blocked. The assessment is recorded in the
+ * audit log whatever the decision.
+ * @param {Object} payment
+ * @param {Object} payment.user - Authenticated buyer
+ * @param {Object[]} payment.items - [{ courseId, amount }], amounts net of tax
+ * @param {number} payment.amount - Amount to be charged
+ * @param {string} payment.currency
+ * @param {string} payment.source - Payment method ID or token to be charged
+ * @param {string} [payment.billingCountry]
+ * @param {string} [payment.ipAddress]
+ * @param {string} [payment.userAgent]
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { score, decision, reasons, rulesVersion }
+ */
+const assessPayment = async (payment, now = new Date()) => {
+  const rules = loadRiskRules();
+  const card = await describeCard(payment.source);
+  const context = { ...payment, ...card };
+
+  const enabled = Object.entries(rules.rules).filter(
+    ([name, rule]) => rule.enabled && RULE_CHECKS[name]
+  );
+  const matches = await Promise.all(
+    enabled.map(async ([name, rule]) => {
+      const detail = await RULE_CHECKS[name](context, rule, now);
+      return detail ? { rule: name, score: rule.score, detail } : null;
+    })
+  );
+  const reasons = matches.filter(Boolean);
+
+  const score = reasons.reduce((total, reason) => total + reason.score, 0);
+  let decision = DECISIONS.ALLOW;
+  if (score >= rules.thresholds.block) decision = DECISIONS.BLOCK;
+  else if (score >= rules.thresholds.review) decision = DECISIONS.REVIEW;
+
+  // Awaited, since the next checkout's velocity rules count this one
+  await auditLogger.log(
+    ASSESSED_ACTION,
+    payment.user.id,
+    `Checkout of ${payment.amount} ${payment.currency} scored ${score}: ${decision}`,
+    null,
+    {
+      score,
+      decision,
+      reasons,
+      rulesVersion: rules.version,
+      courseIds: payment.items.map((item) => item.courseId),
+      amount: payment.amount,
+      currency: payment.currency,
+      cardFingerprint: card.cardFingerprint,
+      cardCountry: card.cardCountry,
+      billingCountry: payment.billingCountry || null,
+      ipAddress: payment.ipAddress || null,
+      userAgent: payment.userAgent || null,
+    }
+  );
+
+  return { score, decision, reasons, rulesVersion: rules.version };
+};
+
+/**
+ * Put a payment in the review queue. Runs inside the payment's database
+ * transaction.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} transaction - The held payment transaction
+ * @param {Object} assessment - Result of assessPayment
+ */
+const holdForReview = (tx, transaction, assessment) =>
+  tx.paymentReview.create({
+    data: {
+      transactionId: transaction.id,
+      score: assessment.score,
+      reasons: assessment.reasons,
+    },
+  });
+
+module.exports = {
+  DECISIONS,
+  loadRiskRules,
+  assessPayment,
+  holdForReview,
+};
@@ -3,6 +3,9 @@ const { Prisma } = require("@prisma/client");
 const { logger } = require("../utils/logger");
 const { AppError } = require("../middleware/errorHandler");
 const redisCache  = require("../config/cache");
+const fxRateService = require("./fxRateService");
+const { educatorTransactionsSql } = require("./revenueShareService");
+const { toDecimal } = require("../utils/money");
 
 // Cache TTLs in seconds
 const CACHE_TTLS = {
@@ -14,10 +17,24 @@ const CACHE_TTLS = {
   EDUCATOR_ANALYTICS: 900,   // 15 minutes
 };
 
+// Money columns in the reporting currency, at the rate of each capture
+const AMOUNT = fxRateService.baseColumnSql("amount");
+const EARNINGS = fxRateService.baseColumnSql("educatorEarnings");
+
+// Captured sales, including those refunded since; their refunds are
+// subtracted from the REFUND rows
+const SOLD = Prisma.sql`"type" = 'PAYMENT' AND "status" IN ('COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED')`;
+const REFUNDED = Prisma.sql`"type" = 'REFUND' AND "status" = 'COMPLETED'`;
+// Students still enrolled; a partial refund keeps the enrollment
+const ENROLLED = Prisma.sql`"type" = 'PAYMENT' AND "status" IN ('COMPLETED', 'PARTIALLY_REFUNDED')`;
+
 /** 
  * Helper function to build date filter SQL condition
+ * @param {string} [column] - Date column to filter on
  */
-const buildDateFilter = (startDate, endDate) => {
+const buildDateFilter = (startDate, endDate, column = "createdAt") => {
+  const dateColumn = Prisma.raw(`"${column}"`);
+
   if (startDate && endDate) {
     const from = new Date(startDate);
     const to = new Date(endDate);
@@ -34,7 +51,7 @@ const buildDateFilter = (startDate, endDate) => {
         `Invalid endDate: ${endDate}`, 400);
     }
     
-    return Prisma.sql`"createdAt" BETWEEN ${from.toISOString()} AND ${to.toISOString()}`;
+    return Prisma.sql`${dateColumn} BETWEEN ${from.toISOString()} AND ${to.toISOString()}`;
   } else if (startDate) {
     const from = new Date(startDate);
     if (isNaN(from.getTime())) {
@@ -42,7 +59,7 @@ const buildDateFilter = (startDate, endDate) => {
         `stats_invalid_date_err`,
         `Invalid startDate: ${startDate}`, 400);
     }
-    return Prisma.sql`"createdAt" >= ${from.toISOString()}`;
+    return Prisma.sql`${dateColumn} >= ${from.toISOString()}`;
   } else if (endDate) {
     const to = new Date(endDate);
     if (isNaN(to.getTime())) {
@@ -50,11 +67,42 @@ const buildDateFilter = (startDate, endDate) => {
         `stats_invalid_date_err`,
         `Invalid endDate: ${endDate}`, 400);
     }
-    return Prisma.sql`"createdAt" <= ${to.toISOString()}`;
+    return Prisma.sql`${dateColumn} <= ${to.toISOString()}`;
   }
   return null;
 };
 
+/**
+ * Add up payout totals grouped by currency in the reporting currency.
+ * Payouts store no rate of their own, so each currency is converted at
+ * its latest rate; one without a rate counts at face value.
+ * @param {Array<Object>} rows - Payout totals per "currency"
+ * @returns {Promise<Object>} { totalPayouts, totalPaidOut, avgPayoutAmount, avgProcessingFee }
+ */
+const sumPayoutsInBase = async (rows) => {
+  let totalPayouts = 0;
+  let completedPayouts = 0;
+  let totalPaidOut = toDecimal(0);
+  let totalProcessingFees = toDecimal(0);
+
+  for (const row of rows) {
+    const { fxRate } = await fxRateService.getConversionToBase(row.currency);
+    totalPayouts += Number(row.totalPayouts) || 0;
+    completedPayouts += Number(row.completedPayouts) || 0;
+    totalPaidOut = totalPaidOut.plus(toDecimal(row.totalPaidOut).times(fxRate ?? 1));
+    totalProcessingFees = totalProcessingFees.plus(
+      toDecimal(row.totalProcessingFees).times(fxRate ?? 1)
+    );
+  }
+
+  return {
+    totalPayouts,
+    totalPaidOut,
+    avgPayoutAmount: completedPayouts ? totalPaidOut.dividedBy(completedPayouts) : null,
+    avgProcessingFee: completedPayouts ? totalProcessingFees.dividedBy(completedPayouts) : null,
+  };
+};
+
 /**
  * Generate cache key for a function based on its parameters
  */
@@ -74,6 +122,10 @@ const generateCacheKey = (prefix, filters = {}) => {
  * @returns {Promise<Object>} Transaction volumes
  */
 const getTransactionVolumes = async (filters = {}) => {
+  const { currency, convert } = await fxRateService.getReportConverter(
+    filters.currency
+  );
+
   try {
     const cacheKey = generateCacheKey('transaction_volumes', filters);
     
@@ -102,41 +154,42 @@ const getTransactionVolumes = async (filters = {}) => {
     const volumes = await prisma.$transaction(async (prisma) => {
       // Total payments
       const totalPayments = await prisma.$queryRaw`
-        SELECT COUNT(*) as "count", SUM(amount) as "volume"
+        SELECT COUNT(*) as "count", SUM(${AMOUNT}) as "volume"
         FROM "Transaction"
         WHERE ${whereClause} AND type = 'PAYMENT'
       `;
 
       // Total refunds
       const totalRefunds = await prisma.$queryRaw`
-        SELECT COUNT(*) as "count", SUM(amount) as "volume"
+        SELECT COUNT(*) as "count", SUM(${AMOUNT}) as "volume"
         FROM "Transaction"
         WHERE ${whereClause} AND type = 'REFUND'
       `;
 
       // Payments by status
       const paymentsByStatus = await prisma.$queryRaw`
-        SELECT status, COUNT(*) as "count", SUM(amount) as "volume"
+        SELECT status, COUNT(*) as "count", SUM(${AMOUNT}) as "volume"
         FROM "Transaction"
         WHERE ${whereClause} AND type = 'PAYMENT'
         GROUP BY status
       `;
 
       return {
+        currency,
         total: {
           payments: {
             count: Number(totalPayments[0]?.count) || 0,
-            volume: Number(totalPayments[0]?.volume) || 0,
+            volume: convert(totalPayments[0]?.volume),
           },
           refunds: {
             count: Number(totalRefunds[0]?.count) || 0,
-            volume: Number(totalRefunds[0]?.volume) || 0,
+            volume: convert(totalRefunds[0]?.volume),
           },
         },
         byStatus: paymentsByStatus.map((status) => ({
           status: status.status,
           count: Number(status.count) || 0,
-          volume: Number(status.volume) || 0,
+          volume: convert(status.volume),
         })),
       };
     });
@@ -256,6 +309,10 @@ const getPerformanceMetrics = async (filters = {}) => {
  * @returns {Promise<Object>} Financial analysis
  */
 const getFinancialAnalysis = async (filters = {}) => {
+  const { currency, convert } = await fxRateService.getReportConverter(
+    filters.currency
+  );
+
   try {
     const cacheKey = generateCacheKey('financial_analysis', filters);
     
@@ -302,10 +359,10 @@ const getFinancialAnalysis = async (filters = {}) => {
     const revenueByTimePeriod = await prisma.$queryRaw`
       SELECT
         ${timeFormat} as "period",
-        COALESCE(SUM(CASE WHEN "type" = 'PAYMENT' AND "status" = 'COMPLETED' THEN "amount" ELSE 0 END), 0) as "revenue",
-        COALESCE(SUM(CASE WHEN "type" = 'REFUND' AND "status" = 'COMPLETED' THEN "amount" ELSE 0 END), 0) as "refunds",
-        COALESCE(SUM(CASE WHEN "type" = 'PAYMENT' AND "status" = 'COMPLETED' THEN "amount" ELSE 0 END) - 
-                 SUM(CASE WHEN "type" = 'REFUND' AND "status" = 'COMPLETED' THEN "amount" ELSE 0 END), 0) as "netRevenue"
+        COALESCE(SUM(CASE WHEN ${SOLD} THEN ${AMOUNT} ELSE 0 END), 0) as "revenue",
+        COALESCE(SUM(CASE WHEN ${REFUNDED} THEN ${AMOUNT} ELSE 0 END), 0) as "refunds",
+        COALESCE(SUM(CASE WHEN ${SOLD} THEN ${AMOUNT} ELSE 0 END) - 
+                 SUM(CASE WHEN ${REFUNDED} THEN ${AMOUNT} ELSE 0 END), 0) as "netRevenue"
       FROM "Transaction"
       WHERE ${whereClause}
       GROUP BY ${timeFormat}, ${timeExtract}
@@ -316,10 +373,10 @@ const getFinancialAnalysis = async (filters = {}) => {
     const revenueByPaymentMethod = await prisma.$queryRaw`
       SELECT
         COALESCE(metadata->>'paymentMethod', 'unknown') as "paymentMethod",
-        COALESCE(SUM(CASE WHEN "type" = 'PAYMENT' AND "status" = 'COMPLETED' THEN "amount" ELSE 0 END), 0) as "revenue",
-        COUNT(CASE WHEN "type" = 'PAYMENT' AND "status" = 'COMPLETED' THEN 1 END) as "count",
-        (SUM(CASE WHEN "type" = 'PAYMENT' AND "status" = 'COMPLETED' THEN "amount" ELSE 0 END) * 100.0 / 
-          (SELECT NULLIF(SUM(CASE WHEN "type" = 'PAYMENT' AND "status" = 'COMPLETED' THEN "amount" ELSE 0 END), 0) FROM "Transaction" WHERE ${whereClause})) as "percentage"
+        COALESCE(SUM(CASE WHEN ${SOLD} THEN ${AMOUNT} ELSE 0 END), 0) as "revenue",
+        COUNT(CASE WHEN ${SOLD} THEN 1 END) as "count",
+        (SUM(CASE WHEN ${SOLD} THEN ${AMOUNT} ELSE 0 END) * 100.0 / 
+          (SELECT NULLIF(SUM(CASE WHEN ${SOLD} THEN ${AMOUNT} ELSE 0 END), 0) FROM "Transaction" WHERE ${whereClause})) as "percentage"
       FROM "Transaction"
       WHERE ${whereClause}
       GROUP BY metadata->>'paymentMethod'
@@ -327,15 +384,16 @@ const getFinancialAnalysis = async (filters = {}) => {
     `;
 
     const analysis = {
+      currency,
       revenueByTimePeriod: revenueByTimePeriod.map((item) => ({
         period: item.period,
-        revenue: Number(item.revenue),
-        refunds: Number(item.refunds),
-        netRevenue: Number(item.netRevenue),
+        revenue: convert(item.revenue),
+        refunds: convert(item.refunds),
+        netRevenue: convert(item.netRevenue),
       })),
       revenueByPaymentMethod: revenueByPaymentMethod.map((item) => ({
         paymentMethod: item.paymentMethod,
-        revenue: Number(item.revenue),
+        revenue: convert(item.revenue),
         count: Number(item.count),
         percentage: Number(item.percentage) || 0,
       })),
@@ -361,6 +419,10 @@ const getFinancialAnalysis = async (filters = {}) => {
  * @returns {Promise<Object>} Payment operations metrics
  */
 const getPaymentOperations = async (filters = {}) => {
+  const { currency, convert } = await fxRateService.getReportConverter(
+    filters.currency
+  );
+
   try {
     const cacheKey = generateCacheKey('payment_operations', filters);
     
@@ -389,10 +451,10 @@ const getPaymentOperations = async (filters = {}) => {
       // Refund metrics
       const refundMetrics = await prisma.$queryRaw`
         SELECT
-          COUNT(CASE WHEN "type" = 'REFUND' AND "status" = 'COMPLETED' THEN 1 END) as "refundCount",
-          COALESCE(SUM(CASE WHEN "type" = 'REFUND' AND "status" = 'COMPLETED' THEN "amount" ELSE 0 END), 0) as "refundVolume",
-          (COUNT(CASE WHEN "type" = 'REFUND' AND "status" = 'COMPLETED' THEN 1 END) * 100.0 / 
-            NULLIF(COUNT(CASE WHEN "type" = 'PAYMENT' AND "status" = 'COMPLETED' THEN 1 END), 0)) as "refundRate"
+          COUNT(CASE WHEN ${REFUNDED} THEN 1 END) as "refundCount",
+          COALESCE(SUM(CASE WHEN ${REFUNDED} THEN ${AMOUNT} ELSE 0 END), 0) as "refundVolume",
+          (COUNT(CASE WHEN ${REFUNDED} THEN 1 END) * 100.0 / 
+            NULLIF(COUNT(CASE WHEN ${SOLD} THEN 1 END), 0)) as "refundRate"
         FROM "Transaction"
         WHERE ${whereClause}
       `;
@@ -411,9 +473,10 @@ const getPaymentOperations = async (filters = {}) => {
       `;
 
       return {
+        currency,
         refundMetrics: {
           count: Number(refundMetrics[0]?.refundCount) || 0,
-          volume: Number(refundMetrics[0]?.refundVolume) || 0,
+          volume: convert(refundMetrics[0]?.refundVolume),
           rate: Number(refundMetrics[0]?.refundRate) || 0,
         },
         paymentMethodDistribution: paymentMethodDist.map((method) => ({
@@ -486,12 +549,17 @@ const getDashboardStatistics = async (filters = {}) => {
 };
 
 /**
- * Get payment analytics for an educator with optional date filtering
+ * Get payment analytics for an educator with optional date filtering.
+ * Earnings are the educator's own share, also of co-taught courses.
  * @param {string} educatorId - Educator ID
  * @param {Object} filters - Filter parameters
  * @returns {Promise<Object>} Educator payment analytics
  */
 const getEducatorPaymentAnalytics = async (educatorId, filters = {}) => {
+  const { currency, convert } = await fxRateService.getReportConverter(
+    filters.currency
+  );
+
   try {
     const cacheKey = generateCacheKey(`educator_analytics:${educatorId}`, filters);
     
@@ -518,38 +586,45 @@ const getEducatorPaymentAnalytics = async (educatorId, filters = {}) => {
     // Get overall earnings statistics
     const earningsStats = await prisma.$queryRaw`
       SELECT 
-        SUM(CASE WHEN "type" = 'PAYMENT' AND "status" = 'COMPLETED' THEN "educatorEarnings" ELSE 0 END) as "totalEarnings",
-        SUM(CASE WHEN "type" = 'REFUND' AND "status" = 'COMPLETED' THEN ABS("educatorEarnings") ELSE 0 END) as "totalRefunds",
-        COUNT(CASE WHEN "type" = 'PAYMENT' AND "status" = 'COMPLETED' THEN 1 END) as "totalSales",
-        COUNT(CASE WHEN "type" = 'REFUND' AND "status" = 'COMPLETED' THEN 1 END) as "totalRefundCount",
-        AVG(CASE WHEN "type" = 'PAYMENT' AND "status" = 'COMPLETED' THEN "educatorEarnings" ELSE NULL END) as "avgEarningsPerSale"
-      FROM "Transaction"
-      WHERE "educatorId" = ${educatorId}
-      ${dateFilter ? Prisma.sql`AND ${dateFilter}` : Prisma.sql``}
+        SUM(CASE WHEN ${SOLD} THEN ${EARNINGS} ELSE 0 END) as "totalEarnings",
+        SUM(CASE WHEN ${REFUNDED} THEN ABS(${EARNINGS}) ELSE 0 END) as "totalRefunds",
+        COUNT(CASE WHEN ${SOLD} AND "amount" > 0 THEN 1 END) as "totalSales",
+        COUNT(CASE WHEN ${ENROLLED} THEN 1 END) as "totalEnrollments",
+        COUNT(CASE WHEN ${REFUNDED} THEN 1 END) as "totalRefundCount",
+        AVG(CASE WHEN ${SOLD} AND "amount" > 0 THEN ${EARNINGS} ELSE NULL END) as "avgEarningsPerSale"
+      FROM ${educatorTransactionsSql(educatorId)} t
+      ${dateFilter ? Prisma.sql`WHERE ${dateFilter}` : Prisma.sql``}
     `;
 
-    // Get payout statistics
-    const payoutStats = await prisma.$queryRaw`
+    // Get payout statistics, by when they were requested
+    const payoutDateFilter = buildDateFilter(
+      filters.startDate,
+      filters.endDate,
+      "requestedAt"
+    );
+    const payoutsByCurrency = await prisma.$queryRaw`
       SELECT
+        "currency",
         COUNT(*) as "totalPayouts",
+        COUNT(CASE WHEN "status" = 'COMPLETED' THEN 1 END) as "completedPayouts",
         SUM(CASE WHEN "status" = 'COMPLETED' THEN "amount" ELSE 0 END) as "totalPaidOut",
-        AVG(CASE WHEN "status" = 'COMPLETED' THEN "amount" ELSE NULL END) as "avgPayoutAmount",
-        AVG(CASE WHEN "status" = 'COMPLETED' THEN "processingFee" ELSE NULL END) as "avgProcessingFee"
+        SUM(CASE WHEN "status" = 'COMPLETED' THEN "processingFee" ELSE 0 END) as "totalProcessingFees"
       FROM "Payout"
       WHERE "educatorId" = ${educatorId}
-      ${dateFilter ? Prisma.sql`AND ("requestedAt" ${dateFilter})` : Prisma.sql``}
+      ${payoutDateFilter ? Prisma.sql`AND ${payoutDateFilter}` : Prisma.sql``}
+      GROUP BY "currency"
     `;
+    const payoutStats = await sumPayoutsInBase(payoutsByCurrency);
 
     // Get earnings by month
     const monthlyEarnings = await prisma.$queryRaw`
       SELECT
         DATE_TRUNC('month', "createdAt") as "month",
-        SUM(CASE WHEN "type" = 'PAYMENT' AND "status" = 'COMPLETED' THEN "educatorEarnings" ELSE 0 END) -
-        SUM(CASE WHEN "type" = 'REFUND' AND "status" = 'COMPLETED' THEN ABS("educatorEarnings") ELSE 0 END) as "netEarnings",
-        COUNT(CASE WHEN "type" = 'PAYMENT' AND "status" = 'COMPLETED' THEN 1 END) as "salesCount"
-      FROM "Transaction"
-      WHERE "educatorId" = ${educatorId}
-      ${dateFilter ? Prisma.sql`AND ${dateFilter}` : Prisma.sql``}
+        SUM(CASE WHEN ${SOLD} THEN ${EARNINGS} ELSE 0 END) -
+        SUM(CASE WHEN ${REFUNDED} THEN ABS(${EARNINGS}) ELSE 0 END) as "netEarnings",
+        COUNT(CASE WHEN ${SOLD} THEN 1 END) as "salesCount"
+      FROM ${educatorTransactionsSql(educatorId)} t
+      ${dateFilter ? Prisma.sql`WHERE ${dateFilter}` : Prisma.sql``}
       GROUP BY DATE_TRUNC('month', "createdAt")
       ORDER BY DATE_TRUNC('month', "createdAt")
     `;
@@ -558,27 +633,29 @@ const getEducatorPaymentAnalytics = async (educatorId, filters = {}) => {
     const courseEarnings = await prisma.$queryRaw`
       SELECT
         "courseId",
-        SUM(CASE WHEN "type" = 'PAYMENT' AND "status" = 'COMPLETED' THEN "educatorEarnings" ELSE 0 END) -
-        SUM(CASE WHEN "type" = 'REFUND' AND "status" = 'COMPLETED' THEN ABS("educatorEarnings") ELSE 0 END) as "netEarnings",
-        COUNT(CASE WHEN "type" = 'PAYMENT' AND "status" = 'COMPLETED' THEN 1 END) as "salesCount",
-        COUNT(CASE WHEN "type" = 'REFUND' AND "status" = 'COMPLETED' THEN 1 END) as "refundCount"
-      FROM "Transaction"
-      WHERE "educatorId" = ${educatorId}
-      ${dateFilter ? Prisma.sql`AND ${dateFilter}` : Prisma.sql``}
+        SUM(CASE WHEN ${SOLD} THEN ${EARNINGS} ELSE 0 END) -
+        SUM(CASE WHEN ${REFUNDED} THEN ABS(${EARNINGS}) ELSE 0 END) as "netEarnings",
+        COUNT(CASE WHEN ${SOLD} THEN 1 END) as "salesCount",
+        COUNT(CASE WHEN ${REFUNDED} THEN 1 END) as "refundCount"
+      FROM ${educatorTransactionsSql(educatorId)} t
+      ${dateFilter ? Prisma.sql`WHERE ${dateFilter}` : Prisma.sql``}
       GROUP BY "courseId"
       ORDER BY "netEarnings" DESC
     `;
 
     const analytics = {
+      currency,
       earnings: {
-        totalEarnings: Number(earningsStats[0]?.totalEarnings) || 0,
-        totalRefunds: Number(earningsStats[0]?.totalRefunds) || 0,
-        netEarnings:
-          (Number(earningsStats[0]?.totalEarnings) || 0) -
-          (Number(earningsStats[0]?.totalRefunds) || 0),
+        totalEarnings: convert(earningsStats[0]?.totalEarnings),
+        totalRefunds: convert(earningsStats[0]?.totalRefunds),
+        netEarnings: convert(earningsStats[0]?.totalEarnings).minus(
+          convert(earningsStats[0]?.totalRefunds)
+        ),
         totalSales: Number(earningsStats[0]?.totalSales) || 0,
+        // Includes free enrollments, which are not sales
+        totalEnrollments: Number(earningsStats[0]?.totalEnrollments) || 0,
         totalRefundCount: Number(earningsStats[0]?.totalRefundCount) || 0,
-        avgEarningsPerSale: Number(earningsStats[0]?.avgEarningsPerSale) || 0,
+        avgEarningsPerSale: convert(earningsStats[0]?.avgEarningsPerSale),
         refundRate:
           Number(earningsStats[0]?.totalSales) > 0
             ? (Number(earningsStats[0]?.totalRefundCount) /
@@ -587,23 +664,22 @@ const getEducatorPaymentAnalytics = async (educatorId, filters = {}) => {
             : 0,
       },
       payouts: {
-        totalPayouts: Number(payoutStats[0]?.totalPayouts) || 0,
-        totalPaidOut: Number(payoutStats[0]?.totalPaidOut) || 0,
-        avgPayoutAmount: Number(payoutStats[0]?.avgPayoutAmount) || 0,
-        avgProcessingFee: Number(payoutStats[0]?.avgProcessingFee) || 0,
-        pendingEarnings:
-          (Number(earningsStats[0]?.totalEarnings) || 0) -
-          (Number(earningsStats[0]?.totalRefunds) || 0) -
-          (Number(payoutStats[0]?.totalPaidOut) || 0),
+        totalPayouts: payoutStats.totalPayouts,
+        totalPaidOut: convert(payoutStats.totalPaidOut),
+        avgPayoutAmount: convert(payoutStats.avgPayoutAmount),
+        avgProcessingFee: convert(payoutStats.avgProcessingFee),
+        pendingEarnings: convert(earningsStats[0]?.totalEarnings)
+          .minus(convert(earningsStats[0]?.totalRefunds))
+          .minus(convert(payoutStats.totalPaidOut)),
       },
       monthlyEarnings: monthlyEarnings.map((month) => ({
         month: month.month,
-        netEarnings: Number(month.netEarnings) || 0,
+        netEarnings: convert(month.netEarnings),
         salesCount: Number(month.salesCount) || 0,
       })),
       courseEarnings: courseEarnings.map((course) => ({
         courseId: course.courseId,
-        netEarnings: Number(course.netEarnings) || 0,
+        netEarnings: convert(course.netEarnings),
         salesCount: Number(course.salesCount) || 0,
         refundCount: Number(course.refundCount) || 0,
         refundRate:
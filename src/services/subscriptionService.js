@@ -0,0 +1,746 @@
+const prisma = require("../config/db");
+const { logger, auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const { splitProRata } = require("../utils/paymentCalculator");
+const {
+  Decimal,
+  toMinorUnits,
+  fromMinorUnits,
+  roundMoney,
+} = require("../utils/money");
+const { getPlanById } = require("./planService");
+const { resolveCoursePrice } = require("./coursePriceService");
+const { calculatePlatformCommission } = require("./commissionService");
+const { getOrCreateCustomer } = require("./customerService");
+const {
+  getRevenueShares,
+  splitEducatorEarnings,
+  recordEducatorEarnings,
+} = require("./revenueShareService");
+const fxRateService = require("./fxRateService");
+const ledgerService = require("./ledgerService");
+const outboxService = require("./outboxService");
+const { getPaymentGateway } = require("./paymentGateways");
+
+const gateway = getPaymentGateway();
+
+// Statuses that still hold a membership; a student can only have one
+const OPEN_STATUSES = ["INCOMPLETE", "ACTIVE", "PAST_DUE", "PAUSED"];
+
+// Stripe keeps retrying a past due invoice, so access is kept meanwhile
+const hasAccess = (status) => status === "ACTIVE" || status === "PAST_DUE";
+
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+/**
+ * Map a Stripe subscription onto our status
+ */
+const toSubscriptionStatus = (stripeSubscription) => {
+  if (stripeSubscription.pause_collection) return "PAUSED";
+
+  switch (stripeSubscription.status) {
+    case "active":
+    case "trialing":
+      return "ACTIVE";
+    case "past_due":
+    case "unpaid":
+      return "PAST_DUE";
+    case "paused":
+      return "PAUSED";
+    case "canceled":
+    case "incomplete_expired":
+      return "CANCELED";
+    default:
+      return "INCOMPLETE";
+  }
+};
+
+/**
+ * Save a subscription change and grant or revoke membership access when
+ * the change crosses the access boundary
+ */
+const applySubscriptionChange = async (subscription, changes) => {
+  const updated = await prisma.$transaction(async (tx) => {
+    const record = await tx.subscription.update({
+      where: { id: subscription.id },
+      data: changes,
+    });
+
+    const hadAccess = hasAccess(subscription.status);
+    const nowHasAccess = hasAccess(record.status);
+
+    if (!hadAccess && nowHasAccess) {
+      await outboxService.enqueueEvents(tx, [
+        {
+          destination: outboxService.DESTINATIONS.USER_SERVICE,
+          payload: {
+            userId: record.userId,
+            action: "GRANT_MEMBERSHIP",
+            subscriptionId: record.id,
+            planId: record.planId,
+            accessUntil: record.currentPeriodEnd,
+          },
+        },
+      ]);
+    } else if (hadAccess && !nowHasAccess) {
+      await outboxService.enqueueEvents(tx, [
+        {
+          destination: outboxService.DESTINATIONS.USER_SERVICE,
+          payload: {
+            userId: record.userId,
+            action: "REVOKE_MEMBERSHIP",
+            subscriptionId: record.id,
+            planId: record.planId,
+            reason: record.status,
+          },
+        },
+      ]);
+    }
+
+    return record;
+  });
+  outboxService.dispatchSoon();
+
+  return updated;
+};
+
+/**
+ * Subscribe the current user to a plan
+ * @param {Object} data - { planId, source }
+ * @param {Object} user - Authenticated user
+ * @param {Object} options
+ * @param {string} [options.idempotencyKey] - Client supplied Idempotency-Key
+ */
+const subscribe = async (data, user, options = {}) => {
+  const { planId, source } = data;
+
+  const plan = await getPlanById(planId);
+  if (!plan.active || !plan.stripePriceId) {
+    throw new AppError(
+      "plan_unavailable_err",
+      "Plan is not available for subscription",
+      400
+    );
+  }
+
+  const existing = await prisma.subscription.findFirst({
+    where: { userId: user.id, status: { in: OPEN_STATUSES } },
+    select: { id: true },
+  });
+  if (existing) {
+    throw new AppError(
+      "subscription_exists_err",
+      "User already has a membership",
+      409
+    );
+  }
+
+  const customerId = await getOrCreateCustomer(user, source);
+
+  const stripeSubscription = await gateway.createSubscription(
+    {
+      customer: customerId,
+      items: [{ price: plan.stripePriceId }],
+      default_payment_method: source,
+      payment_behavior: "error_if_incomplete",
+      metadata: { userId: user.id, planId },
+    },
+    options.idempotencyKey
+      ? { idempotencyKey: `subscribe_${user.id}_${options.idempotencyKey}` }
+      : undefined
+  );
+
+  const subscription = await prisma.subscription.create({
+    data: {
+      userId: user.id,
+      planId,
+      stripeSubscriptionId: stripeSubscription.id,
+      stripeCustomerId: customerId,
+      status: "INCOMPLETE",
+    },
+  });
+
+  // Goes through the same path as the webhook so access is granted once
+  const updated = await applySubscriptionChange(subscription, {
+    status: toSubscriptionStatus(stripeSubscription),
+    currentPeriodStart: fromUnix(stripeSubscription.current_period_start),
+    currentPeriodEnd: fromUnix(stripeSubscription.current_period_end),
+  });
+
+  auditLogger.log(
+    "SUBSCRIPTION_CREATED",
+    user.id,
+    `Subscribed to plan ${plan.name} (${plan.amount} ${plan.currency} per ${plan.interval.toLowerCase()})`,
+    null,
+    { subscriptionId: updated.id, stripeSubscriptionId: stripeSubscription.id }
+  );
+
+  return updated;
+};
+
+/**
+ * Get the subscriptions of a user
+ */
+const getSubscriptionsByUser = async (userId) => {
+  try {
+    return await prisma.subscription.findMany({
+      where: { userId },
+      include: { plan: true },
+      orderBy: { createdAt: "desc" },
+    });
+  } catch (error) {
+    throw new AppError(
+      "fetching_err",
+      `Error retrieving subscriptions: ${error.message}`,
+      500
+    );
+  }
+};
+
+/**
+ * Get a subscription the user is allowed to manage
+ */
+const getSubscriptionForUser = async (subscriptionId, user) => {
+  const subscription = await prisma.subscription.findUnique({
+    where: { id: subscriptionId },
+  });
+
+  if (
+    !subscription ||
+    (user.role !== "Admin" && subscription.userId !== user.id)
+  ) {
+    throw new AppError(
+      "subscription_not_found_err",
+      "Subscription not found",
+      404
+    );
+  }
+
+  return subscription;
+};
+
+/**
+ * Cancel a subscription, by default at the end of the paid period
+ */
+const cancelSubscription = async (subscriptionId, data, user) => {
+  const atPeriodEnd = data.atPeriodEnd !== false;
+  const subscription = await getSubscriptionForUser(subscriptionId, user);
+
+  if (subscription.status === "CANCELED") {
+    throw new AppError(
+      "subscription_state_err",
+      "Subscription is already canceled",
+      400
+    );
+  }
+
+  let updated;
+  if (atPeriodEnd) {
+    // Access continues until Stripe ends the subscription and sends
+    // customer.subscription.deleted
+    await gateway.updateSubscription(subscription.stripeSubscriptionId, {
+      cancel_at_period_end: true,
+    });
+    updated = await applySubscriptionChange(subscription, {
+      cancelAtPeriodEnd: true,
+    });
+  } else {
+    await gateway.cancelSubscription(subscription.stripeSubscriptionId);
+    updated = await applySubscriptionChange(subscription, {
+      status: "CANCELED",
+      canceledAt: new Date(),
+    });
+    await settleDuePayments(subscription.id, { includeCurrent: true });
+  }
+
+  auditLogger.log(
+    "SUBSCRIPTION_CANCELED",
+    user.id,
+    `Subscription ${subscription.id} canceled ${atPeriodEnd ? "at period end" : "immediately"}`,
+    null,
+    { subscriptionId: subscription.id }
+  );
+
+  return updated;
+};
+
+/**
+ * Pause billing and access for a subscription
+ */
+const pauseSubscription = async (subscriptionId, user) => {
+  const subscription = await getSubscriptionForUser(subscriptionId, user);
+
+  if (subscription.status !== "ACTIVE") {
+    throw new AppError(
+      "subscription_state_err",
+      "Only active subscriptions can be paused",
+      400
+    );
+  }
+
+  await gateway.updateSubscription(subscription.stripeSubscriptionId, {
+    pause_collection: { behavior: "void" },
+  });
+
+  const updated = await applySubscriptionChange(subscription, {
+    status: "PAUSED",
+    pausedAt: new Date(),
+  });
+
+  auditLogger.log(
+    "SUBSCRIPTION_PAUSED",
+    user.id,
+    `Subscription ${subscription.id} paused`,
+    null,
+    { subscriptionId: subscription.id }
+  );
+
+  return updated;
+};
+
+/**
+ * Resume a paused subscription
+ */
+const resumeSubscription = async (subscriptionId, user) => {
+  const subscription = await getSubscriptionForUser(subscriptionId, user);
+
+  if (subscription.status !== "PAUSED") {
+    throw new AppError(
+      "subscription_state_err",
+      "Only paused subscriptions can be resumed",
+      400
+    );
+  }
+
+  // An empty string clears pause_collection on the Stripe side
+  await gateway.updateSubscription(subscription.stripeSubscriptionId, {
+    pause_collection: "",
+  });
+
+  const updated = await applySubscriptionChange(subscription, {
+    status: "ACTIVE",
+    pausedAt: null,
+  });
+
+  auditLogger.log(
+    "SUBSCRIPTION_RESUMED",
+    user.id,
+    `Subscription ${subscription.id} resumed`,
+    null,
+    { subscriptionId: subscription.id }
+  );
+
+  return updated;
+};
+
+/**
+ * Record course consumption by a member, reported by the progress service.
+ * Usage decides how subscription revenue is shared between educators.
+ * @param {Object} data - { userId, courseId, educatorId?, units, recordedAt? }
+ */
+const recordUsage = async (data) => {
+  const { userId, courseId, units } = data;
+
+  const subscription = await prisma.subscription.findFirst({
+    where: { userId, status: { in: ["ACTIVE", "PAST_DUE"] } },
+    select: { id: true },
+  });
+  if (!subscription) {
+    throw new AppError(
+      "subscription_not_found_err",
+      "User has no active membership",
+      404
+    );
+  }
+
+  const educatorId =
+    data.educatorId || (await resolveCoursePrice(courseId)).educatorId;
+
+  return prisma.courseUsage.create({
+    data: {
+      subscriptionId: subscription.id,
+      userId,
+      courseId,
+      educatorId,
+      units,
+      recordedAt: data.recordedAt ? new Date(data.recordedAt) : undefined,
+    },
+  });
+};
+
+/**
+ * Share one paid subscription period between educators in proportion to
+ * how much of their courses the member consumed during that period. With
+ * no consumption the platform keeps the whole payment.
+ * @param {string} paymentId - SubscriptionPayment ID
+ * @returns {Promise<Array>} Earnings transactions created
+ */
+const settleSubscriptionPayment = async (paymentId) => {
+  const payment = await prisma.subscriptionPayment.findUnique({
+    where: { id: paymentId },
+    include: { subscription: true },
+  });
+  if (!payment || payment.settled) return [];
+
+  const usage = await prisma.courseUsage.groupBy({
+    by: ["courseId", "educatorId"],
+    where: {
+      subscriptionId: payment.subscriptionId,
+      recordedAt: { gte: payment.periodStart, lt: payment.periodEnd },
+    },
+    _sum: { units: true },
+  });
+  const shares = usage.filter((row) => row._sum.units > 0);
+  const weights = shares.map((row) => row._sum.units);
+
+  const amounts = splitProRata(payment.amount, weights, payment.currency);
+
+  // Each course's part of the payment pays the commission a sale of the
+  // course would
+  const categories = await prisma.coursePrice.findMany({
+    where: { courseId: { in: shares.map((row) => row.courseId) } },
+    select: { courseId: true, category: true },
+  });
+  const splits = await Promise.all(
+    shares.map((row, i) =>
+      calculatePlatformCommission(amounts[i], {
+        courseId: row.courseId,
+        educatorId: row.educatorId,
+        category: categories.find((price) => price.courseId === row.courseId)
+          ?.category,
+        currency: payment.currency,
+      })
+    )
+  );
+  const earnings = splits.map((split) => split.educatorEarnings);
+
+  // The earnings of a co-taught course are split again between its
+  // instructors
+  const courseShares = await Promise.all(
+    shares.map((row) => getRevenueShares(row.courseId, row.educatorId))
+  );
+  const instructorEarnings = courseShares.map((rowShares, i) =>
+    splitEducatorEarnings(earnings[i], rowShares, payment.currency)
+  );
+  const earnedBy = (educatorId) =>
+    roundMoney(
+      courseShares.reduce(
+        (sum, rowShares, i) =>
+          rowShares.reduce(
+            (acc, share, j) =>
+              share.educatorId === educatorId
+                ? acc.plus(instructorEarnings[i][j])
+                : acc,
+            sum
+          ),
+        new Decimal(0)
+      ),
+      payment.currency
+    );
+
+  // Pay each educator their share out of the invoice charge. Earnings
+  // held for a payout schedule are transferred when they are released.
+  const transfers = {};
+  const educatorIds = [
+    ...new Set(
+      courseShares
+        .flat()
+        .filter((share) => !share.held)
+        .map((share) => share.educatorId)
+    ),
+  ];
+  if (payment.stripeChargeId && educatorIds.length > 0) {
+    const accounts = await prisma.stripeAccount.findMany({
+      where: { educatorId: { in: educatorIds } },
+      select: { educatorId: true, stripeAccountId: true },
+    });
+
+    for (const account of accounts) {
+      const educatorEarnings = earnedBy(account.educatorId);
+      if (educatorEarnings.lte(0)) continue;
+
+      try {
+        const transfer = await gateway.createTransfer(
+          {
+            amount: toMinorUnits(educatorEarnings, payment.currency),
+            currency: payment.currency.toLowerCase(),
+            destination: account.stripeAccountId,
+            source_transaction: payment.stripeChargeId,
+            transfer_group: `subscription_payment_${payment.id}`,
+            metadata: {
+              subscriptionPaymentId: payment.id,
+              educatorId: account.educatorId,
+            },
+          },
+          {
+            idempotencyKey: `subscription_payment_${payment.id}_${account.educatorId}`,
+          }
+        );
+        transfers[account.educatorId] = transfer.id;
+      } catch (transferError) {
+        logger.error(
+          `Transfer to educator ${account.educatorId} for subscription payment ${payment.id} failed: ${transferError.message}`,
+          { error: transferError }
+        );
+      }
+    }
+  }
+
+  const conversion = await fxRateService.getConversionToBase(
+    payment.currency
+  );
+  const transactions = await prisma.$transaction(async (tx) => {
+    const records = [];
+    for (const [i, row] of shares.entries()) {
+      const record = await tx.transaction.create({
+        data: {
+          amount: amounts[i],
+          currency: payment.currency,
+          ...fxRateService.baseAmountFields(amounts[i], conversion),
+          status: "COMPLETED",
+          type: "SUBSCRIPTION",
+          platformCommission: splits[i].platformCommission,
+          educatorEarnings: earnings[i],
+          commissionRuleId: splits[i].commissionRuleId,
+          userId: payment.subscription.userId,
+          courseId: row.courseId,
+          educatorId: row.educatorId,
+          description: `Membership revenue share for course ${row.courseId}`,
+          metadata: {
+            subscriptionId: payment.subscriptionId,
+            subscriptionPaymentId: payment.id,
+            units: row._sum.units,
+          },
+        },
+      });
+      await recordEducatorEarnings(tx, record, courseShares[i], transfers);
+      await ledgerService.postPayment(tx, record);
+      records.push(record);
+    }
+    if (records.length === 0) {
+      await ledgerService.postMembershipRevenue(tx, payment);
+    }
+
+    await tx.subscriptionPayment.update({
+      where: { id: payment.id },
+      data: { settled: true, settledAt: new Date() },
+    });
+
+    await outboxService.enqueueEvents(
+      tx,
+      educatorIds.map((educatorId) => {
+        const educatorTransactions = records.filter((t, i) =>
+          courseShares[i].some((share) => share.educatorId === educatorId)
+        );
+        return {
+          destination: outboxService.DESTINATIONS.USER_SERVICE,
+          payload: {
+            userId: educatorId,
+            action: "NEW_EARNINGS",
+            courseId: educatorTransactions.map((t) => t.courseId).join(","),
+            transactionId: educatorTransactions[0].id,
+            amount: earnedBy(educatorId),
+          },
+        };
+      })
+    );
+
+    return records;
+  });
+
+  auditLogger.log(
+    "SUBSCRIPTION_PAYMENT_SETTLED",
+    "system",
+    `Subscription payment ${payment.id} of ${payment.amount} ${payment.currency} shared across ${shares.length} courses`,
+    null,
+    {
+      subscriptionPaymentId: payment.id,
+      transactionIds: transactions.map((t) => t.id),
+    }
+  );
+  outboxService.dispatchSoon();
+
+  return transactions;
+};
+
+/**
+ * Settle the unsettled payments of a subscription whose period is over
+ * @param {string} subscriptionId
+ * @param {Object} options
+ * @param {boolean} [options.includeCurrent] - Also settle the running period,
+ * used when the subscription ends early
+ */
+const settleDuePayments = async (subscriptionId, options = {}) => {
+  const where = { subscriptionId, settled: false };
+  if (!options.includeCurrent) where.periodEnd = { lte: new Date() };
+
+  const payments = await prisma.subscriptionPayment.findMany({
+    where,
+    orderBy: { periodStart: "asc" },
+    select: { id: true },
+  });
+
+  for (const payment of payments) {
+    try {
+      await settleSubscriptionPayment(payment.id);
+    } catch (error) {
+      logger.error(
+        `Failed to settle subscription payment ${payment.id}: ${error.message}`,
+        { error }
+      );
+    }
+  }
+};
+
+/**
+ * Handle a paid Stripe invoice for a subscription: record the payment,
+ * renew the period and settle periods that have ended
+ * @param {Object} invoice - Stripe invoice object
+ */
+const handleInvoicePaid = async (invoice) => {
+  if (!invoice.subscription) return null;
+
+  const subscription = await prisma.subscription.findUnique({
+    where: { stripeSubscriptionId: invoice.subscription },
+  });
+  if (!subscription) {
+    logger.warn(
+      `No subscription found for Stripe subscription ${invoice.subscription}`
+    );
+    return null;
+  }
+
+  const period = invoice.lines?.data?.[0]?.period || {
+    start: invoice.period_start,
+    end: invoice.period_end,
+  };
+
+  const payment = await prisma.subscriptionPayment.upsert({
+    where: { stripeInvoiceId: invoice.id },
+    update: {},
+    create: {
+      subscriptionId: subscription.id,
+      stripeInvoiceId: invoice.id,
+      stripeChargeId: invoice.charge || null,
+      amount: fromMinorUnits(invoice.amount_paid, invoice.currency),
+      currency: invoice.currency.toUpperCase(),
+      periodStart: fromUnix(period.start),
+      periodEnd: fromUnix(period.end),
+    },
+  });
+
+  await applySubscriptionChange(subscription, {
+    status: "ACTIVE",
+    currentPeriodStart: payment.periodStart,
+    currentPeriodEnd: payment.periodEnd,
+  });
+
+  auditLogger.log(
+    "SUBSCRIPTION_RENEWED",
+    subscription.userId,
+    `Membership payment of ${payment.amount} ${payment.currency} received`,
+    null,
+    { subscriptionId: subscription.id, stripeInvoiceId: invoice.id }
+  );
+
+  await settleDuePayments(subscription.id);
+
+  return payment;
+};
+
+/**
+ * Handle a failed renewal. Stripe retries the invoice; the member keeps
+ * access until the subscription is canceled.
+ * @param {Object} invoice - Stripe invoice object
+ */
+const handleInvoicePaymentFailed = async (invoice) => {
+  if (!invoice.subscription) return null;
+
+  const subscription = await prisma.subscription.findUnique({
+    where: { stripeSubscriptionId: invoice.subscription },
+  });
+  if (!subscription) return null;
+
+  const updated = await applySubscriptionChange(subscription, {
+    status: "PAST_DUE",
+  });
+
+  auditLogger.log(
+    "SUBSCRIPTION_PAYMENT_FAILED",
+    subscription.userId,
+    `Membership payment failed for subscription ${subscription.id}`,
+    null,
+    { stripeInvoiceId: invoice.id, attemptCount: invoice.attempt_count }
+  );
+
+  return updated;
+};
+
+/**
+ * Bring our copy of a subscription in line with Stripe
+ * (customer.subscription.created / updated / paused / resumed)
+ * @param {Object} stripeSubscription - Stripe subscription object
+ */
+const syncSubscription = async (stripeSubscription) => {
+  const subscription = await prisma.subscription.findUnique({
+    where: { stripeSubscriptionId: stripeSubscription.id },
+  });
+  if (!subscription) {
+    logger.warn(
+      `No subscription found for Stripe subscription ${stripeSubscription.id}`
+    );
+    return null;
+  }
+
+  const status = toSubscriptionStatus(stripeSubscription);
+  return applySubscriptionChange(subscription, {
+    status,
+    currentPeriodStart: fromUnix(stripeSubscription.current_period_start),
+    currentPeriodEnd: fromUnix(stripeSubscription.current_period_end),
+    cancelAtPeriodEnd: Boolean(stripeSubscription.cancel_at_period_end),
+    pausedAt:
+      status === "PAUSED" ? subscription.pausedAt || new Date() : null,
+  });
+};
+
+/**
+ * Handle customer.subscription.deleted: end access and settle what is left
+ * @param {Object} stripeSubscription - Stripe subscription object
+ */
+const handleSubscriptionDeleted = async (stripeSubscription) => {
+  const subscription = await prisma.subscription.findUnique({
+    where: { stripeSubscriptionId: stripeSubscription.id },
+  });
+  if (!subscription) return null;
+
+  const updated = await applySubscriptionChange(subscription, {
+    status: "CANCELED",
+    canceledAt: fromUnix(stripeSubscription.canceled_at) || new Date(),
+  });
+
+  await settleDuePayments(subscription.id, { includeCurrent: true });
+
+  auditLogger.log(
+    "SUBSCRIPTION_ENDED",
+    subscription.userId,
+    `Subscription ${subscription.id} ended`,
+    null,
+    { stripeSubscriptionId: stripeSubscription.id }
+  );
+
+  return updated;
+};
+
+module.exports = {
+  subscribe,
+  getSubscriptionsByUser,
+  cancelSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  recordUsage,
+  settleSubscriptionPayment,
+  handleInvoicePaid,
+  handleInvoicePaymentFailed,
+  syncSubscription,
+  handleSubscriptionDeleted,
+};
@@ -0,0 +1,123 @@
+const config = require("../config");
+const { AppError } = require("../middleware/errorHandler");
+const { calculateTax } = require("../utils/paymentCalculator");
+const { findTaxRule, loadTaxRules } = require("../utils/taxRules");
+const {
+  toDecimal,
+  toMinorUnits,
+  fromMinorUnits,
+} = require("../utils/money");
+
+/**
+ * Normalize a tax ID as customers type it, e.g. "de 123.456.789"
+ */
+const normalizeTaxId = (taxId) =>
+  taxId ? taxId.replace(/[\s.-]/g, "").toUpperCase() : null;
+
+/**
+ * Work out the tax on a sale from the customer's billing location.
+ * Catalog prices are gross where the rules say prices include tax, and
+ * net otherwise. A business customer with a valid tax ID outside the
+ * seller's country accounts for the tax themselves (reverse charge).
+ * @param {Object[]} items - [{ listPrice, discount, amount }] in catalog terms
+ * @param {Object} billing - { country, region, taxId }
+ * @param {string} [currency] - Sale currency, to round in its minor unit
+ * @returns {Object} Rule applied, per item { unitPrice, discount, net, tax,
+ *   total } and the same figures for the whole sale
+ * @throws {AppError} If the tax ID is not valid for the country
+ */
+const calculateSaleTax = (items, billing = {}, currency) => {
+  // Figures are added and subtracted in minor units so they add up exactly
+  const minor = (value) => toMinorUnits(value, currency);
+  const major = (value) => fromMinorUnits(value, currency);
+  const sumOf = (list, field) =>
+    major(list.reduce((acc, item) => acc + minor(item[field]), 0));
+
+  const taxId = normalizeTaxId(billing.taxId);
+  if (taxId && !billing.country) {
+    throw new AppError(
+      "tax_id_invalid_err",
+      "A billing country is required with a tax ID",
+      400
+    );
+  }
+
+  const rule = findTaxRule(billing.country, billing.region);
+  if (taxId && rule?.taxIdPattern && !rule.taxIdPattern.test(taxId)) {
+    throw new AppError(
+      "tax_id_invalid_err",
+      `Tax ID ${taxId} is not valid for ${rule.countryCode}`,
+      400
+    );
+  }
+
+  const rate = rule?.rate || 0;
+  const inclusive = Boolean(rule?.pricesIncludeTax);
+  const reverseCharge = Boolean(
+    taxId &&
+      rule?.reverseCharge &&
+      rule.taxIdPattern &&
+      rule.countryCode !== config.tax.sellerCountry
+  );
+
+  // Strip the tax out of gross catalog prices
+  const toNet = (gross) =>
+    inclusive
+      ? major(minor(gross) - minor(calculateTax(gross, rate, null, { inclusive, currency })))
+      : toDecimal(gross);
+
+  const taxedItems = items.map((item) => {
+    const net = toNet(item.amount);
+    const unitPrice = toNet(item.listPrice);
+    let tax = toDecimal(0);
+    if (!reverseCharge) {
+      // Gross prices keep their exact total
+      tax = inclusive
+        ? major(minor(item.amount) - minor(net))
+        : calculateTax(net, rate, null, { currency });
+    }
+    return {
+      unitPrice,
+      discount: major(minor(unitPrice) - minor(net)),
+      net,
+      tax,
+      total: major(minor(net) + minor(tax)),
+    };
+  });
+
+  return {
+    countryCode: rule?.countryCode || null,
+    regionCode: rule?.regionCode || null,
+    type: rule?.type || null,
+    rate: reverseCharge ? 0 : rate,
+    pricesIncludeTax: inclusive,
+    reverseCharge,
+    taxId,
+    rulesVersion: loadTaxRules().version,
+    items: taxedItems,
+    subtotal: sumOf(taxedItems, "unitPrice"),
+    discount: sumOf(taxedItems, "discount"),
+    net: sumOf(taxedItems, "net"),
+    tax: sumOf(taxedItems, "tax"),
+    total: sumOf(taxedItems, "total"),
+  };
+};
+
+/**
+ * Invoice columns describing the tax applied to a sale
+ * @param {Object} sale - Result of calculateSaleTax
+ */
+const invoiceTaxFields = (sale) => ({
+  taxRate: sale.rate,
+  taxType: sale.type,
+  taxCountry: sale.countryCode,
+  taxRegion: sale.regionCode,
+  customerTaxId: sale.taxId,
+  reverseCharge: sale.reverseCharge,
+  taxRulesVersion: sale.rulesVersion,
+});
+
+module.exports = {
+  calculateSaleTax,
+  invoiceTaxFields,
+};
@@ -0,0 +1,187 @@
+const prisma = require("../config/db");
+const { auditLogger } = require("../utils/logger");
+const { AppError } = require("../middleware/errorHandler");
+const { Decimal, toDecimal, roundMoney } = require("../utils/money");
+const ledgerService = require("./ledgerService");
+
+/**
+ * Add store credit to a user's wallet, opening the wallet on first use.
+ * Runs inside the caller's database transaction.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} credit - { userId, currency, amount, reason, transactionId,
+ *   orderId, description, createdBy }
+ * @returns {Promise<Object>} Wallet entry
+ */
+const creditWallet = async (tx, credit) => {
+  const { userId, reason, transactionId, orderId, description, createdBy } =
+    credit;
+  const currency = credit.currency.toUpperCase();
+  const amount = roundMoney(credit.amount, currency);
+
+  const wallet = await tx.wallet.upsert({
+    where: { userId_currency: { userId, currency } },
+    create: { userId, currency, balance: amount },
+    update: { balance: { increment: amount } },
+  });
+
+  return tx.walletEntry.create({
+    data: {
+      walletId: wallet.id,
+      type: "CREDIT",
+      reason,
+      amount,
+      balanceAfter: roundMoney(wallet.balance, currency),
+      transactionId,
+      orderId,
+      description,
+      createdBy,
+    },
+  });
+};
+
+/**
+ * Take store credit out of a user's wallet. The balance is checked in the
+ * same statement that lowers it, so concurrent checkouts cannot overdraw.
+ * Runs inside the caller's database transaction.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} debit - { userId, currency, amount, reason, transactionId,
+ *   orderId, description }
+ * @returns {Promise<Object>} Wallet entry
+ * @throws {AppError} If the balance does not cover the amount
+ */
+const debitWallet = async (tx, debit) => {
+  const { userId, reason, transactionId, orderId, description } = debit;
+  const currency = debit.currency.toUpperCase();
+  const amount = roundMoney(debit.amount, currency);
+
+  const { count } = await tx.wallet.updateMany({
+    where: { userId, currency, balance: { gte: amount } },
+    data: { balance: { decrement: amount } },
+  });
+  if (count === 0) {
+    throw new AppError(
+      "wallet_insufficient_err",
+      `Store credit balance does not cover ${amount} ${currency}`,
+      400
+    );
+  }
+
+  const wallet = await tx.wallet.findUnique({
+    where: { userId_currency: { userId, currency } },
+  });
+
+  return tx.walletEntry.create({
+    data: {
+      walletId: wallet.id,
+      type: "DEBIT",
+      reason,
+      amount,
+      balanceAfter: roundMoney(wallet.balance, currency),
+      transactionId,
+      orderId,
+      description,
+    },
+  });
+};
+
+/**
+ * How much of `amount` the user's store credit can pay
+ * @param {string} userId - User ID
+ * @param {string} currency - Checkout currency
+ * @param {number|Object} amount - Checkout total
+ * @returns {Promise<Decimal>}
+ */
+const getAvailableCredit = async (userId, currency, amount) => {
+  const wallet = await prisma.wallet.findUnique({
+    where: {
+      userId_currency: { userId, currency: currency.toUpperCase() },
+    },
+    select: { balance: true },
+  });
+
+  return roundMoney(
+    Decimal.max(Decimal.min(toDecimal(wallet?.balance), amount), 0),
+    currency
+  );
+};
+
+/**
+ * Balances of a user's wallets and their movements, newest first
+ * @param {string} userId - User ID
+ * @param {number} page - Page of the history
+ * @param {number} limit - Entries per page
+ */
+const getWallet = async (userId, page = 1, limit = 20) => {
+  const where = { wallet: { userId } };
+  const [wallets, entries, totalCount] = await Promise.all([
+    prisma.wallet.findMany({
+      where: { userId },
+      select: { currency: true, balance: true, updatedAt: true },
+      orderBy: { currency: "asc" },
+    }),
+    prisma.walletEntry.findMany({
+      where,
+      include: { wallet: { select: { currency: true } } },
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.walletEntry.count({ where }),
+  ]);
+
+  return {
+    userId,
+    balances: wallets,
+    entries: entries.map(({ wallet, ...entry }) => ({
+      ...entry,
+      currency: wallet.currency,
+    })),
+    pagination: {
+      total: totalCount,
+      pages: Math.ceil(totalCount / limit),
+      page,
+      limit,
+    },
+  };
+};
+
+/**
+ * Grant store credit to a user, e.g. as a goodwill gesture
+ * @param {Object} data - { userId, amount, currency, description }
+ * @param {Object} admin - Authenticated admin
+ * @returns {Promise<Object>} Wallet entry
+ */
+const grantCredit = async (data, admin) => {
+  const { userId, amount, currency = "USD", description } = data;
+
+  const entry = await prisma.$transaction(async (tx) => {
+    const granted = await creditWallet(tx, {
+      userId,
+      currency,
+      amount,
+      reason: "ADMIN_GRANT",
+      description,
+      createdBy: admin.id,
+    });
+    await ledgerService.postCreditGrant(tx, granted, userId, currency);
+    return granted;
+  });
+
+  auditLogger.log(
+    "WALLET_CREDIT_GRANTED",
+    admin.id,
+    `Store credit of ${entry.amount} ${currency.toUpperCase()} granted to user ${userId}`,
+    null,
+    { userId, walletEntryId: entry.id }
+  );
+
+  return entry;
+};
+
+module.exports = {
+  creditWallet,
+  debitWallet,
+  getAvailableCredit,
+  getWallet,
+  grantCredit,
+};
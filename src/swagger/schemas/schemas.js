@@ -1,22 +1,306 @@
 const swagger_schemas = {
     PaymentRequest: {
         type: "object",
-        required: ["courseId", "amount", "currency", "source", "educatorId"],
+        required: ["courseId"],
         properties: {
-            courseId: { type: "string" },
-            amount: { type: "number", minimum: 0.01 , default: 100.01},
-            currency: { type: "string", enum: ["USD", "EUR", "GBP"] },
-            source: { type: "string" ,default: "pm_card_visa"},
-            educatorId: { type: "string", default:"edu_123" },
+            courseId: { type: "string", default: "course_1" },
+            amount: { type: "number", minimum: 0 , default: 99.99, description: "Optional, must match the catalog price" },
+            currency: { type: "string", enum: ["USD", "EUR", "GBP"], description: "Optional, must match the catalog currency" },
+            source: { type: "string" ,default: "pm_card_visa", description: "Required unless the course is free after the coupon or a saved card is used" },
+            paymentMethodId: { type: "string", description: "A saved card (GET /payments/payment-methods) to charge instead of a source" },
+            educatorId: { type: "string", default:"edu_123", description: "Optional, must match the catalog educator" },
             description: { type: "string",  default: "enrolling in this course" },
+            couponCode: { type: "string", description: "Optional coupon applied to the catalog price" },
+            referralCode: { type: "string", description: "Affiliate referral code; without it a referral link followed within the affiliate's cookie window applies" },
+            useWallet: { type: "boolean", description: "Pay from store credit first; the source is charged for the rest" },
+            captureMethod: { type: "string", enum: ["automatic", "manual"], default: "automatic", description: "manual pre-orders a course before its launch date: the card is only authorized, and charged on launch day" },
+            gift: { $ref: "#/components/schemas/GiftDetails" },
+            billingCountry: { type: "string", example: "DE", description: "Customer country; decides the VAT/GST charged" },
+            billingRegion: { type: "string", example: "ON", description: "State or province, where tax differs by region" },
+            taxId: { type: "string", example: "DE123456789", description: "Business tax ID; a valid one abroad is reverse charged" },
         },
     }, 
+    GiftDetails: {
+        type: "object",
+        description: "Buy the course for someone else. A gift code is issued instead of enrolling the buyer.",
+        required: ["recipientEmail"],
+        properties: {
+            recipientEmail: { type: "string", format: "email" },
+            recipientName: { type: "string" },
+            message: { type: "string", maxLength: 500 },
+        },
+    },
+    RedeemGiftRequest: {
+        type: "object",
+        required: ["code"],
+        properties: {
+            code: { type: "string", example: "GIFT-7KQ2-MX9P-4RTA" },
+        },
+    },
+    CartPaymentRequest: {
+        type: "object",
+        required: ["courseIds"],
+        properties: {
+            courseIds: { type: "array", items: { type: "string" }, default: ["course_1", "course_2"] },
+            currency: { type: "string", enum: ["USD", "EUR", "GBP"], description: "Optional, must match the catalog currency" },
+            source: { type: "string", default: "pm_card_visa", description: "Required unless the cart total is zero or a saved card is used" },
+            paymentMethodId: { type: "string", description: "A saved card to charge instead of a source" },
+            description: { type: "string" },
+            couponCode: { type: "string", description: "Optional coupon, applied to the most expensive eligible course" },
+            referralCode: { type: "string", description: "Affiliate referral code; the affiliate earns a share of every course" },
+            useWallet: { type: "boolean", description: "Pay from store credit first; the source is charged for the rest" },
+            billingCountry: { type: "string", example: "DE", description: "Customer country; decides the VAT/GST charged" },
+            billingRegion: { type: "string", example: "ON" },
+            taxId: { type: "string", example: "DE123456789" },
+        },
+    },
     RefundRequest: {
         type: "object",
         required: ["transactionId"],
         properties: {
             transactionId: { type: "string" },
+            amount: { type: "number", minimum: 0.01, description: "Net of tax; the tax is refunded in proportion. Leave out to refund what is left of the payment. A payment can be refunded in several parts." },
             reason: { type: "string" },
+            refundTo: { type: "string", enum: ["card", "wallet"], default: "card", description: "Anything paid from store credit always goes back to the wallet" },
+        },
+    },
+    CoursePriceInput: {
+        type: "object",
+        required: ["courseId", "educatorId", "amount"],
+        properties: {
+            courseId: { type: "string" },
+            educatorId: { type: "string" },
+            title: { type: "string" },
+            category: { type: "string", example: "programming", description: "Commission rules can apply to a whole category" },
+            amount: { type: "number", minimum: 0, description: "0 makes the course free" },
+            currency: { type: "string", default: "USD" },
+            active: { type: "boolean", default: true },
+            launchDate: { type: "string", format: "date-time", description: "Sold as a pre-order until then; authorizations are captured on this day" },
+        },
+    },
+    CoursePriceUpdate: {
+        type: "object",
+        properties: {
+            educatorId: { type: "string" },
+            title: { type: "string" },
+            category: { type: "string", nullable: true },
+            amount: { type: "number", minimum: 0 },
+            currency: { type: "string" },
+            active: { type: "boolean" },
+            launchDate: { type: "string", format: "date-time", nullable: true },
+        },
+    },
+    RevenueSharesInput: {
+        type: "object",
+        required: ["shares"],
+        properties: {
+            shares: {
+                type: "array",
+                minItems: 1,
+                description: "Percentages must add up to 100",
+                items: {
+                    type: "object",
+                    required: ["educatorId", "percentage"],
+                    properties: {
+                        educatorId: { type: "string" },
+                        percentage: { type: "number", exclusiveMinimum: 0, maximum: 100, example: 60 },
+                    },
+                },
+            },
+        },
+    },
+    CouponInput: {
+        type: "object",
+        required: ["code", "discountType", "discountValue"],
+        properties: {
+            code: { type: "string", example: "SPRING25" },
+            description: { type: "string" },
+            discountType: { type: "string", enum: ["PERCENTAGE", "FIXED"] },
+            discountValue: { type: "number", minimum: 0.01 },
+            currency: { type: "string", description: "Required currency for FIXED coupons" },
+            validFrom: { type: "string", format: "date-time" },
+            validUntil: { type: "string", format: "date-time" },
+            maxRedemptions: { type: "integer", minimum: 1 },
+            perUserLimit: { type: "integer", minimum: 1, default: 1 },
+            courseIds: { type: "array", items: { type: "string" } },
+            educatorIds: { type: "array", items: { type: "string" } },
+            active: { type: "boolean", default: true },
+        },
+    },
+    CouponUpdate: {
+        type: "object",
+        properties: {
+            description: { type: "string" },
+            discountType: { type: "string", enum: ["PERCENTAGE", "FIXED"] },
+            discountValue: { type: "number", minimum: 0.01 },
+            currency: { type: "string" },
+            validFrom: { type: "string", format: "date-time" },
+            validUntil: { type: "string", format: "date-time" },
+            maxRedemptions: { type: "integer", minimum: 1 },
+            perUserLimit: { type: "integer", minimum: 1 },
+            courseIds: { type: "array", items: { type: "string" } },
+            educatorIds: { type: "array", items: { type: "string" } },
+            active: { type: "boolean" },
+        },
+    },
+    CommissionRuleInput: {
+        type: "object",
+        required: ["name", "scope", "percentage"],
+        properties: {
+            name: { type: "string", example: "Launch week promotion" },
+            scope: { type: "string", enum: ["GLOBAL", "EDUCATOR", "COURSE", "CATEGORY"] },
+            educatorId: { type: "string", description: "Required for EDUCATOR rules" },
+            courseId: { type: "string", description: "Required for COURSE rules" },
+            category: { type: "string", description: "Required for CATEGORY rules" },
+            percentage: { type: "number", minimum: 0, maximum: 100, example: 10 },
+            fixedFee: { type: "number", minimum: 0, default: 0, description: "Added to the percentage, in `currency`" },
+            currency: { type: "string", description: "The rule only applies to sales in this currency; required with a fixed fee" },
+            minAmount: { type: "number", minimum: 0, description: "Sales below this amount are not matched, for volume tiers" },
+            priority: { type: "integer", default: 0, description: "Of the rules matching a sale the highest priority applies, then the most specific scope" },
+            validFrom: { type: "string", format: "date-time" },
+            validUntil: { type: "string", format: "date-time" },
+            active: { type: "boolean", default: true },
+        },
+    },
+    CommissionRuleUpdate: {
+        type: "object",
+        properties: {
+            name: { type: "string" },
+            scope: { type: "string", enum: ["GLOBAL", "EDUCATOR", "COURSE", "CATEGORY"] },
+            educatorId: { type: "string" },
+            courseId: { type: "string" },
+            category: { type: "string" },
+            percentage: { type: "number", minimum: 0, maximum: 100 },
+            fixedFee: { type: "number", minimum: 0 },
+            currency: { type: "string", nullable: true },
+            minAmount: { type: "number", minimum: 0, nullable: true },
+            priority: { type: "integer" },
+            validFrom: { type: "string", format: "date-time", nullable: true },
+            validUntil: { type: "string", format: "date-time", nullable: true },
+            active: { type: "boolean" },
+        },
+    },
+    AffiliateInput: {
+        type: "object",
+        required: ["userId", "name", "code", "commissionPercentage"],
+        properties: {
+            userId: { type: "string", example: "edu_123", description: "Instructor or partner who shares the links" },
+            name: { type: "string", example: "Jane's design channel" },
+            code: { type: "string", example: "JANEDESIGN" },
+            commissionPercentage: { type: "number", minimum: 0, maximum: 100, example: 10, description: "Share of each referred sale, net of tax; paid out of the platform commission" },
+            cookieWindowDays: { type: "integer", minimum: 1, example: 30, description: "Days after following a link that a purchase is still attributed" },
+        },
+    },
+    AffiliateUpdate: {
+        type: "object",
+        properties: {
+            name: { type: "string" },
+            commissionPercentage: { type: "number", minimum: 0, maximum: 100 },
+            cookieWindowDays: { type: "integer", minimum: 1 },
+            status: { type: "string", enum: ["ACTIVE", "SUSPENDED"] },
+        },
+    },
+    PlanInput: {
+        type: "object",
+        required: ["name", "amount", "interval"],
+        properties: {
+            name: { type: "string", example: "All-access monthly" },
+            description: { type: "string" },
+            amount: { type: "number", minimum: 0.5, example: 29.99 },
+            currency: { type: "string", default: "USD" },
+            interval: { type: "string", enum: ["MONTH", "YEAR"] },
+            active: { type: "boolean", default: true },
+        },
+    },
+    PlanUpdate: {
+        type: "object",
+        properties: {
+            name: { type: "string" },
+            description: { type: "string" },
+            active: { type: "boolean" },
+        },
+    },
+    SubscribeRequest: {
+        type: "object",
+        required: ["planId", "source"],
+        properties: {
+            planId: { type: "string" },
+            source: { type: "string", default: "pm_card_visa" },
+        },
+    },
+    InstallmentPlanRequest: {
+        type: "object",
+        required: ["courseId", "source", "installments"],
+        properties: {
+            courseId: { type: "string" },
+            source: { type: "string", default: "pm_card_visa" },
+            installments: { type: "integer", minimum: 2, maximum: 6, description: "Number of installments; the first is charged immediately" },
+        },
+    },
+    CourseUsageInput: {
+        type: "object",
+        required: ["userId", "courseId", "units"],
+        properties: {
+            userId: { type: "string" },
+            courseId: { type: "string" },
+            educatorId: { type: "string", description: "Looked up from the course catalog when omitted" },
+            units: { type: "number", description: "Consumption units, e.g. minutes watched" },
+            recordedAt: { type: "string", format: "date-time" },
+        },
+    },
+    FxRateUpload: {
+        type: "object",
+        required: ["rates"],
+        properties: {
+            rates: {
+                type: "array",
+                description: "Units of each currency for one unit of the reporting currency",
+                items: {
+                    type: "object",
+                    required: ["currency", "rate"],
+                    properties: {
+                        currency: { type: "string", example: "EUR" },
+                        rate: { type: "number", example: 0.92 },
+                    },
+                },
+            },
+            effectiveAt: { type: "string", format: "date-time", description: "Defaults to now" },
+        },
+    },
+    WalletCreditInput: {
+        type: "object",
+        required: ["userId", "amount"],
+        properties: {
+            userId: { type: "string" },
+            amount: { type: "number", minimum: 0.01 },
+            currency: { type: "string", default: "USD" },
+            description: { type: "string", example: "Goodwill credit for the outage" },
+        },
+    },
+    PaymentReviewDecision: {
+        type: "object",
+        properties: {
+            note: { type: "string", example: "Confirmed with the student by email" },
+        },
+    },
+    PayoutRequest: {
+        type: "object",
+        required: ["amount"],
+        properties: {
+            amount: { type: "number", minimum: 0.01, example: 250 },
+            currency: { type: "string", description: "Currency of the educator's balance", example: "USD" },
+            note: { type: "string", example: "Monthly payout" },
+        },
+    },
+    PayoutScheduleInput: {
+        type: "object",
+        required: ["interval"],
+        properties: {
+            interval: { type: "string", enum: ["WEEKLY", "MONTHLY"] },
+            anchorDay: { type: "integer", description: "Day of the week (0 = Sunday) or of the month (1-28) of each payout", default: 1 },
+            holdDays: { type: "integer", description: "Days each sale's earnings are held; defaults to PAYOUT_HOLD_DAYS", example: 14 },
+            reservePercentage: { type: "number", minimum: 0, maximum: 100, description: "Part of each sale's earnings held for longer", example: 10 },
+            reserveDays: { type: "integer", description: "Days the reserve is held", example: 90 },
         },
     },
     InvoiceInput: {
@@ -50,6 +334,14 @@ const swagger_schemas = {
             discount: { type: "number" },
             tax: { type: "number" },
             total: { type: "number" },
+            taxRate: { type: "number", description: "Percentage applied" },
+            taxType: { type: "string", example: "VAT" },
+            taxCountry: { type: "string" },
+            taxRegion: { type: "string" },
+            customerTaxId: { type: "string" },
+            reverseCharge: { type: "boolean" },
+            taxRulesVersion: { type: "string" },
+            walletAmount: { type: "number", description: "Part of the total paid from store credit" },
             status: { type: "string" },
             paidAt: { type: "string", format: "date-time" },
             billingInfo: { type: "object" },
@@ -0,0 +1,135 @@
+jest.mock('../config/db', () => ({
+  affiliate: { findUnique: jest.fn() },
+  referralClick: { findUnique: jest.fn() }
+}));
+
+const prisma = require('../config/db');
+const {
+  readReferralCookie,
+  resolveReferral,
+  splitAffiliateCommission
+} = require('../services/affiliateService');
+const { calculateRefundAmounts } = require('../utils/paymentCalculator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-15T12:00:00Z');
+const affiliate = {
+  id: 'aff_1',
+  userId: 'partner_1',
+  code: 'JANE',
+  commissionPercentage: 10,
+  cookieWindowDays: 30,
+  status: 'ACTIVE'
+};
+
+describe('resolveReferral', () => {
+  test('attributes a referral code given at checkout', async () => {
+    prisma.affiliate.findUnique.mockResolvedValue(affiliate);
+    const referral = await resolveReferral({ referralCode: ' jane ' }, 'std_1', now);
+
+    expect(prisma.affiliate.findUnique).toHaveBeenCalledWith({ where: { code: 'JANE' } });
+    expect(referral).toEqual({ affiliate, clickId: null });
+  });
+
+  test('attributes a link click only within the cookie window', async () => {
+    prisma.referralClick.findUnique.mockResolvedValue({
+      id: 'click_1',
+      createdAt: new Date(now.getTime() - 29 * DAY_MS),
+      affiliate
+    });
+    expect(await resolveReferral({ clickId: 'click_1' }, 'std_1', now)).toEqual({
+      affiliate,
+      clickId: 'click_1'
+    });
+
+    prisma.referralClick.findUnique.mockResolvedValue({
+      id: 'click_1',
+      createdAt: new Date(now.getTime() - 31 * DAY_MS),
+      affiliate
+    });
+    expect(await resolveReferral({ clickId: 'click_1' }, 'std_1', now)).toBeNull();
+  });
+
+  test('ignores suspended affiliates and their own purchases', async () => {
+    prisma.affiliate.findUnique.mockResolvedValue({ ...affiliate, status: 'SUSPENDED' });
+    expect(await resolveReferral({ referralCode: 'JANE' }, 'std_1', now)).toBeNull();
+
+    prisma.affiliate.findUnique.mockResolvedValue(affiliate);
+    expect(await resolveReferral({ referralCode: 'JANE' }, 'partner_1', now)).toBeNull();
+  });
+});
+
+describe('splitAffiliateCommission', () => {
+  test('takes the share out of the platform commission', () => {
+    expect(splitAffiliateCommission(100, 19.36, { affiliate }, 'USD')).toEqual({
+      platformCommission: 9.36,
+      affiliateCommission: 10
+    });
+    expect(splitAffiliateCommission(100, 19.36, null, 'USD')).toEqual({
+      platformCommission: 19.36,
+      affiliateCommission: 0
+    });
+  });
+
+  test('never pays more than the platform commission', () => {
+    const generous = { affiliate: { ...affiliate, commissionPercentage: 50 } };
+    expect(splitAffiliateCommission(100, 19.36, generous, 'USD')).toEqual({
+      platformCommission: 0,
+      affiliateCommission: 19.36
+    });
+  });
+});
+
+describe('refunds of referred sales', () => {
+  const payment = {
+    amount: 100,
+    currency: 'USD',
+    platformCommission: 9.36,
+    educatorEarnings: 77.44,
+    affiliateCommission: 10
+  };
+
+  test('claw back the affiliate share pro rata', () => {
+    expect(calculateRefundAmounts(payment, 25).refundedAffiliateCommission).toEqual(2.5);
+    expect(calculateRefundAmounts(payment).refundedAffiliateCommission).toEqual(10);
+    expect(
+      calculateRefundAmounts({ ...payment, affiliateCommission: 0 }, 25)
+        .refundedAffiliateCommission
+    ).toEqual(0);
+  });
+
+  test('give back exactly the affiliate share over several partial refunds', () => {
+    const first = calculateRefundAmounts({ ...payment, taxAmount: 8.25 }, 33.33);
+    expect(first).toMatchObject({
+      refundAmount: 33.33,
+      refundedTax: 2.75,
+      refundedAffiliateCommission: 3.33,
+      final: false
+    });
+
+    // The last refund takes what the earlier ones left
+    const last = calculateRefundAmounts({ ...payment, taxAmount: 8.25 }, undefined, {
+      amount: 66.66,
+      taxAmount: 5.5,
+      platformCommission: 6.24,
+      educatorEarnings: 51.62,
+      affiliateCommission: 6.66
+    });
+    expect(last).toMatchObject({
+      refundAmount: 33.34,
+      refundedTax: 2.75,
+      refundedCommission: 3.12,
+      refundedEarnings: 25.82,
+      refundedAffiliateCommission: 3.34,
+      final: true
+    });
+  });
+});
+
+describe('readReferralCookie', () => {
+  test('finds the click among other cookies', () => {
+    expect(readReferralCookie('theme=dark; referral_click=click_1; lang=en')).toBe('click_1');
+    expect(readReferralCookie('theme=dark')).toBeNull();
+    expect(readReferralCookie(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,268 @@
+process.env.PAYMENT_GATEWAY = 'fake';
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../config/db', () => {
+  // Orders and transactions are kept so a pending cart can be completed
+  const orders = new Map();
+  const transactions = [];
+  const matches = (row, where) =>
+    Object.entries(where).every(([field, value]) =>
+      value && typeof value === 'object' && 'in' in value
+        ? value.in.includes(row[field])
+        : row[field] === value
+    );
+
+  const db = {
+    orders,
+    transactions,
+    order: {
+      create: jest.fn(async ({ data }) => {
+        orders.set(data.id, { ...data });
+        return { ...data };
+      }),
+      findUnique: jest.fn(async ({ where }) => ({ ...orders.get(where.id) })),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const order = orders.get(where.id);
+        if (!order || order.status !== where.status) return { count: 0 };
+        Object.assign(order, data);
+        return { count: 1 };
+      })
+    },
+    transaction: {
+      create: jest.fn(async ({ data }) => {
+        const record = { id: `txn_${transactions.length + 1}`, ...data };
+        transactions.push(record);
+        return { ...record };
+      }),
+      createMany: jest.fn(async ({ data }) => {
+        data.forEach((row) => transactions.push({ id: `txn_${transactions.length + 1}`, ...row }));
+        return { count: data.length };
+      }),
+      findFirst: jest.fn(async ({ where }) => {
+        const row = transactions.find((t) => matches(t, where));
+        return row ? { ...row } : null;
+      }),
+      findMany: jest.fn(async ({ where }) =>
+        where.orderId ? transactions.filter((t) => matches(t, where)).map((t) => ({ ...t })) : []
+      ),
+      findUnique: jest.fn(async ({ where }) => {
+        const row = transactions.find((t) => t.id === where.id);
+        return row ? { ...row } : null;
+      }),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const rows = transactions.filter((t) => matches(t, where));
+        rows.forEach((row) => Object.assign(row, data));
+        return { count: rows.length };
+      }),
+      count: jest.fn().mockResolvedValue(0),
+      aggregate: jest.fn().mockResolvedValue({ _sum: {}, _avg: {}, _count: { _all: 0 } })
+    },
+    auditLog: { count: jest.fn().mockResolvedValue(0) },
+    commissionRule: { findMany: jest.fn().mockResolvedValue([]) },
+    outboxEvent: {
+      createMany: jest.fn(),
+      findMany: jest.fn().mockResolvedValue([])
+    },
+    revenueShare: { findMany: jest.fn().mockResolvedValue([]) },
+    payoutSchedule: { findMany: jest.fn().mockResolvedValue([]) },
+    earningHold: { findMany: jest.fn().mockResolvedValue([]) },
+    educatorEarning: {
+      createMany: jest.fn(),
+      findMany: jest.fn(async ({ where }) =>
+        transactions
+          .filter((t) => (where.transactionId.in || [where.transactionId]).includes(t.id))
+          .map((t) => ({
+            id: `earning_${t.id}`,
+            transactionId: t.id,
+            educatorId: t.educatorId,
+            courseId: t.courseId,
+            amount: t.educatorEarnings,
+            currency: t.currency,
+            stripeTransferId: null
+          }))
+      ),
+      aggregate: jest.fn().mockResolvedValue({ _sum: { amount: 0 } }),
+      update: jest.fn()
+    },
+    stripeAccount: {
+      findMany: jest.fn().mockResolvedValue([
+        { educatorId: 'edu_1', stripeAccountId: 'acct_edu_1' },
+        { educatorId: 'edu_2', stripeAccountId: 'acct_edu_2' }
+      ])
+    },
+    couponRedemption: { create: jest.fn() },
+    coupon: { findUnique: jest.fn(), update: jest.fn() },
+    invoice: { create: jest.fn(async ({ data }) => ({ id: 'inv_1', ...data })) },
+    journalEntry: {
+      findUnique: jest.fn().mockResolvedValue(null),
+      create: jest.fn()
+    }
+  };
+  db.$transaction = jest.fn((fn) => fn(db));
+  return db;
+});
+
+jest.mock('../services/coursePriceService', () => ({
+  resolveCoursePrice: jest.fn(async (courseId) => ({
+    courseId,
+    educatorId: courseId === 'course_1' ? 'edu_1' : 'edu_2',
+    amount: 50,
+    currency: 'USD',
+    title: `Course ${courseId}`
+  })),
+  assertPreorderOpen: jest.fn()
+}));
+
+jest.mock('../services/giftService', () => ({
+  getRedeemedCourseIds: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../services/fxRateService', () => ({
+  getConversionToBase: jest.fn().mockResolvedValue(null),
+  baseAmountFields: () => ({})
+}));
+
+jest.mock('../services/statisticsService', () => ({
+  invalidateTransactionCaches: jest.fn()
+}));
+
+const fake = require('../services/paymentGateways/fakeGateway');
+const prisma = require('../config/db');
+const paymentService = require('../services/paymentService');
+const { calculatePlatformCommission } = require('../services/commissionService');
+
+const user = { id: 'user_1', email: 'student@example.com' };
+const checkout = (source) =>
+  paymentService.processCartPayment(
+    { courseIds: ['course_1', 'course_2'], source },
+    user
+  );
+
+// Payloads queued to the outbox, by action
+const queuedActions = () =>
+  prisma.outboxEvent.createMany.mock.calls.flatMap(([{ data }]) =>
+    data.map((event) => event.payload.action || event.payload.Action)
+  );
+
+beforeEach(() => {
+  fake.reset();
+  jest.clearAllMocks();
+  prisma.orders.clear();
+  prisma.transactions.length = 0;
+});
+
+describe('processCartPayment', () => {
+  test('enrolls, invoices and pays every educator once the charge succeeds', async () => {
+    const result = await checkout('pm_card_visa');
+
+    expect(result).toMatchObject({ order: { status: 'COMPLETED' }, invoiceId: 'inv_1' });
+    // Every course of the cart keeps the order's payment intent
+    expect(prisma.transactions.map((t) => [t.stripeChargeId, t.status])).toEqual([
+      ['pi_fake_000001', 'COMPLETED'],
+      ['pi_fake_000001', 'COMPLETED']
+    ]);
+    expect(queuedActions().filter((action) => action === 'ENROLL_USER')).toHaveLength(4);
+    expect((await fake.retrieveBalance('acct_edu_1')).pending[0].amount).toBeGreaterThan(0);
+    expect((await fake.retrieveBalance('acct_edu_2')).pending[0].amount).toBeGreaterThan(0);
+  });
+
+  test('does not enroll anyone while the charge requires 3-D Secure', async () => {
+    const result = await checkout('pm_card_authenticationRequired');
+
+    expect(result).toMatchObject({
+      order: { status: 'PENDING' },
+      status: 'PENDING',
+      requiresAction: true,
+      clientSecret: 'pi_fake_000001_secret_fake'
+    });
+    expect(result.invoiceId).toBeUndefined();
+    expect(prisma.transactions.every((t) => t.status === 'PENDING')).toBe(true);
+    expect(prisma.invoice.create).not.toHaveBeenCalled();
+    expect(queuedActions()).toEqual([]);
+    expect((await fake.retrieveBalance('acct_edu_1')).pending[0].amount).toBe(0);
+  });
+
+  test('completes the whole order once the customer authenticates', async () => {
+    const result = await checkout('pm_card_authenticationRequired');
+    await fake.authenticatePayment('pi_fake_000001');
+
+    await expect(paymentService.confirmPayment(result.transactionId, user)).resolves.toMatchObject({
+      status: 'COMPLETED'
+    });
+    expect(prisma.orders.get(result.order.id).status).toBe('COMPLETED');
+    expect(prisma.transactions.every((t) => t.status === 'COMPLETED')).toBe(true);
+    expect(prisma.invoice.create).toHaveBeenCalledTimes(1);
+    expect(queuedActions().filter((action) => action === 'ENROLL_USER')).toHaveLength(4);
+
+    // The webhook arriving afterwards changes nothing
+    await expect(paymentService.completePendingPayment('pi_fake_000001')).resolves.toBeNull();
+    expect(prisma.invoice.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('takes the coupon off before commission and records the redemption', async () => {
+    prisma.coupon.findUnique.mockResolvedValueOnce({
+      id: 'coupon_1',
+      code: 'SPRING',
+      discountType: 'PERCENTAGE',
+      discountValue: 20,
+      currency: null,
+      validFrom: null,
+      validUntil: null,
+      maxRedemptions: null,
+      perUserLimit: null,
+      courseIds: ['course_2'],
+      educatorIds: [],
+      active: true
+    });
+    prisma.coupon.update.mockResolvedValueOnce({ maxRedemptions: null, redemptionCount: 1 });
+
+    await paymentService.processCartPayment(
+      { courseIds: ['course_1', 'course_2'], source: 'pm_card_visa', couponCode: 'spring' },
+      user
+    );
+
+    const discounted = prisma.transactions.find((t) => t.courseId === 'course_2');
+    const { platformCommission } = await calculatePlatformCommission(40, {
+      courseId: 'course_2',
+      educatorId: 'edu_2',
+      currency: 'USD'
+    });
+    expect(discounted).toMatchObject({ amount: 40, platformCommission });
+    expect(prisma.transactions.find((t) => t.courseId === 'course_1').amount).toEqual(50);
+    expect(prisma.invoice.create.mock.calls[0][0].data).toMatchObject({ discount: 10, total: 90 });
+    expect(prisma.couponRedemption.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        couponId: 'coupon_1',
+        courseId: 'course_2',
+        transactionId: discounted.id,
+        discountAmount: 10
+      })
+    });
+  });
+
+  test('declines a cart whose card is declined', async () => {
+    await expect(checkout('pm_card_chargeDeclined')).rejects.toMatchObject({
+      statusCode: 402
+    });
+    expect(prisma.order.create).not.toHaveBeenCalled();
+
+    // A failed payment is recorded per course, after the error is returned,
+    // so repeated declines count towards the fraud rules
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(prisma.transactions.map((t) => [t.courseId, t.status, t.type, t.userId])).toEqual([
+      ['course_1', 'FAILED', 'PAYMENT', 'user_1'],
+      ['course_2', 'FAILED', 'PAYMENT', 'user_1']
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+jest.mock('../config/db', () => ({
+  commissionRule: { findMany: jest.fn() }
+}));
+
+const prisma = require('../config/db');
+const config = require('../config');
+const {
+  findCommissionRule,
+  calculatePlatformCommission
+} = require('../services/commissionService');
+
+const now = new Date('2026-06-15T12:00:00Z');
+const sale = {
+  amount: 100,
+  currency: 'USD',
+  courseId: 'course_1',
+  educatorId: 'edu_1',
+  category: 'design'
+};
+
+const rule = (fields) => ({
+  priority: 0,
+  fixedFee: 0,
+  currency: null,
+  minAmount: null,
+  validFrom: null,
+  validUntil: null,
+  createdAt: new Date('2026-01-01'),
+  ...fields
+});
+
+const withRules = (rules) => prisma.commissionRule.findMany.mockResolvedValue(rules);
+
+describe('findCommissionRule', () => {
+  test('prefers higher priority, then the more specific scope', async () => {
+    withRules([
+      rule({ id: 'global', scope: 'GLOBAL', percentage: 20 }),
+      rule({ id: 'category', scope: 'CATEGORY', percentage: 18 }),
+      rule({ id: 'course', scope: 'COURSE', percentage: 10 })
+    ]);
+    expect((await findCommissionRule(sale, now)).id).toBe('course');
+
+    withRules([
+      rule({ id: 'educator', scope: 'EDUCATOR', percentage: 15 }),
+      rule({ id: 'promo', scope: 'GLOBAL', percentage: 5, priority: 10 })
+    ]);
+    expect((await findCommissionRule(sale, now)).id).toBe('promo');
+  });
+
+  test('skips rules outside their window or in another currency', async () => {
+    withRules([
+      rule({ id: 'global', scope: 'GLOBAL', percentage: 20 }),
+      rule({
+        id: 'expired',
+        scope: 'GLOBAL',
+        percentage: 5,
+        priority: 10,
+        validUntil: new Date('2026-06-01')
+      }),
+      rule({ id: 'eur', scope: 'COURSE', percentage: 10, currency: 'EUR' })
+    ]);
+    expect((await findCommissionRule(sale, now)).id).toBe('global');
+  });
+
+  test('applies the largest volume tier the sale reaches', async () => {
+    withRules([
+      rule({ id: 'standard', scope: 'GLOBAL', percentage: 20 }),
+      rule({ id: 'tier_200', scope: 'GLOBAL', percentage: 18, minAmount: 200 }),
+      rule({ id: 'tier_500', scope: 'GLOBAL', percentage: 15, minAmount: 500 })
+    ]);
+    expect((await findCommissionRule({ ...sale, amount: 100 }, now)).id).toBe('standard');
+    expect((await findCommissionRule({ ...sale, amount: 300 }, now)).id).toBe('tier_200');
+    expect((await findCommissionRule({ ...sale, amount: 800 }, now)).id).toBe('tier_500');
+  });
+});
+
+describe('calculatePlatformCommission', () => {
+  test('falls back to the default percentage when no rule matches', async () => {
+    withRules([]);
+    const result = await calculatePlatformCommission(100, sale, now);
+    const expected = ((100 - (0.3 + 2.9)) * config.stripe.platformCommissionPercentage) / 100;
+
+    expect(result.commissionRuleId).toBeNull();
+    expect(result.platformCommission.toNumber()).toBeCloseTo(expected, 2);
+  });
+
+  test('adds the fixed fee and records the rule', async () => {
+    withRules([
+      rule({ id: 'course', scope: 'COURSE', percentage: 10, fixedFee: 2, currency: 'USD' })
+    ]);
+    const result = await calculatePlatformCommission(100, sale, now);
+
+    expect(result).toEqual({
+      platformCommission: 11.68,
+      educatorEarnings: 85.12,
+      commissionRuleId: 'course'
+    });
+  });
+
+  test('lets a rule waive commission', async () => {
+    withRules([rule({ id: 'free', scope: 'EDUCATOR', percentage: 0 })]);
+    const result = await calculatePlatformCommission(100, sale, now);
+
+    expect(result.platformCommission).toEqual(0);
+    expect(result.commissionRuleId).toBe('free');
+  });
+});
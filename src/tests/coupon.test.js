@@ -0,0 +1,189 @@
+jest.mock('../config/db', () => ({
+  coupon: {
+    create: jest.fn(async ({ data }) => ({ id: 'coupon_1', ...data })),
+    findUnique: jest.fn(),
+    update: jest.fn()
+  },
+  couponRedemption: {
+    count: jest.fn(),
+    create: jest.fn(async ({ data }) => ({ id: 'redemption_1', ...data }))
+  }
+}));
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+const prisma = require('../config/db');
+const { logger } = require('../utils/logger');
+const {
+  createCoupon,
+  validateCoupon,
+  validateCartCoupon,
+  redeemCoupon
+} = require('../services/couponService');
+
+const coupon = (fields) => ({
+  id: 'coupon_1',
+  code: 'SPRING',
+  discountType: 'PERCENTAGE',
+  discountValue: 20,
+  currency: null,
+  validFrom: null,
+  validUntil: null,
+  maxRedemptions: null,
+  perUserLimit: null,
+  redemptionCount: 0,
+  courseIds: [],
+  educatorIds: [],
+  active: true,
+  ...fields
+});
+const withCoupon = (fields) => prisma.coupon.findUnique.mockResolvedValue(coupon(fields));
+
+const purchase = {
+  userId: 'user_1',
+  courseId: 'course_1',
+  educatorId: 'edu_1',
+  amount: 49.99,
+  currency: 'USD'
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.couponRedemption.count.mockResolvedValue(0);
+});
+
+describe('createCoupon', () => {
+  test('stores the code upper case so it is matched case-insensitively', async () => {
+    await createCoupon({ code: ' spring ', discountType: 'FIXED', discountValue: 5, currency: 'usd' }, {
+      id: 'admin_1'
+    });
+
+    expect(prisma.coupon.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ code: 'SPRING', currency: 'USD', createdBy: 'admin_1' })
+    });
+  });
+});
+
+describe('validateCoupon', () => {
+  test('takes a percentage off, rounded to the cent', async () => {
+    withCoupon({});
+
+    const result = await validateCoupon('spring', purchase);
+
+    expect(prisma.coupon.findUnique).toHaveBeenCalledWith({ where: { code: 'SPRING' } });
+    expect(result).toMatchObject({ discountAmount: 10, finalAmount: 39.99 });
+  });
+
+  test('never takes a fixed discount below zero', async () => {
+    withCoupon({ discountType: 'FIXED', discountValue: 60, currency: 'USD' });
+
+    await expect(validateCoupon('SPRING', purchase)).resolves.toMatchObject({
+      discountAmount: 49.99,
+      finalAmount: 0
+    });
+  });
+
+  test.each([
+    ['an unknown code', null, /not valid/],
+    ['an inactive coupon', coupon({ active: false }), /not valid/],
+    ['a coupon not active yet', coupon({ validFrom: new Date(Date.now() + DAY_MS) }), /not active yet/],
+    ['an expired coupon', coupon({ validUntil: new Date(Date.now() - DAY_MS) }), /expired/],
+    ['a used up coupon', coupon({ maxRedemptions: 3, redemptionCount: 3 }), /usage limit/],
+    ['a fixed discount in another currency', coupon({ discountType: 'FIXED', discountValue: 5, currency: 'EUR' }), /EUR/],
+    ['another course', coupon({ courseIds: ['course_2'] }), /this course/],
+    ["another educator's course", coupon({ educatorIds: ['edu_2'] }), /educator/]
+  ])('refuses %s', async (_, found, message) => {
+    prisma.coupon.findUnique.mockResolvedValue(found);
+
+    await expect(validateCoupon('SPRING', purchase)).rejects.toMatchObject({
+      name: 'coupon_invalid_err',
+      message: expect.stringMatching(message)
+    });
+  });
+
+  test('refuses a student who has used the coupon as often as allowed', async () => {
+    withCoupon({ perUserLimit: 1 });
+    prisma.couponRedemption.count.mockResolvedValue(1);
+
+    await expect(validateCoupon('SPRING', purchase)).rejects.toThrow(/already used/);
+    expect(prisma.couponRedemption.count).toHaveBeenCalledWith({
+      where: { couponId: 'coupon_1', userId: 'user_1' }
+    });
+  });
+});
+
+describe('validateCartCoupon', () => {
+  const cart = {
+    userId: 'user_1',
+    currency: 'USD',
+    items: [
+      { courseId: 'course_1', educatorId: 'edu_1', amount: 49.99 },
+      { courseId: 'course_2', educatorId: 'edu_2', amount: 149.99 },
+      { courseId: 'course_3', educatorId: 'edu_1', amount: 99.99 }
+    ]
+  };
+
+  test('discounts the most expensive course the coupon applies to', async () => {
+    withCoupon({ educatorIds: ['edu_1'] });
+
+    await expect(validateCartCoupon('SPRING', cart)).resolves.toMatchObject({
+      courseId: 'course_3',
+      discountAmount: 20,
+      finalAmount: 79.99
+    });
+  });
+
+  test('refuses a cart without a course the coupon applies to', async () => {
+    withCoupon({ courseIds: ['course_9'] });
+
+    await expect(validateCartCoupon('SPRING', cart)).rejects.toThrow(/any course in the cart/);
+  });
+});
+
+describe('redeemCoupon', () => {
+  const redemption = {
+    coupon: { id: 'coupon_1', code: 'SPRING' },
+    userId: 'user_1',
+    courseId: 'course_1',
+    transactionId: 'txn_1',
+    discountAmount: 10
+  };
+
+  test('records the redemption and counts it against the coupon', async () => {
+    prisma.coupon.update.mockResolvedValue(coupon({ redemptionCount: 1 }));
+
+    await redeemCoupon(prisma, redemption);
+
+    expect(prisma.couponRedemption.create).toHaveBeenCalledWith({
+      data: {
+        couponId: 'coupon_1',
+        transactionId: 'txn_1',
+        userId: 'user_1',
+        courseId: 'course_1',
+        discountAmount: 10
+      }
+    });
+    expect(prisma.coupon.update).toHaveBeenCalledWith({
+      where: { id: 'coupon_1' },
+      data: { redemptionCount: { increment: 1 } }
+    });
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  test('logs a redemption past the limit instead of undoing a paid checkout', async () => {
+    prisma.coupon.update.mockResolvedValue(coupon({ maxRedemptions: 3, redemptionCount: 4 }));
+
+    await expect(redeemCoupon(prisma, redemption)).resolves.toMatchObject({ id: 'redemption_1' });
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/redeemed 4 times/));
+  });
+});
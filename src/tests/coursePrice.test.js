@@ -0,0 +1,152 @@
+jest.mock('../config/db', () => ({
+  coursePrice: {
+    findUnique: jest.fn(),
+    update: jest.fn(async ({ data }) => ({ courseId: 'course_9', ...data }))
+  },
+  transaction: { create: jest.fn() }
+}));
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+jest.mock('../services/statisticsService', () => ({
+  invalidateTransactionCaches: jest.fn()
+}));
+jest.mock('../services/fxRateService', () => ({
+  getConversionToBase: jest.fn().mockResolvedValue(null),
+  baseAmountFields: () => ({})
+}));
+
+const prisma = require('../config/db');
+const { auditLogger } = require('../utils/logger');
+const courseCatalog = require('../config/courseCatalog');
+const {
+  resolveCoursePrice,
+  updateCoursePrice,
+  getPreorderWindowMs,
+  assertPreorderOpen
+} = require('../services/coursePriceService');
+const { processPayment } = require('../services/paymentService');
+
+const admin = { id: 'admin_1' };
+const catalogPrice = {
+  id: 'price_9',
+  courseId: 'course_9',
+  educatorId: 'edu_9',
+  title: 'Typography',
+  category: 'design',
+  amount: 49.99,
+  currency: 'USD',
+  active: true,
+  launchDate: null
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.coursePrice.findUnique.mockResolvedValue(catalogPrice);
+});
+
+describe('resolveCoursePrice', () => {
+  test('returns the price and educator from the catalog', async () => {
+    await expect(resolveCoursePrice('course_9')).resolves.toEqual({
+      courseId: 'course_9',
+      educatorId: 'edu_9',
+      title: 'Typography',
+      category: 'design',
+      amount: 49.99,
+      currency: 'USD',
+      launchDate: null,
+      source: 'catalog'
+    });
+  });
+
+  test('refuses a course taken off sale', async () => {
+    prisma.coursePrice.findUnique.mockResolvedValue({ ...catalogPrice, active: false });
+
+    await expect(resolveCoursePrice('course_9')).rejects.toMatchObject({
+      name: 'course_unavailable_err',
+      statusCode: 400
+    });
+  });
+
+  test('falls back to the stand-in catalog for courses without a price', async () => {
+    prisma.coursePrice.findUnique.mockResolvedValue(null);
+
+    expect(courseCatalog.enabled).toBe(true);
+    await expect(resolveCoursePrice('course_1')).resolves.toMatchObject({
+      educatorId: courseCatalog.courses.course_1.educatorId,
+      amount: courseCatalog.courses.course_1.amount,
+      source: 'fallback'
+    });
+    await expect(resolveCoursePrice('course_unknown')).rejects.toMatchObject({
+      name: 'course_price_not_found_err',
+      statusCode: 404
+    });
+  });
+});
+
+describe('updateCoursePrice', () => {
+  test('changes only the fields given and audits the previous price', async () => {
+    await updateCoursePrice('course_9', { amount: 59.99, currency: 'eur' }, admin);
+
+    expect(prisma.coursePrice.update).toHaveBeenCalledWith({
+      where: { id: 'price_9' },
+      data: { amount: 59.99, currency: 'EUR' }
+    });
+    expect(auditLogger.log).toHaveBeenCalledWith(
+      'COURSE_PRICE_UPDATED',
+      'admin_1',
+      expect.any(String),
+      null,
+      expect.objectContaining({
+        previous: expect.objectContaining({ amount: 49.99, currency: 'USD' })
+      })
+    );
+  });
+});
+
+describe('assertPreorderOpen', () => {
+  const now = new Date('2026-06-15T12:00:00Z');
+  const launchingIn = (ms) => ({
+    courseId: 'course_9',
+    launchDate: new Date(now.getTime() + ms)
+  });
+
+  test('opens pre-orders once the launch is within the authorization window', () => {
+    expect(() => assertPreorderOpen(launchingIn(getPreorderWindowMs() - 1000), now)).not.toThrow();
+    expect(() => assertPreorderOpen(launchingIn(getPreorderWindowMs() + 1000), now)).toThrow(
+      /open on/
+    );
+  });
+
+  test('refuses courses that have launched or have no launch date', () => {
+    expect(() => assertPreorderOpen(launchingIn(-1000), now)).toThrow(/not sold as a pre-order/);
+    expect(() => assertPreorderOpen({ courseId: 'course_9', launchDate: null }, now)).toThrow(
+      /not sold as a pre-order/
+    );
+  });
+});
+
+describe('processPayment', () => {
+  const user = { id: 'user_1', email: 'student@example.com' };
+  const pay = (fields) =>
+    processPayment({ courseId: 'course_9', source: 'pm_card_visa', ...fields }, user);
+
+  test.each([
+    ['an amount', { amount: 0.01 }],
+    ['a currency', { currency: 'EUR' }],
+    ['an educator', { educatorId: 'edu_other' }]
+  ])('rejects %s that differs from the catalog', async (_, fields) => {
+    await expect(pay(fields)).rejects.toMatchObject({
+      name: 'price_mismatch_err',
+      statusCode: 400
+    });
+  });
+});
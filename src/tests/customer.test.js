@@ -0,0 +1,264 @@
+process.env.PAYMENT_GATEWAY = 'fake';
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../config/db', () => {
+  // Customers are kept so every call sees the one created first
+  const customers = new Map();
+
+  const db = {
+    customers,
+    stripeCustomer: {
+      findUnique: jest.fn(async ({ where }) =>
+        customers.has(where.userId) ? { ...customers.get(where.userId) } : null
+      ),
+      upsert: jest.fn(async ({ where, create }) => {
+        if (!customers.has(where.userId)) {
+          customers.set(where.userId, {
+            id: `customer_${customers.size + 1}`,
+            defaultPaymentMethodId: null,
+            ...create
+          });
+        }
+        return { ...customers.get(where.userId) };
+      }),
+      update: jest.fn(async ({ where, data }) => {
+        const customer = [...customers.values()].find((c) => c.id === where.id);
+        return Object.assign(customer, data);
+      })
+    },
+    transaction: {
+      findFirst: jest.fn().mockResolvedValue(null),
+      create: jest.fn(async ({ data }) => ({ id: 'txn_1', ...data })),
+      count: jest.fn().mockResolvedValue(0),
+      aggregate: jest.fn().mockResolvedValue({ _sum: {}, _avg: {}, _count: { _all: 0 } })
+    },
+    giftCode: { findMany: jest.fn().mockResolvedValue([]) },
+    auditLog: { count: jest.fn().mockResolvedValue(0) },
+    commissionRule: { findMany: jest.fn().mockResolvedValue([]) },
+    revenueShare: { findMany: jest.fn().mockResolvedValue([]) },
+    payoutSchedule: { findMany: jest.fn().mockResolvedValue([]) },
+    educatorEarning: {
+      createMany: jest.fn(),
+      findMany: jest.fn().mockResolvedValue([])
+    },
+    stripeAccount: {
+      findMany: jest
+        .fn()
+        .mockResolvedValue([{ educatorId: 'edu_1', stripeAccountId: 'acct_educator' }])
+    },
+    invoice: { create: jest.fn(async ({ data }) => ({ id: 'inv_1', ...data })) }
+  };
+  db.$transaction = jest.fn((fn) => fn(db));
+  return db;
+});
+
+jest.mock('../services/coursePriceService', () => ({
+  resolveCoursePrice: jest.fn().mockResolvedValue({
+    courseId: 'course_1',
+    educatorId: 'edu_1',
+    amount: 100,
+    currency: 'USD',
+    title: 'Course'
+  }),
+  assertPreorderOpen: jest.fn()
+}));
+
+jest.mock('../services/outboxService', () => ({
+  DESTINATIONS: jest.requireActual('../services/outboxService').DESTINATIONS,
+  enrollmentEvents: jest.requireActual('../services/outboxService').enrollmentEvents,
+  enqueueEvents: jest.fn(),
+  dispatchSoon: jest.fn()
+}));
+
+jest.mock('../services/ledgerService', () => ({
+  postPayment: jest.fn()
+}));
+
+jest.mock('../services/fxRateService', () => ({
+  getConversionToBase: jest.fn().mockResolvedValue(null),
+  baseAmountFields: () => ({})
+}));
+
+jest.mock('../services/statisticsService', () => ({
+  invalidateTransactionCaches: jest.fn()
+}));
+
+const fake = require('../services/paymentGateways/fakeGateway');
+const prisma = require('../config/db');
+const {
+  getOrCreateCustomer,
+  listPaymentMethods,
+  createSetupIntent,
+  setDefaultPaymentMethod,
+  removePaymentMethod,
+  paymentMethodFields
+} = require('../services/customerService');
+const { processPayment } = require('../services/paymentService');
+
+const student = { id: 'user_1', name: 'Sam Student', email: 'student@example.com' };
+const other = { id: 'user_2', email: 'other@example.com' };
+
+// Save cards to the student's customer, as a confirmed SetupIntent does
+const saveCards = async (user, ...paymentMethods) => {
+  for (const paymentMethod of paymentMethods) {
+    await getOrCreateCustomer(user, paymentMethod);
+  }
+  return prisma.customers.get(user.id).stripeCustomerId;
+};
+
+beforeEach(() => {
+  fake.reset();
+  jest.clearAllMocks();
+  prisma.customers.clear();
+});
+
+describe('getOrCreateCustomer', () => {
+  test('creates one Stripe customer per student and reuses it', async () => {
+    const createCustomer = jest.spyOn(fake, 'createCustomer');
+
+    const first = await getOrCreateCustomer(student);
+    const second = await getOrCreateCustomer(student);
+
+    expect(second).toBe(first);
+    expect(createCustomer).toHaveBeenCalledTimes(1);
+    expect(createCustomer).toHaveBeenCalledWith(
+      { email: 'student@example.com', name: 'Sam Student', metadata: { userId: 'user_1' } },
+      { idempotencyKey: 'customer_user_1' }
+    );
+    expect(prisma.customers.get('user_1')).toMatchObject({ stripeCustomerId: first });
+    createCustomer.mockRestore();
+  });
+
+  test('attaches the payment method it is given', async () => {
+    const customerId = await saveCards(student, 'pm_card_visa');
+
+    await expect(fake.retrievePaymentMethod('pm_card_visa')).resolves.toMatchObject({
+      customer: customerId
+    });
+  });
+});
+
+describe('saved cards', () => {
+  test('list nothing for a student without a customer', async () => {
+    await expect(listPaymentMethods(student)).resolves.toEqual([]);
+  });
+
+  test('list the default card first, with only what is safe to show', async () => {
+    await saveCards(student, 'pm_card_visa', 'pm_card_mastercard');
+    await setDefaultPaymentMethod(student, 'pm_card_mastercard');
+
+    const cards = await listPaymentMethods(student);
+
+    expect(cards).toEqual([
+      expect.objectContaining({ id: 'pm_card_mastercard', brand: 'mastercard', last4: '4444', isDefault: true }),
+      expect.objectContaining({ id: 'pm_card_visa', brand: 'visa', last4: '4242', isDefault: false })
+    ]);
+    expect(Object.keys(cards[0]).sort()).toEqual(
+      ['brand', 'expMonth', 'expYear', 'id', 'isDefault', 'last4', 'type'].sort()
+    );
+  });
+
+  test('are added through a SetupIntent on the student customer', async () => {
+    const result = await createSetupIntent(student);
+
+    expect(result).toEqual({
+      setupIntentId: expect.stringMatching(/^seti_/),
+      clientSecret: expect.stringMatching(/_secret_/)
+    });
+    expect(prisma.customers.has('user_1')).toBe(true);
+  });
+
+  test('set the default in Stripe and in the mapping table', async () => {
+    const customerId = await saveCards(student, 'pm_card_visa');
+    const updateCustomer = jest.spyOn(fake, 'updateCustomer');
+
+    await expect(setDefaultPaymentMethod(student, 'pm_card_visa')).resolves.toMatchObject({
+      id: 'pm_card_visa',
+      isDefault: true
+    });
+
+    expect(updateCustomer).toHaveBeenCalledWith(customerId, {
+      invoice_settings: { default_payment_method: 'pm_card_visa' }
+    });
+    expect(prisma.customers.get('user_1').defaultPaymentMethodId).toBe('pm_card_visa');
+    updateCustomer.mockRestore();
+  });
+
+  test('are removed, clearing the default when it was that card', async () => {
+    await saveCards(student, 'pm_card_visa');
+    await setDefaultPaymentMethod(student, 'pm_card_visa');
+
+    await removePaymentMethod(student, 'pm_card_visa');
+
+    await expect(listPaymentMethods(student)).resolves.toEqual([]);
+    expect(prisma.customers.get('user_1').defaultPaymentMethodId).toBeNull();
+  });
+
+  test('cannot be used or changed by another student', async () => {
+    await saveCards(student, 'pm_card_visa');
+    await saveCards(other, 'pm_card_amex');
+
+    await expect(setDefaultPaymentMethod(other, 'pm_card_visa')).rejects.toMatchObject({
+      name: 'payment_method_not_found_err',
+      statusCode: 404
+    });
+    await expect(removePaymentMethod(other, 'pm_card_visa')).rejects.toMatchObject({
+      name: 'payment_method_not_found_err'
+    });
+    await expect(
+      processPayment({ courseId: 'course_1', paymentMethodId: 'pm_card_visa' }, other)
+    ).rejects.toMatchObject({ name: 'payment_method_not_found_err' });
+  });
+});
+
+describe('one-click checkout', () => {
+  test('charges the saved card on the student customer and records its brand and last4', async () => {
+    const customerId = await saveCards(student, 'pm_card_mastercard');
+    const createPayment = jest.spyOn(fake, 'createPayment');
+
+    await expect(
+      processPayment({ courseId: 'course_1', paymentMethodId: 'pm_card_mastercard' }, student)
+    ).resolves.toMatchObject({ status: 'COMPLETED' });
+
+    expect(createPayment.mock.calls[0][0]).toMatchObject({
+      payment_method: 'pm_card_mastercard',
+      customer: customerId
+    });
+    expect(prisma.transaction.create.mock.calls[0][0].data.metadata).toMatchObject({
+      paymentMethod: 'card',
+      cardBrand: 'mastercard',
+      cardLast4: '4444'
+    });
+    createPayment.mockRestore();
+  });
+});
+
+describe('paymentMethodFields', () => {
+  test('reads the card from an expanded payment method or from a charge', () => {
+    expect(
+      paymentMethodFields({ payment_method: { type: 'card', card: { brand: 'visa', last4: '4242' } } })
+    ).toEqual({ paymentMethod: 'card', cardBrand: 'visa', cardLast4: '4242' });
+    expect(
+      paymentMethodFields({
+        payment_method: 'pm_1',
+        payment_method_details: { type: 'card', card: { brand: 'amex', last4: '8431' } }
+      })
+    ).toEqual({ paymentMethod: 'card', cardBrand: 'amex', cardLast4: '8431' });
+    expect(paymentMethodFields({ payment_method: 'pm_1' })).toEqual({
+      paymentMethod: 'card',
+      cardBrand: null,
+      cardLast4: null
+    });
+  });
+});
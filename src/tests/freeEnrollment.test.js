@@ -0,0 +1,192 @@
+process.env.PAYMENT_GATEWAY = 'fake';
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../config/db', () => {
+  const db = {
+    transaction: {
+      findFirst: jest.fn().mockResolvedValue(null),
+      create: jest.fn(async ({ data }) => ({ id: 'txn_1', ...data })),
+      count: jest.fn().mockResolvedValue(0),
+      aggregate: jest.fn().mockResolvedValue({ _sum: {}, _avg: {}, _count: { _all: 0 } })
+    },
+    coupon: {
+      findUnique: jest.fn(),
+      update: jest.fn(async ({ where }) => ({ id: where.id, redemptionCount: 1 }))
+    },
+    couponRedemption: {
+      count: jest.fn().mockResolvedValue(0),
+      create: jest.fn()
+    },
+    giftCode: { findMany: jest.fn().mockResolvedValue([]) },
+    auditLog: { count: jest.fn().mockResolvedValue(0) },
+    commissionRule: { findMany: jest.fn().mockResolvedValue([]) },
+    revenueShare: { findMany: jest.fn().mockResolvedValue([]) },
+    payoutSchedule: { findMany: jest.fn().mockResolvedValue([]) },
+    educatorEarning: {
+      createMany: jest.fn(),
+      // Earnings of zero are not reported to the educator
+      findMany: jest.fn().mockResolvedValue([])
+    },
+    stripeAccount: {
+      findMany: jest
+        .fn()
+        .mockResolvedValue([{ educatorId: 'edu_1', stripeAccountId: 'acct_educator' }])
+    },
+    invoice: { create: jest.fn(async ({ data }) => ({ id: 'inv_1', ...data })) }
+  };
+  db.$transaction = jest.fn((fn) => fn(db));
+  return db;
+});
+
+jest.mock('../services/coursePriceService', () => ({
+  resolveCoursePrice: jest.fn(),
+  assertPreorderOpen: jest.fn()
+}));
+
+jest.mock('../services/outboxService', () => ({
+  DESTINATIONS: jest.requireActual('../services/outboxService').DESTINATIONS,
+  enrollmentEvents: jest.requireActual('../services/outboxService').enrollmentEvents,
+  enqueueEvents: jest.fn(),
+  dispatchSoon: jest.fn()
+}));
+
+jest.mock('../services/ledgerService', () => ({
+  postPayment: jest.fn()
+}));
+
+jest.mock('../services/fxRateService', () => ({
+  getConversionToBase: jest.fn().mockResolvedValue(null),
+  baseAmountFields: () => ({})
+}));
+
+jest.mock('../services/statisticsService', () => ({
+  invalidateTransactionCaches: jest.fn()
+}));
+
+const fake = require('../services/paymentGateways/fakeGateway');
+const prisma = require('../config/db');
+const outboxService = require('../services/outboxService');
+const { resolveCoursePrice } = require('../services/coursePriceService');
+const { processPayment } = require('../services/paymentService');
+
+const student = { id: 'user_1', email: 'student@example.com' };
+
+const coursePricedAt = (amount) =>
+  resolveCoursePrice.mockResolvedValue({
+    courseId: 'course_1',
+    educatorId: 'edu_1',
+    amount,
+    currency: 'USD',
+    title: 'Course'
+  });
+
+// Actions queued to the outbox, in order
+const queuedActions = () =>
+  outboxService.enqueueEvents.mock.calls.flatMap(([, events]) =>
+    events.map((event) => event.payload.action || event.payload.Action)
+  );
+
+let createPayment;
+
+beforeEach(() => {
+  fake.reset();
+  jest.clearAllMocks();
+  createPayment = jest.spyOn(fake, 'createPayment');
+});
+
+afterEach(() => {
+  createPayment.mockRestore();
+});
+
+describe('free enrollments', () => {
+  test('enroll in a free course without a payment source or Stripe', async () => {
+    coursePricedAt(0);
+
+    const result = await processPayment({ courseId: 'course_1' }, student);
+
+    expect(result).toMatchObject({ success: true, status: 'COMPLETED', invoiceId: 'inv_1' });
+    expect(createPayment).not.toHaveBeenCalled();
+    expect(prisma.transaction.create.mock.calls[0][0].data).toMatchObject({
+      stripeChargeId: null,
+      amount: 0,
+      status: 'COMPLETED',
+      platformCommission: 0,
+      educatorEarnings: 0,
+      metadata: { paymentMethod: 'free' }
+    });
+    expect(prisma.invoice.create.mock.calls[0][0].data).toMatchObject({ total: 0, status: 'PAID' });
+    expect(queuedActions()).toEqual(['ENROLL_USER', 'ENROLL_USER', 'ADD']);
+  });
+
+  test('enroll with a coupon that takes the whole price off', async () => {
+    coursePricedAt(49.99);
+    prisma.coupon.findUnique.mockResolvedValue({
+      id: 'coupon_1',
+      code: 'FREE',
+      discountType: 'PERCENTAGE',
+      discountValue: 100,
+      redemptionCount: 0,
+      courseIds: [],
+      educatorIds: [],
+      active: true
+    });
+
+    const result = await processPayment({ courseId: 'course_1', couponCode: 'free' }, student);
+
+    expect(result).toMatchObject({ success: true, status: 'COMPLETED' });
+    expect(createPayment).not.toHaveBeenCalled();
+    expect(prisma.transaction.create.mock.calls[0][0].data).toMatchObject({
+      amount: 0,
+      platformCommission: 0,
+      educatorEarnings: 0,
+      metadata: { paymentMethod: 'free', couponCode: 'FREE', listPrice: 49.99, discount: 49.99 }
+    });
+    expect(prisma.invoice.create.mock.calls[0][0].data).toMatchObject({
+      subtotal: 49.99,
+      discount: 49.99,
+      total: 0
+    });
+    expect(prisma.couponRedemption.create).toHaveBeenCalled();
+    expect(queuedActions()).toEqual(['ENROLL_USER', 'ENROLL_USER', 'ADD']);
+  });
+
+  test('do not need the educator to have a Stripe account', async () => {
+    coursePricedAt(0);
+    prisma.stripeAccount.findMany.mockResolvedValueOnce([]);
+
+    await expect(processPayment({ courseId: 'course_1' }, student)).resolves.toMatchObject({
+      status: 'COMPLETED'
+    });
+  });
+
+  test('still refuse a student who is already enrolled', async () => {
+    coursePricedAt(0);
+    prisma.transaction.findFirst.mockResolvedValueOnce({ id: 'txn_earlier' });
+
+    await expect(processPayment({ courseId: 'course_1' }, student)).rejects.toMatchObject({
+      name: 'already_enrolled_err'
+    });
+    expect(prisma.transaction.create).not.toHaveBeenCalled();
+  });
+
+  test('are not a way around paying for a paid course', async () => {
+    coursePricedAt(49.99);
+
+    await expect(processPayment({ courseId: 'course_1' }, student)).rejects.toMatchObject({
+      name: 'payment_source_err',
+      statusCode: 400
+    });
+    expect(prisma.transaction.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,226 @@
+jest.mock('../config/db', () => {
+  const db = {
+    exchangeRate: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      upsert: jest.fn((args) => args)
+    }
+  };
+  db.$transaction = jest.fn(async (operations) => operations);
+  return db;
+});
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+const prisma = require('../config/db');
+const config = require('../config');
+const { logger, auditLogger } = require('../utils/logger');
+const stubProvider = require('../services/fxProviders/stubProvider');
+const {
+  getRate,
+  getConversionToBase,
+  baseAmountFields,
+  getReportConverter,
+  uploadRates,
+  refreshRates
+} = require('../services/fxRateService');
+
+const admin = { id: 'admin_1' };
+// Units of each currency per 1 USD
+const withRate = (rate) =>
+  prisma.exchangeRate.findFirst.mockResolvedValue(
+    rate === null ? null : { rate, effectiveAt: new Date('2026-06-01T00:00:00Z') }
+  );
+const storedRates = () =>
+  prisma.exchangeRate.upsert.mock.calls.map(([{ create }]) => create);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.exchangeRate.findFirst.mockReset();
+  config.fx.provider = 'stub';
+});
+
+describe('getRate', () => {
+  test('takes the latest rate in effect at the time asked for', async () => {
+    withRate(0.92);
+    const at = new Date('2026-06-15T12:00:00Z');
+
+    await expect(getRate('eur', at)).resolves.toMatchObject({ rate: 0.92 });
+    expect(prisma.exchangeRate.findFirst).toHaveBeenCalledWith({
+      where: { baseCurrency: 'USD', currency: 'EUR', effectiveAt: { lte: at } },
+      orderBy: { effectiveAt: 'desc' },
+      select: { rate: true, effectiveAt: true }
+    });
+  });
+
+  test('needs no stored rate for the reporting currency', async () => {
+    await expect(getRate('usd')).resolves.toEqual({ rate: 1, effectiveAt: null });
+    expect(prisma.exchangeRate.findFirst).not.toHaveBeenCalled();
+  });
+});
+
+describe('conversion at capture', () => {
+  test('stores the amount in the reporting currency', async () => {
+    withRate(0.8);
+
+    const conversion = await getConversionToBase('EUR');
+
+    expect(conversion).toEqual({ baseCurrency: 'USD', fxRate: 1.25 });
+    expect(baseAmountFields(99.99, conversion)).toEqual({
+      baseCurrency: 'USD',
+      fxRate: 1.25,
+      baseAmount: 124.99
+    });
+  });
+
+  test('rounds the base amount to the minor unit of the reporting currency', async () => {
+    withRate(149.5);
+
+    const conversion = await getConversionToBase('JPY');
+
+    expect(baseAmountFields(1000, conversion).baseAmount).toEqual(6.69);
+  });
+
+  test('stores a payment without a base amount when there is no rate', async () => {
+    withRate(null);
+
+    const conversion = await getConversionToBase('EGP');
+
+    expect(conversion).toEqual({ baseCurrency: 'USD', fxRate: null });
+    expect(baseAmountFields(500, conversion).baseAmount).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/No EGP\/USD exchange rate/));
+  });
+
+  test('never fails a payment over a rate lookup error', async () => {
+    prisma.exchangeRate.findFirst.mockRejectedValue(new Error('connection lost'));
+
+    await expect(getConversionToBase('EUR')).resolves.toEqual({
+      baseCurrency: 'USD',
+      fxRate: null
+    });
+    expect(logger.error).toHaveBeenCalled();
+  });
+});
+
+describe('getReportConverter', () => {
+  test('presents reporting currency figures in the currency asked for', async () => {
+    withRate(0.92);
+
+    const { currency, convert } = await getReportConverter('eur');
+
+    expect(currency).toBe('EUR');
+    expect(convert(250)).toEqual(230);
+    expect(convert(null)).toEqual(0);
+  });
+
+  test('reports in the reporting currency by default', async () => {
+    const { currency, convert } = await getReportConverter();
+
+    expect(currency).toBe('USD');
+    expect(convert(12.345)).toEqual(12.35);
+  });
+
+  test('refuses a currency without a rate', async () => {
+    withRate(null);
+
+    await expect(getReportConverter('XYZ')).rejects.toMatchObject({
+      name: 'fx_rate_not_found_err',
+      statusCode: 400
+    });
+  });
+});
+
+describe('uploadRates', () => {
+  test('stores the rates upper case, skips the reporting currency and audits the upload', async () => {
+    const effectiveAt = '2026-06-01T00:00:00.000Z';
+
+    await expect(
+      uploadRates(
+        {
+          rates: [
+            { currency: 'eur', rate: 0.92 },
+            { currency: 'USD', rate: 1 },
+            { currency: 'gbp', rate: '0.79' }
+          ],
+          effectiveAt
+        },
+        admin
+      )
+    ).resolves.toEqual({ baseCurrency: 'USD', effectiveAt: new Date(effectiveAt), count: 2 });
+
+    expect(storedRates()).toEqual([
+      { baseCurrency: 'USD', currency: 'EUR', rate: 0.92, source: 'manual', effectiveAt: new Date(effectiveAt) },
+      { baseCurrency: 'USD', currency: 'GBP', rate: 0.79, source: 'manual', effectiveAt: new Date(effectiveAt) }
+    ]);
+    expect(auditLogger.log).toHaveBeenCalledWith(
+      'FX_RATES_UPLOADED',
+      'admin_1',
+      expect.stringMatching(/2 exchange rates uploaded/),
+      null,
+      expect.objectContaining({ baseCurrency: 'USD' })
+    );
+  });
+
+  test('replaces a rate uploaded again for the same time', async () => {
+    const effectiveAt = new Date('2026-06-01T00:00:00Z');
+
+    await uploadRates({ rates: [{ currency: 'EUR', rate: 0.93 }], effectiveAt }, admin);
+
+    expect(prisma.exchangeRate.upsert).toHaveBeenCalledWith({
+      where: {
+        baseCurrency_currency_effectiveAt: { baseCurrency: 'USD', currency: 'EUR', effectiveAt }
+      },
+      update: { rate: 0.93, source: 'manual' },
+      create: expect.objectContaining({ rate: 0.93 })
+    });
+  });
+});
+
+describe('refreshRates', () => {
+  test('stores the rates of the configured provider', async () => {
+    const result = await refreshRates();
+
+    expect(result).toMatchObject({ provider: 'stub', count: 9 });
+    expect(storedRates()).toContainEqual(
+      expect.objectContaining({ currency: 'EUR', rate: 0.92, source: 'stub' })
+    );
+    expect(storedRates().map((rate) => rate.currency)).not.toContain('USD');
+  });
+
+  test('asks for an upload when rates are only entered by hand', async () => {
+    config.fx.provider = 'manual';
+
+    await expect(refreshRates()).rejects.toMatchObject({
+      name: 'fx_provider_err',
+      statusCode: 400
+    });
+  });
+
+  test('reports an unknown provider and a provider that fails', async () => {
+    config.fx.provider = 'bloomberg';
+    await expect(refreshRates()).rejects.toMatchObject({
+      name: 'fx_provider_err',
+      statusCode: 500
+    });
+
+    config.fx.provider = 'stub';
+    const fetchRates = jest
+      .spyOn(stubProvider, 'fetchRates')
+      .mockRejectedValueOnce(new Error('timeout'));
+    await expect(refreshRates()).rejects.toMatchObject({
+      name: 'fx_provider_err',
+      statusCode: 502,
+      message: 'FX provider stub failed: timeout'
+    });
+    fetchRates.mockRestore();
+  });
+});
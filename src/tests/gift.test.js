@@ -0,0 +1,276 @@
+process.env.PAYMENT_GATEWAY = 'fake';
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../config/db', () => {
+  // Gift codes are kept so a code bought can then be redeemed
+  const giftCodes = new Map();
+  const matchesStatus = (status, filter) =>
+    typeof filter === 'string' ? status === filter : filter.in.includes(status);
+
+  const db = {
+    giftCodes,
+    giftCode: {
+      create: jest.fn(async ({ data }) => {
+        const giftCode = {
+          id: `gift_${giftCodes.size + 1}`,
+          status: 'ACTIVE',
+          redeemedBy: null,
+          ...data
+        };
+        giftCodes.set(giftCode.id, giftCode);
+        return { ...giftCode };
+      }),
+      findUnique: jest.fn(async ({ where }) => {
+        const found = [...giftCodes.values()].find((giftCode) => giftCode.code === where.code);
+        return found ? { ...found } : null;
+      }),
+      findMany: jest.fn(async ({ where }) =>
+        [...giftCodes.values()].filter(
+          (giftCode) =>
+            giftCode.redeemedBy === where.redeemedBy &&
+            where.courseId.in.includes(giftCode.courseId) &&
+            giftCode.status === where.status
+        )
+      ),
+      update: jest.fn(async ({ where, data }) => Object.assign(giftCodes.get(where.id), data)),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const giftCode = giftCodes.get(where.id);
+        if (!giftCode || !matchesStatus(giftCode.status, where.status)) return { count: 0 };
+        Object.assign(giftCode, data);
+        return { count: 1 };
+      })
+    },
+    transaction: {
+      findFirst: jest.fn().mockResolvedValue(null),
+      create: jest.fn(async ({ data }) => ({ id: 'txn_1', ...data })),
+      count: jest.fn().mockResolvedValue(0),
+      aggregate: jest.fn().mockResolvedValue({ _sum: {}, _avg: {}, _count: { _all: 0 } })
+    },
+    installmentPlan: { findFirst: jest.fn().mockResolvedValue(null) },
+    auditLog: { count: jest.fn().mockResolvedValue(0) },
+    commissionRule: { findMany: jest.fn().mockResolvedValue([]) },
+    revenueShare: { findMany: jest.fn().mockResolvedValue([]) },
+    payoutSchedule: { findMany: jest.fn().mockResolvedValue([]) },
+    educatorEarning: {
+      createMany: jest.fn(),
+      findMany: jest.fn().mockResolvedValue([])
+    },
+    stripeAccount: {
+      findMany: jest
+        .fn()
+        .mockResolvedValue([{ educatorId: 'edu_1', stripeAccountId: 'acct_educator' }])
+    },
+    invoice: { create: jest.fn(async ({ data }) => ({ id: 'inv_1', ...data })) }
+  };
+  db.$transaction = jest.fn((fn) => fn(db));
+  return db;
+});
+
+jest.mock('../services/coursePriceService', () => ({
+  resolveCoursePrice: jest.fn().mockResolvedValue({
+    courseId: 'course_1',
+    educatorId: 'edu_1',
+    amount: 100,
+    currency: 'USD',
+    title: 'Course'
+  }),
+  assertPreorderOpen: jest.fn()
+}));
+
+jest.mock('../services/outboxService', () => ({
+  DESTINATIONS: jest.requireActual('../services/outboxService').DESTINATIONS,
+  enrollmentEvents: jest.requireActual('../services/outboxService').enrollmentEvents,
+  enqueueEvents: jest.fn(),
+  dispatchSoon: jest.fn()
+}));
+
+jest.mock('../services/ledgerService', () => ({
+  postPayment: jest.fn()
+}));
+
+jest.mock('../services/fxRateService', () => ({
+  getConversionToBase: jest.fn().mockResolvedValue(null),
+  baseAmountFields: () => ({})
+}));
+
+jest.mock('../services/statisticsService', () => ({
+  invalidateTransactionCaches: jest.fn()
+}));
+
+const fake = require('../services/paymentGateways/fakeGateway');
+const prisma = require('../config/db');
+const outboxService = require('../services/outboxService');
+const { processPayment } = require('../services/paymentService');
+const {
+  redeemGiftCode,
+  withdrawGiftCode,
+  restoreGiftCode
+} = require('../services/giftService');
+
+const buyer = { id: 'user_buyer', name: 'Ada Buyer', email: 'buyer@example.com' };
+const recipient = { id: 'user_recipient', email: 'friend@example.com' };
+const gift = { recipientEmail: 'friend@example.com', recipientName: 'Friend', message: 'Enjoy!' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Actions queued to the outbox, by the user they are for
+const queuedActions = () =>
+  outboxService.enqueueEvents.mock.calls.flatMap(([, events]) =>
+    events.map(
+      (event) =>
+        `${event.payload.action || event.payload.Action}:${event.payload.userId || event.payload.UserId}`
+    )
+  );
+
+const buyGift = () => processPayment({ courseId: 'course_1', source: 'pm_card_visa', gift }, buyer);
+
+beforeEach(() => {
+  fake.reset();
+  jest.clearAllMocks();
+  prisma.giftCodes.clear();
+  prisma.transaction.findFirst.mockResolvedValue(null);
+});
+
+describe('gift checkout', () => {
+  test('issues a gift code to the buyer instead of enrolling them', async () => {
+    const result = await buyGift();
+
+    expect(result.giftCode).toEqual({
+      code: expect.stringMatching(/^GIFT-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/),
+      recipientEmail: 'friend@example.com',
+      expiresAt: expect.any(Date)
+    });
+    expect([...prisma.giftCodes.values()]).toEqual([
+      expect.objectContaining({
+        transactionId: 'txn_1',
+        purchaserId: 'user_buyer',
+        courseId: 'course_1',
+        status: 'ACTIVE'
+      })
+    ]);
+    expect(prisma.transaction.create.mock.calls[0][0].data.metadata).toMatchObject({ gift: true });
+    expect(queuedActions()).toEqual(['GIFT_PURCHASED:user_buyer']);
+  });
+
+  test('bills the buyer, not the recipient', async () => {
+    await buyGift();
+
+    const { data } = prisma.invoice.create.mock.calls[0][0];
+    expect(JSON.parse(data.billingInfo)).toEqual({ name: 'Ada Buyer', email: 'buyer@example.com' });
+    expect(data.notes).toMatch(/^Gift purchase/);
+  });
+
+  test('can be bought for a course the buyer already owns', async () => {
+    prisma.transaction.findFirst.mockResolvedValue({ id: 'txn_owned' });
+
+    await expect(buyGift()).resolves.toMatchObject({ success: true });
+    expect(prisma.transaction.findFirst).not.toHaveBeenCalled();
+  });
+});
+
+describe('redeemGiftCode', () => {
+  const issued = async (fields) => {
+    const { giftCode } = await buyGift();
+    Object.assign([...prisma.giftCodes.values()][0], fields);
+    outboxService.enqueueEvents.mockClear();
+    return giftCode.code;
+  };
+
+  test('enrolls the recipient and tells the buyer', async () => {
+    const code = await issued();
+
+    await expect(redeemGiftCode(` ${code.toLowerCase()} `, recipient)).resolves.toMatchObject({
+      courseId: 'course_1',
+      status: 'REDEEMED'
+    });
+    expect([...prisma.giftCodes.values()][0]).toMatchObject({
+      status: 'REDEEMED',
+      redeemedBy: 'user_recipient'
+    });
+    expect(queuedActions()).toEqual([
+      'ENROLL_USER:user_recipient',
+      'ENROLL_USER:user_recipient',
+      'ADD:user_recipient',
+      'GIFT_REDEEMED:user_buyer'
+    ]);
+  });
+
+  test('redeems a code only once', async () => {
+    const code = await issued();
+    await redeemGiftCode(code, recipient);
+
+    await expect(redeemGiftCode(code, { id: 'user_other' })).rejects.toMatchObject({
+      name: 'gift_code_invalid_err',
+      message: 'Gift code has already been redeemed'
+    });
+  });
+
+  test('refuses the loser of two concurrent redemptions', async () => {
+    const code = await issued();
+    // Redeemed by someone else after the code was read
+    prisma.giftCode.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    await expect(redeemGiftCode(code, recipient)).rejects.toThrow('no longer valid');
+    expect(outboxService.enqueueEvents).not.toHaveBeenCalled();
+  });
+
+  test('marks an expired code as expired', async () => {
+    const code = await issued({ expiresAt: new Date(Date.now() - DAY_MS) });
+
+    await expect(redeemGiftCode(code, recipient)).rejects.toThrow('Gift code has expired');
+    expect([...prisma.giftCodes.values()][0].status).toBe('EXPIRED');
+  });
+
+  test.each([
+    ['a refunded code', { status: 'REFUNDED' }, 'no longer valid'],
+    ['an unknown code', null, 'not found']
+  ])('refuses %s', async (_, fields, message) => {
+    const code = fields ? await issued(fields) : 'GIFT-AAAA-BBBB-CCCC';
+
+    await expect(redeemGiftCode(code, recipient)).rejects.toThrow(message);
+  });
+
+  test('refuses a recipient who already owns the course', async () => {
+    const code = await issued();
+    prisma.transaction.findFirst.mockResolvedValueOnce({ id: 'txn_owned' });
+
+    await expect(redeemGiftCode(code, recipient)).rejects.toMatchObject({
+      name: 'already_enrolled_err'
+    });
+    expect([...prisma.giftCodes.values()][0].status).toBe('ACTIVE');
+  });
+});
+
+describe('withdrawGiftCode', () => {
+  test('withdraws an unredeemed code and can put it back', async () => {
+    const { giftCode } = await buyGift();
+    const stored = [...prisma.giftCodes.values()][0];
+
+    await withdrawGiftCode({ id: stored.id });
+    expect(stored.status).toBe('REFUNDED');
+    await expect(redeemGiftCode(giftCode.code, recipient)).rejects.toThrow('no longer valid');
+
+    await restoreGiftCode({ id: stored.id, status: 'ACTIVE' });
+    expect(stored.status).toBe('ACTIVE');
+  });
+
+  test('refuses to withdraw a redeemed code', async () => {
+    const { giftCode } = await buyGift();
+    await redeemGiftCode(giftCode.code, recipient);
+
+    await expect(withdrawGiftCode({ id: 'gift_1' })).rejects.toMatchObject({
+      name: 'gift_code_redeemed_err',
+      statusCode: 400
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../config/db', () => ({
+  idempotencyKey: {
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn().mockResolvedValue({}),
+    delete: jest.fn().mockResolvedValue({})
+  }
+}));
+
+const prisma = require('../config/db');
+const { idempotency } = require('../middleware/idempotency');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const buildApp = (handler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'user_123' };
+    next();
+  });
+  app.post('/pay', idempotency(), handler);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('idempotency middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('passes requests without a key straight through', async () => {
+    const handler = jest.fn((req, res) => res.status(200).json({ ok: true }));
+    const res = await request(buildApp(handler)).post('/pay').send({ amount: 10 });
+
+    expect(res.status).toBe(200);
+    expect(handler).toHaveBeenCalled();
+    expect(prisma.idempotencyKey.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('stores the response of the first request', async () => {
+    prisma.idempotencyKey.findUnique.mockResolvedValue(null);
+    prisma.idempotencyKey.create.mockResolvedValue({ id: 'idem_1' });
+    const handler = jest.fn((req, res) =>
+      res.status(200).json({ key: req.idempotencyKey })
+    );
+
+    const res = await request(buildApp(handler))
+      .post('/pay')
+      .set('Idempotency-Key', 'abc')
+      .send({ amount: 10 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.key).toBe('abc');
+    expect(prisma.idempotencyKey.update).toHaveBeenCalledWith({
+      where: { id: 'idem_1' },
+      data: {
+        status: 'COMPLETED',
+        responseStatus: 200,
+        responseBody: { key: 'abc' }
+      }
+    });
+  });
+
+  it('replays the stored response for a matching retry', async () => {
+    prisma.idempotencyKey.findUnique.mockResolvedValue(null);
+    prisma.idempotencyKey.create.mockResolvedValue({ id: 'idem_1' });
+    const app = buildApp((req, res) => res.status(200).json({ charged: true }));
+
+    await request(app).post('/pay').set('Idempotency-Key', 'abc').send({ amount: 10, courseId: 'c1' });
+    const { requestHash } = prisma.idempotencyKey.create.mock.calls[0][0].data;
+
+    prisma.idempotencyKey.findUnique.mockResolvedValue({
+      id: 'idem_1',
+      requestHash,
+      status: 'COMPLETED',
+      responseStatus: 200,
+      responseBody: { charged: true },
+      expiresAt: new Date(Date.now() + 60000)
+    });
+    const handler = jest.fn();
+    const replayApp = buildApp(handler);
+
+    // Same body with keys in a different order
+    const res = await request(replayApp)
+      .post('/pay')
+      .set('Idempotency-Key', 'abc')
+      .send({ courseId: 'c1', amount: 10 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ charged: true });
+    expect(res.headers['idempotent-replayed']).toBe('true');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('rejects a reused key with a different body', async () => {
+    prisma.idempotencyKey.findUnique.mockResolvedValue({
+      id: 'idem_1',
+      requestHash: 'other',
+      status: 'COMPLETED',
+      responseStatus: 200,
+      responseBody: {},
+      expiresAt: new Date(Date.now() + 60000)
+    });
+    const handler = jest.fn();
+
+    const res = await request(buildApp(handler))
+      .post('/pay')
+      .set('Idempotency-Key', 'abc')
+      .send({ amount: 20 });
+
+    expect(res.status).toBe(422);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('releases the key when the request fails on the server', async () => {
+    prisma.idempotencyKey.findUnique.mockResolvedValue(null);
+    prisma.idempotencyKey.create.mockResolvedValue({ id: 'idem_1' });
+    const app = buildApp((req, res) => res.status(500).json({ success: false }));
+
+    await request(app).post('/pay').set('Idempotency-Key', 'abc').send({ amount: 10 });
+
+    expect(prisma.idempotencyKey.delete).toHaveBeenCalledWith({ where: { id: 'idem_1' } });
+    expect(prisma.idempotencyKey.update).not.toHaveBeenCalled();
+  });
+});
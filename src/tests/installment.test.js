@@ -0,0 +1,395 @@
+process.env.PAYMENT_GATEWAY = 'fake';
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../config/db', () => {
+  // Plans and their installments are kept so the job sees the schedule
+  const plans = new Map();
+  const installments = new Map();
+  const transactions = [];
+  const invoices = [];
+
+  const planWithSchedule = (plan) => ({
+    ...plan,
+    installments: [...installments.values()]
+      .filter((installment) => installment.planId === plan.id)
+      .sort((a, b) => a.sequence - b.sequence)
+      .map((installment) => ({ ...installment }))
+  });
+  const matchesStatus = (status, filter) =>
+    typeof filter === 'string'
+      ? status === filter
+      : filter.in
+        ? filter.in.includes(status)
+        : status !== filter.not;
+
+  const db = {
+    plans,
+    installments,
+    transactions,
+    invoices,
+    coursePrice: {
+      findUnique: jest.fn(async ({ where }) => ({
+        id: `price_${where.courseId}`,
+        courseId: where.courseId,
+        educatorId: 'edu_1',
+        title: 'Data engineering',
+        category: 'data',
+        amount: where.courseId === 'course_small' ? 99 : 600,
+        currency: 'USD',
+        active: true,
+        launchDate: null
+      }))
+    },
+    installmentPlan: {
+      create: jest.fn(async ({ data }) => {
+        const { installments: schedule, ...fields } = data;
+        const plan = {
+          id: `plan_${plans.size + 1}`,
+          status: 'ACTIVE',
+          createdAt: new Date(),
+          ...fields
+        };
+        plans.set(plan.id, plan);
+        schedule.create.forEach((installment) => {
+          const id = `inst_${installments.size + 1}`;
+          installments.set(id, {
+            id,
+            planId: plan.id,
+            status: 'SCHEDULED',
+            attempts: 0,
+            nextAttemptAt: null,
+            ...installment
+          });
+        });
+        return planWithSchedule(plan);
+      }),
+      findFirst: jest.fn(async ({ where }) => {
+        const found = [...plans.values()].find(
+          (plan) =>
+            plan.userId === where.userId &&
+            plan.courseId === where.courseId &&
+            plan.status === where.status
+        );
+        return found ? { id: found.id } : null;
+      }),
+      findUnique: jest.fn(async ({ where }) =>
+        plans.has(where.id) ? planWithSchedule(plans.get(where.id)) : null
+      ),
+      update: jest.fn(async ({ where, data }) => Object.assign(plans.get(where.id), data))
+    },
+    installment: {
+      update: jest.fn(async ({ where, data }) =>
+        Object.assign(installments.get(where.id), data)
+      ),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const matched = [...installments.values()].filter(
+          (installment) =>
+            installment.planId === where.planId &&
+            (!where.status || matchesStatus(installment.status, where.status))
+        );
+        matched.forEach((installment) => Object.assign(installment, data));
+        return { count: matched.length };
+      }),
+      count: jest.fn(
+        async ({ where }) =>
+          [...installments.values()].filter(
+            (installment) =>
+              installment.planId === where.planId &&
+              matchesStatus(installment.status, where.status)
+          ).length
+      ),
+      findMany: jest.fn(async ({ where }) => {
+        const [scheduled, retrying] = where.OR;
+        return [...installments.values()]
+          .filter((installment) => plans.get(installment.planId).status === where.plan.status)
+          .filter(
+            (installment) =>
+              (installment.status === scheduled.status &&
+                installment.dueDate <= scheduled.dueDate.lte) ||
+              (installment.status === retrying.status &&
+                installment.nextAttemptAt <= retrying.nextAttemptAt.lte)
+          )
+          .sort((a, b) => a.dueDate - b.dueDate)
+          .map((installment) => ({ ...installment, plan: { ...plans.get(installment.planId) } }));
+      })
+    },
+    transaction: {
+      findFirst: jest.fn().mockResolvedValue(null),
+      create: jest.fn(async ({ data }) => {
+        const record = { id: `txn_${transactions.length + 1}`, ...data };
+        transactions.push(record);
+        return { ...record };
+      })
+    },
+    invoice: {
+      create: jest.fn(async ({ data }) => {
+        invoices.push(data);
+        return data;
+      })
+    },
+    giftCode: { findMany: jest.fn().mockResolvedValue([]) },
+    stripeCustomer: {
+      findUnique: jest.fn().mockResolvedValue(null),
+      upsert: jest.fn(async ({ create }) => create)
+    },
+    stripeAccount: {
+      findMany: jest.fn().mockResolvedValue([{ stripeAccountId: 'acct_edu_1' }]),
+      findFirst: jest.fn().mockResolvedValue({ stripeAccountId: 'acct_edu_1' })
+    },
+    commissionRule: { findMany: jest.fn().mockResolvedValue([]) },
+    revenueShare: { findMany: jest.fn().mockResolvedValue([]) },
+    payoutSchedule: { findMany: jest.fn().mockResolvedValue([]) },
+    educatorEarning: {
+      createMany: jest.fn(),
+      aggregate: jest.fn().mockResolvedValue({ _sum: { amount: 0 } })
+    }
+  };
+  db.$transaction = jest.fn((work) => (Array.isArray(work) ? Promise.all(work) : work(db)));
+  return db;
+});
+
+jest.mock('../services/outboxService', () => ({
+  DESTINATIONS: jest.requireActual('../services/outboxService').DESTINATIONS,
+  enrollmentEvents: jest.requireActual('../services/outboxService').enrollmentEvents,
+  enqueueEvents: jest.fn(),
+  dispatchSoon: jest.fn()
+}));
+
+jest.mock('../services/ledgerService', () => ({
+  postPayment: jest.fn()
+}));
+
+jest.mock('../services/statisticsService', () => ({
+  invalidateTransactionCaches: jest.fn()
+}));
+
+jest.mock('../services/fxRateService', () => ({
+  getConversionToBase: jest.fn().mockResolvedValue(null),
+  baseAmountFields: () => ({})
+}));
+
+const fake = require('../services/paymentGateways/fakeGateway');
+const prisma = require('../config/db');
+const config = require('../config');
+const outboxService = require('../services/outboxService');
+const { sumMoney } = require('../utils/money');
+const { calculatePlatformCommission } = require('../services/commissionService');
+const {
+  createInstallmentPlan,
+  processDueInstallments
+} = require('../services/installmentService');
+
+const student = { id: 'user_1', email: 'student@example.com', role: 'Student' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const startPlan = (fields) =>
+  createInstallmentPlan(
+    { courseId: 'course_big', source: 'pm_card_visa', installments: 3, ...fields },
+    student
+  );
+
+// Actions queued to the user service, in order
+const queuedActions = () =>
+  outboxService.enqueueEvents.mock.calls.flatMap(([, events]) =>
+    events
+      .filter((event) => event.destination === outboxService.DESTINATIONS.USER_SERVICE)
+      .map((event) => event.payload.action)
+  );
+
+// Charge every later installment with a card that is declined
+const declineLaterInstallments = (plan) => {
+  prisma.plans.get(plan.id).stripePaymentMethodId = 'pm_card_chargeDeclined';
+};
+
+beforeEach(() => {
+  fake.reset();
+  jest.clearAllMocks();
+  prisma.plans.clear();
+  prisma.installments.clear();
+  prisma.transactions.length = 0;
+  prisma.invoices.length = 0;
+});
+
+describe('createInstallmentPlan', () => {
+  test.each([
+    ['a course below the minimum price', { courseId: 'course_small' }, /priced at 200/],
+    ['too many installments', { installments: 7 }, /between 2 and 6/],
+    ['too few installments', { installments: 1 }, /between 2 and 6/]
+  ])('refuses %s', async (_, fields, message) => {
+    await expect(startPlan(fields)).rejects.toMatchObject({
+      name: 'installment_not_eligible_err',
+      statusCode: 400,
+      message: expect.stringMatching(message)
+    });
+    expect(prisma.installmentPlan.create).not.toHaveBeenCalled();
+  });
+
+  test('schedules the installments and enrolls the student once the first is paid', async () => {
+    const plan = await startPlan();
+
+    expect(plan.status).toBe('ACTIVE');
+    expect(plan.installments.map((installment) => installment.amount)).toEqual([200, 200, 200]);
+    expect(plan.installments.map((installment) => installment.status)).toEqual([
+      'PAID',
+      'SCHEDULED',
+      'SCHEDULED'
+    ]);
+    const [first, second, third] = plan.installments.map((installment) => installment.dueDate);
+    expect(second - first).toBe(config.installments.intervalDays * DAY_MS);
+    expect(third - second).toBe(config.installments.intervalDays * DAY_MS);
+
+    expect(prisma.transactions).toHaveLength(1);
+    expect(prisma.transactions[0]).toMatchObject({
+      amount: 200,
+      status: 'COMPLETED',
+      metadata: { installmentPlanId: plan.id, sequence: 1, installmentCount: 3 }
+    });
+    expect(prisma.invoices).toEqual([
+      expect.objectContaining({ transactionId: 'txn_1', total: 200, status: 'PAID' })
+    ]);
+    expect(queuedActions()).toEqual(['ENROLL_USER', 'NEW_EARNINGS']);
+  });
+
+  test('takes the commission of the full course price, not of one installment', async () => {
+    const plan = await startPlan();
+    const fullPrice = await calculatePlatformCommission(600, {
+      courseId: 'course_big',
+      educatorId: 'edu_1',
+      category: 'data',
+      currency: 'USD'
+    });
+
+    expect(
+      sumMoney(plan.installments.map((installment) => installment.platformCommission))
+    ).toEqual(fullPrice.platformCommission);
+    expect(
+      sumMoney(plan.installments.map((installment) => installment.educatorEarnings))
+    ).toEqual(fullPrice.educatorEarnings);
+  });
+
+  test('refuses a student who already has an active plan for the course', async () => {
+    await startPlan();
+
+    await expect(startPlan()).rejects.toMatchObject({
+      name: 'already_enrolled_err',
+      statusCode: 400
+    });
+  });
+
+  test('cancels the plan when the first installment is declined', async () => {
+    await expect(startPlan({ source: 'pm_card_chargeDeclined' })).rejects.toMatchObject({
+      name: 'installment_charge_err',
+      statusCode: 402
+    });
+
+    const [plan] = prisma.plans.values();
+    expect(plan.status).toBe('CANCELED');
+    expect([...prisma.installments.values()].every((i) => i.status === 'CANCELED')).toBe(true);
+    expect(prisma.transactions).toHaveLength(0);
+    expect(queuedActions()).toEqual([]);
+  });
+});
+
+describe('processDueInstallments', () => {
+  const daysLater = (days) => new Date(Date.now() + days * DAY_MS + HOUR_MS);
+
+  test('charges each installment when it is due and completes the plan', async () => {
+    const plan = await startPlan();
+    const interval = config.installments.intervalDays;
+
+    await expect(processDueInstallments(daysLater(interval - 1))).resolves.toEqual({
+      paid: 0,
+      failed: 0,
+      defaulted: 0
+    });
+    await expect(processDueInstallments(daysLater(interval))).resolves.toMatchObject({ paid: 1 });
+    await expect(processDueInstallments(daysLater(2 * interval))).resolves.toMatchObject({
+      paid: 1
+    });
+
+    expect(prisma.plans.get(plan.id)).toMatchObject({
+      status: 'COMPLETED',
+      completedAt: expect.any(Date)
+    });
+    expect(prisma.transactions.map((transaction) => transaction.metadata.sequence)).toEqual([
+      1, 2, 3
+    ]);
+    expect(prisma.invoices).toHaveLength(3);
+    // Only the first installment enrolls the student
+    expect(queuedActions().filter((action) => action === 'ENROLL_USER')).toHaveLength(1);
+  });
+
+  test('retries a declined installment within the grace period', async () => {
+    const plan = await startPlan();
+    declineLaterInstallments(plan);
+
+    const now = daysLater(config.installments.intervalDays);
+    await expect(processDueInstallments(now)).resolves.toMatchObject({ failed: 1 });
+
+    const second = prisma.installments.get(plan.installments[1].id);
+    expect(second).toMatchObject({
+      status: 'FAILED',
+      attempts: 1,
+      failureReason: 'Your card was declined.'
+    });
+    expect(second.nextAttemptAt.getTime()).toBe(
+      now.getTime() + config.installments.retryIntervalHours * HOUR_MS
+    );
+    expect(prisma.plans.get(plan.id).status).toBe('ACTIVE');
+    expect(queuedActions()).toContain('INSTALLMENT_PAYMENT_FAILED');
+    expect(queuedActions()).not.toContain('REMOVE_ENROLLMENT');
+  });
+
+  test('defaults the plan and revokes the enrollment once the retries run out', async () => {
+    const plan = await startPlan();
+    declineLaterInstallments(plan);
+
+    let now = daysLater(config.installments.intervalDays);
+    for (let attempt = 1; attempt < config.installments.maxAttempts; attempt += 1) {
+      await processDueInstallments(now);
+      now = new Date(now.getTime() + config.installments.retryIntervalHours * HOUR_MS);
+    }
+    await expect(processDueInstallments(now)).resolves.toMatchObject({ defaulted: 1 });
+
+    expect(prisma.plans.get(plan.id)).toMatchObject({
+      status: 'DEFAULTED',
+      defaultedAt: expect.any(Date)
+    });
+    expect(plan.installments.map(({ id }) => prisma.installments.get(id).status)).toEqual([
+      'PAID',
+      'CANCELED',
+      'CANCELED'
+    ]);
+    expect(queuedActions()).toContain('REMOVE_ENROLLMENT');
+
+    // A defaulted plan is not charged again
+    await expect(
+      processDueInstallments(daysLater(2 * config.installments.intervalDays))
+    ).resolves.toEqual({ paid: 0, failed: 0, defaulted: 0 });
+  });
+
+  test('defaults the plan when the next retry would fall after the grace period', async () => {
+    const plan = await startPlan();
+    declineLaterInstallments(plan);
+
+    const { intervalDays, gracePeriodDays } = config.installments;
+    await expect(
+      processDueInstallments(daysLater(intervalDays + gracePeriodDays - 1))
+    ).resolves.toMatchObject({ defaulted: 1 });
+
+    expect(prisma.installments.get(plan.installments[1].id).attempts).toBe(1);
+    expect(prisma.plans.get(plan.id).status).toBe('DEFAULTED');
+  });
+});
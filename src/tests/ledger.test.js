@@ -0,0 +1,282 @@
+jest.mock('../config/db', () => {
+  const { Decimal } = require('../utils/money');
+  // Posted entries are kept so reversals and the trial balance can read them
+  const entries = [];
+  const key = (line) => `${line.account}|${line.ownerId}|${line.currency}`;
+
+  return {
+    entries,
+    educatorEarning: { findMany: jest.fn() },
+    referral: { findUnique: jest.fn() },
+    journalEntry: {
+      findUnique: jest.fn(async ({ where }) => {
+        const entry = entries.find((e) => e.reference === where.reference);
+        return entry ? { ...entry, lines: entry.lines.create } : null;
+      }),
+      create: jest.fn(async ({ data }) => {
+        const entry = { id: `je_${entries.length + 1}`, ...data };
+        entries.push(entry);
+        return entry;
+      })
+    },
+    journalLine: {
+      groupBy: jest.fn(async () => {
+        const groups = new Map();
+        entries
+          .flatMap((entry) => entry.lines.create)
+          .forEach((line) => {
+            const group = groups.get(key(line)) || {
+              account: line.account,
+              ownerId: line.ownerId,
+              currency: line.currency,
+              _sum: { debit: new Decimal(0), credit: new Decimal(0) }
+            };
+            group._sum.debit = group._sum.debit.plus(line.debit);
+            group._sum.credit = group._sum.credit.plus(line.credit);
+            groups.set(key(line), group);
+          });
+        return [...groups.values()];
+      })
+    }
+  };
+});
+
+const prisma = require('../config/db');
+const {
+  postJournal,
+  postPayment,
+  postRefund,
+  postRefundFailure,
+  postPayout,
+  postPayoutFailure,
+  getTrialBalance
+} = require('../services/ledgerService');
+
+// Lines of the nth posted entry as { account:owner: [debit, credit] }
+const postedLines = (n = 0) => {
+  const { data } = prisma.journalEntry.create.mock.calls[n][0];
+  return Object.fromEntries(
+    data.lines.create.map((line) => [
+      line.ownerId ? `${line.account}:${line.ownerId}` : line.account,
+      [line.debit, line.credit]
+    ])
+  );
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.entries.length = 0;
+  prisma.referral.findUnique.mockResolvedValue({ affiliateId: 'aff_1' });
+});
+
+describe('postJournal', () => {
+  test('refuses an entry whose debits and credits differ', async () => {
+    await expect(
+      postJournal(prisma, {
+        type: 'PAYMENT',
+        reference: 'payment_txn_1',
+        currency: 'USD',
+        lines: [
+          { account: 'STRIPE_BALANCE', debit: 100 },
+          { account: 'PLATFORM_REVENUE', credit: 99.99 }
+        ]
+      })
+    ).rejects.toMatchObject({ name: 'ledger_unbalanced_err' });
+    expect(prisma.journalEntry.create).not.toHaveBeenCalled();
+  });
+
+  test('does not post the same reference twice', async () => {
+    prisma.journalEntry.findUnique.mockResolvedValueOnce({ id: 'je_0' });
+
+    const entry = await postJournal(prisma, {
+      type: 'STRIPE_FEE',
+      reference: 'fee_txn_1',
+      currency: 'usd',
+      lines: [
+        { account: 'STRIPE_FEES', debit: 3.2 },
+        { account: 'STRIPE_BALANCE', credit: 3.2 }
+      ]
+    });
+
+    expect(entry).toEqual({ id: 'je_0' });
+    expect(prisma.journalEntry.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('postPayment', () => {
+  test('splits a sale between the educators, affiliate, tax and platform', async () => {
+    prisma.educatorEarning.findMany.mockResolvedValue([
+      { educatorId: 'edu_1', amount: 48.01, stripeTransferId: 'tr_1' },
+      { educatorId: 'edu_2', amount: 31.99, stripeTransferId: null }
+    ]);
+
+    await postPayment(prisma, {
+      id: 'txn_1',
+      userId: 'user_1',
+      amount: 100,
+      taxAmount: 8.25,
+      affiliateCommission: 5,
+      currency: 'USD',
+      metadata: { walletAmount: 20 }
+    });
+
+    expect(postedLines(0)).toEqual({
+      STRIPE_BALANCE: [88.25, 0],
+      'CUSTOMER_CREDIT:user_1': [20, 0],
+      'EDUCATOR_PAYABLE:edu_1': [0, 48.01],
+      'EDUCATOR_PAYABLE:edu_2': [0, 31.99],
+      'AFFILIATE_PAYABLE:aff_1': [0, 5],
+      TAX_PAYABLE: [0, 8.25],
+      PLATFORM_REVENUE: [0, 15]
+    });
+    // Only the instructor already transferred to is paid out
+    expect(prisma.journalEntry.create).toHaveBeenCalledTimes(2);
+    expect(prisma.journalEntry.create.mock.calls[1][0].data).toMatchObject({
+      type: 'EDUCATOR_TRANSFER',
+      reference: 'transfer_txn_1_edu_1'
+    });
+    expect(postedLines(1)).toEqual({
+      'CONNECTED_BALANCE:edu_1': [48.01, 0],
+      STRIPE_BALANCE: [0, 48.01]
+    });
+  });
+
+  test('pays the educator of a destination charge with the sale', async () => {
+    prisma.educatorEarning.findMany.mockResolvedValue([
+      { educatorId: 'edu_1', amount: 80, stripeTransferId: null }
+    ]);
+
+    await postPayment(prisma, {
+      id: 'txn_1',
+      userId: 'user_1',
+      amount: 100,
+      taxAmount: 0,
+      affiliateCommission: 0,
+      currency: 'USD',
+      metadata: { destinationCharge: true }
+    });
+
+    expect(postedLines(0)).toEqual({
+      STRIPE_BALANCE: [100, 0],
+      'EDUCATOR_PAYABLE:edu_1': [0, 80],
+      PLATFORM_REVENUE: [0, 20]
+    });
+    expect(postedLines(1)).toEqual({
+      'CONNECTED_BALANCE:edu_1': [80, 0],
+      STRIPE_BALANCE: [0, 80]
+    });
+  });
+});
+
+describe('postRefund', () => {
+  test('takes the refund back from everyone who was paid for the sale', async () => {
+    await postRefund(
+      prisma,
+      {
+        id: 'txn_2',
+        userId: 'user_1_REFUND',
+        amount: 50,
+        taxAmount: 4.13,
+        affiliateCommission: -2.5,
+        currency: 'USD',
+        metadata: { refundedToWallet: 10 }
+      },
+      {
+        originalTransaction: { id: 'txn_1', userId: 'user_1' },
+        shares: [{ educatorId: 'edu_1', amount: 40 }],
+        reversals: [{ educatorId: 'edu_1', amount: 40 }]
+      }
+    );
+
+    expect(postedLines(0)).toEqual({
+      'EDUCATOR_PAYABLE:edu_1': [40, 0],
+      'AFFILIATE_PAYABLE:aff_1': [2.5, 0],
+      TAX_PAYABLE: [4.13, 0],
+      REFUNDS: [7.5, 0],
+      STRIPE_BALANCE: [0, 44.13],
+      'CUSTOMER_CREDIT:user_1': [0, 10]
+    });
+    expect(prisma.journalEntry.create.mock.calls[1][0].data).toMatchObject({
+      type: 'TRANSFER_REVERSAL',
+      reference: 'reversal_txn_2_edu_1'
+    });
+    expect(postedLines(1)).toEqual({
+      STRIPE_BALANCE: [40, 0],
+      'CONNECTED_BALANCE:edu_1': [0, 40]
+    });
+  });
+});
+
+describe('getTrialBalance', () => {
+  // Balance of an account in the trial balance
+  const balanceOf = (trialBalance, account, ownerId = null) =>
+    trialBalance.accounts.find((row) => row.account === account && row.ownerId === ownerId)
+      ?.balance || 0;
+
+  test('nets to zero through payouts and failed payouts and refunds', async () => {
+    prisma.educatorEarning.findMany.mockResolvedValue([
+      { educatorId: 'edu_1', amount: 80, stripeTransferId: 'tr_1' }
+    ]);
+    const sale = {
+      id: 'txn_1',
+      userId: 'user_1',
+      amount: 100,
+      taxAmount: 0,
+      affiliateCommission: 0,
+      currency: 'USD',
+      metadata: {}
+    };
+    const refund = {
+      id: 'txn_2',
+      userId: 'user_1_REFUND',
+      stripeChargeId: 're_1',
+      amount: 25,
+      taxAmount: 0,
+      affiliateCommission: 0,
+      currency: 'USD',
+      metadata: {}
+    };
+
+    await postPayment(prisma, sale);
+    await postPayout(prisma, { id: 'po_1', educatorId: 'edu_1', amount: 50, currency: 'USD' });
+    await postPayout(prisma, { id: 'po_2', educatorId: 'edu_1', amount: 30, currency: 'USD' });
+    await postPayoutFailure(prisma, { id: 'po_2', educatorId: 'edu_1', failureReason: 'account_closed' });
+    await postRefund(prisma, refund, {
+      originalTransaction: sale,
+      shares: [{ educatorId: 'edu_1', amount: 20 }],
+      reversals: [{ educatorId: 'edu_1', amount: 20 }]
+    });
+    await postRefundFailure(prisma, refund);
+
+    const trialBalance = await getTrialBalance();
+
+    expect(trialBalance.balanced).toBe(true);
+    expect(trialBalance.totals).toEqual([
+      expect.objectContaining({ currency: 'USD', balanced: true })
+    ]);
+    // The refund never went out, but its transfer reversal did
+    expect(balanceOf(trialBalance, 'STRIPE_BALANCE')).toEqual(40);
+    expect(balanceOf(trialBalance, 'REFUNDS')).toEqual(0);
+    // Paid 50 to the bank, 10 still in the connected account and 20 back
+    // with the platform, so 30 is still owed
+    expect(balanceOf(trialBalance, 'EDUCATOR_PAYABLE', 'edu_1')).toEqual(30);
+    expect(balanceOf(trialBalance, 'CONNECTED_BALANCE', 'edu_1')).toEqual(10);
+    expect(prisma.entries.map((entry) => entry.type)).toEqual([
+      'PAYMENT',
+      'EDUCATOR_TRANSFER',
+      'PAYOUT',
+      'PAYOUT',
+      'PAYOUT_REVERSAL',
+      'REFUND',
+      'TRANSFER_REVERSAL',
+      'REFUND_REVERSAL'
+    ]);
+  });
+
+  test('reverses nothing that was never posted', async () => {
+    await expect(
+      postPayoutFailure(prisma, { id: 'po_9', educatorId: 'edu_1' })
+    ).resolves.toBeNull();
+    expect(prisma.journalEntry.create).not.toHaveBeenCalled();
+  });
+});
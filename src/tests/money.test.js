@@ -0,0 +1,62 @@
+const {
+  Decimal,
+  currencyExponent,
+  toMinorUnits,
+  fromMinorUnits,
+  roundMoney,
+  sumMoney,
+  decimalReplacer
+} = require('../utils/money');
+const { splitProRata, calculateTax } = require('../utils/paymentCalculator');
+
+describe('currencyExponent', () => {
+  test('knows zero and three decimal currencies', () => {
+    expect(currencyExponent('USD')).toBe(2);
+    expect(currencyExponent('jpy')).toBe(0);
+    expect(currencyExponent('KWD')).toBe(3);
+    expect(currencyExponent()).toBe(2);
+  });
+});
+
+describe('minor units', () => {
+  test('are not multiplied by 100 for zero decimal currencies', () => {
+    expect(toMinorUnits(19.99, 'USD')).toBe(1999);
+    expect(toMinorUnits(1500, 'JPY')).toBe(1500);
+    expect(toMinorUnits(1.234, 'BHD')).toBe(1234);
+    expect(fromMinorUnits(1500, 'JPY')).toEqual(1500);
+    expect(fromMinorUnits(1999, 'EUR')).toEqual(19.99);
+  });
+
+  test('round amounts the way they are written', () => {
+    expect(toMinorUnits(1.005, 'USD')).toBe(101);
+    expect(toMinorUnits(0.1 + 0.2, 'USD')).toBe(30);
+    expect(roundMoney(1499.6, 'JPY')).toEqual(1500);
+  });
+
+  test('accept stored decimals', () => {
+    expect(toMinorUnits(new Decimal('12.3400'), 'USD')).toBe(1234);
+  });
+});
+
+describe('currency aware calculations', () => {
+  test('split an amount in whole yen', () => {
+    expect(splitProRata(1000, [1, 1, 1], 'JPY')).toEqual([334, 333, 333]);
+    expect(splitProRata(10, [1, 1, 1])).toEqual([3.34, 3.33, 3.33]);
+  });
+
+  test('round tax to the currency', () => {
+    expect(calculateTax(1234, 10, null, { currency: 'JPY' })).toEqual(123);
+    expect(calculateTax(12.34, 10, null, { currency: 'USD' })).toEqual(1.23);
+  });
+});
+
+describe('decimals', () => {
+  test('add up exactly', () => {
+    expect(sumMoney([0.1, 0.2, new Decimal('0.3'), null]).toString()).toBe('0.6');
+  });
+
+  test('are sent as numbers', () => {
+    const body = { amount: new Decimal('12.3400'), items: [{ tax: new Decimal('1.5') }] };
+    expect(JSON.stringify(body, decimalReplacer)).toBe('{"amount":12.34,"items":[{"tax":1.5}]}');
+  });
+});
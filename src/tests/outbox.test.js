@@ -0,0 +1,117 @@
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../config/db', () => ({
+  outboxEvent: {
+    findMany: jest.fn(),
+    count: jest.fn(),
+    updateMany: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+jest.mock('../utils/serviceNotifier', () => ({
+  sendToUserService: jest.fn(),
+  sendToCourseService: jest.fn(),
+  sendToProgressService: jest.fn()
+}));
+
+const prisma = require('../config/db');
+const config = require('../config');
+const { auditLogger } = require('../utils/logger');
+const { sendToUserService } = require('../utils/serviceNotifier');
+const outboxService = require('../services/outboxService');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+const event = (overrides = {}) => ({
+  id: 'evt_1',
+  destination: 'USER_SERVICE',
+  eventType: 'ENROLL_USER',
+  payload: { userId: 'user_1', action: 'ENROLL_USER', courseId: 'course_1' },
+  orderingKey: 'USER_SERVICE:user_1',
+  transactionId: 'txn_1',
+  status: 'PENDING',
+  attempts: 0,
+  nextAttemptAt: now,
+  createdAt: now,
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.outboxEvent.count.mockResolvedValue(0);
+  prisma.outboxEvent.updateMany.mockResolvedValue({ count: 1 });
+});
+
+describe('backoffDelayMs', () => {
+  test('doubles with every failure up to the cap', () => {
+    const base = config.outbox.baseDelaySeconds * 1000;
+    expect(outboxService.backoffDelayMs(1)).toBe(base);
+    expect(outboxService.backoffDelayMs(3)).toBe(base * 4);
+    expect(outboxService.backoffDelayMs(50)).toBe(config.outbox.maxDelayMinutes * 60 * 1000);
+  });
+});
+
+describe('deliverEvent', () => {
+  test('marks a delivered event', async () => {
+    await expect(outboxService.deliverEvent(event(), now)).resolves.toBe('DELIVERED');
+
+    expect(sendToUserService).toHaveBeenCalledWith(event().payload);
+    expect(prisma.outboxEvent.update.mock.calls[0][0].data).toMatchObject({
+      status: 'DELIVERED',
+      attempts: 1
+    });
+  });
+
+  test('retries a failed delivery later', async () => {
+    sendToUserService.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+    await expect(outboxService.deliverEvent(event({ attempts: 2 }), now)).resolves.toBe('FAILED');
+
+    expect(prisma.outboxEvent.update.mock.calls[0][0].data).toEqual({
+      attempts: 3,
+      lastError: 'connect ECONNREFUSED',
+      nextAttemptAt: new Date(now.getTime() + outboxService.backoffDelayMs(3))
+    });
+  });
+
+  test('dead-letters an event that keeps failing', async () => {
+    sendToUserService.mockRejectedValueOnce(new Error('Request failed with status code 500'));
+    const lastAttempt = event({ attempts: config.outbox.maxAttempts - 1 });
+
+    await expect(outboxService.deliverEvent(lastAttempt, now)).resolves.toBe('DEAD');
+
+    expect(prisma.outboxEvent.update.mock.calls[0][0].data).toMatchObject({ status: 'DEAD' });
+    expect(auditLogger.log).toHaveBeenCalledWith(
+      'OUTBOX_EVENT_DEAD',
+      'system',
+      expect.any(String),
+      'txn_1',
+      expect.objectContaining({ eventId: 'evt_1' })
+    );
+  });
+
+  test('waits for older events of the same user and service', async () => {
+    prisma.outboxEvent.count.mockResolvedValue(1);
+
+    await expect(outboxService.deliverEvent(event(), now)).resolves.toBeNull();
+    expect(sendToUserService).not.toHaveBeenCalled();
+  });
+
+  test('skips an event another dispatcher has leased', async () => {
+    prisma.outboxEvent.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(outboxService.deliverEvent(event(), now)).resolves.toBeNull();
+    expect(sendToUserService).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,242 @@
+process.env.PAYMENT_GATEWAY = 'fake';
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../config/db', () => {
+  const db = {
+    transaction: {
+      findFirst: jest.fn().mockResolvedValue(null),
+      create: jest.fn(async ({ data }) => ({ id: 'txn_1', ...data })),
+      count: jest.fn().mockResolvedValue(0),
+      aggregate: jest.fn().mockResolvedValue({ _sum: {}, _avg: {}, _count: { _all: 0 } })
+    },
+    auditLog: { count: jest.fn().mockResolvedValue(0) },
+    commissionRule: { findMany: jest.fn().mockResolvedValue([]) },
+    paymentReview: { create: jest.fn() },
+    outboxEvent: {
+      createMany: jest.fn(),
+      findMany: jest.fn().mockResolvedValue([])
+    },
+    revenueShare: { findMany: jest.fn().mockResolvedValue([]) },
+    payoutSchedule: { findMany: jest.fn().mockResolvedValue([]) },
+    earningHold: { findMany: jest.fn().mockResolvedValue([]) },
+    educatorEarning: {
+      createMany: jest.fn(),
+      findMany: jest.fn().mockResolvedValue([])
+    },
+    stripeAccount: {
+      findFirst: jest.fn().mockResolvedValue({ stripeAccountId: 'acct_educator' }),
+      findMany: jest
+        .fn()
+        .mockResolvedValue([{ educatorId: 'edu_1', stripeAccountId: 'acct_educator' }])
+    },
+    enrollment: { create: jest.fn() },
+    invoice: { create: jest.fn(async ({ data }) => ({ id: 'inv_1', ...data })) },
+    journalEntry: {
+      findUnique: jest.fn().mockResolvedValue(null),
+      create: jest.fn()
+    }
+  };
+  db.$transaction = jest.fn((fn) => fn(db));
+  return db;
+});
+
+jest.mock('../services/coursePriceService', () => ({
+  resolveCoursePrice: jest.fn().mockResolvedValue({
+    courseId: 'course_1',
+    educatorId: 'edu_1',
+    amount: 100,
+    currency: 'USD',
+    title: 'Course'
+  }),
+  assertPreorderOpen: jest.fn()
+}));
+
+jest.mock('../services/giftService', () => ({
+  getRedeemedCourseIds: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../services/fxRateService', () => ({
+  getConversionToBase: jest.fn().mockResolvedValue(null),
+  baseAmountFields: () => ({})
+}));
+
+jest.mock('../services/statisticsService', () => ({
+  invalidateTransactionCaches: jest.fn()
+}));
+
+jest.mock('../utils/serviceNotifier', () => ({
+  notifyUserService: jest.fn(),
+  notifyCourseService: jest.fn(),
+  notifyProgressService: jest.fn()
+}));
+
+const { getPaymentGateway } = require('../services/paymentGateways');
+const fake = require('../services/paymentGateways/fakeGateway');
+const prisma = require('../config/db');
+const paymentService = require('../services/paymentService');
+
+const pay = (paymentMethod, params = {}, options) =>
+  fake.createPayment(
+    {
+      amount: 10000,
+      currency: 'USD',
+      payment_method: paymentMethod,
+      confirm: true,
+      ...params
+    },
+    options
+  );
+
+beforeEach(() => {
+  fake.reset();
+  jest.clearAllMocks();
+});
+
+describe('getPaymentGateway', () => {
+  test('selects the gateway configured by PAYMENT_GATEWAY', () => {
+    expect(getPaymentGateway().name).toBe('fake');
+    expect(getPaymentGateway('stripe').name).toBe('stripe');
+  });
+
+  test('rejects unknown gateways', () => {
+    expect(() => getPaymentGateway('paypal')).toThrow('Unknown payment gateway: paypal');
+  });
+});
+
+describe('fake gateway', () => {
+  test('charges test cards and pays destination accounts less the fee', async () => {
+    const intent = await pay('pm_card_mastercard', {
+      application_fee_amount: 2000,
+      transfer_data: { destination: 'acct_1' },
+      expand: ['payment_method']
+    });
+
+    expect(intent).toMatchObject({ id: 'pi_fake_000001', status: 'succeeded' });
+    expect(intent.payment_method.card).toMatchObject({ brand: 'mastercard', last4: '4444' });
+
+    const charge = await fake.retrieveCharge(intent.latest_charge);
+    const balance = await fake.retrieveBalance('acct_1');
+    expect(charge.transfer).toBe('tr_fake_000001');
+    expect(balance.pending).toEqual([{ amount: 8000, currency: 'usd' }]);
+  });
+
+  test('declines cards like Stripe does', async () => {
+    await expect(pay('pm_card_chargeDeclined')).rejects.toMatchObject({
+      type: 'StripeCardError',
+      statusCode: 402,
+      message: 'Your card was declined.'
+    });
+  });
+
+  test('asks for 3-D Secure until the customer authenticates', async () => {
+    const intent = await pay('pm_card_authenticationRequired');
+    expect(intent.status).toBe('requires_action');
+
+    const authenticated = await fake.authenticatePayment(intent.id);
+    expect(authenticated.status).toBe('succeeded');
+  });
+
+  test('authorizes, captures and cancels manual payments', async () => {
+    const captured = await pay('pm_card_visa', { capture_method: 'manual' });
+    const canceled = await pay('pm_card_visa', { capture_method: 'manual' });
+    expect(captured.status).toBe('requires_capture');
+
+    await expect(fake.capturePayment(captured.id)).resolves.toMatchObject({ status: 'succeeded' });
+    await expect(fake.cancelPayment(canceled.id)).resolves.toMatchObject({ status: 'canceled' });
+    await expect(fake.cancelPayment(captured.id)).rejects.toThrow('status of succeeded');
+  });
+
+  test('refunds and reverses no more than was paid', async () => {
+    const intent = await pay('pm_card_visa', { transfer_data: { destination: 'acct_1' } });
+    const charge = await fake.retrieveCharge(intent.latest_charge);
+
+    await expect(fake.createRefund({ charge: charge.id, amount: 4000 })).resolves.toMatchObject({ amount: 4000 });
+    await expect(fake.createRefund({ charge: charge.id, amount: 7000 })).rejects.toThrow('greater than unrefunded amount');
+    await expect(fake.reverseTransfer(charge.transfer, { amount: 4000 })).resolves.toMatchObject({ amount: 4000 });
+    expect((await fake.retrieveBalance('acct_1')).pending[0].amount).toBe(6000);
+  });
+
+  test('replays the result of a repeated idempotency key', async () => {
+    const first = await pay('pm_card_visa', {}, { idempotencyKey: 'key_1' });
+    const second = await pay('pm_card_visa', {}, { idempotencyKey: 'key_1' });
+
+    expect(second.id).toBe(first.id);
+  });
+
+  test('verifies the webhooks it signs', () => {
+    const payload = JSON.stringify({ id: 'evt_1', type: 'charge.succeeded' });
+    const signature = fake.signWebhookPayload(payload, 'whsec_test');
+
+    expect(fake.constructWebhookEvent(payload, signature, 'whsec_test').id).toBe('evt_1');
+    expect(() => fake.constructWebhookEvent(payload, signature, 'whsec_other')).toThrow(
+      'No signatures found'
+    );
+  });
+});
+
+describe('processPayment on the fake gateway', () => {
+  test('charges the card and records its details', async () => {
+    const result = await paymentService.processPayment(
+      { courseId: 'course_1', source: 'pm_card_amex' },
+      { id: 'user_1', email: 'student@example.com' }
+    );
+
+    expect(result).toMatchObject({ success: true, transactionId: 'txn_1' });
+    const { data } = prisma.transaction.create.mock.calls[0][0];
+    expect(data).toMatchObject({
+      stripeChargeId: 'pi_fake_000001',
+      status: 'COMPLETED',
+      metadata: { paymentMethod: 'card', cardBrand: 'amex', cardLast4: '8431' }
+    });
+
+    // The destination charge pays the educator all but the commission
+    const balance = await fake.retrieveBalance('acct_educator');
+    expect(balance.pending[0].amount).toBe(10000 - data.platformCommission * 100);
+  });
+});
+
+describe('fraud screening on the fake gateway', () => {
+  const checkout = () =>
+    paymentService.processPayment(
+      { courseId: 'course_1', source: 'pm_card_visa', billingCountry: 'US' },
+      { id: 'user_1', email: 'student@example.com' },
+      { ipAddress: '203.0.113.7' }
+    );
+
+  test('holds a risky payment for review with the card only authorized', async () => {
+    // Checkout velocity of the user and recent failed payments
+    prisma.auditLog.count.mockResolvedValueOnce(5);
+    prisma.transaction.count.mockResolvedValueOnce(3);
+
+    const result = await checkout();
+
+    expect(result).toMatchObject({ status: 'AUTHORIZED', inReview: true });
+    expect((await fake.retrievePayment('pi_fake_000001')).status).toBe('requires_capture');
+    expect(prisma.paymentReview.create.mock.calls[0][0].data).toMatchObject({
+      transactionId: 'txn_1',
+      score: 65
+    });
+  });
+
+  test('blocks a payment without charging the card', async () => {
+    // Checkout velocity of the user, the card and the IP address
+    prisma.auditLog.count
+      .mockResolvedValueOnce(10)
+      .mockResolvedValueOnce(10)
+      .mockResolvedValueOnce(10);
+
+    await expect(checkout()).rejects.toMatchObject({ name: 'payment_blocked_err' });
+    await expect(fake.retrievePayment('pi_fake_000001')).rejects.toThrow();
+  });
+});
@@ -0,0 +1,111 @@
+process.env.PAYMENT_GATEWAY = 'fake';
+
+jest.mock('../config/db', () => ({
+  stripeAccount: { findFirst: jest.fn() },
+  payout: {
+    aggregate: jest.fn(),
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    updateMany: jest.fn(),
+    update: jest.fn()
+  }
+}));
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+const fake = require('../services/paymentGateways/fakeGateway');
+const prisma = require('../config/db');
+const { requestPayout, approvePayout, getPayoutBalance } = require('../services/payoutService');
+
+const educator = { id: 'edu_1' };
+const admin = { id: 'admin_1' };
+
+beforeEach(async () => {
+  fake.reset();
+  jest.clearAllMocks();
+  prisma.stripeAccount.findFirst.mockResolvedValue({ stripeAccountId: 'acct_1' });
+  // $500 has settled and $100 is still pending
+  await fake.createTransfer({ amount: 50000, currency: 'usd', destination: 'acct_1' });
+  await fake.settleBalance('acct_1');
+  await fake.createTransfer({ amount: 10000, currency: 'usd', destination: 'acct_1' });
+  prisma.payout.aggregate.mockResolvedValue({ _sum: { amount: 300 } });
+  prisma.payout.create.mockImplementation(({ data }) => ({ id: 'po_1', ...data }));
+});
+
+describe('requestPayout', () => {
+  test('allows up to the balance less the payouts still waiting', async () => {
+    const payout = await requestPayout({ amount: 200 }, educator);
+
+    expect(payout).toMatchObject({
+      educatorId: 'edu_1',
+      stripeAccountId: 'acct_1',
+      amount: 200,
+      currency: 'USD'
+    });
+  });
+
+  test('rejects more than is available', async () => {
+    await expect(requestPayout({ amount: 200.01 }, educator)).rejects.toMatchObject({
+      name: 'payout_balance_err'
+    });
+    expect(prisma.payout.create).not.toHaveBeenCalled();
+  });
+
+  test('does not pay out funds still pending on Stripe', async () => {
+    await expect(getPayoutBalance('edu_1')).resolves.toMatchObject({
+      currency: 'USD',
+      balance: 500,
+      pending: 100,
+      requested: 300,
+      available: 200
+    });
+  });
+
+  test('takes the balance in the requested currency', async () => {
+    await fake.createTransfer({ amount: 9000, currency: 'eur', destination: 'acct_1' });
+    await fake.settleBalance('acct_1');
+    prisma.payout.aggregate.mockResolvedValue({ _sum: { amount: null } });
+
+    await expect(requestPayout({ amount: 90, currency: 'eur' }, educator)).resolves.toMatchObject({
+      amount: 90,
+      currency: 'EUR'
+    });
+    expect(prisma.payout.aggregate).toHaveBeenCalledWith(
+      expect.objectContaining({ where: expect.objectContaining({ currency: 'EUR' }) })
+    );
+  });
+
+  test('rejects a currency the balance has no funds in', async () => {
+    await expect(
+      requestPayout({ amount: 10, currency: 'EUR' }, educator)
+    ).rejects.toMatchObject({ name: 'payout_err' });
+  });
+
+  test('needs a connected account', async () => {
+    prisma.stripeAccount.findFirst.mockResolvedValue(null);
+    await expect(requestPayout({ amount: 10 }, educator)).rejects.toMatchObject({
+      name: 'edu_not_found_err'
+    });
+  });
+});
+
+describe('approvePayout', () => {
+  test('does not send a payout that was already reviewed', async () => {
+    prisma.payout.findUnique.mockResolvedValue({ id: 'po_1', status: 'REJECTED' });
+    prisma.payout.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(approvePayout('po_1', admin)).rejects.toMatchObject({
+      name: 'payout_err'
+    });
+    expect(prisma.payout.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,106 @@
+process.env.PAYMENT_GATEWAY = 'fake';
+
+jest.mock('../config/db', () => ({
+  payoutSchedule: { findMany: jest.fn() },
+  earningHold: { findMany: jest.fn(), createMany: jest.fn() }
+}));
+
+const prisma = require('../config/db');
+const {
+  nextPayoutDate,
+  holdEarnings,
+  takeBackHeldEarnings
+} = require('../services/payoutScheduleService');
+const { getPaymentGateway } = require('../services/paymentGateways');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const soldAt = new Date('2026-06-10T09:30:00Z');
+
+describe('nextPayoutDate', () => {
+  test('finds the next anchor day of the week', () => {
+    // 10 June 2026 is a Wednesday
+    expect(nextPayoutDate('WEEKLY', 5, soldAt)).toEqual(new Date('2026-06-12T00:00:00Z'));
+    expect(nextPayoutDate('WEEKLY', 3, soldAt)).toEqual(new Date('2026-06-17T00:00:00Z'));
+  });
+
+  test('finds the next anchor day of the month', () => {
+    expect(nextPayoutDate('MONTHLY', 15, soldAt)).toEqual(new Date('2026-06-15T00:00:00Z'));
+    expect(nextPayoutDate('MONTHLY', 1, soldAt)).toEqual(new Date('2026-07-01T00:00:00Z'));
+    expect(nextPayoutDate('MONTHLY', 1, new Date('2026-12-20T00:00:00Z'))).toEqual(
+      new Date('2027-01-01T00:00:00Z')
+    );
+  });
+});
+
+describe('holdEarnings', () => {
+  test('holds the reserve for longer than the rest', async () => {
+    prisma.payoutSchedule.findMany.mockResolvedValue([
+      { educatorId: 'edu_1', holdDays: 14, reservePercentage: 10, reserveDays: 90 }
+    ]);
+    await holdEarnings(prisma, { id: 'txn_1', createdAt: soldAt }, [
+      { educatorId: 'edu_1', amount: 77.45, currency: 'USD' }
+    ]);
+
+    const { data } = prisma.earningHold.createMany.mock.calls[0][0];
+    expect(data).toEqual([
+      expect.objectContaining({
+        kind: 'HOLD',
+        amount: 69.7,
+        releaseAt: new Date(soldAt.getTime() + 14 * DAY_MS)
+      }),
+      expect.objectContaining({
+        kind: 'RESERVE',
+        amount: 7.75,
+        releaseAt: new Date(soldAt.getTime() + 90 * DAY_MS)
+      })
+    ]);
+  });
+});
+
+describe('takeBackHeldEarnings', () => {
+  const share = { educatorId: 'edu_1', amount: 80 };
+  const holdRelease = new Date(soldAt.getTime() + 14 * DAY_MS);
+  const reserveRelease = new Date(soldAt.getTime() + 90 * DAY_MS);
+
+  test('leaves earnings that were not held to the transfers', async () => {
+    prisma.earningHold.findMany.mockResolvedValue([]);
+    expect(await takeBackHeldEarnings('txn_1', share, 'USD')).toBeNull();
+  });
+
+  test('keeps back what is still held', async () => {
+    prisma.earningHold.findMany.mockResolvedValue([
+      { kind: 'HOLD', amount: 72, releaseAt: holdRelease, releasedAt: null },
+      { kind: 'RESERVE', amount: 8, releaseAt: reserveRelease, releasedAt: null }
+    ]);
+
+    expect(await takeBackHeldEarnings('txn_1', share, 'USD')).toEqual([
+      expect.objectContaining({ kind: 'HOLD', amount: -72, releaseAt: holdRelease }),
+      expect.objectContaining({ kind: 'RESERVE', amount: -8, releaseAt: reserveRelease })
+    ]);
+  });
+
+  test('reverses the transfer of what was released', async () => {
+    const gateway = getPaymentGateway();
+    const reverseTransfer = jest
+      .spyOn(gateway, 'reverseTransfer')
+      .mockResolvedValue({ id: 'trr_1' });
+    prisma.earningHold.findMany.mockResolvedValue([
+      {
+        kind: 'HOLD',
+        amount: 72,
+        releaseAt: holdRelease,
+        releasedAt: holdRelease,
+        stripeTransferId: 'tr_1'
+      },
+      { kind: 'RESERVE', amount: 8, releaseAt: reserveRelease, releasedAt: null }
+    ]);
+
+    const refundHolds = await takeBackHeldEarnings('txn_1', { ...share, amount: 20 }, 'USD');
+
+    expect(refundHolds).toEqual([
+      expect.objectContaining({ kind: 'RESERVE', amount: -8, releaseAt: reserveRelease }),
+      expect.objectContaining({ kind: 'HOLD', amount: -12, stripeTransferId: 'tr_1' })
+    ]);
+    expect(reverseTransfer).toHaveBeenCalledWith('tr_1', { amount: 1200 });
+  });
+});
@@ -0,0 +1,311 @@
+process.env.PAYMENT_GATEWAY = 'fake';
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../config/db', () => {
+  // Transactions are kept so the capture and void see the authorization
+  const transactions = new Map();
+  const matches = (row, where) =>
+    Object.entries(where).every(([field, value]) => {
+      if (field === 'NOT') return true;
+      if (value && typeof value === 'object' && !(value instanceof Date)) {
+        if ('in' in value) return value.in.includes(row[field]);
+        if ('lte' in value) return row[field] <= value.lte;
+        if ('is' in value) return (row[field] ?? null) === value.is;
+      }
+      return row[field] === value;
+    });
+  const notHeld = (row, where) =>
+    !where.NOT || row.paymentReview?.status !== where.NOT.paymentReview.is.status;
+
+  const db = {
+    transactions,
+    transaction: {
+      create: jest.fn(async ({ data }) => {
+        const record = { id: `txn_${transactions.size + 1}`, createdAt: new Date(), ...data };
+        transactions.set(record.id, record);
+        return { ...record };
+      }),
+      findFirst: jest.fn(async ({ where }) => {
+        const row = [...transactions.values()].find((t) => matches(t, where));
+        return row ? { ...row } : null;
+      }),
+      findUnique: jest.fn(async ({ where }) =>
+        transactions.has(where.id) ? { ...transactions.get(where.id) } : null
+      ),
+      findMany: jest.fn(async ({ where }) =>
+        [...transactions.values()]
+          .filter((t) => matches(t, where) && notHeld(t, where))
+          .map((t) => ({ id: t.id }))
+      ),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const rows = [...transactions.values()].filter((t) => matches(t, where));
+        rows.forEach((row) => Object.assign(row, data));
+        return { count: rows.length };
+      }),
+      count: jest.fn().mockResolvedValue(0),
+      aggregate: jest.fn().mockResolvedValue({ _sum: {}, _avg: {}, _count: { _all: 0 } })
+    },
+    coursePrice: { findMany: jest.fn() },
+    giftCode: { findMany: jest.fn().mockResolvedValue([]) },
+    auditLog: { count: jest.fn().mockResolvedValue(0) },
+    commissionRule: { findMany: jest.fn().mockResolvedValue([]) },
+    revenueShare: { findMany: jest.fn().mockResolvedValue([]) },
+    payoutSchedule: { findMany: jest.fn().mockResolvedValue([]) },
+    educatorEarning: {
+      createMany: jest.fn(),
+      findMany: jest.fn().mockResolvedValue([])
+    },
+    stripeAccount: {
+      findMany: jest
+        .fn()
+        .mockResolvedValue([{ educatorId: 'edu_1', stripeAccountId: 'acct_educator' }])
+    },
+    invoice: { create: jest.fn(async ({ data }) => ({ id: 'inv_1', ...data })) }
+  };
+  db.$transaction = jest.fn((fn) => fn(db));
+  return db;
+});
+
+jest.mock('../services/coursePriceService', () => ({
+  ...jest.requireActual('../services/coursePriceService'),
+  resolveCoursePrice: jest.fn()
+}));
+
+jest.mock('../services/outboxService', () => ({
+  DESTINATIONS: jest.requireActual('../services/outboxService').DESTINATIONS,
+  enrollmentEvents: jest.requireActual('../services/outboxService').enrollmentEvents,
+  enqueueEvents: jest.fn(),
+  dispatchSoon: jest.fn()
+}));
+
+jest.mock('../services/ledgerService', () => ({
+  postPayment: jest.fn()
+}));
+
+jest.mock('../services/fxRateService', () => ({
+  getConversionToBase: jest.fn().mockResolvedValue(null),
+  baseAmountFields: () => ({})
+}));
+
+jest.mock('../services/statisticsService', () => ({
+  invalidateTransactionCaches: jest.fn()
+}));
+
+const fake = require('../services/paymentGateways/fakeGateway');
+const prisma = require('../config/db');
+const outboxService = require('../services/outboxService');
+const { resolveCoursePrice, getPreorderWindowMs } = require('../services/coursePriceService');
+const { processPayment } = require('../services/paymentService');
+const {
+  captureAuthorizedPayment,
+  voidAuthorizedPayment,
+  captureLaunchedPreorders,
+  voidExpiringAuthorizations
+} = require('../services/preorderService');
+
+const student = { id: 'user_1', email: 'student@example.com' };
+const admin = { id: 'admin_1', role: 'Admin' };
+const educator = { id: 'edu_1', role: 'Educator' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const launchDate = new Date(Date.now() + 3 * DAY_MS);
+
+// Actions queued to the outbox, in order
+const queuedActions = () =>
+  outboxService.enqueueEvents.mock.calls.flatMap(([, events]) =>
+    events.map((event) => event.payload.action || event.payload.Action)
+  );
+
+const preorder = async (user = student) => {
+  const result = await processPayment(
+    { courseId: 'course_1', source: 'pm_card_visa', captureMethod: 'manual' },
+    user
+  );
+  return result.transactionId;
+};
+const stored = (transactionId) => prisma.transactions.get(transactionId);
+
+beforeEach(() => {
+  fake.reset();
+  jest.clearAllMocks();
+  prisma.transactions.clear();
+  resolveCoursePrice.mockResolvedValue({
+    courseId: 'course_1',
+    educatorId: 'edu_1',
+    amount: 100,
+    currency: 'USD',
+    title: 'Course',
+    launchDate
+  });
+});
+
+describe('pre-order checkout', () => {
+  test('only authorizes the card and neither enrolls nor invoices', async () => {
+    const result = await processPayment(
+      { courseId: 'course_1', source: 'pm_card_visa', captureMethod: 'manual' },
+      student
+    );
+
+    expect(result).toMatchObject({ status: 'AUTHORIZED', launchDate });
+    expect(stored(result.transactionId)).toMatchObject({
+      status: 'AUTHORIZED',
+      metadata: { preorder: true }
+    });
+    await expect(fake.retrievePayment(stored(result.transactionId).stripeChargeId)).resolves.toMatchObject({
+      status: 'requires_capture'
+    });
+    expect(prisma.invoice.create).not.toHaveBeenCalled();
+    expect(queuedActions()).toEqual([]);
+  });
+
+  test('refuses a course that has launched', async () => {
+    resolveCoursePrice.mockResolvedValue({
+      courseId: 'course_1',
+      educatorId: 'edu_1',
+      amount: 100,
+      currency: 'USD',
+      launchDate: new Date(Date.now() - DAY_MS)
+    });
+
+    await expect(preorder()).rejects.toMatchObject({ name: 'preorder_err', statusCode: 400 });
+  });
+
+  test('refuses a second pre-order of the same course', async () => {
+    await preorder();
+
+    await expect(preorder()).rejects.toMatchObject({ name: 'already_enrolled_err' });
+  });
+});
+
+describe('captureAuthorizedPayment', () => {
+  test('charges the card, then enrolls and invoices the student', async () => {
+    const transactionId = await preorder();
+
+    await expect(captureAuthorizedPayment(transactionId, educator)).resolves.toEqual({
+      transactionId,
+      status: 'COMPLETED'
+    });
+
+    expect(stored(transactionId).status).toBe('COMPLETED');
+    await expect(fake.retrievePayment(stored(transactionId).stripeChargeId)).resolves.toMatchObject({
+      status: 'succeeded'
+    });
+    expect(prisma.invoice.create.mock.calls[0][0].data).toMatchObject({ total: 100, status: 'PAID' });
+    expect(queuedActions()).toEqual(['ENROLL_USER', 'ENROLL_USER', 'ADD']);
+  });
+
+  test("refuses an educator capturing another educator's pre-order", async () => {
+    const transactionId = await preorder();
+
+    await expect(
+      captureAuthorizedPayment(transactionId, { id: 'edu_2', role: 'Educator' })
+    ).rejects.toMatchObject({ name: 'transaction_err', statusCode: 404 });
+    expect(stored(transactionId).status).toBe('AUTHORIZED');
+  });
+
+  test('leaves a payment held for fraud review to the review', async () => {
+    const transactionId = await preorder();
+    stored(transactionId).paymentReview = { status: 'PENDING' };
+
+    await expect(captureAuthorizedPayment(transactionId, admin)).rejects.toThrow(
+      /held for fraud review/
+    );
+  });
+
+  test('refuses a payment that is not authorized', async () => {
+    const transactionId = await preorder();
+    await captureAuthorizedPayment(transactionId, admin);
+
+    await expect(captureAuthorizedPayment(transactionId, admin)).rejects.toMatchObject({
+      name: 'preorder_err',
+      message: expect.stringMatching(/this one is COMPLETED/)
+    });
+  });
+});
+
+describe('voidAuthorizedPayment', () => {
+  test('releases the authorization without enrolling the student', async () => {
+    const transactionId = await preorder();
+
+    await expect(voidAuthorizedPayment(transactionId, admin)).resolves.toEqual({
+      transactionId,
+      status: 'VOIDED'
+    });
+
+    expect(stored(transactionId).status).toBe('VOIDED');
+    await expect(fake.retrievePayment(stored(transactionId).stripeChargeId)).resolves.toMatchObject({
+      status: 'canceled'
+    });
+    expect(queuedActions()).toEqual([]);
+  });
+});
+
+describe('pre-order jobs', () => {
+  test('capture the pre-orders of launched courses, except those held for review', async () => {
+    const captured = await preorder();
+    const held = await preorder({ id: 'user_2', email: 'other@example.com' });
+    stored(held).paymentReview = { status: 'PENDING' };
+    prisma.coursePrice.findMany.mockResolvedValue([{ courseId: 'course_1' }]);
+
+    await expect(captureLaunchedPreorders(launchDate)).resolves.toEqual({ captured: 1, failed: 0 });
+
+    expect(prisma.coursePrice.findMany).toHaveBeenCalledWith({
+      where: { launchDate: { lte: launchDate } },
+      select: { courseId: true }
+    });
+    expect(stored(captured).status).toBe('COMPLETED');
+    expect(stored(held).status).toBe('AUTHORIZED');
+  });
+
+  test('count a capture that fails and leave it authorized', async () => {
+    const transactionId = await preorder();
+    prisma.coursePrice.findMany.mockResolvedValue([{ courseId: 'course_1' }]);
+    const capturePayment = jest
+      .spyOn(fake, 'capturePayment')
+      .mockRejectedValueOnce(new Error('authorization expired'));
+
+    await expect(captureLaunchedPreorders(launchDate)).resolves.toEqual({ captured: 0, failed: 1 });
+    expect(stored(transactionId).status).toBe('AUTHORIZED');
+    capturePayment.mockRestore();
+  });
+
+  test('do nothing before any course has launched', async () => {
+    await preorder();
+    prisma.coursePrice.findMany.mockResolvedValue([]);
+
+    await expect(captureLaunchedPreorders()).resolves.toEqual({ captured: 0, failed: 0 });
+    expect(prisma.transaction.findMany).not.toHaveBeenCalled();
+  });
+
+  test('void authorizations before they lapse', async () => {
+    const expiring = await preorder();
+    const recent = await preorder({ id: 'user_2', email: 'other@example.com' });
+    stored(expiring).createdAt = new Date(Date.now() - getPreorderWindowMs() - 1000);
+
+    await expect(voidExpiringAuthorizations()).resolves.toEqual({ voided: 1, failed: 0 });
+
+    expect(stored(expiring).status).toBe('VOIDED');
+    expect(stored(recent).status).toBe('AUTHORIZED');
+  });
+
+  test('leave authorizations held for fraud review to the review', async () => {
+    const held = await preorder();
+    stored(held).paymentReview = { status: 'PENDING' };
+    stored(held).createdAt = new Date(Date.now() - getPreorderWindowMs() - 1000);
+
+    await expect(voidExpiringAuthorizations()).resolves.toEqual({ voided: 0, failed: 0 });
+
+    expect(stored(held).status).toBe('AUTHORIZED');
+  });
+});
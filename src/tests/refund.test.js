@@ -0,0 +1,537 @@
+process.env.PAYMENT_GATEWAY = 'fake';
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../config/db', () => {
+  const { toDecimal, sumMoney } = require('../utils/money');
+  // Transactions are kept so each refund sees what the earlier ones did
+  const transactions = new Map();
+  const matches = (row, where) =>
+    Object.entries(where).every(([field, value]) => {
+      if (field === 'metadata') {
+        return row.metadata?.[value.path[0]] === value.equals;
+      }
+      if (value && typeof value === 'object') {
+        if ('in' in value) return value.in.includes(row[field]);
+        if ('not' in value) return row[field] !== value.not;
+      }
+      return row[field] === value;
+    });
+  const apply = (row, data) => {
+    Object.entries(data).forEach(([field, value]) => {
+      if (value && typeof value === 'object' && 'increment' in value) {
+        row[field] = toDecimal(row[field]).plus(value.increment);
+      } else if (value && typeof value === 'object' && 'decrement' in value) {
+        row[field] = toDecimal(row[field]).minus(value.decrement);
+      } else {
+        row[field] = value;
+      }
+    });
+    return { ...row };
+  };
+  const sum = (rows, field) => sumMoney(rows.map((row) => row[field]));
+
+  const db = {
+    transactions,
+    transaction: {
+      create: jest.fn(async ({ data }) => {
+        const record = { id: `txn_${transactions.size + 1}`, ...data };
+        transactions.set(record.id, record);
+        return { ...record };
+      }),
+      findFirst: jest.fn(async ({ where }) => {
+        const row = [...transactions.values()].find((t) => matches(t, where));
+        return row ? { ...row } : null;
+      }),
+      findMany: jest.fn(async ({ where }) =>
+        [...transactions.values()].filter((t) => matches(t, where)).map((t) => ({ ...t }))
+      ),
+      findUnique: jest.fn(async ({ where }) =>
+        transactions.has(where.id) ? { ...transactions.get(where.id) } : null
+      ),
+      update: jest.fn(async ({ where, data }) => apply(transactions.get(where.id), data)),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const rows = [...transactions.values()].filter((t) => matches(t, where));
+        rows.forEach((row) => apply(row, data));
+        return { count: rows.length };
+      }),
+      aggregate: jest.fn(async ({ where }) => {
+        const rows = [...transactions.values()].filter((t) => matches(t, where));
+        return {
+          _sum: Object.fromEntries(
+            ['amount', 'taxAmount', 'platformCommission', 'educatorEarnings', 'affiliateCommission']
+              .map((field) => [field, rows.length ? sum(rows, field) : null])
+          )
+        };
+      })
+    },
+    giftCode: {
+      findUnique: jest.fn().mockResolvedValue(null),
+      updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+      update: jest.fn()
+    },
+    referral: { update: jest.fn() }
+  };
+  db.$transaction = jest.fn((fn) => fn(db));
+  return db;
+});
+
+jest.mock('../services/outboxService', () => ({
+  DESTINATIONS: jest.requireActual('../services/outboxService').DESTINATIONS,
+  enrollmentEvents: jest.requireActual('../services/outboxService').enrollmentEvents,
+  enqueueEvents: jest.fn(),
+  dispatchSoon: jest.fn()
+}));
+
+jest.mock('../services/revenueShareService', () => ({
+  splitRefundedEarnings: jest.fn(async (transactionId, amount) =>
+    amount > 0 ? [{ educatorId: 'edu_1', courseId: 'course_1', percentage: 100, amount }] : []
+  ),
+  recordRefundedEarnings: jest.fn()
+}));
+
+jest.mock('../services/payoutScheduleService', () => ({
+  takeBackHeldEarnings: jest.fn().mockResolvedValue(null),
+  recordHeldRefunds: jest.fn(),
+  restoreHeldRefunds: jest.fn()
+}));
+
+jest.mock('../services/ledgerService', () => ({
+  postRefund: jest.fn(),
+  postTransferReversals: jest.fn(),
+  postRefundFailure: jest.fn()
+}));
+
+jest.mock('../services/walletService', () => ({
+  creditWallet: jest.fn(),
+  debitWallet: jest.fn()
+}));
+
+jest.mock('../services/fxRateService', () => ({
+  getConversionToBase: jest.fn().mockResolvedValue(null),
+  baseAmountFields: jest.fn(() => ({}))
+}));
+
+jest.mock('../services/statisticsService', () => ({
+  invalidateTransactionCaches: jest.fn()
+}));
+
+jest.mock('../services/invoiceService', () => ({
+  updateInvoiceStatus: jest.fn()
+}));
+
+const prisma = require('../config/db');
+const { auditLogger } = require('../utils/logger');
+const outboxService = require('../services/outboxService');
+const ledgerService = require('../services/ledgerService');
+const walletService = require('../services/walletService');
+const payoutScheduleService = require('../services/payoutScheduleService');
+const fxRateService = require('../services/fxRateService');
+const fake = require('../services/paymentGateways/fakeGateway');
+const { processRefund } = require('../services/paymentService');
+const { processWebhookEvent } = require('../webhooks/stripeWebhookHandler');
+
+const payment = {
+  id: 'txn_payment',
+  type: 'PAYMENT',
+  status: 'COMPLETED',
+  stripeChargeId: 'pi_1',
+  amount: 100,
+  taxAmount: 0,
+  currency: 'USD',
+  platformCommission: 20,
+  educatorEarnings: 70,
+  affiliateCommission: 10,
+  refundedAmount: 0,
+  refundId: null,
+  userId: 'user_1',
+  courseId: 'course_1',
+  educatorId: 'edu_1',
+  metadata: {}
+};
+
+// Actions queued to the outbox, by the user they are for
+const queuedActions = () =>
+  outboxService.enqueueEvents.mock.calls.flatMap(([, events]) =>
+    events.map((event) => `${event.payload.action || event.payload.Action}:${event.payload.userId || event.payload.UserId}`)
+  );
+
+const chargeRefunded = (...refunds) =>
+  processWebhookEvent({
+    id: 'evt_refunded',
+    type: 'charge.refunded',
+    data: {
+      object: {
+        id: 'ch_1',
+        payment_intent: 'pi_1',
+        refunds: {
+          data: refunds.map(([id, amount]) => ({ id, amount, status: 'succeeded', metadata: {} }))
+        }
+      }
+    }
+  });
+
+const refundFailed = (id) =>
+  processWebhookEvent({
+    id: 'evt_refund_failed',
+    type: 'refund.updated',
+    data: { object: { id, status: 'failed', failure_reason: 'lost_or_stolen_card' } }
+  });
+
+const admin = { id: 'admin_1' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  fake.reset();
+  prisma.transactions.clear();
+  prisma.transactions.set(payment.id, { ...payment });
+});
+
+describe('processRefund', () => {
+  beforeEach(async () => {
+    // The payment is charged in the fake gateway so it can be refunded
+    const intent = await fake.createPayment({
+      amount: 10000,
+      currency: 'usd',
+      payment_method: 'pm_card_visa',
+      confirm: true
+    });
+    prisma.transactions.get(payment.id).stripeChargeId = intent.id;
+  });
+
+  test('reserves the amount before Stripe refunds it', async () => {
+    const refund = fake.createRefund;
+    let reservedWhenRefunded;
+    const createRefund = jest.spyOn(fake, 'createRefund').mockImplementationOnce((...args) => {
+      reservedWhenRefunded = prisma.transactions.get(payment.id).refundedAmount;
+      return refund(...args);
+    });
+
+    await processRefund({ transactionId: payment.id, amount: 25 }, admin);
+
+    expect(reservedWhenRefunded).toEqual(25);
+    expect(prisma.transaction.updateMany).toHaveBeenCalledWith({
+      where: expect.objectContaining({ id: payment.id, refundedAmount: 0 }),
+      data: { refundedAmount: { increment: 25 } }
+    });
+    createRefund.mockRestore();
+  });
+
+  test('gives the reservation back when Stripe refuses the refund', async () => {
+    const createRefund = jest
+      .spyOn(fake, 'createRefund')
+      .mockRejectedValueOnce(new Error('Charge already refunded'));
+
+    await expect(
+      processRefund({ transactionId: payment.id, amount: 25 }, admin)
+    ).rejects.toMatchObject({ name: 'refund_err' });
+    expect(prisma.transactions.get(payment.id)).toMatchObject({
+      status: 'COMPLETED',
+      refundedAmount: 0
+    });
+    expect(prisma.transaction.create).not.toHaveBeenCalled();
+    createRefund.mockRestore();
+  });
+
+  test('keeps the amount reserved when a refund Stripe made cannot be recorded', async () => {
+    prisma.$transaction.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(
+      processRefund({ transactionId: payment.id, amount: 25 }, admin)
+    ).rejects.toMatchObject({ name: 'refund_incomplete_err', statusCode: 500 });
+
+    expect(prisma.transactions.get(payment.id).refundedAmount).toEqual(25);
+    expect(auditLogger.log).toHaveBeenCalledWith(
+      'REFUND_NOT_RECORDED',
+      'admin_1',
+      expect.stringMatching(/connection lost/),
+      null,
+      expect.objectContaining({
+        originalTransactionId: payment.id,
+        stripeRefundId: expect.any(String)
+      })
+    );
+    // A retry finds the amount already taken
+    await expect(
+      processRefund({ transactionId: payment.id, amount: 80 }, admin)
+    ).rejects.toThrow('Only 75 USD is left to refund');
+  });
+
+  test('records the refund before taking the earnings back', async () => {
+    payoutScheduleService.takeBackHeldEarnings.mockRejectedValueOnce(new Error('reversal failed'));
+
+    await expect(
+      processRefund({ transactionId: payment.id, amount: 25 }, admin)
+    ).rejects.toMatchObject({ name: 'refund_incomplete_err', statusCode: 500 });
+
+    expect(prisma.transactions.get(payment.id)).toMatchObject({
+      status: 'PARTIALLY_REFUNDED',
+      refundedAmount: 25
+    });
+    expect(prisma.transaction.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ type: 'REFUND', amount: 25 })
+    });
+    expect(auditLogger.log).toHaveBeenCalledWith(
+      'REFUND_NOT_COMPLETED',
+      'admin_1',
+      expect.stringMatching(/reversal failed/),
+      expect.any(String),
+      expect.objectContaining({ originalTransactionId: payment.id })
+    );
+  });
+
+  test('refuses a refund when another one changed the payment meanwhile', async () => {
+    // Read before the other refund reserved its amount
+    prisma.transaction.findUnique.mockResolvedValueOnce({ ...payment });
+    prisma.transactions.get(payment.id).refundedAmount = 25;
+
+    await expect(
+      processRefund({ transactionId: payment.id, amount: 80 }, admin)
+    ).rejects.toThrow('changed while the refund was being made');
+    expect(prisma.transactions.get(payment.id).refundedAmount).toEqual(25);
+    expect(prisma.transaction.create).not.toHaveBeenCalled();
+  });
+
+  test('moves from partially refunded to refunded and only then removes the enrollment', async () => {
+    const first = await processRefund({ transactionId: payment.id, amount: 25 }, admin);
+
+    expect(first.refundableAmount).toEqual(75);
+    expect(prisma.transactions.get(payment.id)).toMatchObject({
+      status: 'PARTIALLY_REFUNDED',
+      refundedAmount: 25
+    });
+    expect(queuedActions()).toEqual(['EARNINGS_REFUNDED:edu_1']);
+
+    const last = await processRefund({ transactionId: payment.id }, admin);
+
+    expect(last.refundableAmount).toEqual(0);
+    expect(prisma.transactions.get(payment.id)).toMatchObject({
+      status: 'REFUNDED',
+      refundedAmount: 100
+    });
+    expect(queuedActions()).toEqual([
+      'EARNINGS_REFUNDED:edu_1',
+      'REMOVE_ENROLLMENT:user_1',
+      'REMOVE:user_1',
+      'EARNINGS_REFUNDED:edu_1'
+    ]);
+
+    await expect(
+      processRefund({ transactionId: payment.id, amount: 1 }, admin)
+    ).rejects.toThrow('already refunded');
+  });
+
+  describe('as store credit', () => {
+    test('credits the wallet instead of the card when asked to', async () => {
+      const createRefund = jest.spyOn(fake, 'createRefund');
+
+      await processRefund({ transactionId: payment.id, amount: 25, refundTo: 'wallet' }, admin);
+
+      expect(createRefund).not.toHaveBeenCalled();
+      expect(walletService.creditWallet).toHaveBeenCalledWith(prisma, expect.objectContaining({
+        userId: 'user_1',
+        currency: 'USD',
+        amount: 25,
+        reason: 'REFUND',
+        transactionId: payment.id
+      }));
+      expect(prisma.transaction.create.mock.calls[0][0].data.metadata).toMatchObject({
+        refundedToWallet: 25
+      });
+      createRefund.mockRestore();
+    });
+
+    test('gives credit spent at checkout back to the wallet and the rest to the card', async () => {
+      prisma.transactions.get(payment.id).metadata = { walletAmount: 40 };
+      const createRefund = jest.spyOn(fake, 'createRefund');
+
+      await processRefund({ transactionId: payment.id, amount: 50 }, admin);
+
+      expect(createRefund.mock.calls[0][0]).toMatchObject({ amount: 3000 });
+      expect(walletService.creditWallet).toHaveBeenCalledWith(
+        prisma,
+        expect.objectContaining({ amount: 20, reason: 'REFUND' })
+      );
+      createRefund.mockRestore();
+    });
+  });
+
+  describe('of a gift', () => {
+    const giftCode = { id: 'gift_1', status: 'ACTIVE' };
+
+    beforeEach(() => {
+      prisma.transactions.get(payment.id).giftCode = giftCode;
+    });
+
+    test('withdraws the code and leaves the buyer without an enrollment to remove', async () => {
+      await processRefund({ transactionId: payment.id }, admin);
+
+      expect(prisma.giftCode.updateMany).toHaveBeenCalledWith({
+        where: { id: 'gift_1', status: { in: ['ACTIVE', 'EXPIRED'] } },
+        data: { status: 'REFUNDED' }
+      });
+      expect(prisma.transactions.get(payment.id).status).toBe('REFUNDED');
+      expect(queuedActions()).toEqual(['EARNINGS_REFUNDED:edu_1']);
+    });
+
+    test('refuses a partial refund', async () => {
+      await expect(
+        processRefund({ transactionId: payment.id, amount: 25 }, admin)
+      ).rejects.toThrow('Gifts can only be refunded in full');
+      expect(prisma.giftCode.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('refuses a refund once the code is redeemed, without refunding the card', async () => {
+      prisma.giftCode.updateMany.mockResolvedValueOnce({ count: 0 });
+      const createRefund = jest.spyOn(fake, 'createRefund');
+
+      await expect(processRefund({ transactionId: payment.id }, admin)).rejects.toMatchObject({
+        name: 'refund_err',
+        message: expect.stringMatching(/already been redeemed/)
+      });
+      expect(createRefund).not.toHaveBeenCalled();
+      expect(prisma.giftCode.update).not.toHaveBeenCalled();
+      expect(prisma.transactions.get(payment.id)).toMatchObject({
+        status: 'COMPLETED',
+        refundedAmount: 0
+      });
+      createRefund.mockRestore();
+    });
+  });
+});
+
+describe('refunds made in the Stripe dashboard', () => {
+  test('record a partial refund in one database transaction and keep the enrollment', async () => {
+    await chargeRefunded(['re_1', 2500]);
+
+    expect(prisma.transactions.get(payment.id)).toMatchObject({
+      status: 'PARTIALLY_REFUNDED',
+      refundedAmount: 25
+    });
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(prisma.transaction.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ type: 'REFUND', stripeChargeId: 're_1', amount: 25 })
+    });
+    expect(ledgerService.postRefund).toHaveBeenCalledTimes(1);
+    expect(queuedActions()).toEqual(['EARNINGS_REFUNDED:edu_1']);
+  });
+
+  test('store the refund in the reporting currency too', async () => {
+    prisma.transactions.set(payment.id, { ...payment, currency: 'EUR' });
+    fxRateService.getConversionToBase.mockResolvedValueOnce({ baseCurrency: 'USD', fxRate: 1.08 });
+    fxRateService.baseAmountFields.mockImplementationOnce(
+      jest.requireActual('../services/fxRateService').baseAmountFields
+    );
+
+    await chargeRefunded(['re_1', 2500]);
+
+    expect(fxRateService.getConversionToBase).toHaveBeenCalledWith('EUR');
+    expect(prisma.transaction.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        type: 'REFUND',
+        amount: 25,
+        currency: 'EUR',
+        baseCurrency: 'USD',
+        fxRate: 1.08,
+        baseAmount: 27
+      })
+    });
+  });
+
+  test('remove the enrollment once the whole payment is refunded', async () => {
+    await chargeRefunded(['re_1', 2500]);
+    await chargeRefunded(['re_1', 2500], ['re_2', 7500]);
+
+    expect(prisma.transactions.get(payment.id)).toMatchObject({
+      status: 'REFUNDED',
+      refundedAmount: 100
+    });
+    expect(prisma.transaction.create).toHaveBeenCalledTimes(2);
+    expect(queuedActions()).toEqual([
+      'EARNINGS_REFUNDED:edu_1',
+      'REMOVE_ENROLLMENT:user_1',
+      'REMOVE:user_1',
+      'EARNINGS_REFUNDED:edu_1'
+    ]);
+  });
+});
+
+describe('refunds that fail', () => {
+  test('give back everything the refund took and enroll the buyer again', async () => {
+    prisma.transactions.set(payment.id, {
+      ...payment,
+      status: 'REFUNDED',
+      refundedAmount: 100,
+      refundId: 'txn_refund'
+    });
+    prisma.transactions.set('txn_refund', {
+      id: 'txn_refund',
+      type: 'REFUND',
+      status: 'COMPLETED',
+      stripeChargeId: 're_1',
+      amount: 100,
+      currency: 'USD',
+      affiliateCommission: -10,
+      metadata: { originalTransactionId: payment.id, refundedToWallet: 20 }
+    });
+
+    await refundFailed('re_1');
+
+    expect(prisma.transactions.get('txn_refund').status).toBe('FAILED');
+    expect(prisma.transactions.get(payment.id)).toMatchObject({
+      status: 'COMPLETED',
+      refundedAmount: 0,
+      refundId: null
+    });
+    expect(prisma.referral.update).toHaveBeenCalledWith({
+      where: { transactionId: payment.id },
+      data: { refundedCommission: { decrement: 10 } }
+    });
+    expect(walletService.debitWallet).toHaveBeenCalledWith(prisma, expect.objectContaining({
+      userId: 'user_1',
+      amount: 20,
+      reason: 'REFUND_REVERSAL'
+    }));
+    expect(payoutScheduleService.restoreHeldRefunds).toHaveBeenCalled();
+    expect(ledgerService.postRefundFailure).toHaveBeenCalledWith(
+      prisma,
+      expect.objectContaining({ id: 'txn_refund' })
+    );
+    expect(queuedActions()).toContain('ENROLL_USER:user_1');
+  });
+
+  test('are only undone once', async () => {
+    prisma.transactions.set(payment.id, { ...payment, status: 'PARTIALLY_REFUNDED', refundedAmount: 25 });
+    prisma.transactions.set('txn_refund', {
+      id: 'txn_refund',
+      type: 'REFUND',
+      status: 'COMPLETED',
+      stripeChargeId: 're_1',
+      amount: 25,
+      currency: 'USD',
+      affiliateCommission: -2.5,
+      metadata: { originalTransactionId: payment.id }
+    });
+
+    await refundFailed('re_1');
+    await refundFailed('re_1');
+
+    expect(prisma.transactions.get(payment.id)).toMatchObject({
+      status: 'COMPLETED',
+      refundedAmount: 0
+    });
+    expect(ledgerService.postRefundFailure).toHaveBeenCalledTimes(1);
+    // The buyer was never unenrolled by a partial refund
+    expect(queuedActions()).toEqual([]);
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock('../config/db', () => ({
+  revenueShare: { findMany: jest.fn() },
+  payoutSchedule: { findMany: jest.fn().mockResolvedValue([]) },
+  educatorEarning: { findMany: jest.fn() },
+  coursePrice: { findUnique: jest.fn() }
+}));
+
+const prisma = require('../config/db');
+const { sumMoney } = require('../utils/money');
+const {
+  getRevenueShares,
+  splitEducatorEarnings,
+  splitRefundedEarnings,
+  setCourseRevenueShares
+} = require('../services/revenueShareService');
+
+const shares = [
+  { educatorId: 'edu_1', percentage: 60 },
+  { educatorId: 'edu_2', percentage: 30 },
+  { educatorId: 'edu_3', percentage: 10 }
+];
+
+describe('getRevenueShares', () => {
+  test('pays the course educator everything without shares', async () => {
+    prisma.revenueShare.findMany.mockResolvedValue([]);
+    expect(await getRevenueShares('course_1', 'edu_1')).toEqual([
+      { educatorId: 'edu_1', percentage: 100 }
+    ]);
+  });
+});
+
+describe('splitEducatorEarnings', () => {
+  test('splits to the cent and adds up exactly', () => {
+    expect(splitEducatorEarnings(80, shares, 'USD')).toEqual([48, 24, 8]);
+
+    const parts = splitEducatorEarnings(77.45, shares, 'USD');
+    expect(parts).toEqual([46.47, 23.24, 7.74]);
+    expect(sumMoney(parts)).toEqual(77.45);
+  });
+
+  test('works in currencies without minor units', () => {
+    expect(splitEducatorEarnings(1001, shares, 'JPY')).toEqual([601, 300, 100]);
+  });
+});
+
+describe('splitRefundedEarnings', () => {
+  test('takes back each instructor share pro rata', async () => {
+    prisma.educatorEarning.findMany.mockResolvedValue([
+      { educatorId: 'edu_1', courseId: 'course_1', percentage: 60, amount: 48, stripeTransferId: 'tr_1' },
+      { educatorId: 'edu_2', courseId: 'course_1', percentage: 30, amount: 24, stripeTransferId: 'tr_2' },
+      { educatorId: 'edu_3', courseId: 'course_1', percentage: 10, amount: 8, stripeTransferId: null }
+    ]);
+    const refunded = await splitRefundedEarnings('txn_1', 20, 'USD');
+
+    expect(refunded.map((share) => share.amount)).toEqual([12, 6, 2]);
+    expect(refunded.map((share) => share.stripeTransferId)).toEqual(['tr_1', 'tr_2', null]);
+  });
+
+  test('has nothing to take back from a payment without earnings', async () => {
+    prisma.educatorEarning.findMany.mockResolvedValue([]);
+    expect(await splitRefundedEarnings('txn_1', 20, 'USD')).toEqual([]);
+  });
+});
+
+describe('setCourseRevenueShares', () => {
+  const admin = { id: 'admin_1' };
+
+  beforeEach(() => {
+    prisma.coursePrice.findUnique.mockResolvedValue({ courseId: 'course_1', educatorId: 'edu_1' });
+  });
+
+  test('rejects shares that do not add up to 100', async () => {
+    await expect(
+      setCourseRevenueShares('course_1', shares.slice(0, 2), admin)
+    ).rejects.toMatchObject({ name: 'revenue_share_err' });
+  });
+
+  test('rejects an educator with two shares', async () => {
+    await expect(
+      setCourseRevenueShares(
+        'course_1',
+        [
+          { educatorId: 'edu_1', percentage: 50 },
+          { educatorId: 'edu_1', percentage: 50 }
+        ],
+        admin
+      )
+    ).rejects.toMatchObject({ name: 'revenue_share_err' });
+  });
+});
@@ -0,0 +1,316 @@
+process.env.PAYMENT_GATEWAY = 'fake';
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../config/db', () => ({
+  auditLog: { count: jest.fn() },
+  transaction: {
+    aggregate: jest.fn(),
+    count: jest.fn()
+  },
+  paymentReview: {
+    create: jest.fn(),
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    count: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  }
+}));
+
+jest.mock('../services/preorderService', () => ({
+  captureAuthorizedPayment: jest.fn(async (transactionId) => ({
+    transactionId,
+    status: 'COMPLETED'
+  })),
+  voidAuthorizedPayment: jest.fn(async (transactionId) => ({ transactionId, status: 'VOIDED' }))
+}));
+
+const fake = require('../services/paymentGateways/fakeGateway');
+const prisma = require('../config/db');
+const { auditLogger } = require('../utils/logger');
+const preorderService = require('../services/preorderService');
+const { DECISIONS, assessPayment, holdForReview } = require('../services/riskService');
+const {
+  listPendingReviews,
+  approveReview,
+  rejectReview
+} = require('../services/paymentReviewService');
+
+const admin = { id: 'admin_1', role: 'Admin' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const checkout = (fields) =>
+  assessPayment({
+    user: { id: 'user_1' },
+    items: [{ courseId: 'course_1', amount: 100 }],
+    amount: 100,
+    currency: 'USD',
+    source: 'pm_card_visa',
+    billingCountry: 'US',
+    ipAddress: '203.0.113.7',
+    ...fields
+  });
+
+// Earlier checkouts counted by each velocity rule
+const velocity = ({ user = 0, card = 0, ip = 0 }) =>
+  prisma.auditLog.count.mockImplementation(async ({ where }) => {
+    if (where.actor) return user;
+    if (where.metadata) return card;
+    return ip;
+  });
+
+beforeEach(() => {
+  fake.reset();
+  jest.clearAllMocks();
+  velocity({});
+  prisma.transaction.count.mockResolvedValue(0);
+  prisma.transaction.aggregate.mockResolvedValue({ _avg: { amount: null }, _count: { _all: 0 } });
+});
+
+describe('assessPayment', () => {
+  test('allows an ordinary checkout and records the assessment', async () => {
+    const assessment = await checkout();
+
+    expect(assessment).toMatchObject({ score: 0, decision: DECISIONS.ALLOW, reasons: [] });
+    expect(auditLogger.log).toHaveBeenCalledWith(
+      'RISK_ASSESSED',
+      'user_1',
+      'Checkout of 100 USD scored 0: ALLOW',
+      null,
+      expect.objectContaining({
+        decision: 'ALLOW',
+        rulesVersion: assessment.rulesVersion,
+        courseIds: ['course_1'],
+        cardFingerprint: 'fp_visa_4242',
+        cardCountry: 'US',
+        ipAddress: '203.0.113.7'
+      })
+    );
+  });
+
+  test('counts checkouts by the user, the card and the IP address', async () => {
+    await checkout();
+
+    const windows = prisma.auditLog.count.mock.calls.map(([{ where }]) => where);
+    expect(windows).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ action: 'RISK_ASSESSED', actor: 'user_1' }),
+        expect.objectContaining({
+          metadata: { path: ['cardFingerprint'], equals: 'fp_visa_4242' }
+        }),
+        expect.objectContaining({ ipAddress: '203.0.113.7' })
+      ])
+    );
+  });
+
+  test('holds a checkout for review once its score reaches the review threshold', async () => {
+    velocity({ user: 5 });
+    prisma.transaction.count.mockResolvedValue(3);
+
+    const assessment = await checkout();
+
+    expect(assessment).toMatchObject({ score: 65, decision: DECISIONS.REVIEW });
+    expect(assessment.reasons.map((reason) => reason.rule).sort()).toEqual([
+      'failedAttempts',
+      'userVelocity'
+    ]);
+    expect(prisma.transaction.count).toHaveBeenCalledWith({
+      where: expect.objectContaining({ userId: 'user_1', status: 'FAILED' })
+    });
+  });
+
+  test('blocks a checkout once its score reaches the block threshold', async () => {
+    velocity({ user: 5, card: 5, ip: 10 });
+
+    await expect(checkout()).resolves.toMatchObject({ score: 100, decision: DECISIONS.BLOCK });
+  });
+
+  test('flags an amount far above what the course usually sells for', async () => {
+    prisma.transaction.aggregate.mockResolvedValue({ _avg: { amount: 20 }, _count: { _all: 12 } });
+
+    const { reasons } = await checkout();
+
+    expect(reasons).toEqual([
+      { rule: 'amountAnomaly', score: 25, detail: '100 for course course_1, which averages 20' }
+    ]);
+  });
+
+  test('does not judge the amount of a course with few sales', async () => {
+    prisma.transaction.aggregate.mockResolvedValue({ _avg: { amount: 20 }, _count: { _all: 3 } });
+
+    await expect(checkout()).resolves.toMatchObject({ reasons: [] });
+  });
+
+  test('flags a card issued in another country than the billing address', async () => {
+    const { reasons } = await checkout({ billingCountry: 'gb' });
+
+    expect(reasons).toEqual([
+      { rule: 'countryMismatch', score: 20, detail: 'Card issued in US, billing country GB' }
+    ]);
+  });
+
+  test('identifies a source that is not a payment method by itself', async () => {
+    const retrievePaymentMethod = jest
+      .spyOn(fake, 'retrievePaymentMethod')
+      .mockRejectedValueOnce(new Error('No such payment method'));
+
+    await checkout({ source: 'tok_visa' });
+
+    expect(auditLogger.log.mock.calls[0][4]).toMatchObject({
+      cardFingerprint: 'tok_visa',
+      cardCountry: null
+    });
+    retrievePaymentMethod.mockRestore();
+  });
+});
+
+describe('holdForReview', () => {
+  test('queues the payment with its score and reasons', async () => {
+    const reasons = [{ rule: 'userVelocity', score: 30, detail: '5 checkouts' }];
+
+    await holdForReview(prisma, { id: 'txn_1' }, { score: 65, reasons });
+
+    expect(prisma.paymentReview.create).toHaveBeenCalledWith({
+      data: { transactionId: 'txn_1', score: 65, reasons }
+    });
+  });
+});
+
+describe('payment review queue', () => {
+  const review = (transaction) => ({
+    id: 'review_1',
+    status: 'PENDING',
+    score: 65,
+    transaction: {
+      id: 'txn_1',
+      status: 'AUTHORIZED',
+      amount: 100,
+      currency: 'USD',
+      courseId: 'course_1',
+      metadata: {},
+      ...transaction
+    }
+  });
+
+  beforeEach(() => {
+    prisma.paymentReview.findUnique.mockResolvedValue(review());
+    prisma.paymentReview.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  test('lists the authorized payments waiting for a decision, oldest first', async () => {
+    prisma.paymentReview.findMany.mockResolvedValue([review()]);
+    prisma.paymentReview.count.mockResolvedValue(21);
+
+    const result = await listPendingReviews(2, 20);
+
+    expect(prisma.paymentReview.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { status: 'PENDING', transaction: { status: 'AUTHORIZED' } },
+        orderBy: { createdAt: 'asc' },
+        skip: 20,
+        take: 20
+      })
+    );
+    expect(result.pagination).toEqual({ total: 21, pages: 2, page: 2, limit: 20 });
+  });
+
+  test('approving captures the payment and audits the decision', async () => {
+    await expect(approveReview('review_1', admin, 'Known customer')).resolves.toEqual({
+      reviewId: 'review_1',
+      transactionId: 'txn_1',
+      status: 'APPROVED',
+      transactionStatus: 'COMPLETED'
+    });
+
+    expect(prisma.paymentReview.updateMany).toHaveBeenCalledWith({
+      where: { id: 'review_1', status: 'PENDING' },
+      data: expect.objectContaining({
+        status: 'APPROVED',
+        reviewedBy: 'admin_1',
+        reviewNote: 'Known customer'
+      })
+    });
+    expect(preorderService.captureAuthorizedPayment).toHaveBeenCalledWith('txn_1', admin);
+    expect(auditLogger.log).toHaveBeenCalledWith(
+      'PAYMENT_REVIEW_APPROVED',
+      'admin_1',
+      expect.any(String),
+      'txn_1',
+      { reviewId: 'review_1', score: 65, note: 'Known customer' }
+    );
+  });
+
+  test('approving a pre-order leaves it authorized until launch', async () => {
+    const launchDate = new Date(Date.now() + 3 * DAY_MS).toISOString();
+    prisma.paymentReview.findUnique.mockResolvedValue(
+      review({ metadata: { preorder: true, launchDate } })
+    );
+
+    await expect(approveReview('review_1', admin)).resolves.toMatchObject({
+      status: 'APPROVED',
+      transactionStatus: 'AUTHORIZED'
+    });
+    expect(preorderService.captureAuthorizedPayment).not.toHaveBeenCalled();
+  });
+
+  test('puts the payment back in the queue when the capture fails', async () => {
+    preorderService.captureAuthorizedPayment.mockRejectedValueOnce(new Error('card expired'));
+
+    await expect(approveReview('review_1', admin)).rejects.toThrow('card expired');
+
+    expect(prisma.paymentReview.update).toHaveBeenCalledWith({
+      where: { id: 'review_1' },
+      data: { status: 'PENDING', reviewedBy: null, reviewNote: null, reviewedAt: null }
+    });
+    expect(auditLogger.log).not.toHaveBeenCalled();
+  });
+
+  test('rejecting voids the authorization as fraudulent', async () => {
+    await expect(rejectReview('review_1', admin, 'Stolen card')).resolves.toMatchObject({
+      status: 'REJECTED',
+      transactionStatus: 'VOIDED'
+    });
+
+    expect(preorderService.voidAuthorizedPayment).toHaveBeenCalledWith(
+      'txn_1',
+      admin,
+      'fraudulent'
+    );
+  });
+
+  test('counts only the first decision', async () => {
+    prisma.paymentReview.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(rejectReview('review_1', admin)).rejects.toMatchObject({
+      name: 'payment_review_err',
+      message: 'This payment has already been reviewed'
+    });
+    expect(preorderService.voidAuthorizedPayment).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['an unknown review', null, 'payment_review_not_found_err', 404],
+    [
+      'a payment that is no longer authorized',
+      review({ status: 'VOIDED' }),
+      'payment_review_err',
+      400
+    ]
+  ])('refuses to decide on %s', async (_, found, name, statusCode) => {
+    prisma.paymentReview.findUnique.mockResolvedValue(found);
+
+    await expect(approveReview('review_1', admin)).rejects.toMatchObject({ name, statusCode });
+    expect(prisma.paymentReview.updateMany).not.toHaveBeenCalled();
+  });
+});
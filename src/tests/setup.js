@@ -12,3 +12,14 @@ module.exports = async () => {
   // Create schema and run migrations
   execSync(`npx prisma migrate deploy`, { stdio: 'inherit' });
 };
+
+// Amounts are Decimals; they equal the number they hold
+const { Decimal } = require('../utils/money');
+expect.addEqualityTesters([
+  (a, b) =>
+    Decimal.isDecimal(a) || Decimal.isDecimal(b)
+      ? (typeof a === 'number' || Decimal.isDecimal(a)) &&
+        (typeof b === 'number' || Decimal.isDecimal(b)) &&
+        new Decimal(a).eq(b)
+      : undefined
+]);
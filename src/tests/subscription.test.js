@@ -0,0 +1,350 @@
+process.env.PAYMENT_GATEWAY = 'fake';
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../config/db', () => {
+  // Plans and subscriptions are kept so each step sees the one before
+  const plans = new Map();
+  const subscriptions = new Map();
+  const transactions = [];
+
+  const db = {
+    plans,
+    subscriptions,
+    transactions,
+    plan: {
+      create: jest.fn(async ({ data }) => {
+        const plan = { id: `plan_${plans.size + 1}`, ...data };
+        plans.set(plan.id, plan);
+        return { ...plan };
+      }),
+      findUnique: jest.fn(async ({ where }) =>
+        plans.has(where.id) ? { ...plans.get(where.id) } : null
+      )
+    },
+    subscription: {
+      create: jest.fn(async ({ data }) => {
+        const subscription = { id: `membership_${subscriptions.size + 1}`, ...data };
+        subscriptions.set(subscription.id, subscription);
+        return { ...subscription };
+      }),
+      findFirst: jest.fn(async ({ where }) => {
+        const found = [...subscriptions.values()].find(
+          (s) => s.userId === where.userId && where.status.in.includes(s.status)
+        );
+        return found ? { id: found.id } : null;
+      }),
+      findUnique: jest.fn(async ({ where }) => {
+        const found = where.id
+          ? subscriptions.get(where.id)
+          : [...subscriptions.values()].find(
+              (s) => s.stripeSubscriptionId === where.stripeSubscriptionId
+            );
+        return found ? { ...found } : null;
+      }),
+      update: jest.fn(async ({ where, data }) => {
+        const subscription = subscriptions.get(where.id);
+        Object.assign(subscription, data);
+        return { ...subscription };
+      })
+    },
+    stripeCustomer: {
+      findUnique: jest.fn().mockResolvedValue(null),
+      upsert: jest.fn(async ({ create }) => create)
+    },
+    subscriptionPayment: {
+      findUnique: jest.fn(),
+      findMany: jest.fn().mockResolvedValue([]),
+      update: jest.fn()
+    },
+    courseUsage: { groupBy: jest.fn() },
+    coursePrice: { findMany: jest.fn() },
+    commissionRule: { findMany: jest.fn() },
+    revenueShare: { findMany: jest.fn().mockResolvedValue([]) },
+    payoutSchedule: { findMany: jest.fn().mockResolvedValue([]) },
+    stripeAccount: {
+      findMany: jest.fn().mockResolvedValue([
+        { educatorId: 'edu_1', stripeAccountId: 'acct_edu_1' },
+        { educatorId: 'edu_2', stripeAccountId: 'acct_edu_2' }
+      ])
+    },
+    transaction: {
+      create: jest.fn(async ({ data }) => {
+        const record = { id: `txn_${transactions.length + 1}`, ...data };
+        transactions.push(record);
+        return { ...record };
+      })
+    },
+    educatorEarning: {
+      createMany: jest.fn(),
+      aggregate: jest.fn().mockResolvedValue({ _sum: { amount: 0 } })
+    }
+  };
+  db.$transaction = jest.fn((fn) => fn(db));
+  return db;
+});
+
+jest.mock('../services/outboxService', () => ({
+  DESTINATIONS: jest.requireActual('../services/outboxService').DESTINATIONS,
+  enqueueEvents: jest.fn(),
+  dispatchSoon: jest.fn()
+}));
+
+jest.mock('../services/ledgerService', () => ({
+  postPayment: jest.fn(),
+  postMembershipRevenue: jest.fn()
+}));
+
+jest.mock('../services/fxRateService', () => ({
+  getConversionToBase: jest.fn().mockResolvedValue(null),
+  baseAmountFields: () => ({})
+}));
+
+const fake = require('../services/paymentGateways/fakeGateway');
+const prisma = require('../config/db');
+const outboxService = require('../services/outboxService');
+const ledgerService = require('../services/ledgerService');
+const { calculatePlatformCommission } = require('../services/commissionService');
+const { createPlan } = require('../services/planService');
+const subscriptionService = require('../services/subscriptionService');
+
+const student = { id: 'user_1', email: 'student@example.com', role: 'Student' };
+const admin = { id: 'admin_1', role: 'Admin' };
+
+// Membership actions queued to the outbox, in order
+const queuedActions = () =>
+  outboxService.enqueueEvents.mock.calls.flatMap(([, events]) =>
+    events.map((event) => event.payload.action)
+  );
+
+const subscribe = async () => {
+  const plan = await createPlan(
+    { name: 'All access', amount: 29.99, currency: 'usd', interval: 'MONTH' },
+    admin
+  );
+  return subscriptionService.subscribe({ planId: plan.id, source: 'pm_card_visa' }, student);
+};
+
+beforeEach(() => {
+  fake.reset();
+  jest.clearAllMocks();
+  prisma.plans.clear();
+  prisma.subscriptions.clear();
+  prisma.transactions.length = 0;
+});
+
+describe('subscribe', () => {
+  test('starts the Stripe subscription and grants membership access once', async () => {
+    const subscription = await subscribe();
+
+    expect(subscription).toMatchObject({
+      userId: 'user_1',
+      status: 'ACTIVE',
+      stripeSubscriptionId: expect.stringMatching(/^sub_/)
+    });
+    expect(subscription.currentPeriodEnd.getTime()).toBeGreaterThan(
+      subscription.currentPeriodStart.getTime()
+    );
+    expect(queuedActions()).toEqual(['GRANT_MEMBERSHIP']);
+    expect(outboxService.dispatchSoon).toHaveBeenCalled();
+  });
+
+  test('refuses a second membership', async () => {
+    const { planId } = await subscribe();
+
+    await expect(
+      subscriptionService.subscribe({ planId, source: 'pm_card_visa' }, student)
+    ).rejects.toMatchObject({ name: 'subscription_exists_err', statusCode: 409 });
+  });
+
+  test('refuses a declined card without creating a membership', async () => {
+    const plan = await createPlan(
+      { name: 'All access', amount: 29.99, interval: 'MONTH' },
+      admin
+    );
+
+    await expect(
+      subscriptionService.subscribe({ planId: plan.id, source: 'pm_card_chargeDeclined' }, student)
+    ).rejects.toThrow();
+    expect(prisma.subscription.create).not.toHaveBeenCalled();
+    expect(queuedActions()).toEqual([]);
+  });
+});
+
+describe('pause, resume and cancel', () => {
+  test('revokes access while paused and grants it again on resume', async () => {
+    const { id } = await subscribe();
+
+    await expect(subscriptionService.pauseSubscription(id, student)).resolves.toMatchObject({
+      status: 'PAUSED'
+    });
+    await expect(subscriptionService.resumeSubscription(id, student)).resolves.toMatchObject({
+      status: 'ACTIVE',
+      pausedAt: null
+    });
+    expect(queuedActions()).toEqual(['GRANT_MEMBERSHIP', 'REVOKE_MEMBERSHIP', 'GRANT_MEMBERSHIP']);
+  });
+
+  test('keeps access until Stripe ends a subscription canceled at period end', async () => {
+    const { id, stripeSubscriptionId } = await subscribe();
+
+    await expect(subscriptionService.cancelSubscription(id, {}, student)).resolves.toMatchObject({
+      status: 'ACTIVE',
+      cancelAtPeriodEnd: true
+    });
+    expect(queuedActions()).toEqual(['GRANT_MEMBERSHIP']);
+
+    await subscriptionService.handleSubscriptionDeleted({ id: stripeSubscriptionId });
+    expect(prisma.subscriptions.get(id).status).toBe('CANCELED');
+    expect(queuedActions()).toEqual(['GRANT_MEMBERSHIP', 'REVOKE_MEMBERSHIP']);
+  });
+
+  test('only lets the member or an admin manage the subscription', async () => {
+    const { id } = await subscribe();
+
+    await expect(
+      subscriptionService.pauseSubscription(id, { id: 'user_2', role: 'Student' })
+    ).rejects.toMatchObject({ name: 'subscription_not_found_err' });
+  });
+});
+
+describe('renewals', () => {
+  test('keeps access while a failed renewal is retried', async () => {
+    const { id, stripeSubscriptionId } = await subscribe();
+
+    await subscriptionService.handleInvoicePaymentFailed({
+      id: 'in_1',
+      subscription: stripeSubscriptionId,
+      attempt_count: 1
+    });
+
+    expect(prisma.subscriptions.get(id).status).toBe('PAST_DUE');
+    expect(queuedActions()).toEqual(['GRANT_MEMBERSHIP']);
+  });
+});
+
+describe('settleSubscriptionPayment', () => {
+  beforeEach(() => {
+    prisma.subscriptionPayment.findUnique.mockResolvedValue({
+      id: 'subpay_1',
+      subscriptionId: 'membership_1',
+      stripeChargeId: 'ch_1',
+      amount: 30,
+      currency: 'USD',
+      periodStart: new Date('2026-05-01'),
+      periodEnd: new Date('2026-06-01'),
+      settled: false,
+      subscription: { userId: 'user_1' }
+    });
+    // Two thirds of the month was spent in course_1
+    prisma.courseUsage.groupBy.mockResolvedValue([
+      { courseId: 'course_1', educatorId: 'edu_1', _sum: { units: 20 } },
+      { courseId: 'course_2', educatorId: 'edu_2', _sum: { units: 10 } },
+      { courseId: 'course_3', educatorId: 'edu_3', _sum: { units: 0 } }
+    ]);
+    prisma.coursePrice.findMany.mockResolvedValue([
+      { courseId: 'course_1', category: 'design' },
+      { courseId: 'course_2', category: 'code' }
+    ]);
+    // Design courses pay 10% commission, the rest the default
+    const designRule = {
+      id: 'rule_design',
+      scope: 'CATEGORY',
+      category: 'design',
+      percentage: 10,
+      fixedFee: 0,
+      priority: 0,
+      currency: null,
+      minAmount: null,
+      validFrom: null,
+      validUntil: null,
+      createdAt: new Date('2026-01-01')
+    };
+    prisma.commissionRule.findMany.mockImplementation(async ({ where }) =>
+      where.OR.some((scope) => scope.category === 'design') ? [designRule] : []
+    );
+  });
+
+  test('shares the payment by consumption and charges each course its commission rule', async () => {
+    const design = await calculatePlatformCommission(20, {
+      courseId: 'course_1',
+      educatorId: 'edu_1',
+      category: 'design',
+      currency: 'USD'
+    });
+    const code = await calculatePlatformCommission(10, {
+      courseId: 'course_2',
+      educatorId: 'edu_2',
+      category: 'code',
+      currency: 'USD'
+    });
+
+    const transactions = await subscriptionService.settleSubscriptionPayment('subpay_1');
+
+    expect(design.commissionRuleId).toBe('rule_design');
+    expect(code.commissionRuleId).toBeNull();
+    expect(transactions).toEqual([
+      expect.objectContaining({
+        type: 'SUBSCRIPTION',
+        courseId: 'course_1',
+        amount: 20,
+        platformCommission: design.platformCommission,
+        educatorEarnings: design.educatorEarnings,
+        commissionRuleId: 'rule_design'
+      }),
+      expect.objectContaining({
+        type: 'SUBSCRIPTION',
+        courseId: 'course_2',
+        amount: 10,
+        platformCommission: code.platformCommission,
+        educatorEarnings: code.educatorEarnings,
+        commissionRuleId: null
+      })
+    ]);
+    expect(prisma.subscriptionPayment.update).toHaveBeenCalledWith({
+      where: { id: 'subpay_1' },
+      data: expect.objectContaining({ settled: true })
+    });
+  });
+
+  test('pays each educator out of the invoice charge and tells them in the outbox', async () => {
+    await subscriptionService.settleSubscriptionPayment('subpay_1');
+    const [earnings1, earnings2] = prisma.transactions.map((t) => t.educatorEarnings);
+
+    expect((await fake.retrieveBalance('acct_edu_1')).pending[0].amount).toBe(
+      Math.round(earnings1 * 100)
+    );
+    expect((await fake.retrieveBalance('acct_edu_2')).pending[0].amount).toBe(
+      Math.round(earnings2 * 100)
+    );
+    const [[, events]] = outboxService.enqueueEvents.mock.calls;
+    expect(events).toEqual([
+      expect.objectContaining({
+        payload: expect.objectContaining({ userId: 'edu_1', action: 'NEW_EARNINGS', amount: earnings1 })
+      }),
+      expect.objectContaining({
+        payload: expect.objectContaining({ userId: 'edu_2', action: 'NEW_EARNINGS', amount: earnings2 })
+      })
+    ]);
+  });
+
+  test('leaves the whole payment to the platform when nothing was consumed', async () => {
+    prisma.courseUsage.groupBy.mockResolvedValue([]);
+
+    await expect(subscriptionService.settleSubscriptionPayment('subpay_1')).resolves.toEqual([]);
+    await expect(fake.retrieveBalance('acct_edu_1')).resolves.toMatchObject({
+      pending: [{ amount: 0 }]
+    });
+    expect(ledgerService.postMembershipRevenue).toHaveBeenCalled();
+  });
+});
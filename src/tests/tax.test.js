@@ -0,0 +1,103 @@
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+const { calculateTax } = require('../utils/paymentCalculator');
+const { findTaxRule } = require('../utils/taxRules');
+const { calculateSaleTax } = require('../services/taxService');
+
+const course = (amount, discount = 0) => ({
+  listPrice: amount + discount,
+  discount,
+  amount: amount
+});
+
+describe('calculateTax', () => {
+  test('uses an explicit rate as before', () => {
+    expect(calculateTax(100, 10)).toEqual(10);
+    expect(calculateTax(100, 0, 'DE')).toEqual(0);
+  });
+
+  test('looks the rate up by country and region without one', () => {
+    expect(calculateTax(100, null, 'IE')).toEqual(23);
+    expect(calculateTax(100, null, 'CA', { regionCode: 'ON' })).toEqual(13);
+    expect(calculateTax(100, null, 'ZZ')).toEqual(0);
+  });
+
+  test('takes the tax out of inclusive amounts', () => {
+    expect(calculateTax(119, 19, null, { inclusive: true })).toEqual(19);
+  });
+});
+
+describe('findTaxRule', () => {
+  test('applies digital services rules of a region', () => {
+    expect(findTaxRule('US', 'TX').rate).toBe(5);
+    expect(findTaxRule('US', 'NY').rate).toBe(0);
+    expect(findTaxRule('US').rate).toBe(0);
+  });
+
+  test('falls back to the country for unknown regions', () => {
+    const rule = findTaxRule('ca', 'yt');
+    expect(rule).toMatchObject({ countryCode: 'CA', regionCode: null, rate: 5 });
+  });
+});
+
+describe('calculateSaleTax', () => {
+  test('adds tax on top of exclusive prices', () => {
+    const sale = calculateSaleTax([course(100)], { country: 'EG' });
+
+    expect(sale).toMatchObject({ rate: 14, net: 100, tax: 14, total: 114 });
+    expect(sale.reverseCharge).toBe(false);
+  });
+
+  test('keeps the total of inclusive prices', () => {
+    const sale = calculateSaleTax([course(99.99)], { country: 'DE' });
+
+    expect(sale.total).toEqual(99.99);
+    expect(sale.net.plus(sale.tax)).toEqual(99.99);
+    expect(sale.net).toEqual(84.03);
+  });
+
+  test('works out discounts net of tax', () => {
+    const sale = calculateSaleTax([course(100, 19)], { country: 'DE' });
+
+    expect(sale.items[0]).toMatchObject({ unitPrice: 100, net: 84.03 });
+    expect(sale.items[0].discount).toEqual(15.97);
+    expect(sale.total).toEqual(100);
+  });
+
+  test('reverse charges a valid business tax ID', () => {
+    const sale = calculateSaleTax([course(119)], {
+      country: 'DE',
+      taxId: 'de 123.456.789'
+    });
+
+    expect(sale).toMatchObject({
+      reverseCharge: true,
+      taxId: 'DE123456789',
+      rate: 0,
+      tax: 0,
+      total: 100
+    });
+  });
+
+  test('rejects a tax ID that does not fit the country', () => {
+    expect(() =>
+      calculateSaleTax([course(100)], { country: 'DE', taxId: 'FR123' })
+    ).toThrow(expect.objectContaining({ name: 'tax_id_invalid_err', statusCode: 400 }));
+  });
+
+  test('charges no tax without a billing country', () => {
+    const sale = calculateSaleTax([course(50), course(25)], {});
+
+    expect(sale).toMatchObject({ countryCode: null, tax: 0, total: 75 });
+  });
+});
@@ -0,0 +1,295 @@
+process.env.PAYMENT_GATEWAY = 'fake';
+
+jest.mock('../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  auditLogger: {
+    log: jest.fn()
+  }
+}));
+
+jest.mock('../config/db', () => {
+  const { toDecimal } = require('../utils/money');
+  // Wallets and their entries are kept so a checkout sees earlier credits
+  const wallets = new Map();
+  const entries = [];
+  const key = ({ userId, currency }) => `${userId}:${currency}`;
+
+  const db = {
+    wallets,
+    entries,
+    wallet: {
+      upsert: jest.fn(async ({ where, create, update }) => {
+        const found = wallets.get(key(where.userId_currency));
+        if (found) {
+          found.balance = toDecimal(found.balance).plus(update.balance.increment);
+          return { ...found };
+        }
+        const wallet = { id: `wallet_${wallets.size + 1}`, ...create };
+        wallets.set(key(create), wallet);
+        return { ...wallet };
+      }),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const wallet = wallets.get(key(where));
+        if (!wallet || toDecimal(wallet.balance).lt(where.balance.gte)) return { count: 0 };
+        wallet.balance = toDecimal(wallet.balance).minus(data.balance.decrement);
+        return { count: 1 };
+      }),
+      findUnique: jest.fn(async ({ where }) => {
+        const wallet = wallets.get(key(where.userId_currency));
+        return wallet ? { ...wallet } : null;
+      }),
+      findMany: jest.fn(async ({ where }) =>
+        [...wallets.values()].filter((wallet) => wallet.userId === where.userId)
+      )
+    },
+    walletEntry: {
+      create: jest.fn(async ({ data }) => {
+        const entry = { id: `entry_${entries.length + 1}`, ...data };
+        entries.push(entry);
+        return { ...entry };
+      }),
+      update: jest.fn(async ({ where, data }) =>
+        Object.assign(
+          entries.find((entry) => entry.id === where.id),
+          data
+        )
+      ),
+      findMany: jest.fn(async () =>
+        [...entries].reverse().map((entry) => ({
+          ...entry,
+          wallet: { currency: [...wallets.values()].find((w) => w.id === entry.walletId).currency }
+        }))
+      ),
+      count: jest.fn(async () => entries.length)
+    },
+    transaction: {
+      findFirst: jest.fn().mockResolvedValue(null),
+      create: jest.fn(async ({ data }) => ({ id: 'txn_1', ...data })),
+      count: jest.fn().mockResolvedValue(0),
+      aggregate: jest.fn().mockResolvedValue({ _sum: {}, _avg: {}, _count: { _all: 0 } })
+    },
+    giftCode: { findMany: jest.fn().mockResolvedValue([]) },
+    auditLog: { count: jest.fn().mockResolvedValue(0) },
+    commissionRule: { findMany: jest.fn().mockResolvedValue([]) },
+    revenueShare: { findMany: jest.fn().mockResolvedValue([]) },
+    payoutSchedule: { findMany: jest.fn().mockResolvedValue([]) },
+    educatorEarning: {
+      createMany: jest.fn(),
+      findMany: jest.fn().mockResolvedValue([])
+    },
+    stripeAccount: {
+      findMany: jest
+        .fn()
+        .mockResolvedValue([{ educatorId: 'edu_1', stripeAccountId: 'acct_educator' }])
+    },
+    invoice: { create: jest.fn(async ({ data }) => ({ id: 'inv_1', ...data })) }
+  };
+  db.$transaction = jest.fn((fn) => fn(db));
+  return db;
+});
+
+jest.mock('../services/coursePriceService', () => ({
+  resolveCoursePrice: jest.fn().mockResolvedValue({
+    courseId: 'course_1',
+    educatorId: 'edu_1',
+    amount: 100,
+    currency: 'USD',
+    title: 'Course'
+  }),
+  assertPreorderOpen: jest.fn()
+}));
+
+jest.mock('../services/outboxService', () => ({
+  DESTINATIONS: jest.requireActual('../services/outboxService').DESTINATIONS,
+  enrollmentEvents: jest.requireActual('../services/outboxService').enrollmentEvents,
+  enqueueEvents: jest.fn(),
+  dispatchSoon: jest.fn()
+}));
+
+jest.mock('../services/ledgerService', () => ({
+  postPayment: jest.fn(),
+  postCreditGrant: jest.fn()
+}));
+
+jest.mock('../services/revenueShareService', () => ({
+  ...jest.requireActual('../services/revenueShareService'),
+  transferEducatorEarnings: jest.fn()
+}));
+
+jest.mock('../services/fxRateService', () => ({
+  getConversionToBase: jest.fn().mockResolvedValue(null),
+  baseAmountFields: () => ({})
+}));
+
+jest.mock('../services/statisticsService', () => ({
+  invalidateTransactionCaches: jest.fn()
+}));
+
+const fake = require('../services/paymentGateways/fakeGateway');
+const prisma = require('../config/db');
+const { auditLogger } = require('../utils/logger');
+const ledgerService = require('../services/ledgerService');
+const revenueShareService = require('../services/revenueShareService');
+const {
+  debitWallet,
+  getAvailableCredit,
+  getWallet,
+  grantCredit
+} = require('../services/walletService');
+const { processPayment } = require('../services/paymentService');
+
+const student = { id: 'user_1', email: 'student@example.com' };
+const admin = { id: 'admin_1' };
+
+const balance = (currency = 'USD') => prisma.wallets.get(`user_1:${currency}`)?.balance;
+const grant = (amount, currency = 'usd') =>
+  grantCredit({ userId: 'user_1', amount, currency, description: 'Goodwill' }, admin);
+const checkout = (fields) =>
+  processPayment({ courseId: 'course_1', useWallet: true, ...fields }, student);
+
+beforeEach(() => {
+  fake.reset();
+  jest.clearAllMocks();
+  prisma.wallets.clear();
+  prisma.entries.length = 0;
+});
+
+describe('grantCredit', () => {
+  test('opens the wallet, records the credit in the ledger and audits it', async () => {
+    const entry = await grant(25.005);
+
+    expect(entry).toMatchObject({
+      type: 'CREDIT',
+      reason: 'ADMIN_GRANT',
+      amount: 25.01,
+      balanceAfter: 25.01,
+      createdBy: 'admin_1'
+    });
+    expect(balance()).toEqual(25.01);
+    expect(ledgerService.postCreditGrant).toHaveBeenCalledWith(
+      prisma,
+      expect.objectContaining({ id: entry.id }),
+      'user_1',
+      'usd'
+    );
+    expect(auditLogger.log).toHaveBeenCalledWith(
+      'WALLET_CREDIT_GRANTED',
+      'admin_1',
+      expect.stringMatching(/25.01 USD/),
+      null,
+      { userId: 'user_1', walletEntryId: entry.id }
+    );
+  });
+
+  test('keeps a balance per currency', async () => {
+    await grant(10);
+    await grant(5);
+    await grant(7, 'eur');
+
+    expect(balance()).toEqual(15);
+    expect(balance('EUR')).toEqual(7);
+  });
+});
+
+describe('debitWallet', () => {
+  test('refuses to take more than the balance', async () => {
+    await grant(10);
+
+    await expect(
+      debitWallet(prisma, { userId: 'user_1', currency: 'USD', amount: 10.01, reason: 'CHECKOUT' })
+    ).rejects.toMatchObject({ name: 'wallet_insufficient_err', statusCode: 400 });
+    expect(balance()).toEqual(10);
+  });
+});
+
+describe('getAvailableCredit', () => {
+  test('is the balance, up to the checkout total', async () => {
+    await expect(getAvailableCredit('user_1', 'USD', 50)).resolves.toEqual(0);
+
+    await grant(30);
+    await expect(getAvailableCredit('user_1', 'usd', 50)).resolves.toEqual(30);
+    await expect(getAvailableCredit('user_1', 'USD', 20)).resolves.toEqual(20);
+  });
+});
+
+describe('getWallet', () => {
+  test('shows the balances and the history, newest first', async () => {
+    await grant(10);
+    await grant(5, 'eur');
+
+    const wallet = await getWallet('user_1');
+
+    expect(wallet.balances).toHaveLength(2);
+    expect(wallet.entries.map((entry) => [entry.currency, entry.amount])).toEqual([
+      ['EUR', 5],
+      ['USD', 10]
+    ]);
+    expect(wallet.pagination).toEqual({ total: 2, pages: 1, page: 1, limit: 20 });
+  });
+});
+
+describe('checkout with store credit', () => {
+  test('draws on the wallet first and charges the card for the rest', async () => {
+    await grant(30);
+    const createPayment = jest.spyOn(fake, 'createPayment');
+
+    const result = await checkout({ source: 'pm_card_visa' });
+
+    expect(result).toMatchObject({ status: 'COMPLETED', walletAmount: 30, chargedAmount: 70 });
+    expect(createPayment.mock.calls[0][0]).toMatchObject({ amount: 7000 });
+    // Store credit is paid out of the platform balance, not a destination charge
+    expect(createPayment.mock.calls[0][0].transfer_data).toBeUndefined();
+    expect(revenueShareService.transferEducatorEarnings).toHaveBeenCalled();
+    expect(balance()).toEqual(0);
+    expect(prisma.entries[1]).toMatchObject({
+      type: 'DEBIT',
+      reason: 'CHECKOUT',
+      amount: 30,
+      transactionId: 'txn_1'
+    });
+    expect(prisma.invoice.create.mock.calls[0][0].data).toMatchObject({
+      total: 100,
+      walletAmount: 30
+    });
+    createPayment.mockRestore();
+  });
+
+  test('needs no card when the wallet covers the whole price', async () => {
+    await grant(120);
+    const createPayment = jest.spyOn(fake, 'createPayment');
+
+    const result = await checkout();
+
+    expect(result).toMatchObject({ status: 'COMPLETED', walletAmount: 100, chargedAmount: 0 });
+    expect(createPayment).not.toHaveBeenCalled();
+    expect(prisma.transaction.create.mock.calls[0][0].data.metadata).toMatchObject({
+      paymentMethod: 'wallet',
+      walletAmount: 100
+    });
+    expect(balance()).toEqual(20);
+    createPayment.mockRestore();
+  });
+
+  test('gives the credit back when the card is declined', async () => {
+    await grant(30);
+
+    await expect(checkout({ source: 'pm_card_chargeDeclined' })).rejects.toMatchObject({
+      statusCode: 402
+    });
+
+    expect(balance()).toEqual(30);
+    expect(prisma.entries.map((entry) => [entry.type, entry.reason])).toEqual([
+      ['CREDIT', 'ADMIN_GRANT'],
+      ['DEBIT', 'CHECKOUT'],
+      ['CREDIT', 'CHECKOUT_REVERSAL']
+    ]);
+    expect(prisma.transaction.create).not.toHaveBeenCalledWith({
+      data: expect.objectContaining({ status: 'COMPLETED' })
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const { v4: uuidv4 } = require('uuid');
 const baseLogger = require('./baseLogger');
+const { toJsonValue } = require('./money');
 
 // Reuse the base logger
 const logger = baseLogger;
@@ -44,7 +45,8 @@ const auditLogger = {
           actor,
           details,
           transactionId,
-          metadata,
+          // Amounts are stored as numbers
+          metadata: toJsonValue(metadata),
           ipAddress: metadata?.ipAddress || null,
           userAgent: metadata?.userAgent || null
         }
@@ -0,0 +1,122 @@
+/**
+ * Money amounts are stored as exact decimals in the currency's major unit
+ * (dollars, yen) and sent to Stripe in its minor unit (cents). How many
+ * minor units make a major one depends on the currency.
+ *
+ * Prisma reads decimal columns as Prisma.Decimal, and amounts stay decimals
+ * through every calculation: `+` on two of them joins their digits as
+ * strings, so use their methods (plus, minus, times, gt...) instead. They
+ * become numbers only when sent out, see decimalReplacer.
+ */
+
+// Prisma.Decimal; the generated client exports the same class
+const { Decimal } = require("@prisma/client/runtime/library");
+
+// Currencies without minor units: 500 JPY is charged as 500, not 50000
+const ZERO_DECIMAL_CURRENCIES = [
+  "BIF", "CLP", "DJF", "GNF", "JPY", "KMF", "KRW", "MGA",
+  "PYG", "RWF", "UGX", "VND", "VUV", "XAF", "XOF", "XPF",
+];
+
+const THREE_DECIMAL_CURRENCIES = ["BHD", "JOD", "KWD", "OMR", "TND"];
+
+/**
+ * Number of decimal places of a currency
+ * @param {string} [currency] - ISO 4217 code; USD when omitted
+ * @returns {number} 0, 2 or 3
+ */
+const currencyExponent = (currency) => {
+  const code = (currency || "USD").toUpperCase();
+  if (ZERO_DECIMAL_CURRENCIES.includes(code)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.includes(code)) return 3;
+  return 2;
+};
+
+/**
+ * Read an amount as a decimal. Missing amounts count as zero.
+ * @param {number|string|Object|null} value - Number, string or Decimal
+ * @returns {Decimal}
+ */
+const toDecimal = (value) =>
+  Decimal.isDecimal(value) ? value : new Decimal(value ?? 0);
+
+/**
+ * Convert an amount to whole minor units, as Stripe expects it
+ * @param {number|Object} amount - Major units, as a number or Decimal
+ * @param {string} [currency]
+ * @returns {number} Integer
+ */
+const toMinorUnits = (amount, currency) =>
+  // A number is read as it is written, so 1.005 is 100.5 cents, not
+  // 100.49999999999999
+  toDecimal(amount)
+    .times(10 ** currencyExponent(currency))
+    .toDecimalPlaces(0, Decimal.ROUND_HALF_UP)
+    .toNumber();
+
+/**
+ * Convert whole minor units, as Stripe reports them, to an amount
+ * @param {number} minorUnits
+ * @param {string} [currency]
+ * @returns {Decimal} Major units
+ */
+const fromMinorUnits = (minorUnits, currency) =>
+  toDecimal(minorUnits).div(10 ** currencyExponent(currency));
+
+/**
+ * Round an amount to what the currency can express
+ * @param {number|Object} amount
+ * @param {string} [currency]
+ * @returns {Decimal}
+ */
+const roundMoney = (amount, currency) =>
+  toDecimal(amount).toDecimalPlaces(
+    currencyExponent(currency),
+    Decimal.ROUND_HALF_UP
+  );
+
+/**
+ * Add amounts up
+ * @param {Array<number|Object|null>} amounts
+ * @returns {Decimal}
+ */
+const sumMoney = (amounts) =>
+  amounts.reduce((sum, amount) => sum.plus(toDecimal(amount)), new Decimal(0));
+
+/**
+ * Read an amount as a number, to send it to another service or a client.
+ * Missing amounts stay null.
+ * @param {number|Object|null} value
+ * @returns {number|null}
+ */
+const toNumber = (value) =>
+  value === null || value === undefined ? null : Number(value);
+
+/**
+ * JSON.stringify replacer writing decimals as numbers; Decimal's own toJSON
+ * would write strings. Used wherever amounts leave the services as JSON.
+ */
+function decimalReplacer(key, value) {
+  return Decimal.isDecimal(this[key]) ? this[key].toNumber() : value;
+}
+
+/**
+ * Copy of a value as it is stored in a JSON column or sent as JSON, with
+ * amounts as numbers
+ * @param {*} value
+ */
+const toJsonValue = (value) =>
+  value === undefined ? value : JSON.parse(JSON.stringify(value, decimalReplacer));
+
+module.exports = {
+  Decimal,
+  currencyExponent,
+  toDecimal,
+  toMinorUnits,
+  fromMinorUnits,
+  roundMoney,
+  sumMoney,
+  toNumber,
+  decimalReplacer,
+  toJsonValue,
+};
@@ -1,15 +1,28 @@
+const { findTaxRule } = require("./taxRules");
+const {
+  Decimal,
+  toDecimal,
+  toMinorUnits,
+  fromMinorUnits,
+  roundMoney,
+} = require("./money");
+
 /**
- * Calculate the revenue split between platform and educator
+ * Calculate the revenue split between platform and educator, rounded in
+ * the currency's minor unit
  */
-const calculateRevenueSplit = (amount, platformFeePercentage = 20, fixedFee = 0) => {
+const calculateRevenueSplit = (amount, platformFeePercentage = 20, fixedFee = 0, currency) => {
   // Ensure platformFeePercentage is a valid number between 0 and 100
   platformFeePercentage = Math.max(0, Math.min(100, platformFeePercentage));
   
   // Calculate the platform commission
-  const platformCommission = (amount * platformFeePercentage / 100) + fixedFee;
+  const platformCommission = roundMoney(
+    toDecimal(amount).times(platformFeePercentage).div(100).plus(fixedFee),
+    currency
+  );
   
   // Calculate the educator earnings
-  const educatorEarnings = amount - platformCommission;
+  const educatorEarnings = roundMoney(toDecimal(amount).minus(platformCommission), currency);
   
   return {
     platformCommission,
@@ -21,67 +34,133 @@ const calculateRevenueSplit = (amount, platformFeePercentage = 20, fixedFee = 0)
 };
 
 /**
- * Calculate prorated refund amounts
+ * Calculate prorated refund amounts, rounded in the transaction's currency.
+ * The affiliate share of a referred sale is clawed back in the same ratio.
+ * A payment can be refunded in several parts: the refund that brings the
+ * total up to the amount paid gives back whatever the earlier ones left, so
+ * the parts add up exactly.
+ * @param {Object} originalTransaction - Payment being refunded
+ * @param {number|Object} [refundAmount] - Net of tax; the rest of the
+ *   payment when missing
+ * @param {Object} [refunded] - Totals of the earlier refunds, positive:
+ *   { amount, taxAmount, platformCommission, educatorEarnings,
+ *   affiliateCommission }
  */
-const calculateRefundAmounts = (originalTransaction, refundAmount) => {
-  // If refunding full amount
-  if (!refundAmount || refundAmount >= originalTransaction.amount) {
+const calculateRefundAmounts = (originalTransaction, refundAmount, refunded = {}) => {
+  const { currency } = originalTransaction;
+  const remaining = (field) =>
+    roundMoney(toDecimal(originalTransaction[field]).minus(toDecimal(refunded[field])), currency);
+  const remainingAmount = remaining('amount');
+
+  // If refunding the rest of the payment
+  if (!refundAmount || remainingAmount.lte(refundAmount)) {
     return {
-      refundAmount: originalTransaction.amount,
-      refundedCommission: originalTransaction.platformCommission,
-      refundedEarnings: originalTransaction.educatorEarnings,
-      refundRatio: 1.0
+      refundAmount: remainingAmount,
+      refundedTax: remaining('taxAmount'),
+      refundedCommission: remaining('platformCommission'),
+      refundedEarnings: remaining('educatorEarnings'),
+      refundedAffiliateCommission: remaining('affiliateCommission'),
+      refundRatio: remainingAmount.div(originalTransaction.amount),
+      final: true
     };
   }
   
   // Calculate the refund ratio
-  const refundRatio = refundAmount / originalTransaction.amount;
+  const refundRatio = toDecimal(refundAmount).div(originalTransaction.amount);
   
-  // Calculate prorated commission and earnings to be refunded
-  const refundedCommission = originalTransaction.platformCommission * refundRatio;
-  const refundedEarnings = originalTransaction.educatorEarnings * refundRatio;
+  // Calculate prorated tax, commission and earnings to be refunded
+  const prorate = (field) =>
+    roundMoney(toDecimal(originalTransaction[field]).times(refundRatio), currency);
   
   return {
-    refundAmount,
-    refundedCommission,
-    refundedEarnings,
-    refundRatio
+    refundAmount: roundMoney(refundAmount, currency),
+    refundedTax: prorate('taxAmount'),
+    refundedCommission: prorate('platformCommission'),
+    refundedEarnings: prorate('educatorEarnings'),
+    refundedAffiliateCommission: prorate('affiliateCommission'),
+    refundRatio,
+    final: false
   };
 };
 
 /**
- * Calculate tax amount based on tax rate and country
+ * Calculate tax amount based on tax rate and country. Without a rate, the
+ * rate for the country (and region) comes from the tax rules file.
+ * @param {number} amount - Amount to tax
+ * @param {number|null} taxRate - Percentage, or null to look it up
+ * @param {string|null} countryCode - Customer country
+ * @param {Object} [options]
+ * @param {string} [options.regionCode] - Customer state or province
+ * @param {boolean} [options.inclusive] - `amount` already includes the tax
+ * @param {string} [options.currency] - To round in its minor unit; USD by default
  */
-const calculateTax = (amount, taxRate, countryCode = null) => {
+const calculateTax = (amount, taxRate, countryCode = null, options = {}) => {
+  const rate =
+    taxRate ?? findTaxRule(countryCode, options.regionCode)?.rate ?? 0;
+
   // Default to no tax if no rate provided
-  if (!taxRate) return 0;
-  
-  // Apply standard tax rate
-  const taxAmount = amount * (taxRate / 100);
-  
-  return parseFloat(taxAmount.toFixed(2)); // Ensure 2 decimal places and return as number
+  if (!rate) return new Decimal(0);
+
+  // Tax-inclusive prices: take out the tax part instead of adding it
+  const price = toDecimal(amount);
+  const taxAmount = options.inclusive
+    ? price.minus(price.div(toDecimal(rate).div(100).plus(1)))
+    : price.times(rate).div(100);
+
+  return roundMoney(taxAmount, options.currency);
 };
 
 /**
  * Calculate discounted price
  */
 const applyDiscount = (originalPrice, discountType, discountValue) => {
+  const price = toDecimal(originalPrice);
   if (discountType === 'PERCENTAGE') {
     // Cap percentage at 100%
-    const percentage = Math.min(discountValue, 100);
-    return originalPrice * (1 - percentage / 100);
+    const percentage = Decimal.min(discountValue, 100);
+    return price.times(percentage.div(100).negated().plus(1));
   } else if (discountType === 'FIXED') {
     // Don't allow discount to make price negative
-    return Math.max(0, originalPrice - discountValue);
+    return Decimal.max(0, price.minus(discountValue));
   }
   
   // Return original price if no valid discount
-  return originalPrice;
+  return price;
+};
+
+/**
+ * Split an amount between weighted shares. Works in minor units and gives
+ * the leftover units to the largest remainders so the parts add up exactly.
+ * @param {number|Object} amount - Amount to split
+ * @param {Array<number|Object>} weights - Relative weight of each share
+ * @param {string} [currency] - Currency of the amount; USD by default
+ * @returns {Decimal[]} Amount for each share, in the same order
+ */
+const splitProRata = (amount, weights, currency) => {
+  // Weights can be Decimal amounts; only their ratio matters
+  const totalWeight = weights.reduce((sum, weight) => sum + Number(weight), 0);
+  if (totalWeight <= 0) return weights.map(() => new Decimal(0));
+
+  const totalUnits = toMinorUnits(amount, currency);
+  const exact = weights.map((weight) => (totalUnits * Number(weight)) / totalWeight);
+  const units = exact.map(Math.floor);
+  const leftover = totalUnits - units.reduce((sum, value) => sum + value, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - units[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .slice(0, leftover)
+    .forEach(({ index }) => {
+      units[index] += 1;
+    });
+
+  return units.map((value) => fromMinorUnits(value, currency));
 };
 
 module.exports = {
   calculateRevenueSplit,
   calculateRefundAmounts,
   calculateTax,
-  applyDiscount
+  applyDiscount,
+  splitProRata
 };
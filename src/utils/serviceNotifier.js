@@ -3,30 +3,38 @@ const { logger } = require("./logger");
 
 /**
  * Send notification to user service
+ * @throws If the user service cannot be reached or rejects it
  */
-const notifyUserService = async (data) => {
-  try {
-    if (process.env.NODE_ENV === "development") {
-      logger.info(
-        `Skipping user service notification in development mode: ${data.action} for user ${data.userId}`
-      );
-      return;
-    }
-    if (!process.env.USER_SERVICE_URL) {
-      logger.warn("USER_SERVICE_URL not set. Notification not sent.");
-      return;
-    }
-
-    await axios.post(`${process.env.USER_SERVICE_URL}/notifications`, data, {
-      headers: {
-        "Content-Type": "application/json",
-        "X-Service-Key": process.env.INTERNAL_API_KEY,
-      },
-    });
-
+const sendToUserService = async (data) => {
+  if (process.env.NODE_ENV === "development") {
     logger.info(
-      `User service notified: ${data.action} for user ${data.userId}`
+      `Skipping user service notification in development mode: ${data.action} for user ${data.userId}`
     );
+    return;
+  }
+  if (!process.env.USER_SERVICE_URL) {
+    logger.warn("USER_SERVICE_URL not set. Notification not sent.");
+    return;
+  }
+
+  await axios.post(`${process.env.USER_SERVICE_URL}/notifications`, data, {
+    headers: {
+      "Content-Type": "application/json",
+      "X-Service-Key": process.env.INTERNAL_API_KEY,
+    },
+  });
+
+  logger.info(
+    `User service notified: ${data.action} for user ${data.userId}`
+  );
+};
+
+/**
+ * Send notification to user service, logging rather than throwing failures
+ */
+const notifyUserService = async (data) => {
+  try {
+    await sendToUserService(data);
   } catch (error) {
     logger.error(`Failed to notify user service: ${error.message}`, {
       error,
@@ -38,34 +46,42 @@ const notifyUserService = async (data) => {
 
 /**
  * Send notification to course service
+ * @throws If the course service cannot be reached or rejects it
  */
-const notifyCourseService = async (data) => {
-  try {
-    if (process.env.NODE_ENV === "development") {
-      logger.info(
-        `Skipping user service notification in development mode: ${data.action} for user ${data.userId}`
-      );
-      return;
-    }
-    if (!process.env.COURSE_SERVICE_URL) {
-      logger.warn("COURSE_SERVICE_URL not set. Notification not sent.");
-      return;
+const sendToCourseService = async (data) => {
+  if (process.env.NODE_ENV === "development") {
+    logger.info(
+      `Skipping user service notification in development mode: ${data.action} for user ${data.userId}`
+    );
+    return;
+  }
+  if (!process.env.COURSE_SERVICE_URL) {
+    logger.warn("COURSE_SERVICE_URL not set. Notification not sent.");
+    return;
+  }
+
+  await axios.put(
+    `${process.env.COURSE_SERVICE_URL}/course/notifications`,
+    data,
+    {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Service-Key": process.env.INTERNAL_API_KEY,
+      },
     }
+  );
 
-    await axios.put(
-      `${process.env.COURSE_SERVICE_URL}/course/notifications`,
-      data,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          "X-Service-Key": process.env.INTERNAL_API_KEY,
-        },
-      }
-    );
+  logger.info(
+    `Course service notified: ${data.action} for course ${data.courseId}`
+  );
+};
 
-    logger.info(
-      `Course service notified: ${data.action} for course ${data.courseId}`
-    );
+/**
+ * Send notification to course service, logging rather than throwing failures
+ */
+const notifyCourseService = async (data) => {
+  try {
+    await sendToCourseService(data);
   } catch (error) {
     logger.error(`Failed to notify course service: ${error.message}`, {
       error,
@@ -75,33 +91,41 @@ const notifyCourseService = async (data) => {
   }
 };
 
-const notifyProgressService = async (data) => {
-  try {
-    if (process.env.NODE_ENV === "development") {
-      logger.info(
-        `Skipping user service notification in development mode: ${data.action} for user ${data.userId}`
-      );
-      return;
-    }
-    if (!process.env.PROGRESS_SERVICE_URL) {
-      logger.warn("PROGRESS_SERVICE_URL not set. Notification not sent.");
-      return;
+/**
+ * Send notification to progress service
+ * @throws If the progress service cannot be reached or rejects it
+ */
+const sendToProgressService = async (data) => {
+  if (process.env.NODE_ENV === "development") {
+    logger.info(
+      `Skipping user service notification in development mode: ${data.action} for user ${data.userId}`
+    );
+    return;
+  }
+  if (!process.env.PROGRESS_SERVICE_URL) {
+    logger.warn("PROGRESS_SERVICE_URL not set. Notification not sent.");
+    return;
+  }
+
+  await axios.post(
+    `${process.env.PROGRESS_SERVICE_URL}/progress/webhook/enrollment-updated`,
+    data,
+    {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Service-Key": process.env.INTERNAL_API_KEY,
+      },
     }
+  );
 
-    await axios.post(
-      `${process.env.PROGRESS_SERVICE_URL}/progress/webhook/enrollment-updated`,
-      data,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          "X-Service-Key": process.env.INTERNAL_API_KEY,
-        },
-      }
-    );
+  logger.info(
+    `Progress service notified: ${data.action} for user ${data.userId}`
+  );
+};
 
-    logger.info(
-      `Progress service notified: ${data.action} for user ${data.userId}`
-    );
+const notifyProgressService = async (data) => {
+  try {
+    await sendToProgressService(data);
   } catch (error) {
     logger.error(`Failed to notify progress service: ${error.message}`, {
       error,
@@ -111,6 +135,9 @@ const notifyProgressService = async (data) => {
 };
 
 module.exports = {
+  sendToUserService,
+  sendToCourseService,
+  sendToProgressService,
   notifyUserService,
   notifyCourseService,
   notifyProgressService,
@@ -0,0 +1,72 @@
+const fs = require("fs");
+const config = require("../config");
+
+let cachedRules = null;
+
+/**
+ * Load the versioned tax rules file. It is read once per process, so a
+ * rates change ships with a deploy.
+ * @returns {Object} Parsed rules
+ */
+const loadTaxRules = () => {
+  if (!cachedRules) {
+    cachedRules = JSON.parse(fs.readFileSync(config.tax.rulesFile, "utf8"));
+  }
+  return cachedRules;
+};
+
+/**
+ * Resolve the tax rule for a customer location. Country settings override
+ * their group, a region overrides its country, and the digital services
+ * rule of the most specific level has the last word, since every course is
+ * an electronically supplied service.
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code
+ * @param {string} [regionCode] - State or province code
+ * @returns {Object|null} Rule, or null when the country has no tax rule
+ */
+const findTaxRule = (countryCode, regionCode = null) => {
+  if (!countryCode) return null;
+
+  const rules = loadTaxRules();
+  const country = countryCode.toUpperCase();
+  const countryRule = rules.countries[country];
+  if (!countryRule) return null;
+
+  const region = regionCode ? regionCode.toUpperCase() : null;
+  const matchedRegion = region && countryRule.regions?.[region] ? region : null;
+  const regionRule = matchedRegion ? countryRule.regions[matchedRegion] : {};
+  const { regions, group, ...countrySettings } = countryRule;
+
+  const rule = {
+    ...rules.defaults,
+    ...(group && rules.groups[group]),
+    ...countrySettings,
+    ...regionRule,
+  };
+
+  const digital = regionRule.digitalServices || countryRule.digitalServices;
+  let rate = rule.rate || 0;
+  if (digital?.exempt) {
+    rate = 0;
+  } else if (digital?.rate !== undefined) {
+    rate = digital.rate;
+  }
+
+  return {
+    countryCode: country,
+    regionCode: matchedRegion,
+    type: rule.type,
+    rate,
+    pricesIncludeTax: Boolean(rule.pricesIncludeTax),
+    reverseCharge: Boolean(rule.reverseCharge),
+    taxIdPattern: rule.taxIdPattern
+      ? new RegExp(rule.taxIdPattern.replace("{country}", country))
+      : null,
+    version: rules.version,
+  };
+};
+
+module.exports = {
+  loadTaxRules,
+  findTaxRule,
+};
@@ -1,8 +1,27 @@
-const stripe = require('../config/stripe');
-const invoiceService = require('../services/invoiceService');
+const subscriptionService = require('../services/subscriptionService');
+const paymentService = require('../services/paymentService');
+const affiliateService = require('../services/affiliateService');
+const revenueShareService = require('../services/revenueShareService');
+const payoutService = require('../services/payoutService');
+const payoutScheduleService = require('../services/payoutScheduleService');
+const ledgerService = require('../services/ledgerService');
+const walletService = require('../services/walletService');
+const giftService = require('../services/giftService');
+const outboxService = require('../services/outboxService');
+const fxRateService = require('../services/fxRateService');
 const { logger, auditLogger } = require('../utils/logger');
-const { notifyUserService, notifyCourseService } = require('../utils/serviceNotifier');
 const prisma = require('../config/db');
+const {
+  Decimal,
+  toDecimal,
+  fromMinorUnits,
+  roundMoney,
+  sumMoney,
+} = require('../utils/money');
+const { calculateRefundAmounts } = require('../utils/paymentCalculator');
+const { getPaymentGateway } = require('../services/paymentGateways');
+
+const gateway = getPaymentGateway();
 
 /**
  * Verify the Stripe webhook signature
@@ -16,7 +35,7 @@ const verifyStripeSignature = (rawBody, signature) => {
       return { verified: false, error: 'Missing webhook secret' };
     }
     
-    const event = stripe.webhooks.constructEvent(
+    const event = gateway.constructWebhookEvent(
       rawBody,
       signature,
       webhookSecret
@@ -29,73 +48,92 @@ const verifyStripeSignature = (rawBody, signature) => {
 };
 
 /**
- * Handle payment_intent.succeeded event
+ * Handle payment_intent.succeeded event. Completes a payment that was
+ * pending, e.g. after 3-D Secure: enrollment and the invoice happen here.
  */
 const handlePaymentIntentSucceeded = async (event) => {
   const paymentIntent = event.data.object;
   logger.info(`Payment intent succeeded: ${paymentIntent.id}`);
   
   try {
-    // Get transaction by Stripe ID
-    const transaction = await prisma.transaction.findFirst({
-      where: { 
-        stripeChargeId: paymentIntent.id,
-        // Or the payment intent ID if you store that instead
-        // OR metadata.paymentIntentId: paymentIntent.id
-      }
-    });
+    const result = await paymentService.completePendingPayment(paymentIntent.id);
     
-    // If no transaction found, this might be a duplicate event or
-    // the transaction was created through another method
-    if (!transaction) {
-      logger.warn(`No matching transaction found for payment intent ${paymentIntent.id}`);
-      return { success: false, reason: 'Transaction not found' };
+    // Already completed at checkout or by the confirm endpoint, or the
+    // intent belongs to an installment or membership charge
+    if (!result) {
+      logger.info(`No pending payment for payment intent ${paymentIntent.id}`);
+      return { success: false, reason: 'No pending payment' };
     }
     
-    // If the transaction is not already marked as completed
-    if (transaction.status !== 'COMPLETED') {
-      // Update transaction status
-      await prisma.transaction.update({
-        where: { id: transaction.id },
-        data: { status: 'COMPLETED' }
-      });
-      
-      // Update invoice status
-      await invoiceService.updateInvoiceStatus(transaction.id, 'PAID');
-      
-      // Notify other services about successful payment
-      await notifyUserService({
-        userId: transaction.userId,
-        action: 'ENROLL_USER',
-        courseId: transaction.courseId,
-        transactionId: transaction.id
-      });
-      
-      await notifyCourseService({
-        courseId: transaction.courseId,
-        action: 'RECORD_PURCHASE',
-        userId: transaction.userId,
-        amount: transaction.amount,
-        educatorEarnings: transaction.educatorEarnings
-      });
-      
-      // Log audit entry
-      auditLogger.log(
-        'WEBHOOK_PAYMENT_COMPLETED',
-        transaction.userId,
-        `Payment of ${transaction.amount} ${transaction.currency} completed via webhook for course ${transaction.courseId}`,
-        transaction.id,
-        { paymentIntentId: paymentIntent.id }
-      );
-    }
+    auditLogger.log(
+      'WEBHOOK_PAYMENT_COMPLETED',
+      result.transaction.userId,
+      `Payment of ${result.transaction.amount} ${result.transaction.currency} completed via webhook for course ${result.transaction.courseId}`,
+      result.transaction.id,
+      { paymentIntentId: paymentIntent.id }
+    );
     
-    return { success: true, transactionId: transaction.id };
+    return { success: true, transactionId: result.transaction.id };
   } catch (error) {
     logger.error(`Error handling payment_intent.succeeded: ${error.message}`, { error });
     return { success: false, error: error.message };
   }
 };
 
+/**
+ * Handle payment_intent.payment_failed and payment_intent.canceled events,
+ * e.g. when the customer did not pass 3-D Secure
+ */
+const handlePaymentIntentFailed = async (event) => {
+  const paymentIntent = event.data.object;
+  logger.info(`Payment intent ${paymentIntent.id} event: ${event.type}`);
+  
+  try {
+    const failed = await paymentService.failPendingPayment(paymentIntent);
+    if (failed) {
+      logger.info(`Pending payment ${paymentIntent.id} marked as failed via webhook`);
+    }
+  } catch (error) {
+    logger.error(`Error handling ${event.type} webhook: ${error.message}`, { error });
+  }
+};
+
+/**
+ * Handle payment_intent.amount_capturable_updated event: a pre-order's
+ * card was authorized, e.g. after 3-D Secure
+ */
+const handlePaymentIntentAuthorized = async (event) => {
+  const paymentIntent = event.data.object;
+  logger.info(`Payment intent authorized: ${paymentIntent.id}`);
+  
+  try {
+    await paymentService.markPaymentAuthorized(paymentIntent.id);
+  } catch (error) {
+    logger.error(`Error handling ${event.type} webhook: ${error.message}`, { error });
+  }
+};
+
+/**
+ * Post the fee Stripe kept from a charge to the ledger. Charges that have
+ * not settled into the balance yet have no balance transaction.
+ */
+const recordStripeFee = async (charge) => {
+  if (!charge.balance_transaction) return;
+  
+  const balanceTransaction = typeof charge.balance_transaction === 'string'
+    ? await gateway.retrieveBalanceTransaction(charge.balance_transaction)
+    : charge.balance_transaction;
+  // Payments keep their payment intent ID; cart charges belong to an order
+  const transaction = await prisma.transaction.findFirst({
+    where: {
+      stripeChargeId: { in: [charge.id, charge.payment_intent].filter(Boolean) },
+      type: 'PAYMENT'
+    },
+    select: { id: true }
+  });
+  await ledgerService.postStripeFee(prisma, balanceTransaction, transaction?.id);
+};
+
 /**
  * Handle charge.succeeded event
  */
@@ -104,6 +142,8 @@ const handleChargeSucceeded = async (event) => {
   logger.info(`Charge succeeded: ${charge.id}`);
   
   try {
+    await recordStripeFee(charge);
+    
     // Similar to handlePaymentIntentSucceeded but for charges
     const transaction = await prisma.transaction.findFirst({
       where: { stripeChargeId: charge.id }
@@ -133,16 +173,155 @@ const handleChargeSucceeded = async (event) => {
 };
 
 /**
- * Handle charge.refunded event
+ * Record a refund made in the Stripe dashboard against a payment. The
+ * amount refunded includes tax, which is split off in the payment's own
+ * proportion; anything beyond what is left to refund is ignored.
+ * @param {Object} originalTransaction - Refunded payment
+ * @param {Object} refund - Stripe refund
+ * @returns {Promise<Object|null>} The payment as updated, or null when
+ *   nothing was left to refund
+ */
+const recordStripeRefund = async (originalTransaction, refund) => {
+  const { currency } = originalTransaction;
+  const refundable = paymentService.getRefundableAmount(originalTransaction);
+  if (!refundable.gt(0)) {
+    logger.warn(`Refund ${refund.id} ignored: nothing is left to refund of transaction ${originalTransaction.id}`);
+    return null;
+  }
+
+  const paid = sumMoney([originalTransaction.amount, originalTransaction.taxAmount]);
+  const netAmount = roundMoney(
+    fromMinorUnits(refund.amount, currency).times(originalTransaction.amount).div(paid),
+    currency
+  );
+
+  // Calculate refunded tax, earnings and commission, and the affiliate share to claw back
+  const refunded = await paymentService.getRefundedTotals(originalTransaction.id);
+  const {
+    refundAmount,
+    refundedTax,
+    refundedCommission,
+    refundedEarnings,
+    refundedAffiliateCommission,
+    final
+  } = calculateRefundAmounts(originalTransaction, Decimal.min(netAmount, refundable), refunded);
+
+  // Each instructor gives back their share of the refunded earnings.
+  // Instructors on a payout schedule give it back from what is still held,
+  // and by reversing what was already released.
+  const refundedShares = await revenueShareService.splitRefundedEarnings(
+    originalTransaction.id,
+    refundedEarnings,
+    currency
+  );
+  const refundHolds = [];
+  const reversals = [];
+  for (const share of refundedShares) {
+    const heldRefund = await payoutScheduleService.takeBackHeldEarnings(
+      originalTransaction.id,
+      share,
+      currency
+    );
+    if (heldRefund) {
+      refundHolds.push(...heldRefund);
+      const reversed = heldRefund
+        .filter((hold) => hold.stripeTransferId)
+        .reduce((sum, hold) => sum.minus(hold.amount), new Decimal(0));
+      if (reversed.gt(0)) {
+        reversals.push({ educatorId: share.educatorId, amount: reversed });
+      }
+    }
+  }
+  
+  const conversion = await fxRateService.getConversionToBase(currency);
+  const { refundTransaction, updatedTransaction } = await prisma.$transaction(async (tx) => {
+    // Create refund transaction
+    const record = await tx.transaction.create({
+      data: {
+        stripeChargeId: refund.id,
+        amount: refundAmount,
+        currency: originalTransaction.currency,
+        ...fxRateService.baseAmountFields(refundAmount, conversion),
+        taxAmount: refundedTax,
+        status: 'COMPLETED',
+        type: 'REFUND',
+        platformCommission: refundedCommission.negated(),
+        educatorEarnings: refundedEarnings.negated(),
+        affiliateCommission: refundedAffiliateCommission.negated(),
+        commissionRuleId: originalTransaction.commissionRuleId,
+        userId: originalTransaction.userId,
+        courseId: originalTransaction.courseId,
+        educatorId: originalTransaction.educatorId,
+        description: `Refund for transaction ${originalTransaction.id} via webhook`,
+        metadata: {
+          originalTransactionId: originalTransaction.id,
+          refundedBy: 'stripe_webhook',
+        },
+      },
+    });
+    
+    // Update original transaction
+    const updated = await tx.transaction.update({
+      where: { id: originalTransaction.id },
+      data: {
+        status: final ? 'REFUNDED' : 'PARTIALLY_REFUNDED',
+        refundId: record.id,
+        refundedAmount: { increment: refundAmount }
+      }
+    });
+    await revenueShareService.recordRefundedEarnings(tx, record, refundedShares);
+    await payoutScheduleService.recordHeldRefunds(tx, record, refundHolds);
+    await affiliateService.clawBackReferral(tx, originalTransaction.id, refundedAffiliateCommission);
+    await ledgerService.postRefund(tx, record, {
+      originalTransaction,
+      shares: refundedShares,
+      reversals
+    });
+    
+    // The enrollment is removed once the whole payment is refunded
+    const gift = await tx.giftCode.findUnique({
+      where: { transactionId: originalTransaction.id }
+    });
+    await outboxService.enqueueEvents(
+      tx,
+      paymentService.refundEvents(originalTransaction, record, refundedShares, {
+        final,
+        gift: Boolean(gift),
+        reason: 'Refunded in Stripe'
+      })
+    );
+    
+    return { refundTransaction: record, updatedTransaction: updated };
+  });
+  outboxService.dispatchSoon();
+  
+  // Log audit entry
+  auditLogger.log(
+    'WEBHOOK_REFUND_COMPLETED',
+    originalTransaction.userId,
+    `Refund of ${refundAmount} ${originalTransaction.currency} completed via webhook for transaction ${originalTransaction.id}`,
+    refundTransaction.id,
+    { originalTransactionId: originalTransaction.id, refundId: refundTransaction.id }
+  );
+
+  return updatedTransaction;
+};
+
+/**
+ * Handle charge.refunded event. Sent for every refund of the charge, with
+ * all of its refunds so far.
  */
 const handleChargeRefunded = async (event) => {
   const charge = event.data.object;
   logger.info(`Charge refunded: ${charge.id}`);
   
   try {
-    // Find the original transaction
+    // Find the original transaction, which keeps the charge or the
+    // payment intent it was paid with
     const originalTransaction = await prisma.transaction.findFirst({
-      where: { stripeChargeId: charge.id }
+      where: {
+        stripeChargeId: { in: [charge.id, charge.payment_intent].filter(Boolean) }
+      }
     });
     
     if (!originalTransaction) {
@@ -150,51 +329,22 @@ const handleChargeRefunded = async (event) => {
       return { success: false, reason: 'Transaction not found' };
     }
     
-    // If not already refunded
-    if (originalTransaction.status !== 'REFUNDED') {
-      // Get refund amount from the Stripe event
-      const refundAmount = charge.amount_refunded / 100; // Convert from cents
-      
-      // Calculate refunded earnings and commission
-      const refundRatio = refundAmount / originalTransaction.amount;
-      const refundedCommission = originalTransaction.platformCommission * refundRatio;
-      const refundedEarnings = originalTransaction.educatorEarnings * refundRatio;
-      
-      // Create refund transaction
-      const refundTransaction = await prisma.transaction.create({
-        data: {
-          stripeChargeId: charge.refunds.data[0].id, // Get first refund ID
-          amount: refundAmount,
-          currency: originalTransaction.currency,
-          status: 'COMPLETED',
-          type: 'REFUND',
-          platformCommission: -refundedCommission,
-          educatorEarnings: -refundedEarnings,
-          userId: originalTransaction.userId,
-          courseId: originalTransaction.courseId,
-          educatorId: originalTransaction.educatorId,
-          description: `Refund for transaction ${originalTransaction.id} via webhook`,
-          metadata: {
-            originalTransactionId: originalTransaction.id,
-            refundedBy: 'stripe_webhook',
-          },
-        },
-      });
-      
-      // Update original transaction
-      await prisma.transaction.update({
-        where: { id: originalTransaction.id },
-        data: { status: 'REFUNDED', refundId: refundTransaction.id }
-      });
-      
-      // Log audit entry
-      auditLogger.log(
-        'WEBHOOK_REFUND_COMPLETED',
-        originalTransaction.userId,
-        `Refund of ${refundAmount} ${originalTransaction.currency} completed via webhook for transaction ${originalTransaction.id}`,
-        refundTransaction.id,
-        { originalTransactionId: originalTransaction.id, refundId: refundTransaction.id }
-      );
+    // Refunds made through the API are recorded when they are made; only
+    // the ones made in the Stripe dashboard are recorded here, once each
+    const dashboardRefunds = (charge.refunds?.data || []).filter(
+      (refund) => !refund.metadata?.transactionId && refund.status !== 'failed'
+    );
+    const recorded = await prisma.transaction.findMany({
+      where: { stripeChargeId: { in: dashboardRefunds.map((refund) => refund.id) } },
+      select: { stripeChargeId: true }
+    });
+    const recordedIds = new Set(recorded.map((transaction) => transaction.stripeChargeId));
+    
+    let transaction = originalTransaction;
+    for (const refund of dashboardRefunds) {
+      if (recordedIds.has(refund.id)) continue;
+      transaction = await recordStripeRefund(transaction, refund);
+      if (!transaction) break;
     }
     
     return { success: true, transactionId: originalTransaction.id };
@@ -212,7 +362,7 @@ const handleChargeFailed = async (event) => {
   
   try {
     // Find the transaction by Stripe charge ID
-    const transaction = await prisma.transaction.findUnique({
+    const transaction = await prisma.transaction.findFirst({
       where: { stripeChargeId: charge.id }
     });
     
@@ -250,46 +400,125 @@ const handleChargeDisputed = async (event) => {
   const charge = dispute.charge;
   
   try {
-    // Find the transaction by Stripe charge ID
-    const transaction = await prisma.transaction.findUnique({
-      where: { stripeChargeId: charge }
+    // Payments keep their payment intent ID, like the fee handler looks
+    // them up; the courses of a cart share their order's
+    const transactions = await prisma.transaction.findMany({
+      where: {
+        stripeChargeId: { in: [dispute.payment_intent, charge].filter(Boolean) },
+        type: 'PAYMENT'
+      },
+      orderBy: { createdAt: 'asc' }
     });
     
-    if (!transaction) {
-      logger.warn(`No transaction found for Stripe charge ID: ${charge}`);
+    if (transactions.length === 0) {
+      logger.warn(`No transaction found for disputed charge ${charge}`);
       return;
     }
     
-    // Update transaction status to disputed
-    await prisma.transaction.update({
-      where: { id: transaction.id },
-      data: { status: 'DISPUTED' }
+    // Update transaction status to disputed, and post the chargeback once
+    // for the whole charge
+    await prisma.$transaction(async (tx) => {
+      await tx.transaction.updateMany({
+        where: { id: { in: transactions.map((transaction) => transaction.id) } },
+        data: { status: 'DISPUTED' }
+      });
+      await ledgerService.postDispute(tx, transactions[0], dispute);
+      // Update course stats (decrement sales, revenue) since it's being disputed
+      await outboxService.enqueueEvents(
+        tx,
+        transactions.map((transaction) => ({
+          destination: outboxService.DESTINATIONS.COURSE_SERVICE,
+          payload: {
+            courseId: transaction.courseId,
+            action: 'RECORD_DISPUTE',
+            userId: transaction.userId,
+            amount: transaction.amount,
+            educatorEarnings: toDecimal(transaction.educatorEarnings).negated()
+          }
+        }))
+      );
     });
+    outboxService.dispatchSoon();
     
-    logger.info(`Transaction ${transaction.id} marked as disputed via webhook`);
-    
-    // Log the audit event
-    auditLogger.log(
-      'PAYMENT_DISPUTED_VIA_WEBHOOK',
-      'system',
-      `Payment of ${transaction.amount} ${transaction.currency} disputed via webhook for course ${transaction.courseId}`,
-      transaction.id,
-      { stripeChargeId: charge, disputeId: dispute.id, reason: dispute.reason }
-    );
-    
-    // Update course stats (decrement sales, revenue) since it's being disputed
-    await notifyCourseService({
-      courseId: transaction.courseId,
-      action: 'RECORD_DISPUTE',
-      userId: transaction.userId,
-      amount: transaction.amount,
-      educatorEarnings: -transaction.educatorEarnings
-    });
+    for (const transaction of transactions) {
+      logger.info(`Transaction ${transaction.id} marked as disputed via webhook`);
+      
+      // Log the audit event
+      auditLogger.log(
+        'PAYMENT_DISPUTED_VIA_WEBHOOK',
+        'system',
+        `Payment of ${transaction.amount} ${transaction.currency} disputed via webhook for course ${transaction.courseId}`,
+        transaction.id,
+        { stripeChargeId: charge, disputeId: dispute.id, reason: dispute.reason }
+      );
+    }
   } catch (error) {
     logger.error(`Error handling charge.dispute.created webhook: ${error.message}`, { error });
   }
 };
 
+/**
+ * Undo what a refund that failed did to the payment it refunded: give the
+ * amount back to refund, and the affiliate, held earnings and gift code
+ * back what it took. Store credit it gave is taken back, which fails if
+ * the customer already spent it. Earnings the refund took back no longer
+ * count once it is marked as failed; transfers it reversed stay reversed.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} originalTransaction - Payment the refund was for
+ * @param {Object} refundTransaction - Failed REFUND transaction
+ */
+const undoRefund = async (tx, originalTransaction, refundTransaction) => {
+  const { id, currency } = originalTransaction;
+  const stillRefunded = roundMoney(
+    toDecimal(originalTransaction.refundedAmount).minus(refundTransaction.amount),
+    currency
+  );
+  const status = stillRefunded.gt(0) ? 'PARTIALLY_REFUNDED' : 'COMPLETED';
+  await tx.transaction.update({
+    where: { id },
+    data: {
+      status,
+      refundedAmount: { decrement: refundTransaction.amount },
+      ...(stillRefunded.lte(0) && { refundId: null })
+    }
+  });
+  logger.info(`Original transaction ${id} status reverted to ${status} due to failed refund`);
+  
+  await affiliateService.restoreReferral(
+    tx,
+    id,
+    toDecimal(refundTransaction.affiliateCommission).negated()
+  );
+  await payoutScheduleService.restoreHeldRefunds(tx, refundTransaction);
+  
+  const refundedToWallet = toDecimal(refundTransaction.metadata?.refundedToWallet);
+  if (refundedToWallet.gt(0)) {
+    await walletService.debitWallet(tx, {
+      userId: originalTransaction.userId,
+      currency,
+      amount: refundedToWallet,
+      reason: 'REFUND_REVERSAL',
+      transactionId: id,
+      description: `Refund for transaction ${id} failed`
+    });
+  }
+  
+  // A gift can be redeemed again, and a buyer whose enrollment the refund
+  // removed is enrolled again
+  const gift = await tx.giftCode.findUnique({ where: { transactionId: id } });
+  if (gift?.status === 'REFUNDED') {
+    await giftService.restoreGiftCode(
+      { id: gift.id, status: gift.expiresAt > new Date() ? 'ACTIVE' : 'EXPIRED' },
+      tx
+    );
+  } else if (!gift && originalTransaction.status === 'REFUNDED') {
+    await outboxService.enqueueEvents(
+      tx,
+      outboxService.enrollmentEvents(originalTransaction.userId, originalTransaction.courseId, id)
+    );
+  }
+};
+
 /**
  * Handle refund updated event
  */
@@ -325,25 +554,31 @@ const handleRefundUpdated = async (event) => {
         { stripeRefundId: refund.id }
       );
     } else if (refund.status === 'failed' && refundTransaction.status !== 'FAILED') {
-      // Update refund transaction status to failed
-      await prisma.transaction.update({
-        where: { id: refundTransaction.id },
-        data: { status: 'FAILED' }
+      const failed = await prisma.$transaction(async (tx) => {
+        // Update refund transaction status to failed, once
+        const { count } = await tx.transaction.updateMany({
+          where: { id: refundTransaction.id, status: { not: 'FAILED' } },
+          data: { status: 'FAILED' }
+        });
+        if (count === 0) return false;
+        
+        const originalTransactionId = refundTransaction.metadata?.originalTransactionId;
+        const originalTransaction = originalTransactionId
+          ? await tx.transaction.findUnique({ where: { id: originalTransactionId } })
+          : null;
+        if (originalTransaction) {
+          await undoRefund(tx, originalTransaction, refundTransaction);
+        }
+        
+        // The money never left, so the refund's journal entry is reversed
+        await ledgerService.postRefundFailure(tx, refundTransaction);
+        return true;
       });
+      if (!failed) return;
+      outboxService.dispatchSoon();
       
       logger.info(`Refund transaction ${refundTransaction.id} marked as failed via webhook`);
       
-      // Find the original transaction and revert its status from REFUNDED back to COMPLETED
-      const originalTransactionId = refundTransaction.metadata?.originalTransactionId;
-      if (originalTransactionId) {
-        await prisma.transaction.update({
-          where: { id: originalTransactionId },
-          data: { status: 'COMPLETED', refundId: null }
-        });
-        
-        logger.info(`Original transaction ${originalTransactionId} status reverted to COMPLETED due to failed refund`);
-      }
-      
       // Log the audit event
       auditLogger.log(
         'REFUND_FAILED_VIA_WEBHOOK',
@@ -358,6 +593,67 @@ const handleRefundUpdated = async (event) => {
   }
 };
 
+/**
+ * Handle invoice.paid event (membership renewals)
+ */
+const handleInvoicePaid = async (event) => {
+  const invoice = event.data.object;
+  logger.info(`Invoice paid: ${invoice.id}`);
+  
+  try {
+    await subscriptionService.handleInvoicePaid(invoice);
+  } catch (error) {
+    logger.error(`Error handling invoice.paid webhook: ${error.message}`, { error });
+  }
+};
+
+/**
+ * Handle invoice.payment_failed event (failed membership renewals)
+ */
+const handleInvoicePaymentFailed = async (event) => {
+  const invoice = event.data.object;
+  logger.info(`Invoice payment failed: ${invoice.id}`);
+  
+  try {
+    await subscriptionService.handleInvoicePaymentFailed(invoice);
+  } catch (error) {
+    logger.error(`Error handling invoice.payment_failed webhook: ${error.message}`, { error });
+  }
+};
+
+/**
+ * Handle customer.subscription.* events
+ */
+const handleSubscriptionEvent = async (event) => {
+  const stripeSubscription = event.data.object;
+  logger.info(`Subscription ${stripeSubscription.id} event: ${event.type}`);
+  
+  try {
+    if (event.type === 'customer.subscription.deleted') {
+      await subscriptionService.handleSubscriptionDeleted(stripeSubscription);
+    } else {
+      await subscriptionService.syncSubscription(stripeSubscription);
+    }
+  } catch (error) {
+    logger.error(`Error handling ${event.type} webhook: ${error.message}`, { error });
+  }
+};
+
+/**
+ * Handle payout.paid and payout.failed events (educator payouts, sent
+ * from their connected accounts)
+ */
+const handlePayoutEvent = async (event) => {
+  const payout = event.data.object;
+  logger.info(`Payout ${payout.id} event: ${event.type}`, { account: event.account });
+  
+  try {
+    await payoutService.recordPayoutOutcome(payout);
+  } catch (error) {
+    logger.error(`Error handling ${event.type} webhook: ${error.message}`, { error });
+  }
+};
+
 /**
  * Process webhook event
  */
@@ -371,6 +667,15 @@ const processWebhookEvent = async (event) => {
       await handlePaymentIntentSucceeded(event);
       break;
     
+    case 'payment_intent.payment_failed':
+    case 'payment_intent.canceled':
+      await handlePaymentIntentFailed(event);
+      break;
+    
+    case 'payment_intent.amount_capturable_updated':
+      await handlePaymentIntentAuthorized(event);
+      break;
+    
     case 'charge.succeeded':
       await handleChargeSucceeded(event);
       break;
@@ -391,6 +696,27 @@ const processWebhookEvent = async (event) => {
       await handleRefundUpdated(event);
       break;
     
+    case 'invoice.paid':
+      await handleInvoicePaid(event);
+      break;
+    
+    case 'invoice.payment_failed':
+      await handleInvoicePaymentFailed(event);
+      break;
+    
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.paused':
+    case 'customer.subscription.resumed':
+    case 'customer.subscription.deleted':
+      await handleSubscriptionEvent(event);
+      break;
+    
+    case 'payout.paid':
+    case 'payout.failed':
+      await handlePayoutEvent(event);
+      break;
+    
     default:
       logger.info(`Ignoring unhandled webhook event type: ${eventType}`);
   }